@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { 
   getUserActivities, 
   getActivityById, 
@@ -12,10 +12,27 @@ import {
   archiveActivity
 } from '../services/apiService';
 import { useNavigate } from 'react-router-dom';
-import { MapContainer, TileLayer, Polyline, Marker } from 'react-leaflet';
+import { MapContainer, TileLayer, Polyline, Marker, CircleMarker, useMap } from 'react-leaflet';
 import L from 'leaflet';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Tooltip } from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+import { activityToGpx, downloadGpx } from '../utils/gpx';
+import { formatGhostDelta } from '../utils/ghost';
+import { formatPace as formatWorkoutPace, formatStepGoal } from '../utils/workout';
+import { buildElevationProfile } from '../utils/elevation';
+import { isLatLng, toLatLng, normalizeActivity } from '../utils/geo';
+import { recordBadges } from '../utils/personalRecords';
+import { loadPersonalRecords, forgetBestEfforts } from '../services/personalRecordService';
+import ElevationProfile from './ElevationProfile';
+import SegmentSelector from './SegmentSelector';
+import ActivityComparison from './ActivityComparison';
+import ActivityReplay from './ActivityReplay';
+import ActivityEditor from './ActivityEditor';
 import 'leaflet/dist/leaflet.css';
 
+// Register ChartJS components
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip);
+
 // Fix for default marker icons in Leaflet with React
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
@@ -94,7 +111,7 @@ const SimulationFilter = ({ selectedFilter, onChange }) => {
   );
 };
 
-const ActivityCard = ({ activity, onClick }) => {
+const ActivityCard = ({ activity, onClick, badges = [], selected = false }) => {
   // Format date
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -183,7 +200,7 @@ const ActivityCard = ({ activity, onClick }) => {
 
   return (
     <div 
-      className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow cursor-pointer"
+      className={`bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow cursor-pointer ${selected ? 'ring-2 ring-blue-500' : ''}`}
       onClick={() => onClick(activity)}
     >
       <div className="p-4">
@@ -201,6 +218,11 @@ const ActivityCard = ({ activity, onClick }) => {
                 ⚡ Simulated
               </span>
             )}
+            {badges.map(badge => (
+              <span key={badge} className="inline-block px-2 py-1 rounded-full text-xs bg-yellow-100 text-yellow-800">
+                🏆 PR {badge}
+              </span>
+            ))}
           </div>
         </div>
         
@@ -227,8 +249,19 @@ const ActivityCard = ({ activity, onClick }) => {
   );
 };
 
+// Keeps the replay marker in view while it moves
+const FollowReplay = ({ position }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (position) map.panTo(position, { animate: true });
+  }, [map, position]);
+
+  return null;
+};
+
 // Route Map Preview Component
-const RouteMapPreview = ({ route, onFullScreen }) => {
+const RouteMapPreview = ({ route, onFullScreen, highlight, selection, replay }) => {
   if (!route || !route.coordinates || route.coordinates.length < 2) {
     return (
       <div className="h-48 bg-gray-200 rounded flex items-center justify-center">
@@ -238,9 +271,9 @@ const RouteMapPreview = ({ route, onFullScreen }) => {
   }
 
   // Convert GeoJSON coordinates [lng, lat] to Leaflet format [lat, lng]
-  const pathCoordinates = route.coordinates.map(coord => 
-    Array.isArray(coord) && coord.length >= 2 ? [coord[1], coord[0]] : null
-  ).filter(Boolean);
+  const pathCoordinates = route.coordinates
+    .filter(coord => Array.isArray(coord) && isLatLng(toLatLng(coord)))
+    .map(toLatLng);
 
   if (pathCoordinates.length < 2) {
     return (
@@ -276,6 +309,37 @@ const RouteMapPreview = ({ route, onFullScreen }) => {
         {JSON.stringify(endPoint) !== JSON.stringify(startPoint) && (
           <Marker position={endPoint} icon={endIcon} />
         )}
+        {selection && selection.length >= 2 && (
+          <Polyline 
+            positions={selection}
+            color="#F97316"
+            weight={7}
+            opacity={0.9}
+          />
+        )}
+        {highlight && (
+          <CircleMarker 
+            center={highlight}
+            radius={7}
+            pathOptions={{ color: 'white', weight: 2, fillColor: '#7C3AED', fillOpacity: 1 }}
+          />
+        )}
+        {replay && (
+          <>
+            <Polyline 
+              positions={replay.path}
+              color="#2563EB"
+              weight={5}
+              opacity={0.9}
+            />
+            <CircleMarker 
+              center={replay.position}
+              radius={8}
+              pathOptions={{ color: 'white', weight: 2, fillColor: '#2563EB', fillOpacity: 1 }}
+            />
+            {replay.follow && <FollowReplay position={replay.position} />}
+          </>
+        )}
       </MapContainer>
       {onFullScreen && (
         <div className="absolute bottom-2 right-2">
@@ -294,13 +358,212 @@ const RouteMapPreview = ({ route, onFullScreen }) => {
   );
 };
 
-const ActivityDetailModal = ({ activity, onClose, onArchive }) => {
+// Splits / laps table with a pace bar chart
+const SplitsSection = ({ title, intervals, unit }) => {
+  const [showChart, setShowChart] = useState(true);
+
+  if (!intervals || intervals.length === 0) return null;
+
+  const unitMeters = unit === 'mi' ? 1609.344 : 1000;
+
+  // Pace in seconds per unit for an interval
+  const getPace = (interval) =>
+    interval.distance > 0 ? interval.duration / (interval.distance / unitMeters) : 0;
+
+  const formatPace = (secondsPerUnit) => {
+    if (!secondsPerUnit) return '--';
+    const minutes = Math.floor(secondsPerUnit / 60);
+    const seconds = Math.floor(secondsPerUnit % 60);
+    return `${minutes}:${seconds.toString().padStart(2, '0')} /${unit}`;
+  };
+
+  const formatIntervalTime = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    const remainingSeconds = Math.round(seconds % 60);
+    return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+  };
+
+  // Only complete intervals compete for fastest/slowest
+  const paces = intervals.map(getPace);
+  const comparable = intervals
+    .map((interval, index) => ({ index, pace: paces[index] }))
+    .filter(item => !intervals[item.index].partial && item.pace > 0);
+  let fastestIndex = -1;
+  let slowestIndex = -1;
+  if (comparable.length > 1) {
+    fastestIndex = comparable.reduce((best, item) => item.pace < best.pace ? item : best).index;
+    slowestIndex = comparable.reduce((worst, item) => item.pace > worst.pace ? item : worst).index;
+  }
+
+  const getColor = (index) => {
+    if (index === fastestIndex) return '#16A34A';
+    if (index === slowestIndex) return '#DC2626';
+    return '#A78BFA';
+  };
+
+  const chartData = {
+    labels: intervals.map(interval => `${interval.index}${interval.partial ? '*' : ''}`),
+    datasets: [{
+      label: `Pace (min/${unit})`,
+      data: paces.map(pace => parseFloat((pace / 60).toFixed(2))),
+      backgroundColor: intervals.map((_, index) => getColor(index))
+    }]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (context) => formatPace(paces[context.dataIndex])
+        }
+      }
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        title: { display: true, text: `min/${unit}` }
+      }
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg mb-4">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-gray-600 text-sm">{title}</h3>
+        <button
+          className="text-xs text-blue-600 hover:text-blue-800"
+          onClick={() => setShowChart(prev => !prev)}
+        >
+          {showChart ? 'Hide Chart' : 'Show Chart'}
+        </button>
+      </div>
+
+      {showChart && (
+        <div className="h-40 mb-3">
+          <Bar data={chartData} options={chartOptions} />
+        </div>
+      )}
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-500 text-left">
+            <th className="py-1">#</th>
+            <th className="py-1">Distance</th>
+            <th className="py-1">Time</th>
+            <th className="py-1">Pace</th>
+            <th className="py-1">Elev</th>
+          </tr>
+        </thead>
+        <tbody>
+          {intervals.map((interval, index) => (
+            <tr
+              key={interval.index}
+              className={`border-t border-gray-200 ${index === fastestIndex ? 'bg-green-50 text-green-800' : index === slowestIndex ? 'bg-red-50 text-red-800' : ''}`}
+            >
+              <td className="py-1">
+                {interval.index}
+                {index === fastestIndex && <span className="ml-1 text-xs">(fastest)</span>}
+                {index === slowestIndex && <span className="ml-1 text-xs">(slowest)</span>}
+              </td>
+              <td className="py-1">{(interval.distance / unitMeters).toFixed(2)} {unit}</td>
+              <td className="py-1">{formatIntervalTime(interval.duration)}</td>
+              <td className="py-1">{formatPace(paces[index])}</td>
+              <td className="py-1">{interval.elevationGain || 0} m</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Each workout step's target next to what was actually run
+const WorkoutSection = ({ workout }) => {
+  if (!workout || !workout.steps || workout.steps.length === 0) return null;
+
+  const formatTarget = (step) => {
+    if (!step.paceMin && !step.paceMax) return '--';
+    return `${formatWorkoutPace(step.paceMin)}-${formatWorkoutPace(step.paceMax)}`;
+  };
+
+  const isOnTarget = (step) =>
+    step.averagePace &&
+    (!step.paceMin || step.averagePace >= step.paceMin) &&
+    (!step.paceMax || step.averagePace <= step.paceMax);
+
+  return (
+    <div className="bg-purple-50 p-3 rounded-lg mb-4">
+      <h3 className="font-semibold text-purple-800 mb-2 text-sm">Workout: {workout.name}</h3>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs text-gray-500 text-left">
+            <th className="py-1">Step</th>
+            <th className="py-1">Goal</th>
+            <th className="py-1">Actual</th>
+            <th className="py-1">Pace /km</th>
+            <th className="py-1">Target</th>
+            <th className="py-1">In Range</th>
+          </tr>
+        </thead>
+        <tbody>
+          {workout.steps.map(step => (
+            <tr key={step.index} className={`border-t border-purple-100 ${step.type === 'work' ? 'font-medium' : 'text-gray-600'}`}>
+              <td className="py-1">
+                {step.label}
+                {step.skipped && <span className="ml-1 text-xs text-gray-400">(cut short)</span>}
+              </td>
+              <td className="py-1">{formatStepGoal(step)}</td>
+              <td className="py-1">
+                {step.goalType === 'time'
+                  ? `${step.distance} m`
+                  : formatStepGoal({ goalType: 'time', goalValue: step.duration })}
+              </td>
+              <td className={`py-1 ${step.paceMin || step.paceMax ? (isOnTarget(step) ? 'text-green-700' : 'text-red-600') : ''}`}>
+                {formatWorkoutPace(step.averagePace)}
+              </td>
+              <td className="py-1">{formatTarget(step)}</td>
+              <td className="py-1">{step.timeInRange !== null && step.timeInRange !== undefined ? `${step.timeInRange}%` : '--'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const ActivityDetailModal = ({ activity, onClose, onArchive, onUpdate, onSplit }) => {
   const [fullScreenMap, setFullScreenMap] = useState(false);
   const [mapCoordinates, setMapCoordinates] = useState(null);
   const [archiveConfirmOpen, setArchiveConfirmOpen] = useState(false);
+  const [elevationHover, setElevationHover] = useState(null); // Profile point under the cursor
+  const [showSegmentSelector, setShowSegmentSelector] = useState(false);
+  const [segmentSelection, setSegmentSelection] = useState(null); // Sub-path highlighted on the map
+  const [showReplay, setShowReplay] = useState(false);
+  const [replay, setReplay] = useState(null); // Replay marker and travelled path
+  const [showEditor, setShowEditor] = useState(false);
+  const [editSelection, setEditSelection] = useState(null); // Part kept by a trim or split
+  
+  // Elevation profile from the altitude recorded with each location
+  const elevationProfile = useMemo(() => {
+    const history = (activity && activity.locationHistory) || [];
+    const points = history.filter(entry => entry.location && Array.isArray(entry.location.coordinates));
+    return buildElevationProfile(
+      points.map(entry => [entry.location.coordinates[1], entry.location.coordinates[0]]),
+      points.map(entry => entry.altitude)
+    );
+  }, [activity]);
   
   if (!activity) return null;
 
+  // Recorded altitudes line up with the route only when both come from the same fixes
+  const history = activity.locationHistory || [];
+  const segmentElevations = activity.pathCoordinates && history.length === activity.pathCoordinates.length
+    ? history.map(entry => entry.altitude)
+    : [];
+
   // Format date and time
   const formatDateTime = (dateString) => {
     const date = new Date(dateString);
@@ -429,6 +692,26 @@ const ActivityDetailModal = ({ activity, onClose, onArchive }) => {
     setArchiveConfirmOpen(false);
   };
 
+  const handleEditorSaved = (updated) => {
+    setShowEditor(false);
+    if (onUpdate) onUpdate(updated);
+  };
+
+  const handleEditorSplit = (parts) => {
+    setShowEditor(false);
+    if (onSplit) onSplit(parts);
+    onClose();
+  };
+
+  const handleDownloadGpx = () => {
+    try {
+      downloadGpx(activityToGpx(activity), activity.title || 'activity');
+    } catch (err) {
+      console.error('Error exporting GPX:', err);
+      alert('Could not export activity: ' + err.message);
+    }
+  };
+
   return (
     <div className="activity-modal">
       <div className="activity-modal-content">
@@ -461,8 +744,8 @@ const ActivityDetailModal = ({ activity, onClose, onArchive }) => {
             </div>
             <p className="text-gray-600 mt-2 text-sm">{activity.description || 'No description'}</p>
             
-            {/* Archive Button */}
-            <div className="mt-2">
+            {/* Archive and Export Buttons */}
+            <div className="mt-2 flex gap-4">
               <button 
                 onClick={handleArchiveClick}
                 className="text-sm text-gray-500 hover:text-red-500 flex items-center gap-1"
@@ -472,7 +755,37 @@ const ActivityDetailModal = ({ activity, onClose, onArchive }) => {
                 </svg>
                 Archive Activity
               </button>
+              <button 
+                onClick={handleDownloadGpx}
+                className="text-sm text-gray-500 hover:text-blue-600 flex items-center gap-1"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                </svg>
+                Download GPX
+              </button>
+              {!showEditor && (
+                <button 
+                  onClick={() => setShowEditor(true)}
+                  className="text-sm text-gray-500 hover:text-blue-600 flex items-center gap-1"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                  </svg>
+                  Edit Activity
+                </button>
+              )}
             </div>
+            
+            {showEditor && (
+              <ActivityEditor 
+                activity={activity}
+                onSelectionChange={setEditSelection}
+                onSaved={handleEditorSaved}
+                onSplit={handleEditorSplit}
+                onClose={() => setShowEditor(false)}
+              />
+            )}
           </div>
           
           {/* Main Info Grid */}
@@ -514,6 +827,18 @@ const ActivityDetailModal = ({ activity, onClose, onArchive }) => {
               <p className="text-xs text-gray-500">Pace</p>
               <p className="font-semibold">{calculatePace(activity.duration, activity.distance)}</p>
             </div>
+            {activity.movingTime > 0 && (
+              <>
+                <div className="bg-gray-50 p-3 rounded-lg">
+                  <p className="text-xs text-gray-500">Moving Time</p>
+                  <p className="font-semibold">{formatDuration(activity.movingTime)}</p>
+                </div>
+                <div className="bg-gray-50 p-3 rounded-lg">
+                  <p className="text-xs text-gray-500">Moving Pace</p>
+                  <p className="font-semibold">{calculatePace(activity.movingTime, activity.distance)}</p>
+                </div>
+              </>
+            )}
             <div className="bg-gray-50 p-3 rounded-lg">
               <p className="text-xs text-gray-500">Avg Speed</p>
               <p className="font-semibold">{formatSpeed(activity.averageSpeed)}</p>
@@ -540,6 +865,79 @@ const ActivityDetailModal = ({ activity, onClose, onArchive }) => {
             </div>
           </div>
 
+          {/* Splits and Laps */}
+          <SplitsSection
+            title={`Splits (per ${activity.splitUnit === 'mi' ? 'mile' : 'km'})`}
+            intervals={activity.splits}
+            unit={activity.splitUnit === 'mi' ? 'mi' : 'km'}
+          />
+          <SplitsSection
+            title="Laps"
+            intervals={activity.laps}
+            unit={activity.splitUnit === 'mi' ? 'mi' : 'km'}
+          />
+
+          {/* Structured Workout */}
+          <WorkoutSection workout={activity.workout} />
+
+          {/* Ghost Race Result */}
+          {activity.ghostRace && activity.ghostRace.activityId && (
+            <div className={`p-3 rounded-lg mb-4 ${activity.ghostRace.finalDelta !== null && activity.ghostRace.finalDelta < 0 ? 'bg-green-50' : 'bg-gray-50'}`}>
+              <h3 className="font-semibold text-gray-700 mb-1 text-sm">Ghost Race</h3>
+              <p className="text-sm text-gray-700">
+                Against {activity.ghostRace.activityTitle || 'a previous effort'}: <span className="font-semibold">{formatGhostDelta(activity.ghostRace.finalDelta)}</span>
+              </p>
+            </div>
+          )}
+
+          {/* Off-route Intervals */}
+          {activity.offRouteIntervals && activity.offRouteIntervals.length > 0 && (
+            <div className="bg-red-50 p-3 rounded-lg mb-4">
+              <h3 className="font-semibold text-red-700 mb-2 text-sm">
+                Off Route {activity.offRouteIntervals.length} {activity.offRouteIntervals.length === 1 ? 'time' : 'times'}
+              </h3>
+              <ul className="text-sm text-gray-700 space-y-1">
+                {activity.offRouteIntervals.map((interval, index) => (
+                  <li key={index}>
+                    {new Date(interval.start).toLocaleTimeString()} - {formatDuration(Math.round((new Date(interval.end) - new Date(interval.start)) / 1000))}, up to {interval.maxDistance} m away
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* GPS Filtering Summary */}
+          {activity.gpsFilter && activity.gpsFilter.rawPoints > 0 && (
+            <div className="bg-gray-50 p-3 rounded-lg mb-4">
+              <h3 className="font-semibold text-gray-600 mb-2 text-sm">GPS Filtering</h3>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                <div>
+                  <p className="text-xs text-gray-500">Fixes Kept</p>
+                  <p className="font-semibold">{activity.gpsFilter.acceptedPoints} / {activity.gpsFilter.rawPoints}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500">Discarded</p>
+                  <p className="font-semibold">{activity.gpsFilter.discardedPoints}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500">Raw Distance</p>
+                  <p className="font-semibold">{formatDistance(activity.gpsFilter.rawDistance)}</p>
+                </div>
+                <div>
+                  <p className="text-xs text-gray-500">Distance Removed</p>
+                  <p className="font-semibold">{formatDistance(activity.gpsFilter.discardedDistance)}</p>
+                </div>
+              </div>
+              {activity.gpsFilter.discarded && (
+                <p className="text-xs text-gray-500 mt-2">
+                  Low accuracy: {activity.gpsFilter.discarded.accuracy || 0} ·
+                  Implausible jumps: {activity.gpsFilter.discarded.speed || 0} ·
+                  Standing still: {activity.gpsFilter.discarded.stationary || 0}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Heart Rate and Steps Summary (if available) */}
           {activity.steps > 0 && (
             <div className="bg-gray-50 p-3 rounded-lg mb-4">
@@ -572,28 +970,70 @@ const ActivityDetailModal = ({ activity, onClose, onArchive }) => {
             <div className="bg-gray-50 p-3 rounded-lg mb-4">
               <div className="flex justify-between items-center mb-2">
                 <h3 className="font-semibold text-gray-600 text-sm">Route Map</h3>
-                <button 
-                  className="text-xs text-blue-600 hover:text-blue-800"
-                  onClick={() => {
-                    const pathCoordinates = activity.route.coordinates?.map(coord => 
-                      Array.isArray(coord) && coord.length >= 2 ? [coord[1], coord[0]] : null
-                    ).filter(Boolean);
-                    
-                    if (pathCoordinates && pathCoordinates.length >= 2) {
-                      handleFullScreenMap(pathCoordinates);
-                    }
-                  }}
-                >
-                  View Full Screen
-                </button>
+                <div className="flex gap-3">
+                  {!showReplay && activity.locationHistory && activity.locationHistory.length >= 2 && (
+                    <button 
+                      className="text-xs text-blue-600 hover:text-blue-800"
+                      onClick={() => setShowReplay(true)}
+                    >
+                      Replay
+                    </button>
+                  )}
+                  {!showSegmentSelector && activity.pathCoordinates && activity.pathCoordinates.length >= 2 && (
+                    <button 
+                      className="text-xs text-orange-600 hover:text-orange-800"
+                      onClick={() => setShowSegmentSelector(true)}
+                    >
+                      Create Segment
+                    </button>
+                  )}
+                  <button 
+                    className="text-xs text-blue-600 hover:text-blue-800"
+                    onClick={() => {
+                      if (activity.pathCoordinates && activity.pathCoordinates.length >= 2) {
+                        handleFullScreenMap(activity.pathCoordinates);
+                      }
+                    }}
+                  >
+                    View Full Screen
+                  </button>
+                </div>
               </div>
               <RouteMapPreview 
                 route={activity.route} 
                 onFullScreen={handleFullScreenMap}
+                highlight={elevationHover && elevationHover.position}
+                selection={segmentSelection || editSelection}
+                replay={replay}
               />
+              {showReplay && (
+                <div className="mt-3">
+                  <ActivityReplay 
+                    activity={activity}
+                    onReplayChange={setReplay}
+                    onClose={() => setShowReplay(false)}
+                  />
+                </div>
+              )}
+              {showSegmentSelector && (
+                <div className="mt-3">
+                  <SegmentSelector 
+                    path={activity.pathCoordinates}
+                    elevations={segmentElevations}
+                    source={{ activity: activity._id }}
+                    onSelectionChange={setSegmentSelection}
+                    onClose={() => setShowSegmentSelector(false)}
+                  />
+                </div>
+              )}
             </div>
           )}
           
+          {/* Elevation Profile */}
+          {elevationProfile.length > 0 && (
+            <ElevationProfile profile={elevationProfile} onHover={setElevationHover} />
+          )}
+          
           {/* Archive Confirmation Dialog */}
           {archiveConfirmOpen && (
             <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1228,6 +1668,14 @@ const ActivitiesPage = () => {
   // These states are kept for future use when we re-enable the active session tab
   const [activeSession, setActiveSession] = useState(null);
   const [sessionLoading, setSessionLoading] = useState(false);
+  
+  // Personal records, for PR badges on the activity cards
+  const [personalRecords, setPersonalRecords] = useState({});
+  
+  // Comparison: while compareMode is on, clicking a card selects it instead of opening it
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareSelection, setCompareSelection] = useState([]);
+  const [comparedActivities, setComparedActivities] = useState(null);
 
   // Add CSS for Leaflet map
   useEffect(() => {
@@ -1378,6 +1826,22 @@ const ActivitiesPage = () => {
     }
   }, [filter, currentPage, activitiesPerPage, simulationFilter]);
 
+  const fetchPersonalRecords = useCallback(async () => {
+    const token = localStorage.getItem('token');
+    if (!token) return;
+
+    const response = await loadPersonalRecords(token);
+    if (response.success) {
+      setPersonalRecords(response.data);
+    } else {
+      console.error('Failed to load personal records:', response.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPersonalRecords();
+  }, [fetchPersonalRecords]);
+
   // Fetch activities on component mount and when filters change
   useEffect(() => {
     if (activeTab === 'activities') {
@@ -1652,13 +2116,18 @@ const ActivitiesPage = () => {
 
   // Handle activity click
   const handleActivityClick = async (activity) => {
+    if (compareMode) {
+      toggleCompareSelection(activity);
+      return;
+    }
+
     try {
       const token = localStorage.getItem('token');
       if (!token) return;
 
       // If we already have full details, just show the modal
       if (activity.locationHistory) {
-        setSelectedActivity(activity);
+        setSelectedActivity(normalizeActivity(activity).activity);
         return;
       }
 
@@ -1669,30 +2138,15 @@ const ActivitiesPage = () => {
         // Process the route data properly
         const fullActivity = response.data;
         
-        // Ensure the route data is in the proper format
-        if (fullActivity.route && typeof fullActivity.route === 'string') {
-          try {
-            fullActivity.route = JSON.parse(fullActivity.route);
-          } catch (e) {
-            console.error('Error parsing route JSON:', e);
-          }
-        }
-        
-        // If route is still missing coordinates, try to construct from locationHistory
-        if ((!fullActivity.route || !fullActivity.route.coordinates) && fullActivity.locationHistory && fullActivity.locationHistory.length > 0) {
-          fullActivity.route = {
-            type: 'LineString',
-            coordinates: fullActivity.locationHistory.map(point => 
-              point.location && point.location.coordinates ? point.location.coordinates : null
-            ).filter(Boolean)
-          };
-        }
-        
-        // Make sure we include everything from the original activity if it's not in the full one
-        const mergedActivity = {
+        // Make sure we include everything from the original activity if it's not in the full one.
+        // The route is parsed from JSON or rebuilt from the location history.
+        const { activity: mergedActivity, errors } = normalizeActivity({
           ...activity,  // Include fields from the list view
           ...fullActivity, // Override with detailed view fields
-        };
+        });
+        if (errors.length > 0) {
+          console.warn('Activity route fallbacks:', errors);
+        }
         
         console.log('Processed activity for display:', mergedActivity);
         setSelectedActivity(mergedActivity);
@@ -1710,6 +2164,64 @@ const ActivitiesPage = () => {
     }
   };
 
+  // Keep the list, the open modal and the records in step with an edit
+  const handleActivityUpdated = (updated) => {
+    const { activity: normalized } = normalizeActivity(updated);
+    setSelectedActivity(normalized);
+    setActivities(prev => prev.map(activity => (activity._id === normalized._id ? { ...activity, ...normalized } : activity)));
+    forgetBestEfforts(normalized._id);
+    fetchPersonalRecords();
+  };
+
+  const handleActivitySplit = (parts) => {
+    if (selectedActivity) forgetBestEfforts(selectedActivity._id);
+    alert(`Activity split into ${parts.length || 2} activities`);
+    fetchActivities();
+    fetchPersonalRecords();
+  };
+
+  // Select up to two activities; a third replaces the oldest pick
+  const toggleCompareSelection = (activity) => {
+    setCompareSelection(prev => (
+      prev.some(item => item._id === activity._id)
+        ? prev.filter(item => item._id !== activity._id)
+        : [...prev, activity].slice(-2)
+    ));
+  };
+
+  const exitCompareMode = () => {
+    setCompareMode(false);
+    setCompareSelection([]);
+  };
+
+  // Load both tracks in full, then open the comparison
+  const handleCompare = async () => {
+    if (compareSelection.length !== 2) return;
+
+    const token = localStorage.getItem('token');
+    if (!token) return;
+
+    try {
+      setLoading(true);
+      const detailed = await Promise.all(compareSelection.map(async (activity) => {
+        if (activity.locationHistory) return normalizeActivity(activity).activity;
+        const response = await getActivityById(token, activity._id);
+        if (!response.success) {
+          throw new Error(response.message || 'Failed to fetch activity details');
+        }
+        return normalizeActivity({ ...activity, ...response.data }).activity;
+      }));
+      // Oldest first, so the gap reads as the newer effort against the older one
+      detailed.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+      setComparedActivities(detailed);
+    } catch (err) {
+      console.error('Error loading activities to compare:', err);
+      alert('Failed to load activities to compare: ' + (err.message || 'Unknown error'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleFilterChange = (type) => {
     setFilter(type);
     setCurrentPage(1); // Reset to page 1 when filter changes
@@ -1875,6 +2387,8 @@ const ActivitiesPage = () => {
         // Remove the archived activity from the activities list
         setActivities(activities.filter(activity => activity._id !== activityId));
         setTotalActivities(prev => prev - 1);
+        // Records held by the archived activity pass to the next best
+        fetchPersonalRecords();
         alert('Activity archived successfully. View it in the Archived Activities section.');
       } else {
         setError(response.message || 'Failed to archive activity');
@@ -1934,6 +2448,37 @@ const ActivitiesPage = () => {
               <SimulationFilter selectedFilter={simulationFilter} onChange={handleSimulationFilterChange} />
             </div>
 
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+              {compareMode ? (
+                <>
+                  <span className="text-sm text-gray-600">
+                    Select two activities to compare ({compareSelection.length}/2)
+                  </span>
+                  <button
+                    onClick={handleCompare}
+                    disabled={compareSelection.length !== 2 || loading}
+                    className="px-3 py-1 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Compare
+                  </button>
+                  <button
+                    onClick={exitCompareMode}
+                    className="px-3 py-1 text-sm text-gray-600 hover:text-gray-800"
+                  >
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button
+                  onClick={() => setCompareMode(true)}
+                  disabled={activities.length === 0}
+                  className="px-3 py-1 border border-blue-600 text-blue-600 rounded-md text-sm hover:bg-blue-50 disabled:opacity-50"
+                >
+                  Compare Activities
+                </button>
+              )}
+            </div>
+
         {loading && activities.length === 0 ? (
           <div className="bg-white rounded-lg shadow-md p-8 text-center">
             <div className="inline-block animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-green-600 mb-4"></div>
@@ -1956,6 +2501,8 @@ const ActivitiesPage = () => {
                 key={activity._id} 
                 activity={activity} 
                 onClick={handleActivityClick}
+                badges={recordBadges(personalRecords, activity._id)}
+                selected={compareMode && compareSelection.some(item => item._id === activity._id)}
               />
             ))}
           </div>
@@ -2047,6 +2594,15 @@ const ActivitiesPage = () => {
           activity={selectedActivity} 
           onClose={() => setSelectedActivity(null)} 
           onArchive={handleArchiveActivity}
+          onUpdate={handleActivityUpdated}
+          onSplit={handleActivitySplit}
+        />
+      )}
+
+      {comparedActivities && (
+        <ActivityComparison
+          activities={comparedActivities}
+          onClose={() => setComparedActivities(null)}
         />
       )}
       
@@ -0,0 +1,235 @@
+import React, { useMemo } from 'react';
+import { MapContainer, TileLayer, Polyline } from 'react-leaflet';
+import L from 'leaflet';
+import { Chart as ChartJS, LinearScale, PointElement, LineElement, Tooltip, Legend } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { buildGhostTrack } from '../utils/ghost';
+import { alignByDistance, compareActivityStats } from '../utils/activityComparison';
+import { formatEffortTime } from '../utils/segments';
+import 'leaflet/dist/leaflet.css';
+
+// Register ChartJS components
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+const COLORS = { a: '#2563EB', b: '#F97316' };
+
+// Paces slower than this are standing still and would flatten the chart (s/km)
+const MAX_CHART_PACE = 1800;
+
+const formatPace = (secondsPerKm) => (secondsPerKm ? `${formatEffortTime(secondsPerKm)} /km` : '--');
+
+const formatGap = (seconds) => {
+  if (seconds === null || seconds === undefined || isNaN(seconds)) return '--';
+  if (Math.round(seconds) === 0) return 'even';
+  return `${seconds > 0 ? '+' : '-'}${formatEffortTime(Math.abs(seconds))}`;
+};
+
+const formatStat = (key, value) => {
+  if (value === null || value === undefined || value === '') return '--';
+  switch (key) {
+    case 'distance':
+      return `${(value / 1000).toFixed(2)} km`;
+    case 'duration':
+      return formatEffortTime(value);
+    case 'pace':
+      return formatPace(value);
+    case 'averageSpeed':
+    case 'maxSpeed':
+      return `${(value * 3.6).toFixed(1)} km/h`; // Stored in m/s
+    case 'elevationGain':
+      return `${Math.round(value)} m`;
+    default:
+      return String(value);
+  }
+};
+
+// Line chart over the shared distance axis
+const ComparisonChart = ({ title, datasets, yTitle, formatValue, reverse = false, maxDistance }) => {
+  const chartData = {
+    datasets: datasets.map(dataset => ({
+      pointRadius: 0,
+      pointHoverRadius: 3,
+      borderWidth: 2,
+      tension: 0.2,
+      spanGaps: true,
+      ...dataset
+    }))
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: datasets.length > 1, position: 'bottom' },
+      tooltip: {
+        callbacks: {
+          title: (items) => `${items[0].parsed.x.toFixed(2)} km`,
+          label: (context) => `${context.dataset.label}: ${formatValue(context.parsed.y)}`
+        }
+      }
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        min: 0,
+        max: maxDistance,
+        title: { display: true, text: 'km' }
+      },
+      y: {
+        reverse,
+        title: { display: true, text: yTitle },
+        ticks: { callback: (value) => formatValue(value) }
+      }
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg mb-4">
+      <h3 className="font-semibold text-gray-600 mb-2 text-sm">{title}</h3>
+      <div className="h-48">
+        <Line data={chartData} options={chartOptions} />
+      </div>
+    </div>
+  );
+};
+
+// Two activities overlaid on one map, aligned by distance on shared charts
+// of pace, elevation and time gap, with their stats side by side.
+// activities are normalized and include their locationHistory.
+const ActivityComparison = ({ activities, onClose }) => {
+  const [activityA, activityB] = activities;
+
+  const samples = useMemo(
+    () => alignByDistance(buildGhostTrack(activityA), buildGhostTrack(activityB)),
+    [activityA, activityB]
+  );
+  const stats = useMemo(() => compareActivityStats(activityA, activityB), [activityA, activityB]);
+
+  const titleA = activityA.title || 'Activity A';
+  const titleB = activityB.title || 'Activity B';
+  const paths = [activityA.pathCoordinates || [], activityB.pathCoordinates || []];
+  const allPoints = [...paths[0], ...paths[1]];
+  const maxDistance = samples.length > 0 ? samples[samples.length - 1].distance / 1000 : 0;
+  const finalGap = samples.length > 0 ? samples[samples.length - 1].gap : null;
+
+  const series = (side, pick) => samples.map(sample => ({ x: sample.distance / 1000, y: pick(sample[side]) }));
+  const chartPace = (point) => (point.pace && point.pace <= MAX_CHART_PACE ? point.pace : null);
+  const hasElevation = samples.some(sample => sample.a.elevation !== null || sample.b.elevation !== null);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-white overflow-y-auto">
+      <div className="max-w-5xl mx-auto px-4 py-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-bold">Compare Activities</h2>
+          <button className="text-gray-500 hover:text-gray-700" onClick={onClose}>Close</button>
+        </div>
+
+        <div className="flex flex-wrap gap-4 text-sm mb-4">
+          <span className="flex items-center">
+            <span className="inline-block w-4 h-1 mr-2 rounded" style={{ backgroundColor: COLORS.a }}></span>
+            {titleA} · {new Date(activityA.startTime).toLocaleDateString()}
+          </span>
+          <span className="flex items-center">
+            <span className="inline-block w-4 h-1 mr-2 rounded" style={{ backgroundColor: COLORS.b }}></span>
+            {titleB} · {new Date(activityB.startTime).toLocaleDateString()}
+          </span>
+        </div>
+
+        {allPoints.length >= 2 ? (
+          <div className="h-72 mb-4 rounded-lg overflow-hidden shadow-md">
+            <MapContainer
+              bounds={L.latLngBounds(allPoints)}
+              style={{ height: '100%', width: '100%' }}
+              zoomControl={true}
+            >
+              <TileLayer
+                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+              />
+              {paths[0].length >= 2 && <Polyline positions={paths[0]} color={COLORS.a} weight={5} opacity={0.7} />}
+              {paths[1].length >= 2 && <Polyline positions={paths[1]} color={COLORS.b} weight={5} opacity={0.7} />}
+            </MapContainer>
+          </div>
+        ) : (
+          <div className="h-48 bg-gray-200 rounded flex items-center justify-center mb-4">
+            <p className="text-gray-500">No route data available</p>
+          </div>
+        )}
+
+        <div className="overflow-x-auto mb-4">
+          <table className="w-full text-sm bg-white rounded-lg shadow-sm">
+            <thead>
+              <tr className="text-xs text-gray-500 text-left border-b border-gray-200">
+                <th className="py-2 px-3"></th>
+                <th className="py-2 px-3" style={{ color: COLORS.a }}>{titleA}</th>
+                <th className="py-2 px-3" style={{ color: COLORS.b }}>{titleB}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.map(row => (
+                <tr key={row.key} className="border-b border-gray-100">
+                  <td className="py-2 px-3 text-gray-500">{row.label}</td>
+                  <td className={`py-2 px-3 ${row.better === 'a' ? 'font-semibold text-green-700' : ''}`}>{formatStat(row.key, row.a)}</td>
+                  <td className={`py-2 px-3 ${row.better === 'b' ? 'font-semibold text-green-700' : ''}`}>{formatStat(row.key, row.b)}</td>
+                </tr>
+              ))}
+              <tr>
+                <td className="py-2 px-3 text-gray-500">Gap at {maxDistance.toFixed(2)} km</td>
+                <td className="py-2 px-3" colSpan={2}>
+                  {finalGap === null ? '--' : `${titleB} ${formatGap(finalGap)} vs ${titleA}`}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        {samples.length < 2 ? (
+          <div className="bg-gray-50 p-3 rounded-lg mb-4 text-sm text-gray-500">
+            Both activities need a timestamped track to compare pace and time gaps.
+          </div>
+        ) : (
+          <>
+            <ComparisonChart
+              title="Pace"
+              yTitle="min/km"
+              reverse
+              maxDistance={maxDistance}
+              formatValue={(value) => formatEffortTime(value)}
+              datasets={[
+                { label: titleA, data: series('a', chartPace), borderColor: COLORS.a },
+                { label: titleB, data: series('b', chartPace), borderColor: COLORS.b }
+              ]}
+            />
+            {hasElevation && (
+              <ComparisonChart
+                title="Elevation"
+                yTitle="m"
+                maxDistance={maxDistance}
+                formatValue={(value) => `${Math.round(value)} m`}
+                datasets={[
+                  { label: titleA, data: series('a', point => point.elevation), borderColor: COLORS.a },
+                  { label: titleB, data: series('b', point => point.elevation), borderColor: COLORS.b }
+                ]}
+              />
+            )}
+            <ComparisonChart
+              title={`Time Gap (${titleB} vs ${titleA}, above zero is behind)`}
+              yTitle="time"
+              maxDistance={maxDistance}
+              formatValue={formatGap}
+              datasets={[{
+                label: 'Gap',
+                data: samples.map(sample => ({ x: sample.distance / 1000, y: sample.gap })),
+                borderColor: '#7C3AED'
+              }]}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ActivityComparison;
@@ -0,0 +1,282 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { updateActivity, trimActivity, splitActivity, deleteActivitySegmentEfforts } from '../services/apiService';
+import { matchActivityToSegments, rematchActivityToSegments } from '../services/segmentService';
+import { editableHistory, buildActivityPart, buildSplitParts } from '../utils/activityEdit';
+import { toLatLng } from '../utils/geo';
+import { formatEffortTime } from '../utils/segments';
+
+const ACTIVITY_TYPES = [
+  { value: 'run', label: 'Run' },
+  { value: 'jog', label: 'Jog' },
+  { value: 'walk', label: 'Walk' },
+  { value: 'cycling', label: 'Cycling' },
+  { value: 'hiking', label: 'Hiking' }
+];
+
+const MODES = [
+  { value: 'details', label: 'Details' },
+  { value: 'trim', label: 'Trim' },
+  { value: 'split', label: 'Split' }
+];
+
+const partPath = (part) => part.locationHistory.map(entry => toLatLng(entry.location.coordinates));
+
+const partSummary = (part) => `${(part.distance / 1000).toFixed(2)} km · ${formatEffortTime(part.duration)}`;
+
+// Fix mistakes in a recorded activity: rename, retype and describe it, trim
+// its start or end, or split it in two. The parent highlights the kept part
+// on its map from onSelectionChange.
+const ActivityEditor = ({ activity, onSelectionChange, onSaved, onSplit, onClose }) => {
+  const history = useMemo(() => editableHistory(activity), [activity]);
+  const lastIndex = history.length - 1;
+  const canCut = history.length >= 3;
+
+  const [mode, setMode] = useState('details');
+  const [details, setDetails] = useState({
+    title: activity.title || '',
+    type: activity.type || 'run',
+    description: activity.description || ''
+  });
+  const [trimStart, setTrimStart] = useState(0);
+  const [trimEnd, setTrimEnd] = useState(lastIndex);
+  const [splitIndex, setSplitIndex] = useState(Math.floor(lastIndex / 2));
+  const [saving, setSaving] = useState(false);
+
+  const trimmed = useMemo(
+    () => (mode === 'trim' ? buildActivityPart(activity, history, trimStart, trimEnd) : null),
+    [mode, activity, history, trimStart, trimEnd]
+  );
+  const splitParts = useMemo(
+    () => (mode === 'split' ? buildSplitParts(activity, history, splitIndex) : null),
+    [mode, activity, history, splitIndex]
+  );
+
+  // Trim highlights what's kept; split highlights the first part
+  useEffect(() => {
+    if (!onSelectionChange) return;
+    if (trimmed) onSelectionChange(partPath(trimmed));
+    else if (splitParts) onSelectionChange(partPath(splitParts[0]));
+    else onSelectionChange(null);
+  }, [trimmed, splitParts, onSelectionChange]);
+
+  // Clear the highlight when the editor closes
+  useEffect(() => () => {
+    if (onSelectionChange) onSelectionChange(null);
+  }, [onSelectionChange]);
+
+  const handleDetailChange = (e) => {
+    const { name, value } = e.target;
+    setDetails(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveDetails = async () => {
+    const token = localStorage.getItem('token');
+    const updates = {
+      title: details.title.trim() || 'Untitled Activity',
+      type: details.type,
+      description: details.description.trim()
+    };
+
+    setSaving(true);
+    const response = await updateActivity(token, activity._id, updates);
+    setSaving(false);
+
+    if (response.success) {
+      onSaved({ ...activity, ...updates, ...(response.data || {}) });
+    } else {
+      alert('Failed to update activity: ' + (response.message || 'Unknown error'));
+    }
+  };
+
+  const handleSaveTrim = async () => {
+    if (!trimmed) return;
+    if (!window.confirm('Trim this activity? The removed points are deleted permanently.')) return;
+
+    const token = localStorage.getItem('token');
+    setSaving(true);
+    try {
+      const response = await trimActivity(token, activity._id, trimmed);
+      if (!response.success) {
+        alert('Failed to trim activity: ' + (response.message || 'Unknown error'));
+        return;
+      }
+
+      // Efforts may have been timed on the removed points; time the kept part again
+      await rematchActivityToSegments(token, activity._id, trimmed.locationHistory);
+      onSaved({ ...activity, ...trimmed, ...(response.data || {}) });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveSplit = async () => {
+    if (!splitParts) return;
+    if (!window.confirm('Split this activity into two separate activities?')) return;
+
+    const token = localStorage.getItem('token');
+    const title = activity.title || 'Untitled Activity';
+    const parts = splitParts.map((part, index) => ({
+      ...part,
+      title: `${title} (${index + 1})`,
+      type: activity.type,
+      description: activity.description
+    }));
+
+    setSaving(true);
+    try {
+      // The original's efforts don't carry over to the parts
+      const cleared = await deleteActivitySegmentEfforts(token, activity._id);
+      if (!cleared.success) {
+        alert('Failed to split activity: ' + (cleared.message || 'Unknown error'));
+        return;
+      }
+
+      const response = await splitActivity(token, activity._id, parts);
+      if (!response.success) {
+        // The original is unchanged, so give it back its efforts
+        await matchActivityToSegments(token, activity._id, history);
+        alert('Failed to split activity: ' + (response.message || 'Unknown error'));
+        return;
+      }
+
+      // The new activities are returned in the order of the parts
+      for (const [index, created] of (response.data || []).entries()) {
+        if (created && created._id) {
+          await matchActivityToSegments(token, created._id, created.locationHistory || (parts[index] && parts[index].locationHistory));
+        }
+      }
+      onSplit(response.data);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTrimStartChange = (e) => setTrimStart(Math.min(Number(e.target.value), trimEnd - 1));
+  const handleTrimEndChange = (e) => setTrimEnd(Math.max(Number(e.target.value), trimStart + 1));
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 p-3 rounded-lg mt-3 text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <div className="flex gap-1">
+          {MODES.map(option => (
+            <button
+              key={option.value}
+              className={`py-1 px-3 rounded ${mode === option.value ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'} disabled:opacity-50`}
+              onClick={() => setMode(option.value)}
+              disabled={option.value !== 'details' && !canCut}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <button className="text-gray-500 hover:text-gray-700" onClick={onClose}>Cancel</button>
+      </div>
+
+      {mode === 'details' && (
+        <div className="space-y-2">
+          <input
+            type="text"
+            name="title"
+            value={details.title}
+            onChange={handleDetailChange}
+            placeholder="Activity title"
+            className="w-full p-1 border border-gray-300 rounded"
+          />
+          <select
+            name="type"
+            value={details.type}
+            onChange={handleDetailChange}
+            className="w-full p-1 border border-gray-300 rounded"
+          >
+            {ACTIVITY_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+          <textarea
+            name="description"
+            value={details.description}
+            onChange={handleDetailChange}
+            placeholder="Description"
+            rows={3}
+            className="w-full p-1 border border-gray-300 rounded"
+          />
+          <button
+            className="py-1 px-3 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            onClick={handleSaveDetails}
+            disabled={saving}
+          >
+            {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      )}
+
+      {mode === 'trim' && (
+        <div>
+          <label className="block text-xs text-gray-600">Start</label>
+          <input
+            type="range"
+            min={0}
+            max={lastIndex}
+            value={trimStart}
+            onChange={handleTrimStartChange}
+            className="w-full"
+          />
+          <label className="block text-xs text-gray-600">End</label>
+          <input
+            type="range"
+            min={0}
+            max={lastIndex}
+            value={trimEnd}
+            onChange={handleTrimEndChange}
+            className="w-full"
+          />
+          {trimmed && (
+            <p className="text-xs text-gray-600 my-2">
+              Keeps {partSummary(trimmed)} (was {((activity.distance || 0) / 1000).toFixed(2)} km · {formatEffortTime(activity.duration)})
+            </p>
+          )}
+          <button
+            className="py-1 px-3 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            onClick={handleSaveTrim}
+            disabled={saving || !trimmed || (trimStart === 0 && trimEnd === lastIndex)}
+          >
+            {saving ? 'Saving...' : 'Trim Activity'}
+          </button>
+        </div>
+      )}
+
+      {mode === 'split' && (
+        <div>
+          <label className="block text-xs text-gray-600">Split point</label>
+          <input
+            type="range"
+            min={1}
+            max={lastIndex - 1}
+            value={splitIndex}
+            onChange={(e) => setSplitIndex(Number(e.target.value))}
+            className="w-full"
+          />
+          {splitParts && (
+            <div className="grid grid-cols-2 gap-2 text-xs text-gray-600 my-2">
+              <p><span className="font-semibold text-orange-600">First:</span> {partSummary(splitParts[0])}</p>
+              <p><span className="font-semibold">Second:</span> {partSummary(splitParts[1])}</p>
+            </div>
+          )}
+          <button
+            className="py-1 px-3 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:opacity-50"
+            onClick={handleSaveSplit}
+            disabled={saving || !splitParts}
+          >
+            {saving ? 'Saving...' : 'Split Activity'}
+          </button>
+        </div>
+      )}
+
+      {!canCut && (
+        <p className="text-xs text-gray-500 mt-2">Trimming and splitting need a recorded track.</p>
+      )}
+    </div>
+  );
+};
+
+export default ActivityEditor;
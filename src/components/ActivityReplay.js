@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { buildGhostTrack } from '../utils/ghost';
+import { REPLAY_TICK_MS, REPLAY_SPEEDS, replayStateAt } from '../utils/replay';
+import { formatEffortTime } from '../utils/segments';
+
+// Replay player for a recorded activity. The parent draws the marker from
+// onReplayChange, which receives { position, path, follow } or null when closed.
+const ActivityReplay = ({ activity, onReplayChange, onClose }) => {
+  const track = useMemo(() => buildGhostTrack(activity), [activity]);
+  const duration = track ? track[track.length - 1].time : 0;
+
+  const [seconds, setSeconds] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(10);
+  const [follow, setFollow] = useState(true);
+
+  const state = useMemo(() => (track ? replayStateAt(track, seconds) : null), [track, seconds]);
+
+  // Advance the clock by real time scaled by the speed multiplier
+  useEffect(() => {
+    if (!playing) return undefined;
+    const interval = setInterval(() => {
+      setSeconds(prev => Math.min(duration, prev + (REPLAY_TICK_MS / 1000) * speed));
+    }, REPLAY_TICK_MS);
+    return () => clearInterval(interval);
+  }, [playing, speed, duration]);
+
+  useEffect(() => {
+    if (playing && seconds >= duration) setPlaying(false);
+  }, [playing, seconds, duration]);
+
+  useEffect(() => {
+    if (onReplayChange) {
+      onReplayChange(state ? { position: state.position, path: state.path, follow } : null);
+    }
+  }, [state, follow, onReplayChange]);
+
+  // Remove the marker when the player closes
+  useEffect(() => () => {
+    if (onReplayChange) onReplayChange(null);
+  }, [onReplayChange]);
+
+  const handlePlayPause = () => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    // Playing from the end starts over
+    if (seconds >= duration) setSeconds(0);
+    setPlaying(true);
+  };
+
+  if (!track) {
+    return (
+      <div className="bg-blue-50 border border-blue-200 p-3 rounded-lg text-sm">
+        <div className="flex justify-between items-center">
+          <span className="text-gray-600">This activity has no timestamped track to replay.</span>
+          <button className="text-gray-500 hover:text-gray-700" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 p-3 rounded-lg text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-blue-800">Replay</h3>
+        <button className="text-gray-500 hover:text-gray-700" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 text-center mb-2">
+        <div>
+          <p className="text-xs text-gray-500">Time</p>
+          <p className="font-semibold">{formatEffortTime(state.time)}</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500">Distance</p>
+          <p className="font-semibold">{(state.distance / 1000).toFixed(2)} km</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500">Pace</p>
+          <p className="font-semibold">{state.pace ? `${formatEffortTime(state.pace)} /km` : '--'}</p>
+        </div>
+      </div>
+
+      <input
+        type="range"
+        min={0}
+        max={duration}
+        step={1}
+        value={seconds}
+        onChange={(e) => setSeconds(Number(e.target.value))}
+        className="w-full"
+      />
+      <div className="flex justify-between text-xs text-gray-500 mb-2">
+        <span>0:00</span>
+        <span>{formatEffortTime(duration)}</span>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          className="py-1 px-4 bg-blue-600 text-white rounded hover:bg-blue-700"
+          onClick={handlePlayPause}
+        >
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          Speed
+          <select
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {REPLAY_SPEEDS.map(option => (
+              <option key={option} value={option}>{option}x</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={follow}
+            onChange={(e) => setFollow(e.target.checked)}
+          />
+          Follow on map
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityReplay;
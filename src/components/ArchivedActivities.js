@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { getArchivedActivities, restoreActivity } from '../services/apiService';
+import { loadPersonalRecords } from '../services/personalRecordService';
+import { recordBadges } from '../utils/personalRecords';
 
 // Helper function to format distance
 const formatDistance = (distance) => {
@@ -113,7 +115,13 @@ const ArchivedActivities = () => {
       if (response.success) {
         // Remove restored activity from list
         setActivities(activities.filter(activity => activity._id !== id));
-        alert('Activity restored successfully');
+
+        // The restored activity counts towards records again
+        const records = await loadPersonalRecords(token);
+        const badges = records.success ? recordBadges(records.data, id) : [];
+        alert(badges.length > 0
+          ? `Activity restored successfully. It holds your personal record for: ${badges.join(', ')}`
+          : 'Activity restored successfully');
       } else {
         alert('Failed to restore activity: ' + (response.message || 'Unknown error'));
       }
@@ -0,0 +1,116 @@
+import React from 'react';
+import { Chart as ChartJS, LinearScale, PointElement, LineElement, Tooltip, Filler } from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { summarizeElevationProfile } from '../utils/elevation';
+
+// Register ChartJS components
+ChartJS.register(LinearScale, PointElement, LineElement, Tooltip, Filler);
+
+// Steeper sections are drawn warmer
+const gradeColor = (grade) => {
+  const steepness = Math.abs(grade);
+  if (steepness >= 10) return '#DC2626';
+  if (steepness >= 6) return '#F97316';
+  if (steepness >= 3) return '#EAB308';
+  return '#16A34A';
+};
+
+// Interactive elevation profile. onHover receives the profile point under
+// the cursor (or null) so the parent can highlight it on the map.
+const ElevationProfile = ({ profile, onHover }) => {
+  if (!profile || profile.length < 2) {
+    return (
+      <div className="bg-gray-50 p-3 rounded-lg mb-4 text-sm text-gray-500">
+        No elevation data recorded
+      </div>
+    );
+  }
+
+  const summary = summarizeElevationProfile(profile);
+
+  const chartData = {
+    datasets: [{
+      label: 'Elevation (m)',
+      data: profile.map(point => ({ x: point.distance / 1000, y: point.elevation })),
+      borderColor: '#16A34A',
+      backgroundColor: 'rgba(22, 163, 74, 0.15)',
+      fill: true,
+      pointRadius: 0,
+      pointHoverRadius: 4,
+      borderWidth: 2,
+      tension: 0.2,
+      segment: {
+        borderColor: (context) => gradeColor(profile[context.p1DataIndex].grade)
+      }
+    }]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: { mode: 'index', intersect: false },
+    onHover: (event, elements) => {
+      if (onHover) {
+        onHover(elements.length > 0 ? profile[elements[0].index] : null);
+      }
+    },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          title: (items) => `${items[0].parsed.x.toFixed(2)} km`,
+          label: (context) => {
+            const point = profile[context.dataIndex];
+            return `${Math.round(point.elevation)} m, ${point.grade.toFixed(1)}% grade`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        min: 0,
+        max: profile[profile.length - 1].distance / 1000,
+        title: { display: true, text: 'km' }
+      },
+      y: {
+        title: { display: true, text: 'm' }
+      }
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-3 rounded-lg mb-4">
+      <h3 className="font-semibold text-gray-600 mb-2 text-sm">Elevation Profile</h3>
+      <div className="grid grid-cols-3 md:grid-cols-5 gap-2 text-sm mb-2">
+        <div>
+          <p className="text-xs text-gray-500">Gain</p>
+          <p className="font-semibold">{summary.gain} m</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500">Loss</p>
+          <p className="font-semibold">{summary.loss} m</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500">Min / Max</p>
+          <p className="font-semibold">{summary.min} / {summary.max} m</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500">Steepest Climb</p>
+          <p className="font-semibold">{Math.max(0, summary.maxGrade)}%</p>
+        </div>
+        <div>
+          <p className="text-xs text-gray-500">Steepest Descent</p>
+          <p className="font-semibold">{Math.abs(Math.min(0, summary.minGrade))}%</p>
+        </div>
+      </div>
+      <div className="h-40" onMouseLeave={() => onHover && onHover(null)}>
+        <Line data={chartData} options={chartOptions} />
+      </div>
+    </div>
+  );
+};
+
+// Memoized so hover updates in the parent don't redraw the chart
+export default React.memo(ElevationProfile);
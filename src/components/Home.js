@@ -1,23 +1,27 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
-import { getUserRoutes, generateRoute, saveRoute, startSessionWithActivityType, stopSession, resetSession, SOCKET_URL, getNearbyRoutes, createRouteManually, getImageUrl, getUserRole } from '../services/apiService';
+import { getUserRoutes, getUserProfile, getUserActivities, getActivityById, getUserWorkouts, generateRoute, saveRoute, startSessionWithActivityType, updateSession, stopSession, resetSession, SOCKET_URL, getNearbyRoutes, createRouteManually, getImageUrl, getUserRole, getFavouriteRoutes, addFavouriteRoute, removeFavouriteRoute } from '../services/apiService';
+import { enqueuePoint, countPendingPoints, flushPendingPoints, removeSessionPoints, adoptOrphanPoints } from '../services/trackingQueue';
+import { routeWaypoints, generateLoopRoutes, isRoutingConfigured } from '../services/routingService';
+import { matchActivityToSegments } from '../services/segmentService';
+import { bestEffortsFromHistory } from '../services/personalRecordService';
+import { createTrackSample, samplesToLocationHistory, summarizeSamples, getRecentSpeed, AUTO_PAUSE_SPEED_BY_ACTIVITY, AUTO_PAUSE_WINDOW_MS, computeSplits, computeLaps, SPLIT_DISTANCE } from '../utils/tracking';
+import { createGpsFilter } from '../utils/gpsFilter';
+import { DEFAULT_VOICE_CUES, speak, distanceToSpeech, durationToSpeech, paceToSpeech } from '../utils/voiceCues';
+import { createOffRouteDetector, DEFAULT_OFF_ROUTE_ALERTS } from '../utils/offRoute';
+import { buildGhostTrack, ghostPositionAt, ghostDelta, formatGhostDelta } from '../utils/ghost';
+import { createWorkoutRunner, formatPace, formatStepGoal } from '../utils/workout';
+import { densifyPath, boundingBox } from '../utils/geometry';
+import { distanceKm, pathDistanceKm, parseLineString, normalizeRoute, normalizeRoutes, toGeoJsonPoint, toGeoJsonLineString, toLngLat } from '../utils/geo';
+import { routeRating, compareByRating } from '../utils/routeReviews';
+import { formatEffortTime } from '../utils/segments';
+import WorkoutBuilder from './WorkoutBuilder';
+import RouteReviews from './RouteReviews';
+import { RouteEditorLayer, RouteEditorToolbar, useRouteHistory } from './RouteEditor';
 import io from 'socket.io-client';
 
-// Calculate distance between two points in kilometers
-const calculateDistance = (point1, point2) => {
-  const R = 6371; // Earth radius in km
-  const dLat = (point2[0] - point1[0]) * Math.PI / 180;
-  const dLon = (point2[1] - point1[1]) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(point1[0] * Math.PI / 180) * Math.cos(point2[0] * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-};
-
 // Fix for default marker icons in Leaflet with React
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
@@ -39,6 +43,14 @@ const startIcon = new L.DivIcon({
   iconAnchor: [6, 6]
 });
 
+// Ghost marker for racing a previous effort
+const ghostIcon = new L.DivIcon({
+  className: 'custom-div-icon',
+  html: `<div style="background-color: rgba(107, 114, 128, 0.6); width: 16px; height: 16px; border-radius: 50%; border: 2px dashed white; box-shadow: 0 0 4px rgba(0,0,0,0.4);"></div>`,
+  iconSize: [20, 20],
+  iconAnchor: [10, 10]
+});
+
 const endIcon = new L.DivIcon({
   className: 'custom-div-icon',
   html: `<div style="background-color: #F44336; width: 12px; height: 12px; border-radius: 50%; position: relative; border: 2px solid white; box-shadow: 0 0 3px rgba(0,0,0,0.4);">
@@ -102,23 +114,29 @@ function RouteDisplay({ route, currentPosition, isTracking }) {
   const remainingRef = useRef([]);
   const autoCompletedRef = useRef(false);
   
+  // Full geometry filled in to even spacing, so progress along hand-made
+  // routes with a few far-apart points advances smoothly
+  const progressPath = useMemo(() => (
+    route && route.pathCoordinates ? densifyPath(route.pathCoordinates) : []
+  ), [route]);
+  
   // Initialize route paths
   useEffect(() => {
-    if (route && route.pathCoordinates && route.pathCoordinates.length > 1) {
-      setRemainingPath(route.pathCoordinates);
+    if (progressPath.length > 1) {
+      setRemainingPath(progressPath);
       setCompletedPath([]);
       completedRef.current = [];
-      remainingRef.current = route.pathCoordinates;
+      remainingRef.current = progressPath;
     }
-  }, [route]);
+  }, [progressPath]);
   
   // Update path segments based on current position when tracking
   useEffect(() => {
-    if (!isTracking || !currentPosition || !route || !route.pathCoordinates || route.pathCoordinates.length < 2) {
+    if (!isTracking || !currentPosition || !route || progressPath.length < 2) {
       return;
     }
     
-    const pathCoords = route.pathCoordinates;
+    const pathCoords = progressPath;
     const userPos = currentPosition;
     
     // Find closest point on route to current position
@@ -127,8 +145,7 @@ function RouteDisplay({ route, currentPosition, isTracking }) {
     
     for (let i = 0; i < pathCoords.length; i++) {
       const pointOnPath = pathCoords[i];
-      // Use the globally defined calculateDistance function
-      const distance = calculateDistance([userPos[0], userPos[1]], [pointOnPath[0], pointOnPath[1]]);
+      const distance = distanceKm([userPos[0], userPos[1]], [pointOnPath[0], pointOnPath[1]]);
       
       if (distance < minDistance) {
         minDistance = distance;
@@ -169,7 +186,7 @@ function RouteDisplay({ route, currentPosition, isTracking }) {
         }
       }
     }
-  }, [isTracking, currentPosition, route]);
+  }, [isTracking, currentPosition, route, progressPath]);
   
   useEffect(() => {
     if (route && route.pathCoordinates && route.pathCoordinates.length > 1 && map) {
@@ -335,12 +352,15 @@ const OLONGAPO_COORDINATES = [14.8386, 120.2842];
 const RouteMiniMap = ({ route }) => {
   const mapRef = useRef(null);
   
+  // Simplified geometry is plenty at mini-map size
+  const displayCoordinates = route && (route.displayCoordinates || route.pathCoordinates);
+  
   // Calculate bounds
   const calculateBounds = () => {
-    if (!route || !route.pathCoordinates || route.pathCoordinates.length < 2) {
+    if (!displayCoordinates || displayCoordinates.length < 2) {
       return L.latLngBounds(OLONGAPO_COORDINATES, OLONGAPO_COORDINATES);
     }
-    return L.latLngBounds(route.pathCoordinates);
+    return L.latLngBounds(boundingBox(displayCoordinates));
   };
   
   useEffect(() => {
@@ -389,7 +409,7 @@ const RouteMiniMap = ({ route }) => {
         />
         
         <Polyline 
-          positions={route.pathCoordinates}
+          positions={displayCoordinates}
           color="#4CAF50"
           weight={4}
           opacity={0.9}
@@ -423,8 +443,10 @@ const RouteMiniMap = ({ route }) => {
   );
 };
 
-// Add the ManualRoutePreview component
-function ManualRoutePreview({ manualRoute }) {
+// Editable vertex list of a manual route: start point, waypoints, then end point.
+// endMode records whether the end point is its own vertex ('separate'),
+// the same as the last waypoint ('shared') or not set yet ('none').
+const getManualRouteVertices = (manualRoute) => {
   const startCoords = manualRoute.startPoint.coordinates;
   const endCoords = manualRoute.endPoint.coordinates;
   const pathCoords = manualRoute.path.coordinates;
@@ -432,102 +454,71 @@ function ManualRoutePreview({ manualRoute }) {
   // Convert GeoJSON coordinates [lng, lat] to Leaflet format [lat, lng]
   const startPoint = startCoords[0] !== 0 && startCoords[1] !== 0 ? [startCoords[1], startCoords[0]] : null;
   const endPoint = endCoords[0] !== 0 && endCoords[1] !== 0 ? [endCoords[1], endCoords[0]] : null;
+  const pathPoints = pathCoords.map(coord => [coord[1], coord[0]]);
   
-  // Convert path coordinates from [lng, lat] to [lat, lng]
-  const pathPoints = pathCoords.length > 0 
-    ? pathCoords.map(coord => [coord[1], coord[0]]) 
-    : [];
+  const vertices = [];
+  if (startPoint) vertices.push(startPoint);
+  vertices.push(...pathPoints);
   
-  // Create full route path combining start, waypoints, and end
-  const fullPath = [];
-  if (startPoint) fullPath.push(startPoint);
-  fullPath.push(...pathPoints);
-  if (endPoint && (pathPoints.length === 0 || 
-      endPoint[0] !== pathPoints[pathPoints.length-1][0] || 
-      endPoint[1] !== pathPoints[pathPoints.length-1][1])) {
-    fullPath.push(endPoint);
+  let endMode = 'none';
+  if (endPoint) {
+    const lastPathPoint = pathPoints[pathPoints.length - 1];
+    if (lastPathPoint && endPoint[0] === lastPathPoint[0] && endPoint[1] === lastPathPoint[1]) {
+      endMode = 'shared';
+    } else {
+      endMode = 'separate';
+      vertices.push(endPoint);
+    }
   }
   
-  // Define marker icons for start/end points with improved visibility
-  const startMarkerIcon = new L.DivIcon({
-    className: 'custom-div-icon',
-    html: `
-      <div style="position: relative;">
-        <div style="background-color: #4CAF50; width: 24px; height: 24px; border-radius: 50%; border: 2px solid white; box-shadow: 0 0 3px rgba(0,0,0,0.4); display: flex; align-items: center; justify-content: center;">
-          <span style="color: white; font-size: 12px; font-weight: bold;">S</span>
-        </div>
-        <div style="position: absolute; bottom: -15px; left: 50%; transform: translateX(-50%); background-color: #4CAF50; color: white; border-radius: 2px; padding: 2px 4px; font-size: 8px; white-space: nowrap;">START</div>
-      </div>`,
-    iconSize: [24, 38],
-    iconAnchor: [12, 12]
-  });
+  return { vertices, hasStart: !!startPoint, endMode };
+};
+
+// Write an edited vertex list back into the manual route's start, path and end
+const applyManualRouteVertices = (manualRoute, vertices) => {
+  const { hasStart, endMode } = getManualRouteVertices(manualRoute);
+  const rest = vertices.map(point => [point[1], point[0]]); // Back to [lng, lat]
   
-  const endMarkerIcon = new L.DivIcon({
-    className: 'custom-div-icon',
-    html: `
-      <div style="position: relative;">
-        <div style="background-color: #F44336; width: 24px; height: 24px; border-radius: 50%; border: 2px solid white; box-shadow: 0 0 3px rgba(0,0,0,0.4); display: flex; align-items: center; justify-content: center;">
-          <span style="color: white; font-size: 12px; font-weight: bold;">F</span>
-        </div>
-        <div style="position: absolute; bottom: -15px; left: 50%; transform: translateX(-50%); background-color: #F44336; color: white; border-radius: 2px; padding: 2px 4px; font-size: 8px; white-space: nowrap;">FINISH</div>
-      </div>`,
-    iconSize: [24, 38],
-    iconAnchor: [12, 12]
-  });
+  let start = manualRoute.startPoint.coordinates;
+  let end = manualRoute.endPoint.coordinates;
+  if (hasStart) {
+    start = rest.length > 0 ? rest.shift() : [0, 0];
+  }
+  if (endMode === 'separate') {
+    end = rest.length > 0 ? rest.pop() : [0, 0];
+  } else if (endMode === 'shared') {
+    end = rest.length > 0 ? rest[rest.length - 1] : [0, 0];
+  }
   
-  // Create numbered waypoint icons
-  const createWaypointIcon = (index) => {
-    return new L.DivIcon({
-      className: 'custom-div-icon',
-      html: `
-        <div style="position: relative;">
-          <div style="background-color: #3388ff; width: 20px; height: 20px; border-radius: 50%; border: 2px solid white; box-shadow: 0 0 3px rgba(0,0,0,0.4); display: flex; align-items: center; justify-content: center;">
-            <span style="color: white; font-size: 10px; font-weight: bold;">${index + 1}</span>
-          </div>
-        </div>`,
-      iconSize: [20, 20],
-      iconAnchor: [10, 10]
-    });
+  return {
+    ...manualRoute,
+    startPoint: { ...manualRoute.startPoint, coordinates: start },
+    endPoint: { ...manualRoute.endPoint, coordinates: end },
+    path: { ...manualRoute.path, coordinates: rest }
   };
+};
+
+// Manual route drawn on the main map with draggable, insertable and deletable points.
+// When waypoints are auto-connected, the road-following path is drawn underneath.
+function ManualRoutePreview({ manualRoute, onEdit, snappedPath }) {
+  const { vertices } = getManualRouteVertices(manualRoute);
   
   // Only render if we have at least one valid coordinate
-  if (fullPath.length < 1) {
+  if (vertices.length < 1) {
     return null;
   }
   
   return (
     <>
-      {fullPath.length > 1 && (
+      {snappedPath && snappedPath.length > 1 && (
         <Polyline
-          positions={fullPath}
-          color="#8E24AA"
-          weight={4}
-          opacity={0.7}
-          dashArray="8,8"
+          positions={snappedPath}
+          color="#2563EB"
+          weight={5}
+          opacity={0.8}
         />
       )}
-      
-      {startPoint && (
-        <Marker position={startPoint} icon={startMarkerIcon}>
-          <Popup>Start Point</Popup>
-        </Marker>
-      )}
-      
-      {endPoint && (
-        <Marker position={endPoint} icon={endMarkerIcon}>
-          <Popup>End Point</Popup>
-        </Marker>
-      )}
-      
-      {pathPoints.map((point, index) => (
-        <Marker 
-          key={`waypoint-${index}`} 
-          position={point}
-          icon={createWaypointIcon(index)}
-        >
-          <Popup>Waypoint {index + 1}</Popup>
-        </Marker>
-      ))}
+      <RouteEditorLayer path={vertices} onEdit={onEdit} color={snappedPath ? '#A78BFA' : '#8E24AA'} />
     </>
   );
 }
@@ -568,17 +559,21 @@ function Home() {
   const [showGenerateForm, setShowGenerateForm] = useState(false);
   const [showRouteInfo, setShowRouteInfo] = useState(false);
   const [isPinningLocation, setIsPinningLocation] = useState(false);
-  const [routeListTab, setRouteListTab] = useState('all'); // For routes list filtering (all/completed)
+  const [routeListTab, setRouteListTab] = useState('all'); // For routes list filtering (all/completed/nearby/favourites)
   
   // Add route pin mode for map click to add route points
   const [isRoutePinMode, setIsRoutePinMode] = useState(false);
   const [routePinType, setRoutePinType] = useState(null); // 'start', 'end', or 'path'
   const [isConnectWaypoints, setIsConnectWaypoints] = useState(true); // Auto-connect waypoints along roads
+  const [snappedManualPath, setSnappedManualPath] = useState(null); // { geometry, distance, snapped, provider, error }
+  const [routingInProgress, setRoutingInProgress] = useState(false);
   
   // Route generation states
   const [routeType, setRouteType] = useState('short');
   const [maxDistance, setMaxDistance] = useState(5);
   const [generatingRoute, setGeneratingRoute] = useState(false);
+  const [loopAlternatives, setLoopAlternatives] = useState([]); // Generated loops previewed before use
+  const [selectedLoopIndex, setSelectedLoopIndex] = useState(0);
   
   // Tracking state
   const [isTracking, setIsTracking] = useState(false);
@@ -594,6 +589,62 @@ function Home() {
     startTime: null,
     lastSyncTime: null
   }); // Persistent reference for tracking stats
+  const trackingSamplesRef = useRef([]); // Raw GPS samples (timestamp, altitude, accuracy, speed, heading)
+  const filteredSamplesRef = useRef([]); // Samples that passed the GPS filter, with smoothed positions
+  const gpsFilterRef = useRef(null);
+  const [gpsFilterStats, setGpsFilterStats] = useState(null);
+
+  // Pause state - refs mirror state so timer/GPS callbacks see current values
+  const [isPaused, setIsPaused] = useState(false);
+  const [pauseReason, setPauseReason] = useState(null); // 'manual' or 'auto'
+  const [autoPauseEnabled, setAutoPauseEnabled] = useState(localStorage.getItem('autoPauseEnabled') === 'true');
+  const isPausedRef = useRef(false);
+  const pauseReasonRef = useRef(null);
+  const autoPauseEnabledRef = useRef(autoPauseEnabled);
+  const pauseStartRef = useRef(null);
+  const pausesRef = useRef([]); // Completed pauses: { start, end, reason }
+  const resumePendingRef = useRef(false); // Next accepted fix after a manual pause starts a new segment
+  const rawResumePendingRef = useRef(false); // Same for the unfiltered track
+
+  // Splits and laps
+  const [distanceUnit, setDistanceUnit] = useState('km'); // From the user's activity preferences
+  const [lapCount, setLapCount] = useState(0);
+  const lapMarksRef = useRef([]); // Timestamps of manual lap presses
+
+  // Voice cue settings from the user's activity preferences
+  const [voiceCues, setVoiceCues] = useState(DEFAULT_VOICE_CUES);
+  const lastAnnouncedIntervalRef = useRef(0);
+  const lastSplitIndexRef = useRef(0);
+  const lastSplitMovingTimeRef = useRef(0);
+
+  // Off-route detection
+  const [offRouteAlerts, setOffRouteAlerts] = useState(DEFAULT_OFF_ROUTE_ALERTS);
+  const [offRouteStatus, setOffRouteStatus] = useState(null);
+  const offRouteDetectorRef = useRef(null);
+  const trackedRouteIdRef = useRef(null); // Saved route followed by this session, recorded on its activity
+
+  // Race my previous effort
+  const [ghostOptions, setGhostOptions] = useState([]); // Past activities to race against
+  const [ghostActivityId, setGhostActivityId] = useState('');
+  const [ghostLoading, setGhostLoading] = useState(false);
+  const [ghostStatus, setGhostStatus] = useState(null); // { position, distance, finished, delta }
+  const ghostRef = useRef(null); // { activityId, title, track }
+  const ghostStatusRef = useRef(null);
+
+  // Structured workout followed during tracking
+  const [workouts, setWorkouts] = useState([]);
+  const [selectedWorkoutId, setSelectedWorkoutId] = useState('');
+  const [showWorkoutBuilder, setShowWorkoutBuilder] = useState(false);
+  const [workoutStatus, setWorkoutStatus] = useState(null); // Current step, remaining and pace compliance
+  const workoutRunnerRef = useRef(null);
+  const workoutRef = useRef(null); // Workout definition for the running session
+
+  // Offline buffering of tracked points
+  const [pendingSyncCount, setPendingSyncCount] = useState(0);
+  const syncInProgressRef = useRef(false);
+  const syncRequestedRef = useRef(false);
+  const trackingSessionKeyRef = useRef(null); // Tags queued points with the session they belong to
+  const endedSessionKeysRef = useRef(new Set()); // Sessions whose points must no longer be replayed
   
   // Simulation state
   // eslint-disable-next-line no-unused-vars
@@ -612,6 +663,11 @@ function Home() {
   // Add a state variable to store nearby routes (around line 437)
   const [nearbyRoutes, setNearbyRoutes] = useState([]);
   const [loadingNearby, setLoadingNearby] = useState(false);
+  const [nearbySort, setNearbySort] = useState('distance'); // 'distance' or 'rating'
+  
+  // Favourite routes can belong to anyone, so they're kept apart from userRoutes
+  const [favouriteRoutes, setFavouriteRoutes] = useState([]);
+  const [loadingFavourites, setLoadingFavourites] = useState(false);
 
   // Manual route creation state
   const [showManualCreateForm, setShowManualCreateForm] = useState(false);
@@ -635,6 +691,47 @@ function Home() {
     }
   });
   
+  // Map edits to the manual route go through an undo/redo history
+  const manualRouteHistory = useRouteHistory(getManualRouteVertices(manualRoute).vertices, (vertices) => {
+    setManualRoute(prev => {
+      const updatedRoute = applyManualRouteVertices(prev, vertices);
+      updatedRoute.distance = calculateManualRouteDistance(updatedRoute);
+      return updatedRoute;
+    });
+  });
+  
+  // Follow roads between the manual route's waypoints when auto-connect is on
+  const manualVerticesKey = JSON.stringify(getManualRouteVertices(manualRoute).vertices);
+  useEffect(() => {
+    const vertices = JSON.parse(manualVerticesKey);
+    if (!showManualCreateForm || !isConnectWaypoints || vertices.length < 2) {
+      setSnappedManualPath(null);
+      // Back to the straight-line distance
+      if (showManualCreateForm) {
+        setManualRoute(prev => ({ ...prev, distance: calculateManualRouteDistance(prev) }));
+      }
+      return;
+    }
+    
+    // Wait for dragging and typing to settle before asking the routing server
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setRoutingInProgress(true);
+      const result = await routeWaypoints(vertices, { activityType });
+      setRoutingInProgress(false);
+      if (cancelled) return;
+      
+      setSnappedManualPath(result);
+      setManualRoute(prev => ({ ...prev, distance: result.distance / 1000 }));
+    }, 600);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [manualVerticesKey, isConnectWaypoints, showManualCreateForm, activityType]);
+  
   // Reset manual route with current location as start point
   const initializeManualRoute = () => {
     if (currentPosition) {
@@ -708,103 +805,11 @@ function Home() {
           console.log('No routes found in the default search radius');
         }
         
-        // Process routes to add Leaflet-compatible coordinates
-        const processedRoutes = response.data.map(route => {
-          // Create default values in case data is missing
-          let pathCoordinates = [];
-          let startPoint = OLONGAPO_COORDINATES;
-          let endPoint = OLONGAPO_COORDINATES;
-          
-          // Process path coordinates directly from raw data
-          try {
-            let coordinates = [];
-            
-            if (typeof route.path === 'string') {
-              // If path is a string, parse it
-              try {
-                const parsedPath = JSON.parse(route.path);
-                coordinates = parsedPath.coordinates || [];
-              } catch (e) {
-                // Silent error handling for performance
-              }
-            } else if (route.path && route.path.coordinates) {
-              // If path is an object with coordinates property
-              coordinates = route.path.coordinates;
-            } else if (route.path && Array.isArray(route.path)) {
-              // If path is directly an array of coordinates
-              coordinates = route.path;
-            }
-            
-            // Convert from GeoJSON [lng, lat] to Leaflet [lat, lng]
-            if (Array.isArray(coordinates) && coordinates.length > 0) {
-              pathCoordinates = coordinates.map(coord => {
-                if (Array.isArray(coord) && coord.length >= 2) {
-                  return [coord[1], coord[0]]; // Swap to Leaflet format
-                } else {
-                  return OLONGAPO_COORDINATES;
-                }
-              });
-            }
-          } catch (e) {
-            // Silent error handling for performance
-          }
-          
-          // Process start point
-          if (route.startPoint) {
-            try {
-              let startPointData = route.startPoint;
-              
-              if (typeof startPointData === 'string') {
-                try {
-                  startPointData = JSON.parse(startPointData);
-                } catch(e) {
-                  // Silent error handling
-                }
-              }
-              
-              if (startPointData.coordinates && Array.isArray(startPointData.coordinates) && startPointData.coordinates.length >= 2) {
-                startPoint = [startPointData.coordinates[1], startPointData.coordinates[0]];
-              }
-            } catch (e) {
-              // Silent error handling
-            }
-          }
-          
-          // Process end point
-          if (route.endPoint) {
-            try {
-              let endPointData = route.endPoint;
-              
-              if (typeof endPointData === 'string') {
-                try {
-                  endPointData = JSON.parse(endPointData);
-                } catch(e) {
-                  // Silent error handling
-                }
-              }
-              
-              if (endPointData.coordinates && Array.isArray(endPointData.coordinates) && endPointData.coordinates.length >= 2) {
-                endPoint = [endPointData.coordinates[1], endPointData.coordinates[0]];
-              }
-            } catch (e) {
-              // Silent error handling
-            }
-          }
-          
-          // Calculate exact distance from user to route start point
-          const distanceToRoute = calculateDistance(
-            currentPosition,
-            [startPoint[0], startPoint[1]]
-          );
-          
-          return {
-            ...route,
-            pathCoordinates,
-            startPoint,
-            endPoint,
-            distanceToRoute: parseFloat(distanceToRoute.toFixed(2)) // Distance from user in km
-          };
-        });
+        // Normalize routes and add the distance from the user to each start
+        const processedRoutes = normalizeRoutes(response.data).map(route => ({
+          ...route,
+          distanceToRoute: parseFloat(distanceKm(currentPosition, route.startPoint).toFixed(2)) // Distance from user in km
+        }));
         
         // Sort routes by proximity to user
         processedRoutes.sort((a, b) => a.distanceToRoute - b.distanceToRoute);
@@ -854,6 +859,15 @@ function Home() {
         // Set auto-completed state
         setIsAutoCompleted(true);
         
+        if (voiceCues.enabled && voiceCues.announceCompletion) {
+          const unit = distanceUnit === 'miles' ? 'mi' : 'km';
+          const distance = unit === 'mi' ? trackingStatsRef.current.distance / 1.609344 : trackingStatsRef.current.distance;
+          speak(
+            `Route completed. ${distanceToSpeech(distance, unit)} in ${durationToSpeech(trackingStatsRef.current.movingTime || trackingStatsRef.current.duration || 0)}.`,
+            { interrupt: true }
+          );
+        }
+        
         // Show notification to the user
         alert('Route completed! You can mark it as done to save your progress.');
       }
@@ -864,7 +878,128 @@ function Home() {
     return () => {
       window.removeEventListener('routeCompleted', handleRouteCompleted);
     };
-  }, [isTracking, isAutoCompleted]);
+  }, [isTracking, isAutoCompleted, voiceCues, distanceUnit]);
+  
+  // Check each new position against the selected route and warn when straying
+  useEffect(() => {
+    if (!isTracking || isSimulating || !offRouteDetectorRef.current || !currentPosition) return;
+    
+    const status = offRouteDetectorRef.current.update(currentPosition, Date.now());
+    setOffRouteStatus(status);
+    
+    if (status.event === 'started') {
+      console.log(`Off route: ${Math.round(status.distance)} m from the route`);
+      if (navigator.vibrate) {
+        navigator.vibrate([300, 100, 300]);
+      }
+      if (voiceCues.enabled && voiceCues.announceOffRoute) {
+        speak(`Off route. ${Math.round(status.distance)} meters from the route.`, { interrupt: true });
+      }
+    } else if (status.event === 'ended') {
+      console.log('Back on route');
+      if (voiceCues.enabled && voiceCues.announceOffRoute) {
+        speak('Back on route.');
+      }
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentPosition, isTracking]);
+  
+  // Move the ghost along its track every timer tick and compare against it
+  useEffect(() => {
+    if (!isTracking || isSimulating || !ghostRef.current) return;
+    
+    const seconds = trackingStatsRef.current.movingTime !== undefined
+      ? trackingStatsRef.current.movingTime
+      : trackingStatsRef.current.duration || 0;
+    const status = {
+      ...ghostPositionAt(ghostRef.current.track, seconds),
+      delta: ghostDelta(ghostRef.current.track, trackingStatsRef.current.distance * 1000, seconds)
+    };
+    
+    ghostStatusRef.current = status;
+    setGhostStatus(status);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [trackingStats.duration, isTracking]);
+  
+  // Advance the workout with the session totals every timer tick
+  useEffect(() => {
+    if (!isTracking || isSimulating || !workoutRunnerRef.current) return;
+    
+    const state = getWorkoutState();
+    const status = { ...workoutRunnerRef.current.update(state), pace: state.pace };
+    setWorkoutStatus(status);
+    announceWorkoutStep(status);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [trackingStats.duration, isTracking]);
+  
+  // Past activities to offer as ghosts whenever a route is picked
+  useEffect(() => {
+    if (!selectedRoute || isTracking) return;
+    
+    const token = localStorage.getItem('token');
+    if (!token) return;
+    
+    const fetchGhostOptions = async () => {
+      const response = await getUserActivities(token, { limit: 50, sort: '-startTime' });
+      if (!response.success) return;
+      
+      // Activities saved from this route are titled after it, so list those first
+      const realActivities = response.data.filter(activity => !activity.simulated);
+      const routeTitle = selectedRoute.title || '';
+      const onRoute = realActivities.filter(activity => routeTitle && (activity.title || '').startsWith(routeTitle));
+      const others = realActivities.filter(activity => !onRoute.includes(activity));
+      setGhostOptions([
+        ...onRoute.map(activity => ({ ...activity, onRoute: true })),
+        ...others
+      ]);
+    };
+    
+    fetchGhostOptions();
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedRoute]);
+  
+  // Spoken distance, pace and split announcements as distance accumulates
+  useEffect(() => {
+    if (!isTracking || isSimulating || !voiceCues.enabled) return;
+    
+    const unit = distanceUnit === 'miles' ? 'mi' : 'km';
+    const unitMeters = unit === 'mi' ? 1609.344 : 1000;
+    const unitDistance = (trackingStats.distance * 1000) / unitMeters;
+    const movingTime = trackingStatsRef.current.movingTime || trackingStatsRef.current.duration || 0;
+    const parts = [];
+    
+    // Split time every whole km/mile
+    const splitIndex = Math.floor(unitDistance);
+    if (splitIndex > lastSplitIndexRef.current) {
+      if (voiceCues.announceSplits) {
+        const splitTime = movingTime - lastSplitMovingTimeRef.current;
+        parts.push(`Split ${splitIndex}, ${durationToSpeech(splitTime)}.`);
+      }
+      lastSplitIndexRef.current = splitIndex;
+      lastSplitMovingTimeRef.current = movingTime;
+    }
+    
+    // Distance summary every N km/miles
+    const interval = parseFloat(voiceCues.distanceInterval) || 1;
+    const intervalIndex = Math.floor(unitDistance / interval);
+    if (intervalIndex > lastAnnouncedIntervalRef.current) {
+      lastAnnouncedIntervalRef.current = intervalIndex;
+      parts.push(`Distance ${distanceToSpeech(intervalIndex * interval, unit)}. Time ${durationToSpeech(movingTime)}.`);
+      
+      if (voiceCues.announcePace && unitDistance > 0) {
+        parts.push(`Average pace ${paceToSpeech(movingTime / unitDistance, unit)}.`);
+        const recentSpeed = getRecentSpeed(filteredSamplesRef.current, Date.now(), 30000);
+        if (recentSpeed > 0) {
+          parts.push(`Current pace ${paceToSpeech(unitMeters / recentSpeed, unit)}.`);
+        }
+      }
+    }
+    
+    if (parts.length > 0) {
+      speak(parts.join(' '));
+    }
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [trackingStats.distance, isTracking]);
   
   // Reset auto-completed state when starting new tracking session
   useEffect(() => {
@@ -881,10 +1016,21 @@ function Home() {
       distance: trackingStats.distance,
       duration: trackingStats.duration,
       speed: trackingStats.speed,
-      startTime: trackingStats.startTime
+      startTime: trackingStats.startTime,
+      samples: [...filteredSamplesRef.current],
+      rawSamples: [...trackingSamplesRef.current],
+      gpsFilterStats: gpsFilterRef.current ? gpsFilterRef.current.getStats() : null,
+      ...getPauseSummary(),
+      lapMarks: [...lapMarksRef.current],
+      offRouteIntervals: getOffRouteIntervals(),
+      ghostRace: getGhostRaceSummary(),
+      workout: getWorkoutSummary(),
+      routeId: trackedRouteIdRef.current,
+      sessionKey: trackingSessionKeyRef.current
     };
     
     // Set tracking to false
+    endQueuedSession();
     setIsTracking(false);
     setIsAutoCompleted(false);
     
@@ -902,6 +1048,7 @@ function Home() {
             
             if (!routeTitle) {
               console.log("Route save cancelled by user");
+              releaseQueuedSession(trackingData.sessionKey);
               // Reset tracking stats and path even if user cancels
               setTrackingStats({
                 distance: 0,
@@ -976,6 +1123,7 @@ function Home() {
                 type: 'Point',
                 coordinates: [lastPoint[1], lastPoint[0]]
               },
+              activityType, // Lets My Routes filter routes by activity
               completed: true // Automatically mark as completed
             };
             
@@ -1001,6 +1149,8 @@ function Home() {
                   if (saveAsActivity) {
                     // Save as activity
                     saveTrackedRouteAsActivity(trackingData, routeTitle);
+                  } else {
+                    releaseQueuedSession(trackingData.sessionKey);
                   }
                 } else {
                   alert('Failed to save route: ' + (result.message || 'Unknown server error'));
@@ -1015,6 +1165,8 @@ function Home() {
             console.error('Error preparing route data:', error);
             alert('Error preparing route data: ' + error.message);
           }
+        } else {
+          releaseQueuedSession(trackingData.sessionKey);
         }
         
         // Reset tracking stats after saving (or not saving)
@@ -1029,6 +1181,7 @@ function Home() {
       }, 500);
     } else {
       alert('Not enough tracking data to save. You need to move more to create a valid route.');
+      releaseQueuedSession(trackingData.sessionKey);
       
       // Reset tracking stats and path
       setTrackingStats({
@@ -1074,7 +1227,7 @@ function Home() {
             position.coords.longitude
           ];
           // Only update if position has changed significantly
-          if (calculateDistance(currentPosition, newPosition) > 0.005) { // >5 meters
+          if (distanceKm(currentPosition, newPosition) > 0.005) { // >5 meters
             console.log('Updating user location:', newPosition);
             setCurrentPosition(newPosition);
           }
@@ -1204,100 +1357,7 @@ function Home() {
       
       if (response.success) {
         // Transform the GeoJSON coordinates to Leaflet format [lat, lng]
-        const processedRoutes = response.data.map(route => {
-          // Create default values in case data is missing
-          let pathCoordinates = [];
-          let startPoint = OLONGAPO_COORDINATES;
-          let endPoint = OLONGAPO_COORDINATES;
-          
-          // Process path coordinates directly from raw data
-          try {
-            let coordinates = [];
-            
-            if (typeof route.path === 'string') {
-              // If path is a string, parse it
-              try {
-                const parsedPath = JSON.parse(route.path);
-                coordinates = parsedPath.coordinates || [];
-              } catch (e) {
-                // Silent error handling for performance
-              }
-            } else if (route.path && route.path.coordinates) {
-              // If path is an object with coordinates property
-              coordinates = route.path.coordinates;
-            } else if (route.path && Array.isArray(route.path)) {
-              // If path is directly an array of coordinates
-              coordinates = route.path;
-            }
-            
-            // Convert from GeoJSON [lng, lat] to Leaflet [lat, lng]
-            if (Array.isArray(coordinates) && coordinates.length > 0) {
-              pathCoordinates = coordinates.map(coord => {
-                if (Array.isArray(coord) && coord.length >= 2) {
-                  return [coord[1], coord[0]]; // Swap to Leaflet format
-          } else {
-                  return OLONGAPO_COORDINATES;
-                }
-              });
-            }
-          } catch (e) {
-            // Silent error handling for performance
-          }
-          
-          // Process start point
-          if (route.startPoint) {
-            try {
-              let startPointData = route.startPoint;
-              
-              if (typeof startPointData === 'string') {
-                try {
-                  startPointData = JSON.parse(startPointData);
-                } catch(e) {
-                  // Silent error handling
-                }
-              }
-              
-              if (startPointData.coordinates && Array.isArray(startPointData.coordinates) && startPointData.coordinates.length >= 2) {
-                startPoint = [startPointData.coordinates[1], startPointData.coordinates[0]];
-              }
-            } catch (e) {
-              // Silent error handling
-            }
-          }
-          
-          // Process end point
-          if (route.endPoint) {
-            try {
-              let endPointData = route.endPoint;
-              
-              if (typeof endPointData === 'string') {
-                try {
-                  endPointData = JSON.parse(endPointData);
-                } catch(e) {
-                  // Silent error handling
-                }
-              }
-              
-              if (endPointData.coordinates && Array.isArray(endPointData.coordinates) && endPointData.coordinates.length >= 2) {
-                endPoint = [endPointData.coordinates[1], endPointData.coordinates[0]];
-              }
-            } catch (e) {
-              // Silent error handling
-            }
-          }
-          
-          // If we still don't have path coordinates but have start and end, create a simple path
-          if (pathCoordinates.length < 2) {
-            pathCoordinates = [startPoint, endPoint];
-          }
-          
-          return {
-            ...route,
-            pathCoordinates,
-            startPoint,
-            endPoint
-          };
-        });
+        const processedRoutes = normalizeRoutes(response.data);
         
         // Log completed routes for debugging
         console.log('Completed routes:', processedRoutes.filter(r => r.completed).length, 'of', processedRoutes.length);
@@ -1316,8 +1376,47 @@ function Home() {
     }
   };
 
+  const fetchFavouriteRoutes = async () => {
+    const token = localStorage.getItem('token');
+    if (!token) return;
+    
+    try {
+      setLoadingFavourites(true);
+      const response = await getFavouriteRoutes(token);
+      
+      if (response.success) {
+        setFavouriteRoutes(normalizeRoutes(response.data));
+      } else {
+        console.error('Failed to fetch favourite routes:', response.message);
+      }
+    } finally {
+      setLoadingFavourites(false);
+    }
+  };
+
+  const isFavouriteRoute = (route) => favouriteRoutes.some(favourite => favourite._id === route._id);
+
+  const toggleFavouriteRoute = async (route) => {
+    const token = localStorage.getItem('token');
+    if (!token) return;
+    
+    const wasFavourite = isFavouriteRoute(route);
+    const response = wasFavourite
+      ? await removeFavouriteRoute(token, route._id)
+      : await addFavouriteRoute(token, route._id);
+    
+    if (response.success) {
+      setFavouriteRoutes(prev => wasFavourite
+        ? prev.filter(favourite => favourite._id !== route._id)
+        : [...prev, route]);
+    } else {
+      alert('Failed to update favourites: ' + (response.message || 'Unknown error'));
+    }
+  };
+
   useEffect(() => {
     fetchRoutes();
+    fetchFavouriteRoutes();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
@@ -1369,33 +1468,10 @@ function Home() {
     console.log('End point:', route.endPoint);
     
     if (!route.pathCoordinates || route.pathCoordinates.length < 2) {
-      console.warn('Selected route has insufficient coordinates, attempting to fix...');
-      
-      // Try to rebuild the path from raw data
-      try {
-        if (route.path) {
-          const pathData = typeof route.path === 'string' 
-            ? JSON.parse(route.path) 
-            : route.path;
-          
-          if (pathData.coordinates && Array.isArray(pathData.coordinates)) {
-            route.pathCoordinates = pathData.coordinates.map(coord => 
-              Array.isArray(coord) && coord.length >= 2 
-                ? [coord[1], coord[0]] 
-                : OLONGAPO_COORDINATES
-            );
-            console.log('Rebuilt path coordinates:', route.pathCoordinates.length);
-          }
-        }
-      } catch (e) {
-        console.error('Error rebuilding path:', e);
-      }
-      
-      // If still insufficient, create a simple path
-      if (!route.pathCoordinates || route.pathCoordinates.length < 2) {
-        console.warn('Creating fallback path between start and end points');
-        route.pathCoordinates = [route.startPoint, route.endPoint];
-      }
+      console.warn('Selected route has insufficient coordinates, rebuilding from raw data');
+      const { route: normalizedRoute, errors } = normalizeRoute(route);
+      if (errors.length > 0) console.warn('Route fallbacks:', errors);
+      route = normalizedRoute;
     }
     
     setSelectedRoute(route);
@@ -1452,43 +1528,41 @@ function Home() {
         // Process the newly generated route
         const generatedRoute = result.data;
         
-        // Process path coordinates
-        let pathCoordinates = [];
-        let startPoint = currentPosition;
-        let endPoint = currentPosition;
-        
-        if (generatedRoute.path) {
-          pathCoordinates = parseCoordinates(generatedRoute.path);
-        }
-        
-        if (generatedRoute.startPoint && generatedRoute.startPoint.coordinates) {
-          startPoint = [
-            generatedRoute.startPoint.coordinates[1], 
-            generatedRoute.startPoint.coordinates[0]
-          ];
-        }
+        // Start and end default to the current position
+        let routeToShow = {
+          ...generatedRoute,
+          startPoint: generatedRoute.startPoint || toGeoJsonPoint(currentPosition),
+          endPoint: generatedRoute.endPoint || toGeoJsonPoint(currentPosition)
+        };
         
-        if (generatedRoute.endPoint && generatedRoute.endPoint.coordinates) {
-          endPoint = [
-            generatedRoute.endPoint.coordinates[1], 
-            generatedRoute.endPoint.coordinates[0]
-          ];
+        let pathPointCount = 0;
+        try {
+          pathPointCount = parseLineString(generatedRoute.path, 'Generated path').path.length;
+        } catch (e) {
+          console.warn(e.message);
         }
         
         // Ensure we have valid data
-        if (pathCoordinates.length < 2) {
-          // Generate a simple route if API failed to provide one
+        if (pathPointCount < 2) {
+          // Generate a loop locally if API failed to provide one
           console.warn('Generated route had insufficient coordinates, creating fallback');
-          pathCoordinates = createFallbackRoute(startPoint, 5);
-          endPoint = pathCoordinates[pathCoordinates.length - 1];
+          const { route: start } = normalizeRoute(routeToShow);
+          const [fallbackLoop] = await generateLoopRoutes(start.startPoint, parseFloat(maxDistance), {
+            alternatives: 1,
+            baseHeading: Math.random() * 360,
+            activityType
+          });
+          routeToShow = {
+            ...routeToShow,
+            path: toGeoJsonLineString(fallbackLoop.geometry),
+            endPoint: toGeoJsonPoint(fallbackLoop.geometry[fallbackLoop.geometry.length - 1]),
+            distance: fallbackLoop.distance
+          };
         }
         
         const processedRoute = {
-          ...generatedRoute,
-          _id: 'generated-' + Date.now(),
-          pathCoordinates,
-          startPoint,
-          endPoint
+          ...normalizeRoute(routeToShow).route,
+          _id: 'generated-' + Date.now()
         };
         
         setSelectedRoute(processedRoute);
@@ -1508,51 +1582,318 @@ function Home() {
     }
   };
   
-  // Helper function to create a fallback route if API fails
-  const createFallbackRoute = (startPoint, distance = 3) => {
-    const points = [startPoint];
-    const R = 6371; // Earth radius in km
-    const numPoints = 8;
+  // Generate alternative round trips from the current position
+  const handleGenerateLoops = async () => {
+    if (!currentPosition) {
+      alert('Waiting for your location before generating a loop');
+      return;
+    }
     
-    let lastPoint = startPoint;
-    for (let i = 1; i < numPoints; i++) {
-      // Generate next point in random direction
-      const angle = (i / numPoints) * 2 * Math.PI; // Create a circular route
-      const stepDistance = distance / numPoints;
-      
-      // Convert km to radians
-      const angularDistance = stepDistance / R;
-      
-      // Previous point
-      const [lat, lng] = lastPoint;
-      const prevLat = lat * Math.PI / 180;
-      const prevLng = lng * Math.PI / 180;
-      
-      // Calculate new position
-      const newLat = Math.asin(
-        Math.sin(prevLat) * Math.cos(angularDistance) +
-        Math.cos(prevLat) * Math.sin(angularDistance) * Math.cos(angle)
-      );
+    const targetKm = parseFloat(maxDistance);
+    setGeneratingRoute(true);
+    try {
+      const loops = await generateLoopRoutes(currentPosition, targetKm, {
+        alternatives: 3,
+        baseHeading: Math.random() * 360, // New directions on every attempt
+        activityType
+      });
+      setLoopAlternatives(loops);
+      setSelectedLoopIndex(0);
       
-      const newLng = prevLng + Math.atan2(
-        Math.sin(angle) * Math.sin(angularDistance) * Math.cos(prevLat),
-        Math.cos(angularDistance) - Math.sin(prevLat) * Math.sin(newLat)
-      );
+      if (mapRef && loops.length > 0) {
+        try {
+          const bounds = L.latLngBounds(loops.flatMap(loop => loop.geometry));
+          safeFitBounds(mapRef, bounds);
+        } catch (e) {
+          console.error('Error creating bounds for loops:', e);
+        }
+      }
+    } catch (err) {
+      console.error('Error generating loops:', err);
+      alert('Error generating loops: ' + err.message);
+    } finally {
+      setGeneratingRoute(false);
+    }
+  };
+  
+  // Load the previewed loop as the selected route so it can be followed or saved
+  const handleUseLoop = (loop) => {
+    const processedRoute = {
+      _id: 'generated-' + Date.now(),
+      title: `${loop.distance.toFixed(1)} km loop (${loop.direction})`,
+      distance: loop.distance,
+      pathCoordinates: loop.geometry,
+      startPoint: loop.geometry[0],
+      endPoint: loop.geometry[loop.geometry.length - 1]
+    };
+    
+    setSelectedRoute(processedRoute);
+    setLoopAlternatives([]);
+    setShowGenerateForm(false);
+    setShowRouteInfo(true);
+    setMapKey(Date.now());
+  };
+  
+  const pauseTracking = (reason) => {
+    if (isPausedRef.current) return;
+    isPausedRef.current = true;
+    pauseReasonRef.current = reason;
+    pauseStartRef.current = Date.now();
+    setIsPaused(true);
+    setPauseReason(reason);
+    console.log(`Tracking paused (${reason})`);
+  };
+  
+  const resumeTracking = () => {
+    if (!isPausedRef.current) return;
+    pausesRef.current.push({
+      start: pauseStartRef.current,
+      end: Date.now(),
+      reason: pauseReasonRef.current
+    });
+    // Don't bridge the gap covered during a manual pause
+    if (pauseReasonRef.current === 'manual') {
+      resumePendingRef.current = true;
+      rawResumePendingRef.current = true;
+    }
+    isPausedRef.current = false;
+    pauseReasonRef.current = null;
+    pauseStartRef.current = null;
+    setIsPaused(false);
+    setPauseReason(null);
+    console.log('Tracking resumed');
+  };
+  
+  const togglePause = () => {
+    if (isPausedRef.current) {
+      resumeTracking();
+    } else {
+      pauseTracking('manual');
+    }
+  };
+  
+  // Close any open off-route interval and return all of them
+  const getOffRouteIntervals = () => {
+    if (!offRouteDetectorRef.current) return [];
+    offRouteDetectorRef.current.finish();
+    return offRouteDetectorRef.current.getIntervals();
+  };
+  
+  // Final result against the ghost, saved with the new activity
+  const getGhostRaceSummary = () => {
+    if (!ghostRef.current || !ghostStatusRef.current) return null;
+    const { delta, distance } = ghostStatusRef.current;
+    return {
+      activityId: ghostRef.current.activityId,
+      activityTitle: ghostRef.current.title,
+      finalDelta: delta === null ? null : Math.round(delta), // seconds, negative = ahead
+      ghostDistance: Math.round(distance)
+    };
+  };
+  
+  // Session totals in the units the workout runner expects
+  const getWorkoutState = () => {
+    const stats = trackingStatsRef.current;
+    const recentSpeed = getRecentSpeed(filteredSamplesRef.current, Date.now(), 15000);
+    return {
+      distance: (stats.distance || 0) * 1000,
+      movingTime: stats.movingTime !== undefined ? stats.movingTime : stats.duration || 0,
+      timestamp: Date.now(),
+      pace: recentSpeed > 0 ? 1000 / recentSpeed : null // seconds per km
+    };
+  };
+  
+  // Buzz and speak when the workout moves on to a new step
+  const announceWorkoutStep = (status) => {
+    if (!status.event) return;
+    
+    if (navigator.vibrate) {
+      navigator.vibrate([200, 100, 200]);
+    }
+    if (!voiceCues.enabled) return;
+    
+    if (status.event === 'finished') {
+      speak('Workout complete.', { interrupt: true });
+    } else {
+      const { step } = status;
+      const target = step.paceMin || step.paceMax
+        ? ` Target pace ${formatPace(step.paceMin || step.paceMax)}${step.paceMin && step.paceMax ? ` to ${formatPace(step.paceMax)}` : ''} per kilometer.`
+        : '';
+      speak(`${step.label}. ${step.goalType === 'time' ? durationToSpeech(step.goalValue) : `${Math.round(step.goalValue)} meters`}.${target}`, { interrupt: true });
+    }
+  };
+  
+  // Move on to the next workout step before its goal is reached
+  const handleSkipWorkoutStep = () => {
+    if (!workoutRunnerRef.current) return;
+    const state = getWorkoutState();
+    const status = { ...workoutRunnerRef.current.skip(state), pace: state.pace };
+    setWorkoutStatus(status);
+    announceWorkoutStep(status);
+  };
+  
+  // Actual performance of each workout step, saved with the new activity
+  const getWorkoutSummary = () => {
+    if (!workoutRunnerRef.current || !workoutRef.current) return null;
+    workoutRunnerRef.current.finish(getWorkoutState());
+    return {
+      workoutId: workoutRef.current._id,
+      name: workoutRef.current.name,
+      steps: workoutRunnerRef.current.getResults()
+    };
+  };
+  
+  const handleWorkoutSaved = (workout) => {
+    setWorkouts(prev => {
+      const exists = prev.some(item => item._id === workout._id);
+      return exists ? prev.map(item => (item._id === workout._id ? workout : item)) : [...prev, workout];
+    });
+    if (workout._id) {
+      setSelectedWorkoutId(workout._id);
+    }
+  };
+  
+  const handleWorkoutDeleted = (workoutId) => {
+    setWorkouts(prev => prev.filter(item => item._id !== workoutId));
+    if (selectedWorkoutId === workoutId) {
+      setSelectedWorkoutId('');
+    }
+  };
+  
+  // Load the chosen past activity and turn it into a ghost track
+  const handleGhostChange = async (e) => {
+    const activityId = e.target.value;
+    setGhostActivityId(activityId);
+    ghostRef.current = null;
+    
+    if (!activityId) return;
+    
+    const token = localStorage.getItem('token');
+    if (!token) return;
+    
+    setGhostLoading(true);
+    try {
+      const response = await getActivityById(token, activityId);
+      const track = response.success ? buildGhostTrack(response.data) : null;
       
-      // Convert to degrees and add to points
-      const newPoint = [
-        newLat * 180 / Math.PI,
-        newLng * 180 / Math.PI
-      ];
+      if (!track) {
+        alert('That activity has no timed GPS track to race against.');
+        setGhostActivityId('');
+        return;
+      }
       
-      points.push(newPoint);
-      lastPoint = newPoint;
+      ghostRef.current = { activityId, title: response.data.title, track };
+    } catch (error) {
+      console.error('Error loading ghost activity:', error);
+      setGhostActivityId('');
+    } finally {
+      setGhostLoading(false);
     }
+  };
+  
+  // Mark the end of a manual lap
+  const handleLap = () => {
+    lapMarksRef.current.push(Date.now());
+    setLapCount(lapMarksRef.current.length);
+  };
+  
+  const resetPauseState = () => {
+    isPausedRef.current = false;
+    pauseReasonRef.current = null;
+    pauseStartRef.current = null;
+    pausesRef.current = [];
+    resumePendingRef.current = false;
+    rawResumePendingRef.current = false;
+    setIsPaused(false);
+    setPauseReason(null);
+  };
+  
+  // Total paused time in ms, including a pause still in progress
+  const getPausedMs = (now = Date.now()) => {
+    const completed = pausesRef.current.reduce((sum, pause) => sum + (pause.end - pause.start), 0);
+    return completed + (isPausedRef.current && pauseStartRef.current ? now - pauseStartRef.current : 0);
+  };
+  
+  // Moving vs elapsed time for the activity summary
+  const getPauseSummary = () => {
+    const now = Date.now();
+    const pauses = [...pausesRef.current];
+    if (isPausedRef.current && pauseStartRef.current) {
+      pauses.push({ start: pauseStartRef.current, end: now, reason: pauseReasonRef.current });
+    }
+    const startTime = trackingStatsRef.current.startTime;
+    const elapsedTime = startTime ? Math.floor((now - startTime) / 1000) : 0;
+    return {
+      elapsedTime,
+      movingTime: Math.max(0, elapsedTime - Math.floor(getPausedMs(now) / 1000)),
+      pauses
+    };
+  };
+  
+  // Pause when speed stays below the activity's threshold, resume when moving again
+  const checkAutoPause = () => {
+    if (!autoPauseEnabledRef.current || isSimulatingRef.current || pauseReasonRef.current === 'manual') return;
     
-    // Close the loop by returning to start
-    points.push(startPoint);
+    const now = Date.now();
+    const startTime = trackingStatsRef.current.startTime;
+    if (!startTime || now - startTime < AUTO_PAUSE_WINDOW_MS) return;
     
-    return points;
+    const threshold = AUTO_PAUSE_SPEED_BY_ACTIVITY[activityType] || AUTO_PAUSE_SPEED_BY_ACTIVITY.other;
+    const recentSpeed = getRecentSpeed(filteredSamplesRef.current, now);
+    
+    if (!isPausedRef.current && recentSpeed < threshold) {
+      pauseTracking('auto');
+    } else if (isPausedRef.current && recentSpeed >= threshold) {
+      resumeTracking();
+    }
+  };
+  
+  const handleAutoPauseToggle = (e) => {
+    const enabled = e.target.checked;
+    setAutoPauseEnabled(enabled);
+    autoPauseEnabledRef.current = enabled;
+    localStorage.setItem('autoPauseEnabled', enabled ? 'true' : 'false');
+    
+    // Turning auto-pause off shouldn't leave us stuck paused
+    if (!enabled && pauseReasonRef.current === 'auto') {
+      resumeTracking();
+    }
+  };
+  
+  // Record a raw fix and run it through the GPS filter.
+  // Returns the filtered sample, or null when the fix was discarded.
+  const filterTrackedPosition = (pos) => {
+    // Nothing is recorded while manually paused, not even as a raw sample,
+    // so the raw track doesn't inflate the discarded distance
+    if (isPausedRef.current && pauseReasonRef.current === 'manual') {
+      return null;
+    }
+    
+    const sample = createTrackSample(pos);
+    trackingSamplesRef.current.push({ ...sample, resumed: rawResumePendingRef.current });
+    rawResumePendingRef.current = false;
+    
+    // The resume flag waits for the first fix the filter accepts, so a rejected
+    // fix can't let the next one bridge the pause
+    sample.resumed = resumePendingRef.current;
+    
+    if (!gpsFilterRef.current) {
+      resumePendingRef.current = false;
+      filteredSamplesRef.current.push(sample);
+      return sample;
+    }
+    
+    const result = gpsFilterRef.current.process(sample);
+    setGpsFilterStats(gpsFilterRef.current.getStats());
+    
+    if (!result.accepted) {
+      console.log(`GPS fix discarded (${result.reason})`);
+      return null;
+    }
+    
+    resumePendingRef.current = false;
+    filteredSamplesRef.current.push(result.sample);
+    return result.sample;
   };
   
   // Toggle tracking state
@@ -1566,7 +1907,17 @@ function Home() {
           distance: trackingStats.distance,
           duration: trackingStats.duration,
           speed: trackingStats.speed,
-          startTime: trackingStats.startTime
+          startTime: trackingStats.startTime,
+          samples: [...filteredSamplesRef.current],
+          rawSamples: [...trackingSamplesRef.current],
+          gpsFilterStats: gpsFilterRef.current ? gpsFilterRef.current.getStats() : null,
+          ...getPauseSummary(),
+          lapMarks: [...lapMarksRef.current],
+          offRouteIntervals: getOffRouteIntervals(),
+          ghostRace: getGhostRaceSummary(),
+          workout: getWorkoutSummary(),
+          routeId: trackedRouteIdRef.current,
+          sessionKey: trackingSessionKeyRef.current
         };
         
         // Clear tracking timers
@@ -1585,6 +1936,8 @@ function Home() {
           locationWatchId.current = null;
         }
         
+        endQueuedSession();
+        
         // Disconnect socket if connected
         if (socketRef.current) {
           socketRef.current.emit('end_tracking', { 
@@ -1611,6 +1964,7 @@ function Home() {
                 
                 if (!routeTitle) {
                   console.log("Route save cancelled by user");
+                  releaseQueuedSession(trackingData.sessionKey);
                   // Reset tracking stats and path even if user cancels
                   setTrackingStats({
                     distance: 0,
@@ -1685,6 +2039,7 @@ function Home() {
                     type: 'Point',
                     coordinates: [lastPoint[1], lastPoint[0]]
                   },
+                  activityType, // Lets My Routes filter routes by activity
                   completed: true // Automatically mark as completed
                 };
                 
@@ -1710,6 +2065,8 @@ function Home() {
                       if (saveAsActivity) {
                         // Save as activity
                         saveTrackedRouteAsActivity(trackingData, routeTitle);
+                      } else {
+                        releaseQueuedSession(trackingData.sessionKey);
                       }
                     } else {
                       alert('Failed to save route: ' + (result.message || 'Unknown server error'));
@@ -1724,6 +2081,8 @@ function Home() {
                 console.error('Error preparing route data:', error);
                 alert('Error preparing route data: ' + error.message);
               }
+            } else {
+              releaseQueuedSession(trackingData.sessionKey);
             }
             
             // Reset tracking stats after saving (or not saving)
@@ -1738,6 +2097,7 @@ function Home() {
           }, 500);
         } else {
           alert('Not enough tracking data to save. You need to move more to create a valid route.');
+          releaseQueuedSession(trackingData.sessionKey);
           
           // Reset tracking stats and path
           setTrackingStats({
@@ -1850,6 +2210,29 @@ function Home() {
               // Reset tracking path with only initial position
             setTrackingPath([initialPos]);
             
+            resetPauseState();
+            lapMarksRef.current = [];
+            setLapCount(0);
+            lastAnnouncedIntervalRef.current = 0;
+            lastSplitIndexRef.current = 0;
+            lastSplitMovingTimeRef.current = 0;
+            offRouteDetectorRef.current = createOffRouteDetector(selectedRoute.pathCoordinates, offRouteAlerts);
+            trackedRouteIdRef.current = selectedRoute._id && !selectedRoute._id.startsWith('generated-') ? selectedRoute._id : null;
+            setOffRouteStatus(null);
+            ghostStatusRef.current = null;
+            setGhostStatus(null);
+            workoutRef.current = workouts.find(workout => workout._id === selectedWorkoutId) || null;
+            workoutRunnerRef.current = workoutRef.current ? createWorkoutRunner(workoutRef.current) : null;
+            setWorkoutStatus(null);
+            
+            // Fresh GPS filter for this session - the first fix seeds it
+            const initialSample = createTrackSample(position);
+            gpsFilterRef.current = createGpsFilter(activityType);
+            gpsFilterRef.current.process(initialSample);
+            trackingSamplesRef.current = [initialSample];
+            filteredSamplesRef.current = [initialSample];
+            setGpsFilterStats(gpsFilterRef.current.getStats());
+            
             // Reset timer and stats with current time
             const now = Date.now();
               const freshStats = {
@@ -1911,6 +2294,9 @@ function Home() {
                 locationWatchId.current = null;
               }
               
+              // New key so queued points can't leak into another session
+              beginQueuedSession(now);
+              
               // Tell the server we're starting tracking via socket
               if (socketRef.current) {
                 socketRef.current.emit('start_tracking', {
@@ -1946,46 +2332,16 @@ function Home() {
               // Start location watching with increased timeout
             locationWatchId.current = navigator.geolocation.watchPosition(
               (pos) => {
-                const newPos = [pos.coords.latitude, pos.coords.longitude];
+                const sample = filterTrackedPosition(pos);
+                if (!sample) return; // Discarded by the GPS filter
+                const newPos = sample.position;
                 
                 // Update current position
                 setCurrentPosition(newPos);
                 
-                // Update tracking path
-                setTrackingPath(prevPath => {
-                  const newPath = [...prevPath, newPos];
-                  
-                  // Calculate incremental distance if we have previous points
-                  if (prevPath.length > 0) {
-                    const lastPos = prevPath[prevPath.length - 1];
-                    const incrementalDistance = calculateDistance(lastPos, newPos);
-                    
-                    // Update tracking stats with new distance
-                      const updatedStats = {
-                        ...trackingStatsRef.current,
-                        distance: trackingStatsRef.current.distance + incrementalDistance,
-                      // Update speed (km/h) based on distance and time
-                        speed: trackingStatsRef.current.startTime ? 
-                          ((trackingStatsRef.current.distance + incrementalDistance) / ((Date.now() - trackingStatsRef.current.startTime) / 3600000)).toFixed(1) : 0
-                      };
-                      
-                      // Update both the ref (immediately) and state (might be delayed)
-                      trackingStatsRef.current = updatedStats;
-                      setTrackingStats(updatedStats);
-                      
-                      // Emit location update to server via socket
-                      if (socketRef.current && socketRef.current.connected) {
-                        socketRef.current.emit('location_update', {
-                          userId: localStorage.getItem('userId'),
-                          position: newPos,
-                          timestamp: Date.now(),
-                          stats: updatedStats
-                        });
-                      }
-                  }
-                  
-                  return newPath;
-                });
+                // Update distance and queue the fix, then extend the tracking path
+                recordTrackedSample(sample);
+                setTrackingPath(prevPath => [...prevPath, newPos]);
                 
                 // Center map on new position if tracking
                 if (mapRef) {
@@ -2016,38 +2372,13 @@ function Home() {
                         locationWatchId.current = navigator.geolocation.watchPosition(
                           // Same success callback...
                           (pos) => {
-                            const newPos = [pos.coords.latitude, pos.coords.longitude];
+                            const sample = filterTrackedPosition(pos);
+                            if (!sample) return; // Discarded by the GPS filter
+                            const newPos = sample.position;
                             setCurrentPosition(newPos);
-                            // Update tracking path...
-                            setTrackingPath(prevPath => {
-                              const newPath = [...prevPath, newPos];
-                              // Calculate distance...
-                              if (prevPath.length > 0) {
-                                const lastPos = prevPath[prevPath.length - 1];
-                                const incrementalDistance = calculateDistance(lastPos, newPos);
-                                const updatedStats = {
-                                  ...trackingStatsRef.current,
-                                  distance: trackingStatsRef.current.distance + incrementalDistance,
-                                  speed: trackingStatsRef.current.startTime ? 
-                                    ((trackingStatsRef.current.distance + incrementalDistance) / ((Date.now() - trackingStatsRef.current.startTime) / 3600000)).toFixed(1) : 0
-                                };
-                                
-                                // Update both ref and state
-                                trackingStatsRef.current = updatedStats;
-                                setTrackingStats(updatedStats);
-                                
-                                // Send update to server
-                                if (socketRef.current && socketRef.current.connected) {
-                                  socketRef.current.emit('location_update', {
-                                    userId: localStorage.getItem('userId'),
-                                    position: newPos,
-                                    timestamp: Date.now(),
-                                    stats: updatedStats
-                                  });
-                                }
-                              }
-                              return newPath;
-                            });
+                            // Update stats and tracking path...
+                            recordTrackedSample(sample);
+                            setTrackingPath(prevPath => [...prevPath, newPos]);
                             
                             // Center map...
                             if (mapRef) {
@@ -2135,17 +2466,19 @@ function Home() {
         return;
       }
       
-      // Use the tracking data to create timestamps
       const pathToUse = trackingData.path;
-      const startTime = trackingData.startTime || Date.now() - (trackingData.duration * 1000);
-      const duration = trackingData.duration || 60; // Minimum 1 minute
-      const timePerPoint = duration * 1000 / pathToUse.length;
+      const samples = trackingData.samples || [];
+      const hasSamples = samples.length >= 2;
+      
+      // Prefer the real GPS timestamps for duration
+      const sampleStats = summarizeSamples(samples);
+      const duration = (hasSamples && Math.round(sampleStats.duration)) || trackingData.duration || 60; // Minimum 1 minute
       
       // Ensure distance is valid - calculate if not provided or zero
       let distance = trackingData.distance;
       if (!distance || distance <= 0) {
         console.log("Recalculating distance for activity");
-        distance = calculateRouteDistance(pathToUse);
+        distance = pathDistanceKm(pathToUse);
         
         // Ensure minimum distance
         if (distance < 0.001) {
@@ -2156,12 +2489,23 @@ function Home() {
       
       console.log("Activity distance:", distance);
       
-      // Format location history for the API with proper timestamps and coordinates
-      const locationHistory = pathToUse.map((point, index) => ({
-        timestamp: new Date(startTime + (index * timePerPoint)),
-        coordinates: [point[1], point[0]], // Convert from [lat, lng] to [lng, lat]
-        speed: parseFloat(trackingData.speed) || 5 // Default speed if not available
-      }));
+      // Location history with the real timestamp, altitude, accuracy, speed and heading of each fix
+      let locationHistory;
+      if (hasSamples) {
+        locationHistory = samplesToLocationHistory(samples);
+      } else {
+        // No raw samples (e.g. restored session) - spread points evenly over the duration
+        const startTime = trackingData.startTime || Date.now() - (duration * 1000);
+        const timePerPoint = duration * 1000 / pathToUse.length;
+        locationHistory = pathToUse.map((point, index) => ({
+          timestamp: new Date(startTime + (index * timePerPoint)),
+          location: {
+            type: 'Point',
+            coordinates: [point[1], point[0]] // Convert from [lat, lng] to [lng, lat]
+          },
+          speed: parseFloat(trackingData.speed) || 5 // Default speed if not available
+        }));
+      }
       
       console.log("Starting session with initial location:", [pathToUse[0][1], pathToUse[0][0]]);
       
@@ -2184,40 +2528,90 @@ function Home() {
       // Extract the last point for final location
       const lastPoint = pathToUse[pathToUse.length - 1];
       
-      // Calculate speed stats
-      const avgSpeed = trackingData.speed || (distance / (duration / 3600));
-      const maxSpeed = parseFloat(avgSpeed) * 1.2 || 10; // Estimate max speed as 20% higher than average
+      // Automatic splits in the user's distance unit, plus any manual laps
+      const splitUnit = distanceUnit === 'miles' ? 'mi' : 'km';
+      const splits = hasSamples ? computeSplits(samples, SPLIT_DISTANCE[splitUnit], trackingData.pauses) : [];
+      const laps = hasSamples ? computeLaps(samples, trackingData.lapMarks, trackingData.pauses) : [];
+      
+      // How much the GPS filter threw away, for the activity summary
+      let gpsFilter = null;
+      if (trackingData.gpsFilterStats && trackingData.rawSamples) {
+        const rawDistance = summarizeSamples(trackingData.rawSamples).distance;
+        gpsFilter = {
+          ...trackingData.gpsFilterStats,
+          rawDistance: Math.round(rawDistance),
+          filteredDistance: Math.round(sampleStats.distance),
+          discardedDistance: Math.max(0, Math.round(rawDistance - sampleStats.distance))
+        };
+      }
+      
+      // Speed stats from the recorded samples, falling back to the live estimate
+      const avgSpeed = hasSamples ? sampleStats.averageSpeed : (trackingData.speed || (distance / (duration / 3600)));
+      const maxSpeed = hasSamples ? sampleStats.maxSpeed : (parseFloat(avgSpeed) * 1.2 || 10);
       
       // Immediately stop the session to create the activity
       const stopResponse = await stopSession(token, {
         finalLocation: {
           coordinates: [lastPoint[1], lastPoint[0]] // Last point [lng, lat]
         },
-        locationHistory: locationHistory.map(item => ({
-          timestamp: item.timestamp,
-          location: {
-            type: 'Point',
-            coordinates: item.coordinates
-          },
-          speed: item.speed
-        })),
+        locationHistory,
         totalDistance: distance,
         totalDuration: duration,
+        // Moving time excludes pauses; elapsed time is wall-clock from start to stop
+        elapsedTime: trackingData.elapsedTime || duration,
+        movingTime: Math.min(trackingData.movingTime || duration, duration),
+        pauses: (trackingData.pauses || []).map(pause => ({
+          start: new Date(pause.start),
+          end: new Date(pause.end),
+          reason: pause.reason
+        })),
         title: activityTitle,
         activityType: activityType, // Use selected activity type
+        routeId: trackingData.routeId || undefined, // Lets the route's reviews check who completed it
         // Convert the route for the API
         route: {
           type: 'LineString',
-          coordinates: pathToUse.map(point => [point[1], point[0]])
+          coordinates: pathToUse.map(toLngLat)
         },
         averageSpeed: avgSpeed,
         maxSpeed: maxSpeed,
+        elevationGain: sampleStats.elevationGain,
+        elevationLoss: sampleStats.elevationLoss,
+        // Keep the unfiltered track alongside the filtered one
+        rawTrack: trackingData.rawSamples && trackingData.rawSamples.length >= 2 ? {
+          type: 'LineString',
+          coordinates: trackingData.rawSamples.map(sample => [sample.position[1], sample.position[0]])
+        } : undefined,
+        gpsFilter,
+        splits,
+        splitUnit,
+        laps,
+        offRouteIntervals: (trackingData.offRouteIntervals || []).map(interval => ({
+          start: new Date(interval.start),
+          end: new Date(interval.end),
+          maxDistance: interval.maxDistance
+        })),
+        ghostRace: trackingData.ghostRace || undefined,
+        workout: trackingData.workout || undefined,
+        // Evenly spread fallback timestamps can't time a best effort
+        bestEfforts: hasSamples ? bestEffortsFromHistory(locationHistory, trackingData.pauses) : {},
         simulated: false // Mark activity as not simulated
       });
       
       if (stopResponse.success) {
-        alert('Activity saved successfully!');
-        console.log("Activity created:", stopResponse.data?.activity?._id);
+        const activityId = stopResponse.data?.activity?._id;
+        console.log("Activity created:", activityId);
+        
+        // The full track is on the server now; its queued points can go
+        releaseQueuedSession(trackingData.sessionKey);
+        
+        // Time the activity on any segments it covered
+        const segmentMatches = activityId ? await matchActivityToSegments(token, activityId, locationHistory) : [];
+        alert(segmentMatches.length > 0
+          ? `Activity saved successfully!\n\nSegment efforts:\n${segmentMatches
+              .map(({ segment, effort }) => `${segment.name || 'Segment'}: ${formatEffortTime(effort.elapsedTime)}`)
+              .join('\n')}`
+          : 'Activity saved successfully!');
       } else {
         console.error("Failed to create activity:", stopResponse);
         alert(`Error saving activity: ${stopResponse.message}`);
@@ -2271,54 +2665,19 @@ function Home() {
         }
       }
     };
-  }, [mapRef, mapKey, currentPosition, selectedRoute]);
-
-  // Reset view to current location - with safety checks
-  const resetToCurrentLocation = () => {
-    if (currentPosition && mapRef && typeof mapRef.setView === 'function') {
-      try {
-        console.log('Resetting view to current location:', currentPosition);
-        mapRef.setView(currentPosition, 15);
-      } catch (error) {
-        console.error('Error setting map view:', error);
-      }
-    }
-  };
-
-  // Parse GeoJSON coordinates to Leaflet format - simplified and improved
-  const parseCoordinates = (geoJson) => {
-    // If null or undefined, return empty array
-    if (!geoJson) return [];
-    
-    // If it's a string, try to parse it
-    if (typeof geoJson === 'string') {
-      try {
-        geoJson = JSON.parse(geoJson);
-      } catch (e) {
-        console.error('Error parsing GeoJSON string:', e);
-        return [];
-      }
-    }
-    
-    // Handle GeoJSON object with coordinates
-    if (geoJson.type === 'LineString' && Array.isArray(geoJson.coordinates)) {
-      return geoJson.coordinates.map(coord => 
-        Array.isArray(coord) && coord.length >= 2 ? [coord[1], coord[0]] : OLONGAPO_COORDINATES
-      );
-    }
-    
-    // Handle direct array of coordinates
-    if (Array.isArray(geoJson) && geoJson.length > 0) {
-      if (Array.isArray(geoJson[0])) {
-        return geoJson.map(coord => 
-          coord.length >= 2 ? [coord[1], coord[0]] : OLONGAPO_COORDINATES
-        );
+  }, [mapRef, mapKey, currentPosition, selectedRoute]);
+
+  // Reset view to current location - with safety checks
+  const resetToCurrentLocation = () => {
+    if (currentPosition && mapRef && typeof mapRef.setView === 'function') {
+      try {
+        console.log('Resetting view to current location:', currentPosition);
+        mapRef.setView(currentPosition, 15);
+      } catch (error) {
+        console.error('Error setting map view:', error);
       }
     }
-    
-    console.error('Unable to parse coordinates:', geoJson);
-    return [];
-  }
+  };
 
   // Save route function
   const handleSaveRoute = async () => {
@@ -2351,21 +2710,13 @@ function Home() {
       const routeData = {
         title: routeName,
         description: `Route created on ${new Date().toLocaleDateString()}`,
-        distance: selectedRoute.distance || calculateRouteDistance(selectedRoute.pathCoordinates),
+        distance: selectedRoute.distance || pathDistanceKm(selectedRoute.pathCoordinates),
         elevationGain: selectedRoute.elevationGain || 0,
         // Convert from Leaflet format [lat, lng] to GeoJSON [lng, lat]
-        path: {
-          type: 'LineString',
-          coordinates: selectedRoute.pathCoordinates.map(coord => [coord[1], coord[0]])
-        },
-        startPoint: {
-          type: 'Point',
-          coordinates: [selectedRoute.startPoint[1], selectedRoute.startPoint[0]]
-        },
-        endPoint: {
-          type: 'Point',
-          coordinates: [selectedRoute.endPoint[1], selectedRoute.endPoint[0]]
-        },
+        path: toGeoJsonLineString(selectedRoute.pathCoordinates),
+        startPoint: toGeoJsonPoint(selectedRoute.startPoint),
+        endPoint: toGeoJsonPoint(selectedRoute.endPoint),
+        activityType, // Lets My Routes filter routes by activity
         completed: isCompleted
       };
       
@@ -2388,45 +2739,6 @@ function Home() {
     }
   };
   
-  // Calculate route distance helper
-  const calculateRouteDistance = (coordinates) => {
-    if (!coordinates || coordinates.length < 2) return 0;
-    
-    let total = 0;
-    for (let i = 1; i < coordinates.length; i++) {
-      const point1 = coordinates[i-1];
-      const point2 = coordinates[i];
-      
-      // Ensure we have valid coordinates
-      if (!point1 || !point2 || point1.length < 2 || point2.length < 2) {
-        console.error('Invalid coordinate pair:', point1, point2);
-        continue;
-      }
-      
-      // Extract lat/lng correctly - coordinates are in [lat, lng] format in this context
-      const lat1 = point1[0];
-      const lng1 = point1[1];
-      const lat2 = point2[0];
-      const lng2 = point2[1];
-      
-      // Haversine formula for distance
-      const R = 6371; // Earth radius in km
-      const dLat = (lat2 - lat1) * Math.PI / 180;
-      const dLon = (lng2 - lng1) * Math.PI / 180;
-      const a = 
-        Math.sin(dLat/2) * Math.sin(dLat/2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-        Math.sin(dLon/2) * Math.sin(dLon/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      const distance = R * c;
-      
-      total += distance;
-    }
-    
-    console.log(`Calculated route distance: ${total.toFixed(3)} km from ${coordinates.length} points`);
-    return total;
-  };
-
   // Add a click handler for the map when in pinning mode
   const MapClickHandler = () => {
     const map = useMap();
@@ -2705,6 +3017,9 @@ function Home() {
     socket.on('connect', () => {
       console.log('Socket connected successfully with ID:', socket.id);
       
+      // Replay any points recorded while we were offline
+      syncPendingPoints();
+      
       // Send initial presence so server knows we're online
       const userId = localStorage.getItem('userId');
       if (userId) {
@@ -2863,6 +3178,182 @@ function Home() {
     return socket;
   };
 
+  // Deliver queued tracking points in order, via socket when connected or HTTP otherwise
+  const syncPendingPoints = async () => {
+    if (syncInProgressRef.current) {
+      // Run again once the current replay finishes
+      syncRequestedRef.current = true;
+      return;
+    }
+    
+    syncInProgressRef.current = true;
+    try {
+      // Points of an ended session are held back until it is saved or discarded
+      const remaining = await flushPendingPoints(async (points) => {
+        // The server doesn't acknowledge socket updates, so a connected socket
+        // counts as delivered - same as a live update
+        const socket = socketRef.current;
+        if (socket && socket.connected) {
+          points.forEach(point => {
+            socket.emit('location_update', {
+              userId: point.userId,
+              position: point.position,
+              timestamp: point.timestamp,
+              altitude: point.altitude,
+              accuracy: point.accuracy,
+              speed: point.speed,
+              heading: point.heading,
+              stats: point.stats,
+              buffered: true
+            });
+          });
+          return true;
+        }
+        
+        const token = localStorage.getItem('token');
+        if (!token || !navigator.onLine) {
+          return false;
+        }
+        
+        try {
+          const response = await updateSession(token, {
+            locationHistory: points.map(point => ({
+              timestamp: new Date(point.timestamp).toISOString(),
+              location: {
+                type: 'Point',
+                coordinates: [point.position[1], point.position[0]] // GeoJSON [lng, lat]
+              },
+              altitude: point.altitude,
+              accuracy: point.accuracy,
+              speed: point.speed,
+              heading: point.heading
+            }))
+          });
+          return response.success !== false;
+        } catch (err) {
+          console.error('Error replaying points via HTTP:', err);
+          return false;
+        }
+      }, 50, point => !endedSessionKeysRef.current.has(point.sessionKey));
+      
+      setPendingSyncCount(remaining);
+    } catch (err) {
+      console.error('Error syncing pending points:', err);
+    } finally {
+      syncInProgressRef.current = false;
+      if (syncRequestedRef.current) {
+        syncRequestedRef.current = false;
+        syncPendingPoints();
+      }
+    }
+  };
+  
+  // Tag points queued from now on with a new session, and take over any
+  // left without one so they're replayed rather than lost
+  const beginQueuedSession = (sessionKey) => {
+    trackingSessionKeyRef.current = sessionKey;
+    adoptOrphanPoints(sessionKey)
+      .then(adopted => {
+        if (adopted > 0) {
+          syncPendingPoints();
+        }
+      })
+      .catch(err => console.error('Error adopting queued points:', err));
+  };
+  
+  // Tracking stopped: stop replaying the session's points, but keep them
+  // until its track has been saved (or the user discards it)
+  const endQueuedSession = () => {
+    const sessionKey = trackingSessionKeyRef.current;
+    trackingSessionKeyRef.current = null;
+    if (sessionKey) {
+      endedSessionKeysRef.current.add(sessionKey);
+    }
+    return sessionKey;
+  };
+  
+  // The session's track was saved with stopSession, or won't be saved at all
+  const releaseQueuedSession = (sessionKey) => {
+    if (!sessionKey) return;
+    
+    removeSessionPoints(sessionKey)
+      .then(() => syncPendingPoints())
+      .catch(err => console.error('Error discarding queued points:', err));
+  };
+  
+  // Store a tracked point durably before trying to send it
+  const recordLocationUpdate = (payload) => {
+    const sessionKey = trackingSessionKeyRef.current;
+    if (!sessionKey) return; // A late fix after tracking stopped
+    
+    enqueuePoint({ ...payload, sessionKey })
+      .then(() => {
+        setPendingSyncCount(prev => prev + 1);
+        return syncPendingPoints();
+      })
+      .catch(err => {
+        // IndexedDB unavailable - fall back to sending directly
+        console.error('Error queueing location update:', err);
+        if (socketRef.current && socketRef.current.connected) {
+          socketRef.current.emit('location_update', payload);
+        }
+      });
+  };
+  
+  // Add an accepted fix to the live stats and queue it for the server.
+  // Kept out of state updaters, which React may run twice.
+  const recordTrackedSample = (sample) => {
+    const samples = filteredSamplesRef.current;
+    const previous = samples.length > 1 ? samples[samples.length - 2] : null;
+    if (!previous) return;
+    
+    const incrementalDistance = sample.resumed ? 0 : distanceKm(previous.position, sample.position);
+    const distance = trackingStatsRef.current.distance + incrementalDistance;
+    const updatedStats = {
+      ...trackingStatsRef.current,
+      distance,
+      // Speed (km/h) based on distance and time
+      speed: trackingStatsRef.current.startTime ?
+        (distance / ((Date.now() - trackingStatsRef.current.startTime) / 3600000)).toFixed(1) : 0
+    };
+    
+    // Update both the ref (immediately) and state (might be delayed)
+    trackingStatsRef.current = updatedStats;
+    setTrackingStats(updatedStats);
+    
+    // Queue location update so it survives signal loss, then sync
+    recordLocationUpdate({
+      userId: localStorage.getItem('userId'),
+      position: sample.position,
+      timestamp: sample.timestamp,
+      altitude: sample.altitude,
+      accuracy: sample.accuracy,
+      speed: sample.speed,
+      heading: sample.heading,
+      stats: updatedStats
+    });
+  };
+  
+  // Pick up points left over from a previous page load and retry when back online
+  useEffect(() => {
+    countPendingPoints()
+      .then(count => {
+        setPendingSyncCount(count);
+        if (count > 0) {
+          syncPendingPoints();
+        }
+      })
+      .catch(err => console.error('Error reading pending points:', err));
+    
+    const handleOnline = () => syncPendingPoints();
+    window.addEventListener('online', handleOnline);
+    
+    return () => {
+      window.removeEventListener('online', handleOnline);
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   // Cleanup socket connection
   useEffect(() => {
     // Initialize websocket connection on component mount
@@ -2977,6 +3468,10 @@ function Home() {
     }
       
     const elapsedSeconds = Math.floor(elapsedMs / 1000);
+    
+    // Moving time excludes manual and auto pauses
+    checkAutoPause();
+    const movingSeconds = Math.max(0, elapsedSeconds - Math.floor(getPausedMs(currentTime) / 1000));
       
     // Always update the time display
     const formattedTime = formatTime(elapsedSeconds);
@@ -2991,8 +3486,9 @@ function Home() {
     const updatedStats = {
       ...stats,
       duration: elapsedSeconds,
+      movingTime: movingSeconds,
       speed: isSimulatingRef.current ? (simulationSpeed * 5).toFixed(1) : 
-             (elapsedSeconds > 0 && stats.distance > 0 ? (stats.distance / (elapsedSeconds / 3600)).toFixed(1) : '0.0'),
+             (movingSeconds > 0 && stats.distance > 0 ? (stats.distance / (movingSeconds / 3600)).toFixed(1) : '0.0'),
       lastSyncTime: currentTime
     };
     
@@ -3146,7 +3642,7 @@ function Home() {
         startTime: now,
         lastSyncTime: now,
         progress: 0,
-        routeDistance: selectedRoute.distance || calculateRouteDistance(selectedRoute.pathCoordinates),
+        routeDistance: selectedRoute.distance || pathDistanceKm(selectedRoute.pathCoordinates),
         totalPoints: selectedRoute.pathCoordinates.length,
         currentPoint: 0
       };
@@ -3267,7 +3763,7 @@ function Home() {
           
           // Calculate incremental distance (safely)
           if (prevPoint && prevPoint.length >= 2 && nextPoint && nextPoint.length >= 2) {
-            const incrementalDistance = calculateDistance(prevPoint, nextPoint);
+            const incrementalDistance = distanceKm(prevPoint, nextPoint);
             
             // Calculate total distance for route progress tracking
             let totalDistance = 0;
@@ -3275,7 +3771,7 @@ function Home() {
               const p1 = routeData.pathCoordinates[i-1];
               const p2 = routeData.pathCoordinates[i];
               if (p1 && p2 && p1.length >= 2 && p2.length >= 2) {
-                totalDistance += calculateDistance(p1, p2);
+                totalDistance += distanceKm(p1, p2);
               }
             }
             
@@ -3359,7 +3855,7 @@ function Home() {
       setTrackingPath(finalPath);
       
       // Update stats one last time with accurate data
-      const finalDistance = calculateRouteDistance(finalPath);
+      const finalDistance = pathDistanceKm(finalPath);
       console.log(`Final route distance: ${finalDistance.toFixed(2)}km`);
       
       // Ensure we have good simulated duration data
@@ -3555,6 +4051,7 @@ function Home() {
           type: 'Point',
           coordinates: [lastPoint[1], lastPoint[0]]
         },
+        activityType, // Lets My Routes filter routes by activity
         completed: true // Automatically mark simulated routes as completed
       };
       
@@ -3628,7 +4125,7 @@ function Home() {
       // If distance is missing or invalid, calculate it
       if (!finalDistance || finalDistance <= 0) {
         console.log("Recalculating distance for simulated activity");
-        finalDistance = calculateRouteDistance(pathToUse);
+        finalDistance = pathDistanceKm(pathToUse);
         
         // Log the calculated distance
         console.log("Calculated distance:", finalDistance);
@@ -3696,7 +4193,7 @@ function Home() {
         // Convert the route for the API
         route: {
           type: 'LineString',
-          coordinates: pathToUse.map(point => [point[1], point[0]])
+          coordinates: pathToUse.map(toLngLat)
         },
         averageSpeed: avgSpeed,
         maxSpeed: parseFloat(avgSpeed) * 1.2 || 10,
@@ -3810,8 +4307,21 @@ function Home() {
         return;
       }
       
+      // Save the road-following geometry, keeping the waypoints it was routed through
+      const routeData = isConnectWaypoints && snappedManualPath && snappedManualPath.snapped
+        ? {
+            ...manualRoute,
+            distance: parseFloat((snappedManualPath.distance / 1000).toFixed(2)),
+            waypoints: manualRoute.path.coordinates,
+            path: {
+              type: 'LineString',
+              coordinates: snappedManualPath.geometry.map(point => [point[1], point[0]]) // [lng, lat]
+            }
+          }
+        : manualRoute;
+      
       // Call the API to create the route
-      const result = await createRouteManually(token, manualRoute);
+      const result = await createRouteManually(token, routeData);
       
       if (result.success) {
         alert('Route created successfully!');
@@ -3829,35 +4339,7 @@ function Home() {
         // Process the created route for display
         const createdRoute = result.data;
         
-        // Process path coordinates
-        let pathCoordinates = [];
-        let startPoint = currentPosition;
-        let endPoint = currentPosition;
-        
-        if (createdRoute.path && createdRoute.path.coordinates) {
-          pathCoordinates = createdRoute.path.coordinates.map(coord => [coord[1], coord[0]]);
-        }
-        
-        if (createdRoute.startPoint && createdRoute.startPoint.coordinates) {
-          startPoint = [
-            createdRoute.startPoint.coordinates[1], 
-            createdRoute.startPoint.coordinates[0]
-          ];
-        }
-        
-        if (createdRoute.endPoint && createdRoute.endPoint.coordinates) {
-          endPoint = [
-            createdRoute.endPoint.coordinates[1], 
-            createdRoute.endPoint.coordinates[0]
-          ];
-        }
-        
-        const processedRoute = {
-          ...createdRoute,
-          pathCoordinates,
-          startPoint,
-          endPoint
-        };
+        const { route: processedRoute } = normalizeRoute(createdRoute);
         
         // Display the new route
         setSelectedRoute(processedRoute);
@@ -4001,9 +4483,51 @@ function Home() {
     }
     
     // Calculate the distance using the route coordinates
-    return calculateRouteDistance(fullPath);
+    return pathDistanceKm(fullPath);
   };
 
+  // Load the user's distance unit so splits match their preference
+  useEffect(() => {
+    const fetchPreferences = async () => {
+      try {
+        const token = localStorage.getItem('token');
+        if (token) {
+          const response = await getUserProfile(token);
+          if (response.success && response.data && response.data.activityPreferences) {
+            setDistanceUnit(response.data.activityPreferences.distanceUnit || 'km');
+            setVoiceCues({
+              ...DEFAULT_VOICE_CUES,
+              ...(response.data.activityPreferences.voiceCues || {})
+            });
+            setOffRouteAlerts({
+              ...DEFAULT_OFF_ROUTE_ALERTS,
+              ...(response.data.activityPreferences.offRouteAlerts || {})
+            });
+          }
+        }
+      } catch (error) {
+        console.error('Error fetching activity preferences:', error);
+      }
+    };
+
+    fetchPreferences();
+  }, []);
+
+  // Load the user's saved workouts for the workout picker
+  useEffect(() => {
+    const fetchWorkouts = async () => {
+      const token = localStorage.getItem('token');
+      if (!token) return;
+      
+      const response = await getUserWorkouts(token);
+      if (response.success) {
+        setWorkouts(response.data);
+      }
+    };
+
+    fetchWorkouts();
+  }, []);
+
   // Fetch user role on component mount
   useEffect(() => {
     const fetchUserRole = async () => {
@@ -4220,6 +4744,24 @@ function Home() {
             />
           )}
           
+          {/* Guidance line back to the nearest point on the route */}
+          {isTracking && offRouteStatus && offRouteStatus.beyondThreshold && offRouteStatus.nearestPoint && (
+            <Polyline 
+              positions={[currentPosition, offRouteStatus.nearestPoint]}
+              color="#DC2626"
+              weight={3}
+              opacity={0.9}
+              dashArray="6, 8"
+            />
+          )}
+          
+          {/* Ghost of the previous effort being raced */}
+          {isTracking && ghostStatus && ghostStatus.position && (
+            <Marker position={ghostStatus.position} icon={ghostIcon}>
+              <Popup>Ghost: {ghostRef.current ? ghostRef.current.title : 'previous effort'}</Popup>
+            </Marker>
+          )}
+          
           {/* Selected route */}
           {selectedRoute && selectedRoute.pathCoordinates && selectedRoute.pathCoordinates.length >= 2 && (
             <RouteDisplay 
@@ -4230,8 +4772,30 @@ function Home() {
             />
           )}
           
+          {/* Generated loop alternatives, the highlighted one drawn on top */}
+          {showGenerateForm && loopAlternatives
+            .map((loop, index) => ({ loop, index }))
+            .sort((a, b) => (a.index === selectedLoopIndex) - (b.index === selectedLoopIndex))
+            .map(({ loop, index }) => (
+              <Polyline
+                key={`loop-${index}-${loop.heading}`}
+                positions={loop.geometry}
+                color={index === selectedLoopIndex ? '#16A34A' : '#6B7280'}
+                weight={index === selectedLoopIndex ? 5 : 3}
+                opacity={index === selectedLoopIndex ? 0.9 : 0.6}
+                dashArray={index === selectedLoopIndex ? null : '6, 8'}
+                eventHandlers={{ click: () => setSelectedLoopIndex(index) }}
+              />
+            ))}
+          
           {/* Manual route preview when in manual route creation mode */}
-          {showManualCreateForm && <ManualRoutePreview manualRoute={manualRoute} />}
+          {showManualCreateForm && (
+            <ManualRoutePreview 
+              manualRoute={manualRoute} 
+              onEdit={manualRouteHistory.apply}
+              snappedPath={isConnectWaypoints && snappedManualPath && snappedManualPath.snapped ? snappedManualPath.geometry : null}
+            />
+          )}
         </MapContainer>
       </div>
       
@@ -4264,22 +4828,20 @@ function Home() {
             </svg>
           </button>
           
-          {isAdmin && (
-            <button 
-              onClick={() => {
-                setShowGenerateForm(!showGenerateForm);
-                setShowRoutesList(false);
-                setIsPinningLocation(false);
-                setShowManualCreateForm(false);
-              }}
-              className={`button-with-tooltip flex items-center justify-center w-8 h-8 md:w-10 md:h-10 ${showGenerateForm ? 'bg-green-700' : 'bg-green-600'} hover:bg-green-700 text-white rounded-full shadow-lg`}
-              data-tooltip="Generate Route"
-            >
-              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-4 h-4 md:w-6 md:h-6">
-                <path fillRule="evenodd" d="M12 2.25c-5.385 0-9.75 4.365-9.75 9.75s4.365 9.75 9.75 9.75 9.75-4.365 9.75-9.75S17.385 2.25 12 2.25zM12.75 9a.75.75 0 00-1.5 0v2.25H9a.75.75 0 000 1.5h2.25V15a.75.75 0 001.5 0v-2.25H15a.75.75 0 000-1.5h-2.25V9z" clipRule="evenodd" />
-              </svg>
-            </button>
-          )}
+          <button 
+            onClick={() => {
+              setShowGenerateForm(!showGenerateForm);
+              setShowRoutesList(false);
+              setIsPinningLocation(false);
+              setShowManualCreateForm(false);
+            }}
+            className={`button-with-tooltip flex items-center justify-center w-8 h-8 md:w-10 md:h-10 ${showGenerateForm ? 'bg-green-700' : 'bg-green-600'} hover:bg-green-700 text-white rounded-full shadow-lg`}
+            data-tooltip="Generate Route"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className="w-4 h-4 md:w-6 md:h-6">
+              <path fillRule="evenodd" d="M12 2.25c-5.385 0-9.75 4.365-9.75 9.75s4.365 9.75 9.75 9.75 9.75-4.365 9.75-9.75S17.385 2.25 12 2.25zM12.75 9a.75.75 0 00-1.5 0v2.25H9a.75.75 0 000 1.5h2.25V15a.75.75 0 001.5 0v-2.25H15a.75.75 0 000-1.5h-2.25V9z" clipRule="evenodd" />
+            </svg>
+          </button>
           
           {isAdmin && (
             <button 
@@ -4360,15 +4922,29 @@ function Home() {
           SIMULATION MODE - Speed: {simulationSpeed}x
         </div>
       )}
-      
+
+      {/* Offline sync indicator - points recorded without signal waiting to be sent */}
+      {pendingSyncCount > 0 && (
+        <div className="absolute top-16 left-1/2 transform -translate-x-1/2 z-40 bg-amber-100 text-amber-800 border border-amber-300 rounded-full px-3 py-1 text-xs shadow flex items-center gap-2 pointer-events-auto">
+          <div className="h-2 w-2 rounded-full bg-amber-500 animate-pulse"></div>
+          {pendingSyncCount} {pendingSyncCount === 1 ? 'point' : 'points'} pending sync
+          <button
+            onClick={syncPendingPoints}
+            className="text-amber-900 underline hover:text-amber-700"
+          >
+            Retry
+          </button>
+        </div>
+      )}
+
       {/* Integrated tracking panel, no separate live tracking panel needed */}
       
       {/* Route Generation Panel (Floating) - with higher z-index */}
-      {showGenerateForm && isAdmin && (
-        <div className="absolute top-20 left-4 right-4 md:left-auto md:right-4 md:w-80 bg-white z-50 rounded-lg shadow-lg p-4 pointer-events-auto">
+      {showGenerateForm && (
+        <div className="absolute top-20 left-4 right-4 md:left-auto md:right-4 md:w-80 bg-white z-50 rounded-lg shadow-lg p-4 pointer-events-auto max-h-[70vh] overflow-y-auto">
           <div className="flex justify-between items-center mb-2">
             <h3 className="font-bold text-lg">Generate Route</h3>
-            <button onClick={() => setShowGenerateForm(false)} className="text-gray-500 hover:text-gray-700">
+            <button onClick={() => { setShowGenerateForm(false); setLoopAlternatives([]); }} className="text-gray-500 hover:text-gray-700">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
                 <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
               </svg>
@@ -4376,20 +4952,7 @@ function Home() {
           </div>
           
           <div className="mb-3">
-            <label className="block text-sm font-medium text-gray-700 mb-1">Route Type</label>
-            <select 
-              value={routeType}
-              onChange={(e) => setRouteType(e.target.value)}
-              className="w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-green-500 focus:border-green-500"
-            >
-              <option value="short">Short Route (2-3km)</option>
-              <option value="long">Long Route (5-10km)</option>
-              <option value="loop">Loop Route (Returns to Start)</option>
-            </select>
-          </div>
-          
-          <div className="mb-4">
-            <label className="block text-sm font-medium text-gray-700 mb-1">Max Distance (km)</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Target Distance (km)</label>
             <input 
               type="number" 
               value={maxDistance}
@@ -4401,14 +4964,73 @@ function Home() {
           </div>
           
           <button 
-            onClick={handleGenerateRoute}
-            disabled={generatingRoute}
-            className={`w-full py-2 px-4 bg-green-600 text-white rounded-md font-medium ${
+            onClick={handleGenerateLoops}
+            disabled={generatingRoute || !isRoutingConfigured()}
+            className={`w-full py-2 px-4 bg-green-600 text-white rounded-md font-medium disabled:opacity-50 ${
               generatingRoute ? 'opacity-70 cursor-wait' : 'hover:bg-green-700'
             }`}
           >
-            {generatingRoute ? 'Generating...' : 'Generate Route'}
+            {generatingRoute ? 'Generating...' : loopAlternatives.length > 0 ? 'Try Other Directions' : 'Generate Loops'}
           </button>
+          <p className="text-xs text-gray-500 mt-1">
+            {isRoutingConfigured()
+              ? 'Round trips from your current position, following roads and trails.'
+              : 'Loops need a routing server to follow roads and trails; none is configured.'}
+          </p>
+          
+          {loopAlternatives.length > 0 && (
+            <div className="mt-3">
+              <div className="space-y-1 mb-2">
+                {loopAlternatives.map((loop, index) => (
+                  <button
+                    key={`loop-option-${index}-${loop.heading}`}
+                    onClick={() => setSelectedLoopIndex(index)}
+                    className={`w-full text-left p-2 rounded border text-sm ${
+                      index === selectedLoopIndex ? 'border-green-600 bg-green-50' : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="flex justify-between">
+                      <span className="font-medium">Loop {index + 1} · heads {loop.direction}</span>
+                      <span>{loop.distance.toFixed(1)} km</span>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {loop.score}% match to {maxDistance} km{!loop.snapped && ' · straight lines, routing unavailable'}
+                    </div>
+                  </button>
+                ))}
+              </div>
+              <button
+                onClick={() => handleUseLoop(loopAlternatives[selectedLoopIndex])}
+                className="w-full py-2 px-4 bg-blue-600 text-white rounded-md font-medium hover:bg-blue-700"
+              >
+                Use This Loop
+              </button>
+            </div>
+          )}
+          
+          {isAdmin && (
+            <div className="mt-4 pt-3 border-t border-gray-200">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Server Route Type (admin)</label>
+              <select 
+                value={routeType}
+                onChange={(e) => setRouteType(e.target.value)}
+                className="w-full p-2 mb-2 border border-gray-300 rounded-md shadow-sm focus:ring-green-500 focus:border-green-500"
+              >
+                <option value="short">Short Route (2-3km)</option>
+                <option value="long">Long Route (5-10km)</option>
+                <option value="loop">Loop Route (Returns to Start)</option>
+              </select>
+              <button 
+                onClick={handleGenerateRoute}
+                disabled={generatingRoute}
+                className={`w-full py-2 px-4 bg-gray-600 text-white rounded-md font-medium ${
+                  generatingRoute ? 'opacity-70 cursor-wait' : 'hover:bg-gray-700'
+                }`}
+              >
+                Generate on Server
+              </button>
+            </div>
+          )}
         </div>
       )}
       
@@ -4654,7 +5276,17 @@ function Home() {
                   />
                   <label htmlFor="connectWaypoints" className="text-sm font-medium text-gray-700">
                     Auto-connect waypoints
-                    <span className="ml-1 text-xs text-gray-500">(Coming soon)</span>
+                    {isConnectWaypoints && (
+                      <span className={`ml-1 text-xs ${snappedManualPath && snappedManualPath.error ? 'text-amber-600' : 'text-gray-500'}`}>
+                        {routingInProgress 
+                          ? '(Routing...)' 
+                          : snappedManualPath 
+                            ? (snappedManualPath.snapped
+                              ? '(Following roads)'
+                              : snappedManualPath.error ? '(Routing unavailable, straight lines)' : '(Straight lines, no routing server configured)')
+                            : ''}
+                      </span>
+                    )}
                   </label>
                 </div>
               </div>
@@ -4843,8 +5475,15 @@ function Home() {
               </div>
               
               <p className="text-xs text-gray-500 mt-1">
-                Add at least 2 points for a valid route.
+                Add at least 2 points for a valid route. On the map, drag points to move them, click the line to insert one and right-click a point to delete it.
               </p>
+              
+              <div className="mt-2">
+                <RouteEditorToolbar 
+                  path={getManualRouteVertices(manualRoute).vertices}
+                  history={manualRouteHistory}
+                />
+              </div>
             </div>
             
             <div className="grid grid-cols-2 gap-2">
@@ -4906,6 +5545,15 @@ function Home() {
             >
               Nearby
             </button>
+            <button 
+              className={`py-2 px-4 text-sm font-medium ${routeListTab === 'favourites' ? 'text-purple-600 border-b-2 border-purple-600' : 'text-gray-500 hover:text-gray-700'}`}
+              onClick={() => {
+                setRouteListTab('favourites');
+                fetchFavouriteRoutes();
+              }}
+            >
+              Favourites
+            </button>
           </div>
           
           {routeListTab === 'nearby' ? (
@@ -4927,10 +5575,18 @@ function Home() {
               </div>
             ) : (
               <div className="space-y-3">
-                <div className="text-sm text-center text-gray-600 mb-2">
-                  Showing routes within 5km of your current location
+                <div className="flex justify-between items-center text-sm text-gray-600 mb-2">
+                  <span>Routes within 5km of you</span>
+                  <select
+                    value={nearbySort}
+                    onChange={(e) => setNearbySort(e.target.value)}
+                    className="p-1 text-xs border border-gray-300 rounded"
+                  >
+                    <option value="distance">Closest first</option>
+                    <option value="rating">Top rated</option>
+                  </select>
                 </div>
-                {nearbyRoutes.map(route => (
+                {(nearbySort === 'rating' ? [...nearbyRoutes].sort(compareByRating) : nearbyRoutes).map(route => (
                   <div 
                     key={route._id}
                     className="bg-white p-3 border rounded-lg border-gray-200 hover:shadow-md transition-shadow duration-200"
@@ -4938,7 +5594,19 @@ function Home() {
                   >
                     <div className="flex justify-between items-start">
                       <div className="flex flex-col">
-                        <h4 className="font-bold text-gray-800">{route.title || 'Unnamed Route'}</h4>
+                        <h4 className="font-bold text-gray-800">
+                          <button 
+                            className={`mr-1 leading-none ${isFavouriteRoute(route) ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'}`}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              toggleFavouriteRoute(route);
+                            }}
+                            title={isFavouriteRoute(route) ? 'Remove from favourites' : 'Add to favourites'}
+                          >
+                            {isFavouriteRoute(route) ? '\u2605' : '\u2606'}
+                          </button>
+                          {route.title || 'Unnamed Route'}
+                        </h4>
                         <div className="flex items-start gap-1 mt-0.5">
                           {route.isVerified && (
                             <span className="bg-blue-100 text-blue-800 text-xs px-2 py-0.5 rounded-full">Verified</span>
@@ -4947,6 +5615,11 @@ function Home() {
                           <span className="bg-green-100 text-green-800 text-xs px-2 py-0.5 rounded-full">
                             {route.distanceToRoute ? `${route.distanceToRoute} km away` : 'Nearby'}
                           </span>
+                          {routeRating(route).average !== null && (
+                            <span className="bg-yellow-100 text-yellow-800 text-xs px-2 py-0.5 rounded-full">
+                              &#9733; {routeRating(route).average.toFixed(1)} ({routeRating(route).count})
+                            </span>
+                          )}
                         </div>
                       </div>
                       {route.user && (
@@ -5014,12 +5687,17 @@ function Home() {
               </div>
             )
           ) : (
-            // Original tabs content (All and Completed)
-            loading ? (
+            // Original tabs content (All, Completed and Favourites)
+            loading || (routeListTab === 'favourites' && loadingFavourites && favouriteRoutes.length === 0) ? (
             <div className="text-center py-8">Loading routes...</div>
           ) : error ? (
             <div className="text-center py-4 text-red-500">{error}</div>
-          ) : userRoutes.length === 0 ? (
+          ) : routeListTab === 'favourites' && favouriteRoutes.length === 0 ? (
+            <div className="text-center py-4 text-gray-500">
+              <p>No favourite routes yet.</p>
+              <p className="text-xs mt-1">Tap the star on any route to keep it here.</p>
+            </div>
+          ) : userRoutes.length === 0 && routeListTab !== 'favourites' ? (
             <div className="text-center py-4 text-gray-500">
               <p>No saved routes found.</p>
               <button 
@@ -5034,7 +5712,7 @@ function Home() {
             </div>
           ) : (
             <div className="space-y-3">
-                {userRoutes
+                {(routeListTab === 'favourites' ? favouriteRoutes : userRoutes)
                   .filter(route => {
                     if (routeListTab === 'all') return true;
                     if (routeListTab === 'completed') return route.completed;
@@ -5050,7 +5728,17 @@ function Home() {
                 >
                   <div className="flex justify-between items-start">
                   <h4 className="font-bold text-gray-800">{route.title || 'Unnamed Route'}</h4>
-                    <div className="flex gap-1">
+                    <div className="flex items-center gap-1">
+                    <button 
+                      className={`text-base leading-none ${isFavouriteRoute(route) ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'}`}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        toggleFavouriteRoute(route);
+                      }}
+                      title={isFavouriteRoute(route) ? 'Remove from favourites' : 'Add to favourites'}
+                    >
+                      {isFavouriteRoute(route) ? '\u2605' : '\u2606'}
+                    </button>
                     {route.completed && (
                       <span className="bg-green-100 text-green-800 text-xs px-2 py-0.5 rounded-full">Completed</span>
                     )}
@@ -5138,16 +5826,20 @@ function Home() {
           </div>
           
           <div className="flex justify-between text-xs my-1">
-            <span>Distance: {selectedRoute.distance || calculateRouteDistance(selectedRoute.pathCoordinates).toFixed(2)} km</span>
+            <span>Distance: {selectedRoute.distance || pathDistanceKm(selectedRoute.pathCoordinates).toFixed(2)} km</span>
             <span>Elevation: {selectedRoute.elevationGain || '0'} m</span>
           </div>
           
+          {!isTracking && !isSimulating && (
+            <RouteReviews route={selectedRoute} compact />
+          )}
+          
           {isTracking || isSimulating ? (
             <div className="mt-1">
               <div className="p-2 bg-purple-50 rounded-lg border border-purple-200">
                 <div className="flex justify-between items-center mb-1">
                   <h3 className="font-bold text-xs text-purple-800">
-                    {isSimulating ? 'Simulating Route' : isAutoCompleted ? 'Route Completed!' : 'Tracking Route'}
+                    {isSimulating ? 'Simulating Route' : isAutoCompleted ? 'Route Completed!' : isPaused ? (pauseReason === 'auto' ? 'Auto-paused' : 'Paused') : 'Tracking Route'}
                   </h3>
                   <div className={`h-2 w-2 rounded-full ${isAutoCompleted ? 'bg-green-500' : 'animate-pulse bg-purple-500'}`}></div>
                   {socketRef.current && socketRef.current.connected && (
@@ -5162,6 +5854,9 @@ function Home() {
                   <div className="bg-white p-1 rounded shadow-sm">
                     <div className="text-xs text-gray-500">Time</div>
                     <div className="text-sm font-semibold text-purple-700">{elapsedTime}</div>
+                    {!isSimulating && trackingStats.movingTime !== undefined && trackingStats.movingTime !== trackingStats.duration && (
+                      <div className="text-xs text-gray-500">Moving {formatTime(trackingStats.movingTime)}</div>
+                    )}
                   </div>
                   
                   <div className="bg-white p-1 rounded shadow-sm">
@@ -5184,7 +5879,69 @@ function Home() {
                     </div>
                   </div>
                 </div>
-                
+
+                {isTracking && !isSimulating && workoutStatus && (
+                  <div className="bg-white p-1 rounded shadow-sm mb-1">
+                    {workoutStatus.finished ? (
+                      <div className="text-xs font-semibold text-green-700">Workout complete</div>
+                    ) : (
+                      <>
+                        <div className="flex justify-between items-center">
+                          <span className="text-xs font-semibold text-purple-800">
+                            {workoutStatus.step.label}
+                            <span className="font-normal text-gray-500"> ({workoutStatus.stepIndex + 1}/{workoutStatus.totalSteps})</span>
+                          </span>
+                          <span className="text-sm font-semibold text-purple-700">
+                            {formatStepGoal({ goalType: workoutStatus.step.goalType, goalValue: workoutStatus.remaining })}
+                          </span>
+                        </div>
+                        <div className="w-full bg-gray-200 rounded-full h-1 my-1">
+                          <div className="bg-purple-600 h-1 rounded-full" style={{width: `${Math.round(workoutStatus.progress * 100)}%`}}></div>
+                        </div>
+                        <div className="flex justify-between items-center text-xs">
+                          <span className={
+                            workoutStatus.compliance === 'on' ? 'text-green-600' :
+                            workoutStatus.compliance === 'fast' ? 'text-blue-600' :
+                            workoutStatus.compliance === 'slow' ? 'text-red-600' : 'text-gray-500'
+                          }>
+                            Pace {formatPace(workoutStatus.pace)}/km
+                            {(workoutStatus.step.paceMin || workoutStatus.step.paceMax) && (
+                              <> (target {formatPace(workoutStatus.step.paceMin)}-{formatPace(workoutStatus.step.paceMax)})</>
+                            )}
+                            {workoutStatus.compliance === 'fast' && ' - ease off'}
+                            {workoutStatus.compliance === 'slow' && ' - speed up'}
+                          </span>
+                          <button onClick={handleSkipWorkoutStep} className="text-purple-600 hover:text-purple-800">
+                            Next step
+                          </button>
+                        </div>
+                        {workoutStatus.nextStep && (
+                          <div className="text-xs text-gray-500">Next: {workoutStatus.nextStep.label} {formatStepGoal(workoutStatus.nextStep)}</div>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
+
+                {isTracking && !isSimulating && ghostRef.current && (
+                  <div className={`text-xs font-semibold rounded p-1 mb-1 border ${ghostStatus && ghostStatus.delta !== null && ghostStatus.delta < 0 ? 'text-green-700 bg-green-50 border-green-200' : 'text-gray-700 bg-gray-50 border-gray-200'}`}>
+                    Ghost: {ghostStatus ? formatGhostDelta(ghostStatus.delta) : '--'}
+                    {ghostStatus && ghostStatus.finished && <span className="font-normal text-gray-500"> (ghost finished)</span>}
+                  </div>
+                )}
+
+                {isTracking && !isSimulating && offRouteStatus && offRouteStatus.offRoute && (
+                  <div className="text-xs font-semibold text-red-600 bg-red-50 border border-red-200 rounded p-1 mb-1">
+                    Off route - {Math.round(offRouteStatus.distance)} m away. Follow the red line back.
+                  </div>
+                )}
+
+                {isTracking && !isSimulating && gpsFilterStats && gpsFilterStats.discardedPoints > 0 && (
+                  <div className="text-xs text-gray-500 mb-1">
+                    GPS filter: {gpsFilterStats.discardedPoints} of {gpsFilterStats.rawPoints} fixes discarded
+                  </div>
+                )}
+
                 {isSimulating && (
                   <>
                     <div className="mt-1">
@@ -5249,6 +6006,25 @@ function Home() {
               </button>
             ) : (
               <div className="mt-1 flex space-x-1">
+                {!isSimulating && (
+                  <button 
+                    onClick={handleLap}
+                    disabled={isPaused}
+                    className="flex-1 py-1 bg-blue-500 hover:bg-blue-600 text-white rounded text-xs font-medium disabled:opacity-50"
+                  >
+                    Lap{lapCount > 0 ? ` (${lapCount})` : ''}
+                  </button>
+                )}
+                
+                {!isSimulating && (
+                  <button 
+                    onClick={togglePause}
+                    className={`flex-1 py-1 text-white rounded text-xs font-medium ${isPaused ? 'bg-green-500 hover:bg-green-600' : 'bg-amber-500 hover:bg-amber-600'}`}
+                  >
+                    {isPaused ? 'Resume' : 'Pause'}
+                  </button>
+                )}
+                
                 <button 
                   onClick={isSimulating ? toggleSimulation : toggleTracking}
                   className="flex-1 py-1 bg-red-500 hover:bg-red-600 text-white rounded text-xs font-medium"
@@ -5283,6 +6059,54 @@ function Home() {
               <option value="hiking">Hiking</option>
               <option value="other">Other</option>
             </select>
+            <label className="flex items-center mt-1 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={autoPauseEnabled}
+                onChange={handleAutoPauseToggle}
+                className="mr-1"
+              />
+              Auto-pause when stopped
+            </label>
+            {ghostOptions.length > 0 && (
+              <div className="mt-1">
+                <label className="block text-xs text-gray-500 mb-1">Race a previous effort</label>
+                <select
+                  value={ghostActivityId}
+                  onChange={handleGhostChange}
+                  disabled={ghostLoading}
+                  className="w-full p-1 text-xs border border-gray-300 rounded shadow-sm"
+                >
+                  <option value="">No ghost</option>
+                  {ghostOptions.map(activity => (
+                    <option key={activity._id} value={activity._id}>
+                      {activity.onRoute ? '★ ' : ''}{activity.title} ({new Date(activity.startTime || activity.createdAt).toLocaleDateString()})
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="mt-1">
+              <label className="block text-xs text-gray-500 mb-1">Workout</label>
+              <div className="flex space-x-1">
+                <select
+                  value={selectedWorkoutId}
+                  onChange={(e) => setSelectedWorkoutId(e.target.value)}
+                  className="flex-1 p-1 text-xs border border-gray-300 rounded shadow-sm"
+                >
+                  <option value="">Free run</option>
+                  {workouts.map(workout => (
+                    <option key={workout._id} value={workout._id}>{workout.name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setShowWorkoutBuilder(true)}
+                  className="px-2 py-1 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded text-xs"
+                >
+                  Build
+                </button>
+              </div>
+            </div>
           </div>
           
           <div className="flex space-x-1">
@@ -5339,6 +6163,15 @@ function Home() {
           </button>
         </div>
       )}
+      
+      {showWorkoutBuilder && (
+        <WorkoutBuilder
+          workouts={workouts}
+          onClose={() => setShowWorkoutBuilder(false)}
+          onSaved={handleWorkoutSaved}
+          onDeleted={handleWorkoutDeleted}
+        />
+      )}
     </div>
   );
 }
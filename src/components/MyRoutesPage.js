@@ -1,7 +1,46 @@
-import React, { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, Polyline, Marker, Popup } from 'react-leaflet';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { MapContainer, TileLayer, Polyline, Marker, Popup, CircleMarker } from 'react-leaflet';
 import L from 'leaflet';
-import { getUserRoutes, saveRoute, deleteRoute, updateRoute } from '../services/apiService';
+import {
+  getUserRoutes,
+  saveRoute,
+  deleteRoute,
+  updateRoute,
+  getFavouriteRoutes,
+  addFavouriteRoute,
+  removeFavouriteRoute,
+  getRouteCollections,
+  createRouteCollection,
+  updateRouteCollection,
+  deleteRouteCollection,
+  addRouteToCollection,
+  removeRouteFromCollection,
+  reorderCollectionRoutes,
+  createRouteShareLink,
+  revokeRouteShareLink,
+  getUserSegments,
+  getUserProfile
+} from '../services/apiService';
+import { parseGpx, gpxToRouteData, routeToGpx, downloadGpx } from '../utils/gpx';
+import { buildElevationProfile, elevationGainLoss } from '../utils/elevation';
+import { displayPath, boundingBox } from '../utils/geometry';
+import { pathDistanceKm, normalizeRoutes } from '../utils/geo';
+import {
+  ROUTES_PAGE_SIZE,
+  ROUTE_SORT_OPTIONS,
+  DEFAULT_ROUTE_FILTERS,
+  hasActiveRouteFilters,
+  routeFiltersToQuery,
+  filterRoutes,
+  sortRoutes
+} from '../utils/routeFilters';
+import { getRouteId, collectionRouteIds, normalizeCollection, resolveCollectionRoutes, moveItem } from '../utils/collections';
+import { routeShareUrl, shareableRouteData } from '../utils/routeSharing';
+import ElevationProfile from './ElevationProfile';
+import RouteEditor from './RouteEditor';
+import RouteReviews from './RouteReviews';
+import SegmentSelector from './SegmentSelector';
 import 'leaflet/dist/leaflet.css';
 
 // Fix for default marker icons in Leaflet with React
@@ -37,7 +76,9 @@ const RouteMiniMap = ({ route }) => {
     );
   }
 
-  const bounds = L.latLngBounds(route.pathCoordinates);
+  // Simplified geometry is plenty at mini-map size
+  const displayCoordinates = route.displayCoordinates || route.pathCoordinates;
+  const bounds = L.latLngBounds(boundingBox(displayCoordinates));
 
   return (
     <div className="h-28 w-full rounded overflow-hidden">
@@ -60,7 +101,7 @@ const RouteMiniMap = ({ route }) => {
         />
         
         <Polyline 
-          positions={route.pathCoordinates}
+          positions={displayCoordinates}
           color="#4CAF50"
           weight={4}
           opacity={0.9}
@@ -78,6 +119,19 @@ const MyRoutesPage = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('all');
+  const [filters, setFilters] = useState(DEFAULT_ROUTE_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [totalRoutes, setTotalRoutes] = useState(0);
+  const [routeCounts, setRouteCounts] = useState({ total: 0, completed: 0, distance: 0 }); // Across all routes, ignoring filters
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [view, setView] = useState('routes'); // 'routes', 'collections' or 'segments'
+  const [favouriteIds, setFavouriteIds] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [newCollectionName, setNewCollectionName] = useState('');
+  const [shareLink, setShareLink] = useState(null); // { routeId, url } for the open route
+  const [segments, setSegments] = useState([]);
+  const [showSegmentSelector, setShowSegmentSelector] = useState(false);
+  const [segmentSelection, setSegmentSelection] = useState(null); // Sub-path highlighted on the detail map
   const [selectedRoute, setSelectedRoute] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
   const [confirmDelete, setConfirmDelete] = useState(null);
@@ -87,17 +141,47 @@ const MyRoutesPage = () => {
     description: '',
     isPublic: true
   });
+  const [importingGpx, setImportingGpx] = useState(false);
+  const [elevationHover, setElevationHover] = useState(null); // Profile point under the cursor
+  const gpxInputRef = useRef(null);
+  const routesRequestRef = useRef(0); // Id of the latest route list request
 
-  // OLONGAPO_COORDINATES as fallback
-  const OLONGAPO_COORDINATES = [14.8386, 120.2842];
+  // Elevation profile of the route open in the details modal
+  const elevationProfile = useMemo(() => (
+    selectedRoute ? buildElevationProfile(selectedRoute.pathCoordinates, selectedRoute.elevations) : []
+  ), [selectedRoute]);
+
+  // The completed/incomplete tabs act as the "completed by me" filter
+  const activeFilters = useMemo(() => ({
+    ...filters,
+    completed: activeTab === 'all' ? '' : activeTab
+  }), [filters, activeTab]);
+
+  // Reload the first page whenever the filters change; typing in search is debounced
+  useEffect(() => {
+    const timer = setTimeout(() => fetchRoutes(), filters.search ? 400 : 0);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeFilters]);
 
   useEffect(() => {
-    fetchRoutes();
+    fetchRouteCounts();
+    fetchFavourites();
+    fetchCollections();
+    fetchSegments();
   }, []);
 
-  const fetchRoutes = async () => {
+  // Fetch a page of routes; append adds the next page to those already loaded.
+  // Responses to superseded requests (e.g. an earlier search) are ignored.
+  const fetchRoutes = async (append = false) => {
+    const requestId = ++routesRequestRef.current;
+    const isCurrent = () => requestId === routesRequestRef.current;
     try {
-      setLoading(true);
+      if (append) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
+      }
       const token = localStorage.getItem('token');
       
       if (!token) {
@@ -106,132 +190,282 @@ const MyRoutesPage = () => {
         return;
       }
 
-      const response = await getUserRoutes(token);
+      const response = await getUserRoutes(token, routeFiltersToQuery(activeFilters, {
+        limit: ROUTES_PAGE_SIZE,
+        skip: append ? routes.length : 0
+      }));
+      if (!isCurrent()) return;
       
       if (response.success) {
         // Transform routes to include Leaflet-compatible coordinates
-        const processedRoutes = response.data.map(route => {
-          // Create default values in case data is missing
-          let pathCoordinates = [];
-          let startPoint = OLONGAPO_COORDINATES;
-          let endPoint = OLONGAPO_COORDINATES;
-          
-          // Process path coordinates directly from raw data
-          try {
-            let coordinates = [];
-            
-            if (typeof route.path === 'string') {
-              // If path is a string, parse it
-              try {
-                const parsedPath = JSON.parse(route.path);
-                coordinates = parsedPath.coordinates || [];
-              } catch (e) {
-                console.error('Error parsing path string:', e);
-              }
-            } else if (route.path && route.path.coordinates) {
-              // If path is an object with coordinates property
-              coordinates = route.path.coordinates;
-            } else if (route.path && Array.isArray(route.path)) {
-              // If path is directly an array of coordinates
-              coordinates = route.path;
-            }
-            
-            // Convert from GeoJSON [lng, lat] to Leaflet [lat, lng]
-            if (Array.isArray(coordinates) && coordinates.length > 0) {
-              pathCoordinates = coordinates.map(coord => {
-                if (Array.isArray(coord) && coord.length >= 2) {
-                  return [coord[1], coord[0]]; // Swap to Leaflet format
-                } else {
-                  return OLONGAPO_COORDINATES;
-                }
-              });
-            }
-          } catch (e) {
-            console.error('Error processing route path:', e);
-          }
-          
-          // Process start point
-          if (route.startPoint) {
-            try {
-              let startPointData = route.startPoint;
-              
-              if (typeof startPointData === 'string') {
-                try {
-                  startPointData = JSON.parse(startPointData);
-                } catch(e) {
-                  console.error('Error parsing start point:', e);
-                }
-              }
-              
-              if (startPointData.coordinates && Array.isArray(startPointData.coordinates) && startPointData.coordinates.length >= 2) {
-                startPoint = [startPointData.coordinates[1], startPointData.coordinates[0]];
-              }
-            } catch (e) {
-              console.error('Error processing start point:', e);
-            }
-          }
-          
-          // Process end point
-          if (route.endPoint) {
-            try {
-              let endPointData = route.endPoint;
-              
-              if (typeof endPointData === 'string') {
-                try {
-                  endPointData = JSON.parse(endPointData);
-                } catch(e) {
-                  console.error('Error parsing end point:', e);
-                }
-              }
-              
-              if (endPointData.coordinates && Array.isArray(endPointData.coordinates) && endPointData.coordinates.length >= 2) {
-                endPoint = [endPointData.coordinates[1], endPointData.coordinates[0]];
-              }
-            } catch (e) {
-              console.error('Error processing end point:', e);
-            }
-          }
-          
-          return {
-            ...route,
-            pathCoordinates,
-            startPoint,
-            endPoint
-          };
-        });
+        const processedRoutes = normalizeRoutes(response.data);
         
-        setRoutes(processedRoutes);
+        if (append) {
+          // Skip anything already loaded in case the server ignored the page offset
+          setRoutes(prev => [
+            ...prev,
+            ...processedRoutes.filter(route => !prev.some(existing => existing._id === route._id))
+          ]);
+        } else {
+          setRoutes(processedRoutes);
+        }
+        setTotalRoutes(response.total);
       } else {
         setError(response.message || 'Failed to fetch routes');
       }
     } catch (err) {
+      if (!isCurrent()) return;
       setError('An error occurred while fetching routes');
       console.error(err);
     } finally {
-      setLoading(false);
+      if (isCurrent()) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  };
+
+  // Unfiltered totals for the statistics; only the counts are used
+  const fetchRouteCounts = async () => {
+    const token = localStorage.getItem('token');
+    if (!token) return;
+
+    // Counted from every route rather than the server's totals, which may
+    // ignore filters or be missing
+    const response = await getUserRoutes(token);
+    if (response.success) {
+      const allRoutes = response.data;
+      setRouteCounts({
+        total: allRoutes.length,
+        completed: filterRoutes(allRoutes, { ...DEFAULT_ROUTE_FILTERS, completed: 'completed' }).length,
+        distance: allRoutes.reduce((sum, route) => sum + (route.distance || 0), 0)
+      });
+    }
+  };
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const clearFilters = () => {
+    setFilters(prev => ({ ...DEFAULT_ROUTE_FILTERS, sort: prev.sort }));
+    setActiveTab('all');
+  };
+
+  const fetchFavourites = async () => {
+    const token = localStorage.getItem('token');
+    if (!token) return;
+    
+    const response = await getFavouriteRoutes(token);
+    if (response.success) {
+      setFavouriteIds(response.data.map(getRouteId));
+    }
+  };
+
+  const fetchCollections = async () => {
+    const token = localStorage.getItem('token');
+    if (!token) return;
+    
+    const response = await getRouteCollections(token);
+    if (response.success) {
+      setCollections(response.data.map(normalizeCollection));
+    }
+  };
+
+  const handleToggleFavourite = async (route) => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      alert('You must be logged in to favourite routes');
+      return;
+    }
+    
+    const isFavourite = favouriteIds.includes(route._id);
+    // Update the star straight away and undo it if the request fails
+    setFavouriteIds(prev => isFavourite ? prev.filter(id => id !== route._id) : [...prev, route._id]);
+    
+    const response = isFavourite
+      ? await removeFavouriteRoute(token, route._id)
+      : await addFavouriteRoute(token, route._id);
+    
+    if (!response.success) {
+      setFavouriteIds(prev => isFavourite ? [...prev, route._id] : prev.filter(id => id !== route._id));
+      alert('Failed to update favourites: ' + (response.message || 'Unknown error'));
+    }
+  };
+
+  const fetchSegments = async () => {
+    const token = localStorage.getItem('token');
+    if (!token) return;
+    
+    const response = await getUserSegments(token);
+    if (response.success) {
+      setSegments(response.data);
+    }
+  };
+
+  // Swap in an updated collection; its routes are already normalized
+  const replaceCollection = (updated) => {
+    setCollections(prev => prev.map(collection => (
+      collection._id === updated._id ? updated : collection
+    )));
+  };
+
+  const handleCreateCollection = async (e) => {
+    e.preventDefault();
+    const name = newCollectionName.trim();
+    if (!name) return;
+    
+    const token = localStorage.getItem('token');
+    const response = await createRouteCollection(token, { name, routes: [] });
+    
+    if (response.success && response.data) {
+      setCollections(prev => [...prev, normalizeCollection(response.data)]);
+      setNewCollectionName('');
+    } else {
+      alert('Failed to create collection: ' + (response.message || 'Unknown error'));
+    }
+  };
+
+  const handleRenameCollection = async (collection) => {
+    const name = window.prompt('Collection name', collection.name);
+    if (!name || !name.trim() || name.trim() === collection.name) return;
+    
+    const token = localStorage.getItem('token');
+    const response = await updateRouteCollection(token, collection._id, { name: name.trim() });
+    
+    if (response.success) {
+      replaceCollection({ ...collection, name: name.trim() });
+    } else {
+      alert('Failed to rename collection: ' + (response.message || 'Unknown error'));
+    }
+  };
+
+  const handleDeleteCollection = async (collection) => {
+    if (!window.confirm(`Delete the collection "${collection.name}"? The routes themselves are kept.`)) return;
+    
+    const token = localStorage.getItem('token');
+    const response = await deleteRouteCollection(token, collection._id);
+    
+    if (response.success) {
+      setCollections(prev => prev.filter(item => item._id !== collection._id));
+    } else {
+      alert('Failed to delete collection: ' + (response.message || 'Unknown error'));
     }
   };
 
+  const handleToggleRouteInCollection = async (collection, route) => {
+    const token = localStorage.getItem('token');
+    const inCollection = collectionRouteIds(collection).includes(route._id);
+    
+    const response = inCollection
+      ? await removeRouteFromCollection(token, collection._id, route._id)
+      : await addRouteToCollection(token, collection._id, route._id);
+    
+    if (response.success) {
+      replaceCollection({
+        ...collection,
+        routes: inCollection
+          ? collection.routes.filter(entry => getRouteId(entry) !== route._id)
+          : [...collection.routes, route]
+      });
+    } else {
+      alert('Failed to update collection: ' + (response.message || 'Unknown error'));
+    }
+  };
+
+  const handleMoveCollectionRoute = async (collection, route, offset) => {
+    const token = localStorage.getItem('token');
+    const index = collection.routes.findIndex(entry => getRouteId(entry) === route._id);
+    const reordered = { ...collection, routes: moveItem(collection.routes, index, offset) };
+    // Show the new order straight away and restore the old one if saving fails
+    replaceCollection(reordered);
+    
+    const response = await reorderCollectionRoutes(token, collection._id, collectionRouteIds(reordered));
+    if (!response.success) {
+      replaceCollection(collection);
+      alert('Failed to reorder collection: ' + (response.message || 'Unknown error'));
+    }
+  };
+
+  // Keep the list's rating in step after the user reviews the open route
+  const handleRatingChange = ({ average, count }) => {
+    const ratingUpdate = { averageRating: average, ratingCount: count };
+    setRoutes(prev => prev.map(route => (
+      route._id === selectedRoute._id ? { ...route, ...ratingUpdate } : route
+    )));
+  };
+
   const handleRouteClick = (route) => {
     setSelectedRoute(route);
     setShowDetails(true);
     setEditMode(false);
   };
 
+  const handleShareRoute = async (route) => {
+    const token = localStorage.getItem('token');
+
+    // The route's own visibility and the owner's privacy setting decide what
+    // the link may show and who may open it
+    if (route.isPublic === false) {
+      alert('This route is private, so it can\'t be shared by link. Make it public to share.');
+      return;
+    }
+    const profile = await getUserProfile(token);
+    if (!profile.success || !profile.data) {
+      alert('Could not check your privacy settings: ' + (profile.message || 'Unknown error'));
+      return;
+    }
+    const privacyDefault = (profile.data.activityPreferences && profile.data.activityPreferences.privacyDefault) || 'public';
+    const shareData = shareableRouteData(route, privacyDefault);
+    if (!shareData) {
+      alert(privacyDefault === 'private'
+        ? 'Your privacy setting is Private, so routes can\'t be shared by link. Change it in your profile to share.'
+        : 'This route is too short to share with its start and end hidden.');
+      return;
+    }
+
+    const response = await createRouteShareLink(token, route._id, shareData);
+    
+    if (!response.success || !response.data || !response.data.shareId) {
+      alert('Failed to create share link: ' + (response.message || 'Unknown error'));
+      return;
+    }
+    
+    const url = routeShareUrl(response.data.shareId);
+    setShareLink({ routeId: route._id, url });
+    try {
+      await navigator.clipboard.writeText(url);
+    } catch (err) {
+      // Clipboard access can be blocked; the link is still shown to copy by hand
+      console.warn('Could not copy share link:', err);
+    }
+  };
+
   const handleCloseDetails = () => {
+    setShareLink(null);
+    setShowSegmentSelector(false);
     setShowDetails(false);
     setEditMode(false);
+    setElevationHover(null);
   };
 
   const handleEditClick = (route) => {
+    // The editor carries each vertex's elevation as a third value
+    const elevations = route.elevations || [];
     setEditedRoute({
       title: route.title || '',
       description: route.description || '',
-      isPublic: route.isPublic !== false // Default to true if not specified
+      isPublic: route.isPublic !== false, // Default to true if not specified
+      pathCoordinates: (route.pathCoordinates || []).map((point, index) =>
+        typeof elevations[index] === 'number' ? [...point, elevations[index]] : point
+      ),
+      pathEdited: false
     });
     setEditMode(true);
   };
 
+  const handlePathChange = (pathCoordinates) => {
+    setEditedRoute(prev => ({ ...prev, pathCoordinates, pathEdited: true }));
+  };
+
   const handleCancelEdit = () => {
     setEditMode(false);
   };
@@ -253,19 +487,76 @@ const MyRoutesPage = () => {
         return;
       }
 
+      const { pathCoordinates: editedPath, pathEdited, ...details } = editedRoute;
+      const updateData = { ...details };
+      let localUpdates = { ...details };
+      
+      // Only send geometry when the path was edited on the map
+      if (pathEdited) {
+        if (editedPath.length < 2) {
+          alert('A route needs at least 2 points');
+          return;
+        }
+        
+        const pathCoordinates = editedPath.map(point => [point[0], point[1]]);
+        const elevations = editedPath.map(point => (typeof point[2] === 'number' ? point[2] : null));
+        const hasElevations = elevations.some(elevation => elevation !== null);
+        // Recompute the climb from the edited path when it has elevations
+        const elevationUpdate = hasElevations ? { elevationGain: elevationGainLoss(elevations).gain } : {};
+        const distance = parseFloat(pathDistanceKm(pathCoordinates).toFixed(2));
+        const startPoint = pathCoordinates[0];
+        const endPoint = pathCoordinates[pathCoordinates.length - 1];
+        
+        Object.assign(updateData, {
+          distance,
+          path: {
+            type: 'LineString',
+            // [lng, lat], plus the elevation where the vertex has one
+            coordinates: editedPath.map((point, index) =>
+              elevations[index] !== null ? [point[1], point[0], elevations[index]] : [point[1], point[0]]
+            )
+          },
+          startPoint: { type: 'Point', coordinates: [startPoint[1], startPoint[0]] },
+          endPoint: { type: 'Point', coordinates: [endPoint[1], endPoint[0]] },
+          ...elevationUpdate
+        });
+        localUpdates = {
+          ...localUpdates,
+          ...elevationUpdate,
+          distance,
+          pathCoordinates,
+          displayCoordinates: displayPath(pathCoordinates),
+          startPoint,
+          endPoint,
+          elevations: hasElevations ? elevations : []
+        };
+      }
+
       setLoading(true);
-      const response = await updateRoute(token, selectedRoute._id, editedRoute);
+      const response = await updateRoute(token, selectedRoute._id, updateData);
       
       if (response.success) {
+        // A private route or a changed path no longer matches its share link
+        const madePrivate = selectedRoute.isPublic !== false && updateData.isPublic === false;
+        if (madePrivate || pathEdited) {
+          const revoked = await revokeRouteShareLink(token, selectedRoute._id);
+          if (!revoked.success) {
+            alert('The route was updated, but its share link could not be revoked: ' + (revoked.message || 'Unknown error'));
+          }
+          if (shareLink && shareLink.routeId === selectedRoute._id) {
+            setShareLink(null);
+          }
+        }
+        
         // Update the route in the local state
         const updatedRoutes = routes.map(route => 
           route._id === selectedRoute._id 
-            ? { ...route, ...editedRoute } 
+            ? { ...route, ...localUpdates } 
             : route
         );
         
         setRoutes(updatedRoutes);
-        setSelectedRoute({ ...selectedRoute, ...editedRoute });
+        setSelectedRoute({ ...selectedRoute, ...localUpdates });
         setEditMode(false);
         alert('Route updated successfully!');
       } else {
@@ -296,6 +587,8 @@ const MyRoutesPage = () => {
         setConfirmDelete(null);
         setShowDetails(false);
         fetchRoutes();
+        fetchRouteCounts();
+        fetchCollections();
         alert('Route deleted successfully!');
       } else {
         alert('Failed to delete route: ' + (response.message || 'Unknown error'));
@@ -308,6 +601,52 @@ const MyRoutesPage = () => {
     }
   };
 
+  // Create a route from an uploaded GPX file
+  const handleGpxImport = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    // Reset the input so the same file can be picked again
+    e.target.value = '';
+    if (!file) return;
+
+    const token = localStorage.getItem('token');
+    if (!token) {
+      alert('You must be logged in to import routes');
+      return;
+    }
+
+    try {
+      setImportingGpx(true);
+      const parsed = parseGpx(await file.text());
+      const routeData = gpxToRouteData(parsed, {
+        title: parsed.name || file.name.replace(/\.gpx$/i, '')
+      });
+
+      const response = await saveRoute(token, routeData);
+
+      if (response.success) {
+        alert(`Route "${routeData.title}" imported (${routeData.distance} km, ${routeData.elevationGain} m gain)`);
+        fetchRoutes();
+        fetchRouteCounts();
+      } else {
+        alert('Failed to import route: ' + (response.message || 'Unknown error'));
+      }
+    } catch (err) {
+      console.error('Error importing GPX:', err);
+      alert('Could not import GPX file: ' + err.message);
+    } finally {
+      setImportingGpx(false);
+    }
+  };
+
+  const handleGpxExport = (route) => {
+    try {
+      downloadGpx(routeToGpx(route), route.title || 'route');
+    } catch (err) {
+      console.error('Error exporting GPX:', err);
+      alert('Could not export route: ' + err.message);
+    }
+  };
+
   const handleConfirmDelete = (route) => {
     setConfirmDelete(route);
   };
@@ -316,25 +655,39 @@ const MyRoutesPage = () => {
     setConfirmDelete(null);
   };
 
-  // Filter routes based on active tab
-  const filteredRoutes = routes.filter(route => {
-    if (activeTab === 'all') return true;
-    if (activeTab === 'completed') return route.completed;
-    if (activeTab === 'incomplete') return !route.completed;
-    return true;
-  });
+  // Filter and sort the loaded routes; the server applies the same filters per page
+  const filteredRoutes = sortRoutes(filterRoutes(routes, activeFilters), filters.sort);
+  const filtersActive = hasActiveRouteFilters(activeFilters);
 
-  // Calculate route stats
+  // Stats cover all routes, not just the loaded pages
   const routeStats = {
-    total: routes.length,
-    completed: routes.filter(r => r.completed).length,
-    incomplete: routes.filter(r => !r.completed).length,
-    totalDistance: routes.reduce((sum, route) => sum + (route.distance || 0), 0)
+    total: routeCounts.total,
+    completed: routeCounts.completed,
+    incomplete: Math.max(0, routeCounts.total - routeCounts.completed),
+    totalDistance: routeCounts.distance
   };
 
   return (
     <div className="container mx-auto px-4 py-6">
-      <h1 className="text-2xl font-bold mb-6">My Routes</h1>
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">My Routes</h1>
+        <div>
+          <input
+            ref={gpxInputRef}
+            type="file"
+            accept=".gpx,application/gpx+xml"
+            className="hidden"
+            onChange={handleGpxImport}
+          />
+          <button
+            className="py-2 px-4 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50"
+            onClick={() => gpxInputRef.current && gpxInputRef.current.click()}
+            disabled={importingGpx}
+          >
+            {importingGpx ? 'Importing...' : 'Import GPX'}
+          </button>
+        </div>
+      </div>
       
       {/* Route statistics */}
       <div className="bg-white rounded-lg shadow-md p-4 mb-6">
@@ -359,6 +712,140 @@ const MyRoutesPage = () => {
         </div>
       </div>
       
+      {/* Switch between the route list and collections */}
+      <div className="flex gap-2 mb-4">
+        <button
+          className={`py-2 px-4 rounded-md ${view === 'routes' ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+          onClick={() => setView('routes')}
+        >
+          Routes
+        </button>
+        <button
+          className={`py-2 px-4 rounded-md ${view === 'collections' ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+          onClick={() => setView('collections')}
+        >
+          Collections ({collections.length})
+        </button>
+        <button
+          className={`py-2 px-4 rounded-md ${view === 'segments' ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+          onClick={() => setView('segments')}
+        >
+          Segments ({segments.length})
+        </button>
+      </div>
+      
+      {view === 'segments' ? (
+        segments.length === 0 ? (
+          <div className="bg-gray-50 p-8 rounded-lg text-center text-gray-500">
+            No segments yet. Open a route and choose Create Segment to time yourself on a stretch of it.
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow-md divide-y divide-gray-100">
+            {segments.map(segment => (
+              <Link
+                key={segment._id}
+                to={`/segments/${segment._id}`}
+                className="flex justify-between items-center p-4 hover:bg-gray-50"
+              >
+                <span className="font-medium text-gray-800">{segment.name}</span>
+                <span className="text-sm text-gray-500">
+                  {segment.distance ? `${(segment.distance * 1000).toFixed(0)} m` : ''}
+                  {segment.elevationGain ? ` · ${segment.elevationGain} m climb` : ''}
+                </span>
+              </Link>
+            ))}
+          </div>
+        )
+      ) : view === 'collections' ? (
+        <div className="space-y-4">
+          <form onSubmit={handleCreateCollection} className="flex gap-2">
+            <input
+              type="text"
+              placeholder='New collection, e.g. "Weekday 5k loops"'
+              value={newCollectionName}
+              onChange={(e) => setNewCollectionName(e.target.value)}
+              className="flex-1 p-2 border border-gray-300 rounded-md"
+            />
+            <button
+              type="submit"
+              className="py-2 px-4 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50"
+              disabled={!newCollectionName.trim()}
+            >
+              Create
+            </button>
+          </form>
+          
+          {collections.length === 0 ? (
+            <div className="bg-gray-50 p-8 rounded-lg text-center text-gray-500">
+              No collections yet. Create one, then add routes to it from their details.
+            </div>
+          ) : collections.map(collection => {
+            const collectionRoutes = resolveCollectionRoutes(collection, routes);
+            return (
+              <div key={collection._id} className="bg-white rounded-lg shadow-md p-4">
+                <div className="flex justify-between items-center mb-3">
+                  <h2 className="text-lg font-semibold">
+                    {collection.name}
+                    <span className="ml-2 text-sm font-normal text-gray-500">
+                      {collectionRoutes.length} {collectionRoutes.length === 1 ? 'route' : 'routes'}
+                    </span>
+                  </h2>
+                  <div className="flex gap-2 text-sm">
+                    <button className="text-purple-600 hover:text-purple-800" onClick={() => handleRenameCollection(collection)}>
+                      Rename
+                    </button>
+                    <button className="text-red-500 hover:text-red-700" onClick={() => handleDeleteCollection(collection)}>
+                      Delete
+                    </button>
+                  </div>
+                </div>
+                
+                {collectionRoutes.length === 0 ? (
+                  <p className="text-sm text-gray-500">No routes in this collection.</p>
+                ) : (
+                  <ol className="divide-y divide-gray-100">
+                    {collectionRoutes.map((route, index) => (
+                      <li key={route._id} className="flex items-center justify-between py-2">
+                        <button className="text-left" onClick={() => handleRouteClick(route)}>
+                          <span className="font-medium text-gray-800">{index + 1}. {route.title || 'Unnamed Route'}</span>
+                          <span className="ml-2 text-xs text-gray-500">
+                            {route.distance ? `${route.distance.toFixed(1)} km` : ''}
+                          </span>
+                        </button>
+                        <div className="flex gap-1 text-sm">
+                          <button
+                            className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-40"
+                            onClick={() => handleMoveCollectionRoute(collection, route, -1)}
+                            disabled={index === 0}
+                            title="Move up"
+                          >
+                            &uarr;
+                          </button>
+                          <button
+                            className="px-2 py-1 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-40"
+                            onClick={() => handleMoveCollectionRoute(collection, route, 1)}
+                            disabled={index === collectionRoutes.length - 1}
+                            title="Move down"
+                          >
+                            &darr;
+                          </button>
+                          <button
+                            className="px-2 py-1 text-red-500 hover:text-red-700"
+                            onClick={() => handleToggleRouteInCollection(collection, route)}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+      <>
       {/* Filter tabs */}
       <div className="flex border-b border-gray-200 mb-6">
         <button 
@@ -381,6 +868,92 @@ const MyRoutesPage = () => {
         </button>
       </div>
       
+      {/* Search, sort and filters */}
+      <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+        <div className="flex flex-col md:flex-row gap-2">
+          <input
+            type="search"
+            placeholder="Search title or description"
+            value={filters.search}
+            onChange={(e) => updateFilter('search', e.target.value)}
+            className="flex-1 p-2 border border-gray-300 rounded-md"
+          />
+          <select
+            value={filters.sort}
+            onChange={(e) => updateFilter('sort', e.target.value)}
+            className="p-2 border border-gray-300 rounded-md"
+          >
+            {ROUTE_SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>Sort: {option.label}</option>
+            ))}
+          </select>
+          <button
+            className={`py-2 px-4 rounded-md ${showFilters ? 'bg-purple-600 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+            onClick={() => setShowFilters(!showFilters)}
+          >
+            Filters
+          </button>
+        </div>
+        
+        {showFilters && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3 text-sm">
+            <div>
+              <label className="block text-gray-600 mb-1">Distance (km)</label>
+              <div className="flex gap-1">
+                <input type="number" min="0" placeholder="Min" value={filters.minDistance}
+                  onChange={(e) => updateFilter('minDistance', e.target.value)}
+                  className="w-full p-1 border border-gray-300 rounded" />
+                <input type="number" min="0" placeholder="Max" value={filters.maxDistance}
+                  onChange={(e) => updateFilter('maxDistance', e.target.value)}
+                  className="w-full p-1 border border-gray-300 rounded" />
+              </div>
+            </div>
+            <div>
+              <label className="block text-gray-600 mb-1">Elevation gain (m)</label>
+              <div className="flex gap-1">
+                <input type="number" min="0" placeholder="Min" value={filters.minElevation}
+                  onChange={(e) => updateFilter('minElevation', e.target.value)}
+                  className="w-full p-1 border border-gray-300 rounded" />
+                <input type="number" min="0" placeholder="Max" value={filters.maxElevation}
+                  onChange={(e) => updateFilter('maxElevation', e.target.value)}
+                  className="w-full p-1 border border-gray-300 rounded" />
+              </div>
+            </div>
+            <div>
+              <label className="block text-gray-600 mb-1">Activity</label>
+              <select value={filters.activityType} onChange={(e) => updateFilter('activityType', e.target.value)}
+                className="w-full p-1 border border-gray-300 rounded">
+                <option value="">Any</option>
+                <option value="run">Run</option>
+                <option value="jog">Jog</option>
+                <option value="walk">Walk</option>
+                <option value="cycling">Cycling</option>
+                <option value="hiking">Hiking</option>
+                <option value="other">Other</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-gray-600 mb-1">Verification</label>
+              <select value={filters.verified} onChange={(e) => updateFilter('verified', e.target.value)}
+                className="w-full p-1 border border-gray-300 rounded">
+                <option value="">Any</option>
+                <option value="verified">Verified</option>
+                <option value="unverified">Not verified</option>
+              </select>
+            </div>
+          </div>
+        )}
+        
+        {filtersActive && (
+          <div className="flex justify-between items-center mt-3 text-sm text-gray-600">
+            <span>{filteredRoutes.length} matching {filteredRoutes.length === 1 ? 'route' : 'routes'} loaded</span>
+            <button className="text-purple-600 hover:text-purple-800" onClick={clearFilters}>
+              Clear filters
+            </button>
+          </div>
+        )}
+      </div>
+      
       {loading ? (
         <div className="flex justify-center items-center py-12">
           <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-purple-700"></div>
@@ -389,6 +962,16 @@ const MyRoutesPage = () => {
         <div className="bg-red-100 text-red-700 p-4 rounded-lg mb-6">
           {error}
         </div>
+      ) : filteredRoutes.length === 0 && filtersActive ? (
+        <div className="bg-gray-50 p-8 rounded-lg text-center">
+          <p className="text-gray-500">No routes match your search and filters.</p>
+          <button 
+            className="mt-4 py-2 px-4 bg-purple-600 text-white rounded-md hover:bg-purple-700"
+            onClick={clearFilters}
+          >
+            Clear Filters
+          </button>
+        </div>
       ) : filteredRoutes.length === 0 ? (
         <div className="bg-gray-50 p-8 rounded-lg text-center">
           <p className="text-gray-500">No routes found. Try adding routes from the home page.</p>
@@ -421,6 +1004,16 @@ const MyRoutesPage = () => {
               
               <div className="p-4">
                 <div className="flex items-center gap-2 mb-1">
+                  <button
+                    className={`text-lg leading-none ${favouriteIds.includes(route._id) ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'}`}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleToggleFavourite(route);
+                    }}
+                    title={favouriteIds.includes(route._id) ? 'Remove from favourites' : 'Add to favourites'}
+                  >
+                    {favouriteIds.includes(route._id) ? '\u2605' : '\u2606'}
+                  </button>
                   <h3 className="font-bold text-gray-800">{route.title || 'Unnamed Route'}</h3>
                   {route.isVerified && (
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-blue-500" viewBox="0 0 20 20" fill="currentColor">
@@ -478,6 +1071,23 @@ const MyRoutesPage = () => {
         </div>
       )}
       
+      {!loading && routes.length > 0 && (
+        <div className="flex flex-col items-center mt-6 text-sm text-gray-600">
+          <p>Showing {routes.length} of {Math.max(totalRoutes, routes.length)} routes</p>
+          {routes.length < totalRoutes && (
+            <button
+              className="mt-2 py-2 px-4 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 disabled:opacity-50"
+              onClick={() => fetchRoutes(true)}
+              disabled={loadingMore}
+            >
+              {loadingMore ? 'Loading...' : 'Load More'}
+            </button>
+          )}
+        </div>
+      )}
+      </>
+      )}
+      
       {/* Route details modal */}
       {showDetails && selectedRoute && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -497,14 +1107,23 @@ const MyRoutesPage = () => {
                         </div>
                       )}
                     </div>
-                    <button 
-                      className="text-gray-500 hover:text-gray-700"
-                      onClick={handleCloseDetails}
-                    >
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                      </svg>
-                    </button>
+                    <div className="flex items-center gap-2">
+                      <button 
+                        className={`text-2xl leading-none ${favouriteIds.includes(selectedRoute._id) ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'}`}
+                        onClick={() => handleToggleFavourite(selectedRoute)}
+                        title={favouriteIds.includes(selectedRoute._id) ? 'Remove from favourites' : 'Add to favourites'}
+                      >
+                        {favouriteIds.includes(selectedRoute._id) ? '\u2605' : '\u2606'}
+                      </button>
+                      <button 
+                        className="text-gray-500 hover:text-gray-700"
+                        onClick={handleCloseDetails}
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </div>
                   </div>
                   
                   <div className="h-64 mb-4 rounded-lg overflow-hidden relative">
@@ -533,13 +1152,45 @@ const MyRoutesPage = () => {
                       <Marker position={selectedRoute.endPoint} icon={endIcon}>
                         <Popup>End point</Popup>
                       </Marker>
+                      
+                      {segmentSelection && segmentSelection.length >= 2 && (
+                        <Polyline 
+                          positions={segmentSelection}
+                          color="#F97316"
+                          weight={7}
+                          opacity={0.9}
+                        />
+                      )}
+                      
+                      {elevationHover && (
+                        <CircleMarker 
+                          center={elevationHover.position}
+                          radius={7}
+                          pathOptions={{ color: 'white', weight: 2, fillColor: '#7C3AED', fillOpacity: 1 }}
+                        />
+                      )}
                     </MapContainer>
                   </div>
                   
+                  {showSegmentSelector && (
+                    <SegmentSelector 
+                      path={selectedRoute.pathCoordinates}
+                      elevations={selectedRoute.elevations}
+                      source={{ route: selectedRoute._id }}
+                      onSelectionChange={setSegmentSelection}
+                      onClose={() => setShowSegmentSelector(false)}
+                    />
+                  )}
+                  
                   <div className="mb-4">
                     <p className="text-gray-700 text-sm">{selectedRoute.description || 'No description provided.'}</p>
                   </div>
                   
+                  <ElevationProfile 
+                    profile={elevationProfile}
+                    onHover={setElevationHover}
+                  />
+                  
                   <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-6">
                     <div className="bg-gray-50 p-3 rounded">
                       <div className="text-xs text-gray-500">Distance</div>
@@ -559,6 +1210,45 @@ const MyRoutesPage = () => {
                     </div>
                   </div>
                   
+                  <div className="text-sm font-medium text-gray-700 mb-2">Reviews &amp; Conditions</div>
+                  <RouteReviews 
+                    route={selectedRoute}
+                    onRatingChange={handleRatingChange}
+                  />
+                  
+                  {collections.length > 0 && (
+                    <div className="mb-6">
+                      <div className="text-sm font-medium text-gray-700 mb-2">Collections</div>
+                      <div className="flex flex-wrap gap-2">
+                        {collections.map(collection => {
+                          const inCollection = collectionRouteIds(collection).includes(selectedRoute._id);
+                          return (
+                            <button
+                              key={collection._id}
+                              className={`py-1 px-3 rounded-full text-xs border ${inCollection ? 'bg-purple-600 text-white border-purple-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                              onClick={() => handleToggleRouteInCollection(collection, selectedRoute)}
+                            >
+                              {inCollection ? '\u2713 ' : '+ '}{collection.name}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
+                  
+                  {shareLink && shareLink.routeId === selectedRoute._id && (
+                    <div className="mb-6 p-3 bg-purple-50 border border-purple-200 rounded text-sm">
+                      <div className="text-gray-700 mb-1">Anyone with this link can view the route and save a copy:</div>
+                      <input
+                        type="text"
+                        readOnly
+                        value={shareLink.url}
+                        onFocus={(e) => e.target.select()}
+                        className="w-full p-1 border border-gray-300 rounded bg-white"
+                      />
+                    </div>
+                  )}
+                  
                   <div className="flex justify-between">
                     <div className="flex gap-2">
                       <button 
@@ -578,6 +1268,29 @@ const MyRoutesPage = () => {
                       >
                         Edit Details
                       </button>
+                      
+                      <button 
+                        className="py-2 px-4 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+                        onClick={() => handleGpxExport(selectedRoute)}
+                      >
+                        Download GPX
+                      </button>
+                      
+                      <button 
+                        className="py-2 px-4 bg-gray-200 text-gray-800 rounded hover:bg-gray-300"
+                        onClick={() => handleShareRoute(selectedRoute)}
+                      >
+                        Share
+                      </button>
+                      
+                      {!showSegmentSelector && (
+                        <button 
+                          className="py-2 px-4 bg-orange-100 text-orange-800 rounded hover:bg-orange-200"
+                          onClick={() => setShowSegmentSelector(true)}
+                        >
+                          Create Segment
+                        </button>
+                      )}
                     </div>
                     
                     <button 
@@ -604,6 +1317,17 @@ const MyRoutesPage = () => {
                   </div>
                   
                   <div className="space-y-4 mb-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Path
+                      </label>
+                      <RouteEditor 
+                        path={editedRoute.pathCoordinates}
+                        onChange={handlePathChange}
+                        height="16rem"
+                      />
+                    </div>
+                    
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
                         Route Title
@@ -697,7 +1421,10 @@ const MyRoutesPage = () => {
       <div className="mt-8 flex justify-center">
         <button 
           className="py-2 px-4 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300"
-          onClick={fetchRoutes}
+          onClick={() => {
+            fetchRoutes();
+            fetchRouteCounts();
+          }}
         >
           Refresh Routes
         </button>
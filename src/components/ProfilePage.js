@@ -1,9 +1,15 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { getUserProfile, updateUserProfile, uploadProfilePicture, updatePrivacySettings, addWeightEntry, getWeightHistory, getUserStats, getImageUrl } from '../services/apiService';
+import { getUserProfile, updateUserProfile, uploadProfilePicture, updatePrivacySettings, revokeAllRouteShareLinks, addWeightEntry, getWeightHistory, getUserStats, getImageUrl } from '../services/apiService';
+import { DEFAULT_VOICE_CUES, isSpeechSupported, speak } from '../utils/voiceCues';
+import { DEFAULT_OFF_ROUTE_ALERTS } from '../utils/offRoute';
+import { PERSONAL_RECORDS, formatRecordValue } from '../utils/personalRecords';
+import { loadPersonalRecords } from '../services/personalRecordService';
 
 const ProfilePage = () => {
   const [user, setUser] = useState(null);
   const [userStats, setUserStats] = useState(null);
+  const [personalRecords, setPersonalRecords] = useState({});
+  const [recordsLoading, setRecordsLoading] = useState(true);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [editMode, setEditMode] = useState(false);
@@ -22,7 +28,9 @@ const ProfilePage = () => {
   const [privacyData, setPrivacyData] = useState({
     privacyDefault: 'public',
     distanceUnit: 'km',
-    paceUnit: 'min/km'
+    paceUnit: 'min/km',
+    voiceCues: DEFAULT_VOICE_CUES,
+    offRouteAlerts: DEFAULT_OFF_ROUTE_ALERTS
   });
   const [weightEntryData, setWeightEntryData] = useState({
     weight: '',
@@ -38,6 +46,7 @@ const ProfilePage = () => {
   useEffect(() => {
     fetchUserProfile();
     fetchUserStats();
+    fetchPersonalRecords();
   }, []);
 
   const fetchUserProfile = async () => {
@@ -72,7 +81,15 @@ const ProfilePage = () => {
           setPrivacyData({
             privacyDefault: response.data.activityPreferences.privacyDefault || 'public',
             distanceUnit: response.data.activityPreferences.distanceUnit || 'km',
-            paceUnit: response.data.activityPreferences.paceUnit || 'min/km'
+            paceUnit: response.data.activityPreferences.paceUnit || 'min/km',
+            voiceCues: {
+              ...DEFAULT_VOICE_CUES,
+              ...(response.data.activityPreferences.voiceCues || {})
+            },
+            offRouteAlerts: {
+              ...DEFAULT_OFF_ROUTE_ALERTS,
+              ...(response.data.activityPreferences.offRouteAlerts || {})
+            }
           });
         }
       } else {
@@ -101,6 +118,24 @@ const ProfilePage = () => {
     }
   };
 
+  const fetchPersonalRecords = async () => {
+    setRecordsLoading(true);
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) return;
+      
+      const response = await loadPersonalRecords(token);
+      
+      if (response.success) {
+        setPersonalRecords(response.data);
+      }
+    } catch (err) {
+      console.error('Error fetching personal records:', err);
+    } finally {
+      setRecordsLoading(false);
+    }
+  };
+
   const fetchWeightHistory = async () => {
     setWeightLoading(true);
     try {
@@ -135,6 +170,33 @@ const ProfilePage = () => {
     }));
   };
 
+  const handleVoiceCueChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setPrivacyData(prev => ({
+      ...prev,
+      voiceCues: {
+        ...prev.voiceCues,
+        [name]: type === 'checkbox' ? checked : parseFloat(value)
+      }
+    }));
+  };
+
+  const handleOffRouteChange = (e) => {
+    const { name, value } = e.target;
+    setPrivacyData(prev => ({
+      ...prev,
+      offRouteAlerts: {
+        ...prev.offRouteAlerts,
+        [name]: parseInt(value, 10)
+      }
+    }));
+  };
+
+  const handleTestVoice = () => {
+    const unit = privacyData.distanceUnit === 'miles' ? 'mile' : 'kilometer';
+    speak(`Distance ${privacyData.voiceCues.distanceInterval} ${unit}. Average pace 6 minutes per ${unit}.`, { interrupt: true });
+  };
+
   const handleWeightEntryChange = (e) => {
     const { name, value } = e.target;
     setWeightEntryData(prev => ({
@@ -275,9 +337,19 @@ const ProfilePage = () => {
         return;
       }
 
+      const previousPrivacy = user?.activityPreferences?.privacyDefault || 'public';
       const response = await updatePrivacySettings(token, privacyData);
       
       if (response.success) {
+        // Route share links were made under the old setting; revoke them so
+        // each route has to be shared again under the new one
+        if (privacyData.privacyDefault !== previousPrivacy) {
+          const revoked = await revokeAllRouteShareLinks(token);
+          if (!revoked.success) {
+            setError('Privacy updated, but existing route share links could not be revoked: ' + (revoked.message || 'Unknown error'));
+          }
+        }
+        
         // Update user with new privacy settings
         setUser(prev => ({
           ...prev,
@@ -504,6 +576,15 @@ const ProfilePage = () => {
                   <p className="text-sm text-gray-500">Pace Display</p>
                   <p className="text-gray-800">{user?.activityPreferences?.paceUnit || 'min/km'}</p>
                 </div>
+
+                <div>
+                  <p className="text-sm text-gray-500">Voice Cues</p>
+                  <p className="text-gray-800">
+                    {user?.activityPreferences?.voiceCues?.enabled
+                      ? `Every ${user.activityPreferences.voiceCues.distanceInterval || 1} ${getDistanceUnit()}`
+                      : 'Off'}
+                  </p>
+                </div>
               </div>
               
               {user?.bio && (
@@ -553,6 +634,31 @@ const ProfilePage = () => {
                 </div>
               </div>
             </div>
+            
+            <div className="border-t border-gray-200 px-6 py-4">
+              <h3 className="text-lg font-medium text-gray-800 mb-2">Personal Records</h3>
+              {recordsLoading ? (
+                <p className="text-sm text-gray-500">Calculating your records...</p>
+              ) : (
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                  {PERSONAL_RECORDS.map(({ key, label, kind }) => {
+                    const record = personalRecords[key];
+                    return (
+                      <div key={key}>
+                        <p className="text-sm text-gray-500">{label}</p>
+                        <p className="text-xl font-semibold text-gray-800">{formatRecordValue(record, kind)}</p>
+                        {record && (
+                          <p className="text-xs text-gray-500 truncate" title={record.activityTitle}>
+                            {record.activityTitle} · {formatDate(record.date)}
+                          </p>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+              <p className="text-xs text-gray-400 mt-2">Records come from your runs and jogs; archived and simulated activities don't count.</p>
+            </div>
           </div>
         ) : editMode ? (
           <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md overflow-hidden">
@@ -749,6 +855,111 @@ const ProfilePage = () => {
                   <option value="min/mile">Minutes per mile (min/mile)</option>
                 </select>
               </div>
+              
+              <div className="mb-4 border-t border-gray-200 pt-4">
+                <h3 className="text-lg font-medium text-gray-800 mb-2">Voice Cues</h3>
+                {!isSpeechSupported() && (
+                  <p className="text-xs text-amber-600 mb-2">Your browser doesn't support spoken announcements.</p>
+                )}
+                
+                <label className="flex items-center mb-3 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    name="enabled"
+                    checked={privacyData.voiceCues.enabled}
+                    onChange={handleVoiceCueChange}
+                    className="h-4 w-4 mr-2"
+                  />
+                  Announce progress out loud while tracking
+                </label>
+                
+                <div className="mb-3">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Announce Distance Every
+                  </label>
+                  <select
+                    name="distanceInterval"
+                    value={privacyData.voiceCues.distanceInterval}
+                    onChange={handleVoiceCueChange}
+                    disabled={!privacyData.voiceCues.enabled}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-green-500 focus:border-green-500"
+                  >
+                    <option value={0.5}>0.5 {privacyData.distanceUnit}</option>
+                    <option value={1}>1 {privacyData.distanceUnit}</option>
+                    <option value={2}>2 {privacyData.distanceUnit}</option>
+                    <option value={5}>5 {privacyData.distanceUnit}</option>
+                  </select>
+                </div>
+                
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm text-gray-700">
+                  {[
+                    { name: 'announcePace', label: 'Current and average pace' },
+                    { name: 'announceSplits', label: 'Split times' },
+                    { name: 'announceOffRoute', label: 'Off-route warnings' },
+                    { name: 'announceCompletion', label: 'Route completion' }
+                  ].map(option => (
+                    <label key={option.name} className="flex items-center">
+                      <input
+                        type="checkbox"
+                        name={option.name}
+                        checked={privacyData.voiceCues[option.name]}
+                        onChange={handleVoiceCueChange}
+                        disabled={!privacyData.voiceCues.enabled}
+                        className="h-4 w-4 mr-2"
+                      />
+                      {option.label}
+                    </label>
+                  ))}
+                </div>
+                
+                <button
+                  type="button"
+                  onClick={handleTestVoice}
+                  disabled={!privacyData.voiceCues.enabled || !isSpeechSupported()}
+                  className="mt-3 px-3 py-1 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Test Voice
+                </button>
+              </div>
+              
+              <div className="mb-4 border-t border-gray-200 pt-4">
+                <h3 className="text-lg font-medium text-gray-800 mb-2">Off-route Alerts</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Warn When Further Than
+                    </label>
+                    <select
+                      name="distance"
+                      value={privacyData.offRouteAlerts.distance}
+                      onChange={handleOffRouteChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-green-500 focus:border-green-500"
+                    >
+                      <option value={25}>25 m from the route</option>
+                      <option value={50}>50 m from the route</option>
+                      <option value={100}>100 m from the route</option>
+                      <option value={200}>200 m from the route</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      For At Least
+                    </label>
+                    <select
+                      name="time"
+                      value={privacyData.offRouteAlerts.time}
+                      onChange={handleOffRouteChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-green-500 focus:border-green-500"
+                    >
+                      <option value={0}>Immediately</option>
+                      <option value={5}>5 seconds</option>
+                      <option value={15}>15 seconds</option>
+                      <option value={30}>30 seconds</option>
+                      <option value={60}>1 minute</option>
+                    </select>
+                  </div>
+                </div>
+              </div>
             </div>
             
             <div className="border-t border-gray-200 px-6 py-4 flex justify-end space-x-3">
@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { MapContainer, TileLayer, Polyline, Marker, Tooltip, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { nearestPointOnRoute } from '../utils/offRoute';
+import { pathDistanceKm, DEFAULT_CENTER } from '../utils/geo';
+import 'leaflet/dist/leaflet.css';
+
+// Above this many vertices only the start and end get a handle
+export const MAX_EDITABLE_VERTICES = 300;
+
+// Undo steps kept per editing session
+const MAX_HISTORY = 100;
+
+const vertexIcon = (color, label, size) => new L.DivIcon({
+  className: 'custom-div-icon',
+  html: `<div style="background-color: ${color}; width: ${size}px; height: ${size}px; border-radius: 50%; border: 2px solid white; box-shadow: 0 0 3px rgba(0,0,0,0.5); display: flex; align-items: center; justify-content: center; color: white; font-size: 9px; font-weight: bold; cursor: move;">${label}</div>`,
+  iconSize: [size, size],
+  iconAnchor: [size / 2, size / 2]
+});
+
+const startVertexIcon = vertexIcon('#4CAF50', 'S', 22);
+const endVertexIcon = vertexIcon('#F44336', 'F', 22);
+const midVertexIcon = vertexIcon('#3388ff', '', 12);
+
+const hasElevation = (point) => Boolean(point) && typeof point[2] === 'number';
+
+/**
+ * Undo/redo for a controlled path. Every edit made through apply() records
+ * the previous path so it can be restored; edits made elsewhere (e.g. typed
+ * coordinates) simply become the new present.
+ * @param {Array} path - Current [lat, lng] path
+ * @param {Function} onChange - Called with the new path
+ * @returns {Object} - { apply(newPath), undo(), redo(), reset(), canUndo, canRedo }
+ */
+export const useRouteHistory = (path, onChange) => {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+
+  const apply = (newPath) => {
+    setPast(prev => [...prev, path].slice(-MAX_HISTORY));
+    setFuture([]);
+    onChange(newPath);
+  };
+
+  const undo = () => {
+    if (past.length === 0) return;
+    setFuture(prev => [path, ...prev]);
+    setPast(prev => prev.slice(0, -1));
+    onChange(past[past.length - 1]);
+  };
+
+  const redo = () => {
+    if (future.length === 0) return;
+    setPast(prev => [...prev, path]);
+    setFuture(prev => prev.slice(1));
+    onChange(future[0]);
+  };
+
+  const reset = () => {
+    setPast([]);
+    setFuture([]);
+  };
+
+  return { apply, undo, redo, reset, canUndo: past.length > 0, canRedo: future.length > 0 };
+};
+
+// Map clicks append a vertex to the end of the path
+function AppendOnClick({ onAppend }) {
+  useMapEvents({
+    click: (e) => onAppend([e.latlng.lat, e.latlng.lng])
+  });
+  return null;
+}
+
+/**
+ * Editable path drawn inside an existing MapContainer.
+ * Drag a handle to move a vertex, click the line to insert one,
+ * right-click a handle to delete it. Vertices may carry an elevation as a
+ * third value: moved vertices keep theirs and inserted ones interpolate it.
+ * @param {Array} path - [[lat, lng], ...] or [[lat, lng, elevation], ...]
+ * @param {Function} onEdit - Called with the edited path
+ * @param {boolean} appendOnMapClick - Also add a vertex where the map is clicked
+ */
+export function RouteEditorLayer({ path, onEdit, appendOnMapClick = false, color = '#8E24AA' }) {
+  const moveVertex = (index, latlng) => {
+    const updated = [...path];
+    updated[index] = [latlng.lat, latlng.lng, ...path[index].slice(2)];
+    onEdit(updated);
+  };
+
+  const removeVertex = (index) => {
+    onEdit(path.filter((_, i) => i !== index));
+  };
+
+  // Insert on the segment nearest to the click, snapped onto the line
+  const insertVertex = (latlng) => {
+    const nearest = nearestPointOnRoute([latlng.lat, latlng.lng], path);
+    if (!nearest) return;
+    // Interpolate the elevation when both neighbours have one
+    const from = path[nearest.segmentIndex];
+    const to = path[nearest.segmentIndex + 1];
+    const point = hasElevation(from) && hasElevation(to)
+      ? [...nearest.point, from[2] + (to[2] - from[2]) * nearest.fraction]
+      : nearest.point;
+
+    const updated = [...path];
+    updated.splice(nearest.segmentIndex + 1, 0, point);
+    onEdit(updated);
+  };
+
+  const showMidHandles = path.length <= MAX_EDITABLE_VERTICES;
+
+  return (
+    <>
+      {appendOnMapClick && <AppendOnClick onAppend={(point) => onEdit([...path, point])} />}
+
+      {path.length > 1 && (
+        <Polyline
+          positions={path}
+          color={color}
+          weight={5}
+          opacity={0.8}
+          bubblingMouseEvents={false}
+          eventHandlers={{ click: (e) => insertVertex(e.latlng) }}
+        >
+          <Tooltip sticky>Click to add a point here</Tooltip>
+        </Polyline>
+      )}
+
+      {path.map((point, index) => {
+        const isStart = index === 0;
+        const isEnd = index === path.length - 1 && path.length > 1;
+        if (!isStart && !isEnd && !showMidHandles) return null;
+
+        return (
+          <Marker
+            key={`vertex-${index}`}
+            position={point}
+            draggable
+            icon={isStart ? startVertexIcon : isEnd ? endVertexIcon : midVertexIcon}
+            eventHandlers={{
+              dragend: (e) => moveVertex(index, e.target.getLatLng()),
+              contextmenu: () => removeVertex(index)
+            }}
+          />
+        );
+      })}
+    </>
+  );
+}
+
+// Undo/redo buttons with the live distance of the path
+export function RouteEditorToolbar({ path, history, onClear }) {
+  return (
+    <div className="flex items-center justify-between gap-2 text-sm">
+      <div className="flex gap-1">
+        <button
+          type="button"
+          onClick={history.undo}
+          disabled={!history.canUndo}
+          className="px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded disabled:opacity-50"
+        >
+          Undo
+        </button>
+        <button
+          type="button"
+          onClick={history.redo}
+          disabled={!history.canRedo}
+          className="px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded disabled:opacity-50"
+        >
+          Redo
+        </button>
+        {onClear && (
+          <button
+            type="button"
+            onClick={onClear}
+            disabled={path.length === 0}
+            className="px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded disabled:opacity-50"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+      <span className="text-gray-600">
+        {pathDistanceKm(path).toFixed(2)} km · {path.length} points
+      </span>
+    </div>
+  );
+}
+
+/**
+ * Standalone route editor with its own map and toolbar.
+ * Click the map to append, drag handles to move, click the line to insert,
+ * right-click a handle to delete.
+ * @param {Array} path - [[lat, lng], ...]
+ * @param {Function} onChange - Called with the edited path
+ * @param {Array} center - Map center when the path is empty
+ */
+const RouteEditor = ({ path, onChange, center, height = '20rem' }) => {
+  const history = useRouteHistory(path, onChange);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) while the editor is open
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (['INPUT', 'TEXTAREA'].includes(document.activeElement?.tagName)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        history.undo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        history.redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  const mapProps = path.length >= 2
+    ? { bounds: L.latLngBounds(path), boundsOptions: { padding: [20, 20] } }
+    : { center: path[0] || center || DEFAULT_CENTER, zoom: 15 };
+
+  return (
+    <div>
+      <div className="rounded-lg overflow-hidden mb-2" style={{ height }}>
+        <MapContainer {...mapProps} style={{ height: '100%', width: '100%' }}>
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+          <RouteEditorLayer path={path} onEdit={history.apply} appendOnMapClick />
+        </MapContainer>
+      </div>
+      <RouteEditorToolbar path={path} history={history} onClear={() => history.apply([])} />
+      <p className="text-xs text-gray-500 mt-1">
+        Click the map to add points, drag to move, click the line to insert, right-click a point to delete.
+        {path.length > MAX_EDITABLE_VERTICES && ' This route has too many points to show every handle.'}
+      </p>
+    </div>
+  );
+};
+
+export default RouteEditor;
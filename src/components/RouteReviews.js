@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import {
+  getRouteReviews,
+  submitRouteReview,
+  getRouteConditionReports,
+  reportRouteCondition,
+  getUserActivities
+} from '../services/apiService';
+import { ROUTE_CONDITIONS, conditionInfo, summarizeRatings, recentConditionReports, formatStars } from '../utils/routeReviews';
+import { getRouteId } from '../utils/collections';
+import { findSegmentEfforts } from '../utils/segments';
+import { locationHistoryToTrack } from '../services/segmentService';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+// Review authors may be populated users or bare IDs
+const userId = (user) => (user && typeof user === 'object' ? user._id : user);
+
+const reviewerName = (user) => (user && (user.firstName || user.username)) || 'Anonymous';
+
+// Whether an activity covered the route. Activities recorded before they
+// carried a routeId are matched by following their track along the path.
+const completesRoute = (activity, routeId, path) => {
+  if (activity.routeId) return getRouteId(activity.routeId) === routeId;
+  return findSegmentEfforts(path, locationHistoryToTrack(activity.locationHistory)).length > 0;
+};
+
+// Ratings, reviews and recent condition reports for a saved route. Only users
+// who completed the route themselves can add to them: the viewer needs an
+// activity recorded on it, or it is their own route marked completed. The
+// completing activity goes along with each review so the server can check it.
+// compact starts with the review list collapsed for small panels;
+// onRatingChange receives { average, count }.
+const RouteReviews = ({ route, compact = false, onRatingChange }) => {
+  const [reviews, setReviews] = useState([]);
+  const [conditionReports, setConditionReports] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(!compact);
+  const [rating, setRating] = useState(0);
+  const [reviewText, setReviewText] = useState('');
+  const [condition, setCondition] = useState(ROUTE_CONDITIONS[0].value);
+  const [conditionNote, setConditionNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [completingActivityId, setCompletingActivityId] = useState(null);
+
+  // Generated routes exist only in the browser until they're saved
+  const routeId = route && route._id && !route._id.startsWith('generated-') ? route._id : null;
+  const routePath = route && route.pathCoordinates;
+
+  useEffect(() => {
+    setReviews([]);
+    setConditionReports([]);
+    setRating(0);
+    setReviewText('');
+    setCompletingActivityId(null);
+    if (!routeId) return;
+
+    const token = localStorage.getItem('token');
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      const [reviewsResponse, conditionsResponse, routeActivities] = await Promise.all([
+        getRouteReviews(token, routeId),
+        getRouteConditionReports(token, routeId),
+        getUserActivities(token, { routeId })
+      ]);
+      if (cancelled) return;
+
+      setReviews(reviewsResponse.data);
+      setConditionReports(conditionsResponse.data);
+
+      // Check each activity whatever the server filtered; older activities
+      // have no routeId, so look through all of them if none matched
+      let completing = routeActivities.data.find(activity => completesRoute(activity, routeId, routePath));
+      if (!completing) {
+        const allActivities = await getUserActivities(token);
+        if (cancelled) return;
+        completing = allActivities.data.find(activity => completesRoute(activity, routeId, routePath));
+      }
+      setCompletingActivityId(completing ? completing._id : null);
+      setLoading(false);
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [routeId, routePath]);
+
+  if (!routeId) return null;
+
+  const summary = summarizeRatings(reviews);
+  const recentReports = recentConditionReports(conditionReports);
+  // A route's completed flag belongs to its owner
+  const isOwnRoute = Boolean(route.user) && userId(route.user) === localStorage.getItem('userId');
+  const canContribute = Boolean(completingActivityId) || (isOwnRoute && Boolean(route.completed));
+
+  const handleSubmitReview = async (e) => {
+    e.preventDefault();
+    const token = localStorage.getItem('token');
+    setSubmitting(true);
+    const response = await submitRouteReview(token, routeId, {
+      rating,
+      review: reviewText.trim(),
+      activityId: completingActivityId || undefined
+    });
+    setSubmitting(false);
+
+    if (response.success && response.data) {
+      // The API keeps one review per user, so replace any earlier one
+      const authorId = userId(response.data.user);
+      const updated = [
+        response.data,
+        ...reviews.filter(review => !authorId || userId(review.user) !== authorId)
+      ];
+      setReviews(updated);
+      setRating(0);
+      setReviewText('');
+      if (onRatingChange) onRatingChange(summarizeRatings(updated));
+    } else {
+      alert('Failed to save review: ' + (response.message || 'Unknown error'));
+    }
+  };
+
+  const handleReportCondition = async (e) => {
+    e.preventDefault();
+    const token = localStorage.getItem('token');
+    setSubmitting(true);
+    const response = await reportRouteCondition(token, routeId, {
+      condition,
+      note: conditionNote.trim(),
+      activityId: completingActivityId || undefined
+    });
+    setSubmitting(false);
+
+    if (response.success && response.data) {
+      setConditionReports(prev => [response.data, ...prev]);
+      setConditionNote('');
+    } else {
+      alert('Failed to report condition: ' + (response.message || 'Unknown error'));
+    }
+  };
+
+  return (
+    <div className={compact ? 'mt-2 text-xs' : 'mb-6 text-sm'}>
+      <div className="flex justify-between items-center">
+        <div>
+          {summary.average !== null ? (
+            <>
+              <span className="text-yellow-500">{formatStars(summary.average)}</span>
+              <span className="ml-1 text-gray-700 font-medium">{summary.average.toFixed(1)}</span>
+              <span className="ml-1 text-gray-500">({summary.count} {summary.count === 1 ? 'rating' : 'ratings'})</span>
+            </>
+          ) : (
+            <span className="text-gray-500">{loading ? 'Loading reviews...' : 'No ratings yet'}</span>
+          )}
+        </div>
+        {compact && (
+          <button className="text-purple-600 hover:text-purple-800" onClick={() => setExpanded(!expanded)}>
+            {expanded ? 'Hide reviews' : 'Reviews'}
+          </button>
+        )}
+      </div>
+
+      {recentReports.length > 0 && (
+        <div className="flex flex-wrap gap-1 mt-1">
+          {recentReports.slice(0, compact ? 3 : recentReports.length).map((report, index) => {
+            const info = conditionInfo(report.condition);
+            return (
+              <span
+                key={report._id || index}
+                className={`px-2 py-0.5 rounded-full ${info.className}`}
+                title={report.note || ''}
+              >
+                {info.label} &middot; {formatDate(report.reportedAt || report.createdAt)}
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      {expanded && (
+        <div className="mt-2 space-y-2">
+          {reviews.length > 0 && (
+            <div className={`space-y-2 overflow-y-auto ${compact ? 'max-h-32' : 'max-h-48'}`}>
+              {reviews.map((review, index) => (
+                <div key={review._id || index} className="bg-gray-50 p-2 rounded">
+                  <div className="flex justify-between">
+                    <span className="font-medium text-gray-700">{reviewerName(review.user)}</span>
+                    <span className="text-yellow-500">{formatStars(review.rating)}</span>
+                  </div>
+                  {review.review && <p className="text-gray-600 mt-1">{review.review}</p>}
+                  <div className="text-gray-400 mt-1">{formatDate(review.updatedAt || review.createdAt)}</div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {canContribute ? (
+            <>
+              <form onSubmit={handleSubmitReview} className="space-y-1">
+                <div className="flex items-center gap-1">
+                  <span className="text-gray-600 mr-1">Your rating</span>
+                  {[1, 2, 3, 4, 5].map(value => (
+                    <button
+                      key={value}
+                      type="button"
+                      className={`text-lg leading-none ${value <= rating ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-400'}`}
+                      onClick={() => setRating(value)}
+                    >
+                      &#9733;
+                    </button>
+                  ))}
+                </div>
+                <textarea
+                  value={reviewText}
+                  onChange={(e) => setReviewText(e.target.value)}
+                  placeholder="How was it? (optional)"
+                  rows={compact ? 2 : 3}
+                  className="w-full p-1 border border-gray-300 rounded"
+                />
+                <button
+                  type="submit"
+                  disabled={rating === 0 || submitting}
+                  className="py-1 px-3 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50"
+                >
+                  Submit Review
+                </button>
+              </form>
+
+              <form onSubmit={handleReportCondition} className="flex flex-wrap items-center gap-1">
+                <select
+                  value={condition}
+                  onChange={(e) => setCondition(e.target.value)}
+                  className="p-1 border border-gray-300 rounded"
+                >
+                  {ROUTE_CONDITIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={conditionNote}
+                  onChange={(e) => setConditionNote(e.target.value)}
+                  placeholder="Details (optional)"
+                  className="flex-1 p-1 border border-gray-300 rounded"
+                />
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="py-1 px-3 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Report
+                </button>
+              </form>
+            </>
+          ) : (
+            <p className="text-gray-500">Complete this route to rate it or report conditions.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RouteReviews;
@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { MapContainer, TileLayer, Polyline, Marker } from 'react-leaflet';
+import L from 'leaflet';
+import { getSegmentById, getSegmentEfforts } from '../services/apiService';
+import { normalizeRoute } from '../utils/geo';
+import { LEADERBOARD_PERIODS, buildLeaderboard, formatEffortTime } from '../utils/segments';
+import 'leaflet/dist/leaflet.css';
+
+const startIcon = new L.DivIcon({
+  className: 'custom-div-icon',
+  html: `<div style="background-color: #4CAF50; width: 12px; height: 12px; border-radius: 50%; border: 2px solid white;"></div>`,
+  iconSize: [12, 12],
+  iconAnchor: [6, 6]
+});
+
+const endIcon = new L.DivIcon({
+  className: 'custom-div-icon',
+  html: `<div style="background-color: #F44336; width: 12px; height: 12px; border-radius: 50%; border: 2px solid white;"></div>`,
+  iconSize: [12, 12],
+  iconAnchor: [6, 6]
+});
+
+const athleteName = (user) => (user && typeof user === 'object' && (user.firstName || user.username)) || 'Athlete';
+
+// Logged-in user's ID, for the personal leaderboard
+const getCurrentUserId = () => {
+  const userString = localStorage.getItem('user');
+  const user = userString ? JSON.parse(userString) : null;
+  return user ? (user._id || user.id) : null;
+};
+
+// Segment details with all-time, this-month and personal leaderboards
+const SegmentPage = () => {
+  const { segmentId } = useParams();
+  const [segment, setSegment] = useState(null);
+  const [efforts, setEfforts] = useState([]);
+  const [period, setPeriod] = useState('all');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSegment = async () => {
+      setLoading(true);
+      const token = localStorage.getItem('token');
+      const [segmentResponse, effortsResponse] = await Promise.all([
+        getSegmentById(token, segmentId),
+        getSegmentEfforts(token, segmentId)
+      ]);
+
+      if (segmentResponse.success && segmentResponse.data) {
+        setSegment(normalizeRoute(segmentResponse.data).route);
+        setEfforts(effortsResponse.data);
+        setError(null);
+      } else {
+        setError(segmentResponse.message || 'Segment not found');
+      }
+      setLoading(false);
+    };
+
+    fetchSegment();
+  }, [segmentId]);
+
+  const currentUserId = getCurrentUserId();
+  const leaderboard = useMemo(
+    () => buildLeaderboard(efforts, period, { userId: currentUserId }),
+    [efforts, period, currentUserId]
+  );
+
+  if (loading) {
+    return <div className="container mx-auto px-4 py-12 text-center">Loading segment...</div>;
+  }
+
+  if (error || !segment) {
+    return (
+      <div className="container mx-auto px-4 py-12 text-center">
+        <p className="text-red-500 mb-4">{error || 'Segment not found'}</p>
+        <Link to="/routes" className="text-purple-600 hover:text-purple-800">Back to My Routes</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-6 max-w-3xl">
+      <h1 className="text-2xl font-bold mb-1">{segment.name || 'Segment'}</h1>
+      <p className="text-sm text-gray-500 mb-4">
+        {segment.distance ? `${(segment.distance * 1000).toFixed(0)} m` : ''}
+        {segment.elevationGain ? ` · ${segment.elevationGain} m climb` : ''}
+      </p>
+
+      <div className="h-64 mb-4 rounded-lg overflow-hidden shadow-md">
+        <MapContainer
+          bounds={L.latLngBounds(segment.pathCoordinates)}
+          style={{ height: '100%', width: '100%' }}
+          zoomControl={true}
+        >
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+          <Polyline
+            positions={segment.pathCoordinates}
+            color="#F97316"
+            weight={6}
+            opacity={0.9}
+          />
+          <Marker position={segment.startPoint} icon={startIcon} />
+          <Marker position={segment.endPoint} icon={endIcon} />
+        </MapContainer>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md">
+        <div className="flex border-b border-gray-200">
+          {LEADERBOARD_PERIODS.map(option => (
+            <button
+              key={option.value}
+              className={`py-2 px-4 font-medium ${period === option.value ? 'text-orange-600 border-b-2 border-orange-500' : 'text-gray-500 hover:text-gray-700'}`}
+              onClick={() => setPeriod(option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {leaderboard.length === 0 ? (
+          <p className="p-6 text-center text-gray-500">
+            {period === 'mine' ? "You haven't run this segment yet." : 'No efforts recorded yet.'}
+          </p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500 text-left">
+                <th className="py-2 px-4">Rank</th>
+                <th className="py-2 px-4">{period === 'mine' ? 'Activity' : 'Athlete'}</th>
+                <th className="py-2 px-4">Date</th>
+                <th className="py-2 px-4 text-right">Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leaderboard.map(effort => (
+                <tr
+                  key={effort._id || `${effort.rank}-${effort.startTime}`}
+                  className={`border-t border-gray-100 ${period !== 'mine' && currentUserId && (effort.user?._id || effort.user) === currentUserId ? 'bg-orange-50 font-medium' : ''}`}
+                >
+                  <td className="py-2 px-4">{effort.rank}</td>
+                  <td className="py-2 px-4">
+                    {period === 'mine' ? (effort.activity?.title || 'Activity') : athleteName(effort.user)}
+                  </td>
+                  <td className="py-2 px-4">{new Date(effort.startTime).toLocaleDateString()}</td>
+                  <td className="py-2 px-4 text-right font-semibold">{formatEffortTime(effort.elapsedTime)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SegmentPage;
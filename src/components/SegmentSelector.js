@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { createSegment } from '../services/apiService';
+import { pathDistanceKm, toGeoJsonLineString, toGeoJsonPoint } from '../utils/geo';
+import { elevationGainLoss } from '../utils/elevation';
+import { extractSubPath, validateSegmentPath } from '../utils/segments';
+
+// Pick a stretch of a route or activity and save it as a segment.
+// The parent draws the selection on its map from onSelectionChange.
+// source is { route: id } or { activity: id } and is stored with the segment.
+const SegmentSelector = ({ path, elevations = [], source = {}, defaultName = '', onSelectionChange, onClose }) => {
+  const navigate = useNavigate();
+  const lastIndex = path.length - 1;
+  const [startIndex, setStartIndex] = useState(0);
+  const [endIndex, setEndIndex] = useState(lastIndex);
+  const [name, setName] = useState(defaultName);
+  const [saving, setSaving] = useState(false);
+
+  const selection = useMemo(() => extractSubPath(path, startIndex, endIndex), [path, startIndex, endIndex]);
+  const validationError = validateSegmentPath(selection);
+
+  useEffect(() => {
+    if (onSelectionChange) onSelectionChange(selection);
+  }, [selection, onSelectionChange]);
+
+  // Clear the highlight when the selector closes
+  useEffect(() => () => {
+    if (onSelectionChange) onSelectionChange(null);
+  }, [onSelectionChange]);
+
+  const handleStartChange = (e) => setStartIndex(Math.min(Number(e.target.value), endIndex - 1));
+  const handleEndChange = (e) => setEndIndex(Math.max(Number(e.target.value), startIndex + 1));
+
+  const handleSave = async () => {
+    if (!name.trim() || validationError) return;
+
+    const token = localStorage.getItem('token');
+    setSaving(true);
+    const response = await createSegment(token, {
+      name: name.trim(),
+      path: toGeoJsonLineString(selection),
+      startPoint: toGeoJsonPoint(selection[0]),
+      endPoint: toGeoJsonPoint(selection[selection.length - 1]),
+      distance: parseFloat(pathDistanceKm(selection).toFixed(3)),
+      elevationGain: elevationGainLoss(elevations.slice(startIndex, endIndex + 1)).gain,
+      sourceRoute: source.route,
+      sourceActivity: source.activity
+    });
+    setSaving(false);
+
+    if (response.success && response.data && response.data._id) {
+      navigate(`/segments/${response.data._id}`);
+    } else {
+      alert('Failed to create segment: ' + (response.message || 'Unknown error'));
+    }
+  };
+
+  return (
+    <div className="bg-orange-50 border border-orange-200 p-3 rounded-lg mb-4 text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold text-orange-800">New Segment</h3>
+        <button className="text-gray-500 hover:text-gray-700" onClick={onClose}>Cancel</button>
+      </div>
+
+      <label className="block text-xs text-gray-600">Start</label>
+      <input
+        type="range"
+        min={0}
+        max={lastIndex}
+        value={startIndex}
+        onChange={handleStartChange}
+        className="w-full"
+      />
+      <label className="block text-xs text-gray-600">End</label>
+      <input
+        type="range"
+        min={0}
+        max={lastIndex}
+        value={endIndex}
+        onChange={handleEndChange}
+        className="w-full"
+      />
+
+      <div className="flex justify-between text-xs text-gray-600 my-2">
+        <span>Length: {(pathDistanceKm(selection) * 1000).toFixed(0)} m</span>
+        <span>Points {startIndex + 1}-{endIndex + 1} of {path.length}</span>
+      </div>
+      {validationError && <p className="text-xs text-red-600 mb-2">{validationError}</p>}
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder='Segment name, e.g. "Lighthouse hill"'
+          className="flex-1 p-1 border border-gray-300 rounded"
+        />
+        <button
+          className="py-1 px-3 bg-orange-500 text-white rounded hover:bg-orange-600 disabled:opacity-50"
+          onClick={handleSave}
+          disabled={saving || !name.trim() || Boolean(validationError)}
+        >
+          {saving ? 'Saving...' : 'Save Segment'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SegmentSelector;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate, useLocation, Link } from 'react-router-dom';
+import { MapContainer, TileLayer, Polyline, Marker, Popup, CircleMarker } from 'react-leaflet';
+import L from 'leaflet';
+import { getSharedRoute, saveRoute } from '../services/apiService';
+import { normalizeRoute, pathDistanceKm } from '../utils/geo';
+import { buildElevationProfile } from '../utils/elevation';
+import { cloneRouteData } from '../utils/routeSharing';
+import ElevationProfile from './ElevationProfile';
+import 'leaflet/dist/leaflet.css';
+
+const startIcon = new L.DivIcon({
+  className: 'custom-div-icon',
+  html: `<div style="background-color: #4CAF50; width: 12px; height: 12px; border-radius: 50%; border: 2px solid white;"></div>`,
+  iconSize: [12, 12],
+  iconAnchor: [6, 6]
+});
+
+const endIcon = new L.DivIcon({
+  className: 'custom-div-icon',
+  html: `<div style="background-color: #F44336; width: 12px; height: 12px; border-radius: 50%; border: 2px solid white;"></div>`,
+  iconSize: [12, 12],
+  iconAnchor: [6, 6]
+});
+
+// Read-only page for a route shared by link. Public links open for anyone,
+// followers-only links after logging in; logged-in users can copy the route
+// into their own routes.
+const SharedRoutePage = () => {
+  const { shareId } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [route, setRoute] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [requiresLogin, setRequiresLogin] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [elevationHover, setElevationHover] = useState(null);
+
+  const isLoggedIn = !!localStorage.getItem('token');
+
+  useEffect(() => {
+    const fetchSharedRoute = async () => {
+      setLoading(true);
+      const response = await getSharedRoute(shareId, localStorage.getItem('token'));
+
+      if (response.success && response.data) {
+        const { route: sharedRoute, errors } = normalizeRoute(response.data);
+        if (errors.length > 0) {
+          console.warn('Shared route normalized with fallbacks:', errors);
+        }
+        setRoute(sharedRoute);
+        setError(null);
+      } else {
+        setRequiresLogin(!!response.requiresLogin);
+        setError(response.message || 'This route is no longer shared');
+      }
+      setLoading(false);
+    };
+
+    fetchSharedRoute();
+  }, [shareId]);
+
+  const elevationProfile = useMemo(() => (
+    route ? buildElevationProfile(route.pathCoordinates, route.elevations) : []
+  ), [route]);
+
+  const handleSaveToMyRoutes = async () => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      navigate('/login', { state: { from: location } });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      // The copy keeps the visibility the owner shared the route under
+      const response = await saveRoute(token, cloneRouteData(route));
+
+      if (response.success) {
+        alert(`"${route.title || 'Shared Route'}" was saved to your routes`);
+        navigate('/routes');
+      } else {
+        alert('Failed to save route: ' + (response.message || 'Unknown error'));
+      }
+    } catch (err) {
+      console.error('Error saving shared route:', err);
+      alert('An error occurred while saving the route');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-12 text-center">
+        <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-purple-700 mb-2"></div>
+        <p>Loading route...</p>
+      </div>
+    );
+  }
+
+  if (error || !route) {
+    return (
+      <div className="container mx-auto px-4 py-12 text-center">
+        <p className="text-red-500 mb-4">{error || 'Route not found'}</p>
+        {requiresLogin ? (
+          <Link to="/login" state={{ from: location }} className="text-purple-600 hover:text-purple-800">
+            Log in to view
+          </Link>
+        ) : (
+          <Link to={isLoggedIn ? '/home' : '/'} className="text-purple-600 hover:text-purple-800">
+            Go to GapoGait
+          </Link>
+        )}
+      </div>
+    );
+  }
+
+  const distance = route.distance || pathDistanceKm(route.pathCoordinates);
+  const owner = route.user && (route.user.firstName || route.user.username);
+
+  return (
+    <div className="container mx-auto px-4 py-6 max-w-3xl">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h1 className="text-2xl font-bold">{route.title || 'Shared Route'}</h1>
+          {owner && <p className="text-sm text-gray-500">Shared by {owner}</p>}
+        </div>
+        <button
+          className="py-2 px-4 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50"
+          onClick={handleSaveToMyRoutes}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : isLoggedIn ? 'Save to My Routes' : 'Log in to Save'}
+        </button>
+      </div>
+
+      <div className="h-80 mb-4 rounded-lg overflow-hidden shadow-md">
+        <MapContainer
+          bounds={L.latLngBounds(route.pathCoordinates)}
+          style={{ height: '100%', width: '100%' }}
+          zoomControl={true}
+        >
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+
+          <Polyline
+            positions={route.pathCoordinates}
+            color="#4CAF50"
+            weight={5}
+            opacity={0.8}
+          />
+
+          <Marker position={route.startPoint} icon={startIcon}>
+            <Popup>Start point</Popup>
+          </Marker>
+
+          <Marker position={route.endPoint} icon={endIcon}>
+            <Popup>End point</Popup>
+          </Marker>
+
+          {elevationHover && (
+            <CircleMarker
+              center={elevationHover.position}
+              radius={7}
+              pathOptions={{ color: 'white', weight: 2, fillColor: '#7C3AED', fillOpacity: 1 }}
+            />
+          )}
+        </MapContainer>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div className="bg-white p-3 rounded-lg shadow-sm">
+          <div className="text-xs text-gray-500">Distance</div>
+          <div className="text-lg font-bold">{distance.toFixed(2)} km</div>
+        </div>
+        <div className="bg-white p-3 rounded-lg shadow-sm">
+          <div className="text-xs text-gray-500">Elevation Gain</div>
+          <div className="text-lg font-bold">{route.elevationGain || 0} m</div>
+        </div>
+      </div>
+
+      {route.description && (
+        <p className="text-gray-700 text-sm mb-4">{route.description}</p>
+      )}
+
+      <ElevationProfile
+        profile={elevationProfile}
+        onHover={setElevationHover}
+      />
+    </div>
+  );
+};
+
+export default SharedRoutePage;
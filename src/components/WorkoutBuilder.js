@@ -0,0 +1,296 @@
+import React, { useState } from 'react';
+import { saveWorkout, deleteWorkout } from '../services/apiService';
+import { DEFAULT_WORKOUT, EMPTY_STEP, parsePace, formatPace, formatStepGoal, expandWorkout } from '../utils/workout';
+
+// Steps are edited in friendly units (meters or minutes, "m:ss" paces)
+const toFormStep = (step) => {
+  if (!step) return null;
+  return {
+    goalType: step.goalType,
+    goalValue: step.goalType === 'time' ? String(step.goalValue / 60) : String(step.goalValue),
+    paceMin: step.paceMin ? formatPace(step.paceMin) : '',
+    paceMax: step.paceMax ? formatPace(step.paceMax) : ''
+  };
+};
+
+const fromFormStep = (formStep) => {
+  if (!formStep) return null;
+  const value = parseFloat(formStep.goalValue) || 0;
+  return {
+    goalType: formStep.goalType,
+    goalValue: formStep.goalType === 'time' ? Math.round(value * 60) : Math.round(value),
+    paceMin: parsePace(formStep.paceMin),
+    paceMax: parsePace(formStep.paceMax)
+  };
+};
+
+const toForm = (workout) => ({
+  _id: workout._id,
+  name: workout.name || '',
+  repeats: String(workout.repeats || 1),
+  warmup: toFormStep(workout.warmup),
+  work: toFormStep(workout.work || EMPTY_STEP),
+  rest: toFormStep(workout.rest),
+  cooldown: toFormStep(workout.cooldown)
+});
+
+const fromForm = (form) => ({
+  ...(form._id ? { _id: form._id } : {}),
+  name: form.name.trim(),
+  repeats: Math.max(1, parseInt(form.repeats, 10) || 1),
+  warmup: fromFormStep(form.warmup),
+  work: fromFormStep(form.work),
+  rest: fromFormStep(form.rest),
+  cooldown: fromFormStep(form.cooldown)
+});
+
+// Editor for a single step; optional steps can be switched off
+const StepEditor = ({ label, step, optional, defaultStep, onChange }) => {
+  if (!step) {
+    return (
+      <div className="border border-dashed border-gray-300 rounded p-2 mb-2 flex justify-between items-center">
+        <span className="text-sm text-gray-500">{label}: none</span>
+        <button
+          type="button"
+          onClick={() => onChange(toFormStep(defaultStep))}
+          className="text-xs text-blue-600 hover:text-blue-800"
+        >
+          Add
+        </button>
+      </div>
+    );
+  }
+
+  const update = (field, value) => onChange({ ...step, [field]: value });
+
+  return (
+    <div className="border border-gray-200 rounded p-2 mb-2">
+      <div className="flex justify-between items-center mb-1">
+        <span className="text-sm font-semibold text-gray-700">{label}</span>
+        {optional && (
+          <button
+            type="button"
+            onClick={() => onChange(null)}
+            className="text-xs text-red-500 hover:text-red-700"
+          >
+            Remove
+          </button>
+        )}
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <select
+          value={step.goalType}
+          onChange={(e) => update('goalType', e.target.value)}
+          className="p-1 text-sm border border-gray-300 rounded"
+        >
+          <option value="distance">Distance (m)</option>
+          <option value="time">Time (min)</option>
+        </select>
+        <input
+          type="number"
+          min="0"
+          step={step.goalType === 'time' ? '0.5' : '50'}
+          value={step.goalValue}
+          onChange={(e) => update('goalValue', e.target.value)}
+          className="p-1 text-sm border border-gray-300 rounded"
+        />
+        <input
+          type="text"
+          placeholder="Fastest pace (m:ss)"
+          value={step.paceMin}
+          onChange={(e) => update('paceMin', e.target.value)}
+          className="p-1 text-sm border border-gray-300 rounded"
+        />
+        <input
+          type="text"
+          placeholder="Slowest pace (m:ss)"
+          value={step.paceMax}
+          onChange={(e) => update('paceMax', e.target.value)}
+          className="p-1 text-sm border border-gray-300 rounded"
+        />
+      </div>
+    </div>
+  );
+};
+
+// Modal for creating, editing and deleting the user's saved workouts
+const WorkoutBuilder = ({ workouts, onClose, onSaved, onDeleted }) => {
+  const [form, setForm] = useState(toForm(DEFAULT_WORKOUT));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const validate = (workout) => {
+    if (!workout.name) return 'Please give the workout a name';
+    if (!workout.work || workout.work.goalValue <= 0) return 'The work interval needs a distance or time';
+
+    const steps = [workout.warmup, workout.work, workout.rest, workout.cooldown];
+    const formSteps = [form.warmup, form.work, form.rest, form.cooldown];
+    for (let i = 0; i < steps.length; i++) {
+      if (!formSteps[i]) continue;
+      if ((formSteps[i].paceMin && !steps[i].paceMin) || (formSteps[i].paceMax && !steps[i].paceMax)) {
+        return 'Paces must be written as minutes:seconds per km, e.g. 4:30';
+      }
+      if (steps[i].paceMin && steps[i].paceMax && steps[i].paceMin > steps[i].paceMax) {
+        return 'The fastest pace must be quicker than the slowest pace';
+      }
+    }
+    return null;
+  };
+
+  const handleSave = async () => {
+    const workout = fromForm(form);
+    const validationError = validate(workout);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const token = localStorage.getItem('token');
+    if (!token) {
+      setError('You must be logged in to save workouts');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await saveWorkout(token, workout);
+      if (response.success) {
+        onSaved(response.data || workout);
+        setForm(toForm(DEFAULT_WORKOUT));
+      } else {
+        setError(response.message || 'Failed to save workout');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (workout) => {
+    if (!window.confirm(`Delete the workout "${workout.name}"?`)) return;
+
+    const token = localStorage.getItem('token');
+    const response = await deleteWorkout(token, workout._id);
+    if (response.success) {
+      onDeleted(workout._id);
+      if (form._id === workout._id) {
+        setForm(toForm(DEFAULT_WORKOUT));
+      }
+    } else {
+      alert(`Error deleting workout: ${response.message}`);
+    }
+  };
+
+  const preview = expandWorkout(fromForm(form));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto p-4">
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-lg font-bold">{form._id ? 'Edit Workout' : 'New Workout'}</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">&times;</button>
+        </div>
+
+        {workouts.length > 0 && (
+          <div className="mb-4">
+            <h4 className="text-sm font-semibold text-gray-600 mb-1">Saved workouts</h4>
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded">
+              {workouts.map(workout => (
+                <li key={workout._id} className="flex justify-between items-center p-2 text-sm">
+                  <span>{workout.name}</span>
+                  <span className="space-x-2">
+                    <button onClick={() => setForm(toForm(workout))} className="text-blue-600 hover:text-blue-800">Edit</button>
+                    <button onClick={() => handleDelete(workout)} className="text-red-500 hover:text-red-700">Delete</button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <input
+          type="text"
+          placeholder="Workout name, e.g. 6 x 800 m"
+          value={form.name}
+          onChange={(e) => updateForm('name', e.target.value)}
+          className="w-full p-2 mb-2 text-sm border border-gray-300 rounded"
+        />
+
+        <StepEditor
+          label="Warm-up"
+          step={form.warmup}
+          optional
+          defaultStep={DEFAULT_WORKOUT.warmup}
+          onChange={(step) => updateForm('warmup', step)}
+        />
+
+        <div className="flex items-center mb-2">
+          <label className="text-sm text-gray-700 mr-2">Repeats</label>
+          <input
+            type="number"
+            min="1"
+            max="50"
+            value={form.repeats}
+            onChange={(e) => updateForm('repeats', e.target.value)}
+            className="w-20 p-1 text-sm border border-gray-300 rounded"
+          />
+        </div>
+
+        <StepEditor
+          label="Work"
+          step={form.work}
+          defaultStep={DEFAULT_WORKOUT.work}
+          onChange={(step) => updateForm('work', step)}
+        />
+        <StepEditor
+          label="Recovery"
+          step={form.rest}
+          optional
+          defaultStep={DEFAULT_WORKOUT.rest}
+          onChange={(step) => updateForm('rest', step)}
+        />
+        <StepEditor
+          label="Cool-down"
+          step={form.cooldown}
+          optional
+          defaultStep={DEFAULT_WORKOUT.cooldown}
+          onChange={(step) => updateForm('cooldown', step)}
+        />
+
+        <p className="text-xs text-gray-500 mb-2">
+          {preview.length} steps: {preview.map(step => `${step.label} ${formatStepGoal(step)}`).join(', ')}
+        </p>
+
+        {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+
+        <div className="flex justify-end gap-2">
+          {form._id && (
+            <button
+              onClick={() => setForm(toForm(DEFAULT_WORKOUT))}
+              className="py-1 px-3 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 text-sm"
+            >
+              New
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="py-1 px-3 bg-gray-200 text-gray-800 rounded hover:bg-gray-300 text-sm"
+          >
+            Close
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="py-1 px-3 bg-green-600 text-white rounded hover:bg-green-700 text-sm disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Workout'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkoutBuilder;
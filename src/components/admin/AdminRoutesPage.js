@@ -7,6 +7,9 @@ import {
   getAdminPendingRoutes,
   getAdminAllRoutes
 } from '../../services/apiService';
+import RouteEditor from '../RouteEditor';
+import { boundingBox } from '../../utils/geometry';
+import { pathDistanceKm, normalizeRoute, normalizeRoutes } from '../../utils/geo';
 import 'leaflet/dist/leaflet.css';
 
 // Fix for default marker icons in Leaflet with React
@@ -44,19 +47,22 @@ const endIcon = new L.DivIcon({
 const RouteMiniMap = ({ route }) => {
   const [mapRef, setMapRef] = useState(null);
 
+  // Simplified geometry is plenty at mini-map size
+  const displayCoordinates = route && (route.displayCoordinates || route.pathCoordinates);
+
   useEffect(() => {
-    if (mapRef && route && route.pathCoordinates && route.pathCoordinates.length > 0) {
+    if (mapRef && displayCoordinates && displayCoordinates.length > 0) {
       setTimeout(() => {
         try {
           mapRef.invalidateSize();
-          const bounds = L.latLngBounds(route.pathCoordinates);
+          const bounds = L.latLngBounds(boundingBox(displayCoordinates));
           mapRef.fitBounds(bounds, { padding: [5, 5] });
         } catch (e) {
           console.error("Error setting mini map bounds:", e);
         }
       }, 100);
     }
-  }, [mapRef, route]);
+  }, [mapRef, displayCoordinates]);
 
   if (!route || !route.pathCoordinates || route.pathCoordinates.length < 2) {
     return <div className="h-28 w-full bg-gray-100 rounded flex items-center justify-center text-gray-400 text-xs">No path data</div>;
@@ -84,7 +90,7 @@ const RouteMiniMap = ({ route }) => {
         />
         
         <Polyline 
-          positions={route.pathCoordinates}
+          positions={displayCoordinates}
           color="#4CAF50"
           weight={4}
           opacity={0.9}
@@ -135,74 +141,6 @@ const AdminRoutesPage = () => {
     }
   });
   
-  // Processing of routes to add Leaflet-compatible coordinates
-  const processRouteCoordinates = (route) => {
-    try {
-      // Default values
-      let pathCoordinates = [];
-      let startPoint = [0, 0];
-      let endPoint = [0, 0];
-      
-      // Process path coordinates
-      if (route.path) {
-        if (typeof route.path === 'string') {
-          try {
-            const parsed = JSON.parse(route.path);
-            if (parsed.coordinates) {
-              pathCoordinates = parsed.coordinates.map(coord => [coord[1], coord[0]]);
-            }
-          } catch (e) {
-            console.error('Error parsing path JSON:', e);
-          }
-        } else if (route.path.coordinates) {
-          pathCoordinates = route.path.coordinates.map(coord => [coord[1], coord[0]]);
-        }
-      }
-      
-      // Process start point
-      if (route.startPoint) {
-        if (typeof route.startPoint === 'string') {
-          try {
-            const parsed = JSON.parse(route.startPoint);
-            if (parsed.coordinates) {
-              startPoint = [parsed.coordinates[1], parsed.coordinates[0]];
-            }
-          } catch (e) {
-            console.error('Error parsing startPoint JSON:', e);
-          }
-        } else if (route.startPoint.coordinates) {
-          startPoint = [route.startPoint.coordinates[1], route.startPoint.coordinates[0]];
-        }
-      }
-      
-      // Process end point
-      if (route.endPoint) {
-        if (typeof route.endPoint === 'string') {
-          try {
-            const parsed = JSON.parse(route.endPoint);
-            if (parsed.coordinates) {
-              endPoint = [parsed.coordinates[1], parsed.coordinates[0]];
-            }
-          } catch (e) {
-            console.error('Error parsing endPoint JSON:', e);
-          }
-        } else if (route.endPoint.coordinates) {
-          endPoint = [route.endPoint.coordinates[1], route.endPoint.coordinates[0]];
-        }
-      }
-      
-      return {
-        ...route,
-        pathCoordinates,
-        startPoint,
-        endPoint
-      };
-    } catch (error) {
-      console.error('Error processing route coordinates:', error);
-      return route;
-    }
-  };
-  
   // Fetch all routes (admin has access to all routes)
   const fetchRoutes = async () => {
     setLoading(true);
@@ -224,7 +162,7 @@ const AdminRoutesPage = () => {
       
       if (response.success) {
         // Transform data for Leaflet
-        const processedRoutes = response.data.map(route => processRouteCoordinates(route));
+        const processedRoutes = normalizeRoutes(response.data);
         setRoutes(processedRoutes);
       } else {
         setError(response.message || 'Failed to fetch routes');
@@ -297,7 +235,7 @@ const AdminRoutesPage = () => {
       const response = await adminCreateRoute(token, newRoute);
       
       if (response.success) {
-        const createdRoute = processRouteCoordinates(response.data);
+        const { route: createdRoute } = normalizeRoute(response.data);
         setRoutes([createdRoute, ...routes]);
         setShowCreateForm(false);
         setNewRoute({
@@ -369,6 +307,27 @@ const AdminRoutesPage = () => {
     setNewRoute(updatedRoute);
   };
   
+  // Path drawn in the map editor; start and end follow its first and last points
+  const handleEditorPathChange = (path) => {
+    const coordinates = path.map(point => [point[1], point[0]]); // [lng, lat]
+    setNewRoute({
+      ...newRoute,
+      distance: parseFloat(pathDistanceKm(path).toFixed(2)),
+      startPoint: {
+        type: 'Point',
+        coordinates: coordinates.length > 0 ? coordinates[0] : [0, 0]
+      },
+      endPoint: {
+        type: 'Point',
+        coordinates: coordinates.length > 0 ? coordinates[coordinates.length - 1] : [0, 0]
+      },
+      path: {
+        ...newRoute.path,
+        coordinates
+      }
+    });
+  };
+  
   // Add a new coordinate pair to the path
   const addPathCoordinate = () => {
     setNewRoute({
@@ -493,6 +452,14 @@ const AdminRoutesPage = () => {
           <h2 className="text-xl font-bold mb-4">Create New Route</h2>
           
           <form onSubmit={handleCreateRoute}>
+            <div className="mb-4">
+              <h3 className="text-lg font-medium mb-2">Draw Route</h3>
+              <RouteEditor
+                path={newRoute.path.coordinates.map(coord => [coord[1], coord[0]])}
+                onChange={handleEditorPathChange}
+              />
+            </div>
+            
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
               {/* Basic Info */}
               <div>
@@ -11,6 +11,8 @@ import AdminRoutesPage from './components/admin/AdminRoutesPage';
 import AdminLoginPage from './adminLognPage';
 import AdminChallenges from './components/admin/AdminChallenges';
 import ArchivedActivities from './components/ArchivedActivities';
+import SharedRoutePage from './components/SharedRoutePage';
+import SegmentPage from './components/SegmentPage';
 // Redirect authenticated users away from login/register pages
 const RedirectIfLoggedIn = ({ children }) => {
   const isLoggedIn = !!localStorage.getItem('token');
@@ -57,6 +59,8 @@ const AppRouter = () => {
         </RedirectIfLoggedIn>
       } />
       <Route path="/admin/login" element={<AdminLoginPage />} />
+      {/* Read-only shared routes, no login required */}
+      <Route path="/shared/routes/:shareId" element={<SharedRoutePage />} />
 
       {/* Protected routes */}
       <Route path="/home" element={
@@ -69,6 +73,11 @@ const AppRouter = () => {
           <MyRoutesPage />
         </ProtectedRoute>
       } />
+      <Route path="/segments/:segmentId" element={
+        <ProtectedRoute>
+          <SegmentPage />
+        </ProtectedRoute>
+      } />
       <Route path="/activities" element={
         <ProtectedRoute>
           <ActivitiesPage />
@@ -1,5 +1,7 @@
 // API service for making HTTP requests to the backend
 
+import { validateRouteGeometry } from '../utils/geo';
+
 // Base URL - Adjust this to match your server's address
 const API_BASE_URL = 'http://localhost:5600/api';
 export const SOCKET_URL = 'http://localhost:5600';
@@ -212,10 +214,19 @@ export const uploadProfilePicture = async (token, imageFile) => {
 };
 
 // Route management
-export const getUserRoutes = async (token) => {
+// options: search, minDistance, maxDistance, minElevation, maxElevation,
+// activityType, verified, completed, sort, limit, skip
+export const getUserRoutes = async (token, options = {}) => {
   try {
-    console.log('Fetching user routes with token:', token ? 'valid token' : 'no token');
-    const response = await fetch(`${API_BASE_URL}/routes`, {
+    // Build query params, skipping options that aren't set
+    const queryParams = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') queryParams.append(key, value);
+    });
+    
+    const queryString = queryParams.toString() ? `?${queryParams.toString()}` : '';
+    console.log('Fetching user routes with token:', token ? 'valid token' : 'no token', options);
+    const response = await fetch(`${API_BASE_URL}/routes${queryString}`, {
       method: 'GET',
       headers: {
         'Authorization': `Bearer ${token}`,
@@ -241,6 +252,8 @@ export const getUserRoutes = async (token) => {
     return {
       success: data.success || false,
       message: data.message || 'Unknown error',
+      count: data.count || (data.data || []).length,
+      total: data.total || (data.data || []).length,
       data: data.data || []
     };
   } catch (error) {
@@ -386,112 +399,13 @@ export const saveRoute = async (token, routeData) => {
     // Log the data being sent to the server
     console.log('Saving route with data:', JSON.stringify(routeData, null, 2));
     
-    // Create a deep copy to avoid modifying the original object
-    const preparedData = { ...routeData };
-    
-    // Parse path if it's a string (handle both formats)
-    if (typeof preparedData.path === 'string') {
-      try {
-        preparedData.path = JSON.parse(preparedData.path);
-        console.log('Successfully parsed path string to object', preparedData.path);
-      } catch (err) {
-        console.error('Error parsing path string:', err);
-        return {
-          success: false,
-          message: 'Invalid path format: could not parse path data',
-          data: null
-        };
-      }
-    }
-    
-    // Parse startPoint if it's a string
-    if (typeof preparedData.startPoint === 'string') {
-      try {
-        preparedData.startPoint = JSON.parse(preparedData.startPoint);
-        console.log('Successfully parsed startPoint string to object', preparedData.startPoint);
-      } catch (err) {
-        console.error('Error parsing startPoint string:', err);
-        return {
-          success: false,
-          message: 'Invalid startPoint format: could not parse startPoint data',
-          data: null
-        };
-      }
-    }
-    
-    // Parse endPoint if it's a string
-    if (typeof preparedData.endPoint === 'string') {
-      try {
-        preparedData.endPoint = JSON.parse(preparedData.endPoint);
-        console.log('Successfully parsed endPoint string to object', preparedData.endPoint);
-      } catch (err) {
-        console.error('Error parsing endPoint string:', err);
-        return {
-          success: false,
-          message: 'Invalid endPoint format: could not parse endPoint data',
-          data: null
-        };
-      }
-    }
-    
-    // Ensure path is properly formatted as GeoJSON if not already
-    if (!preparedData.path.type) {
-      preparedData.path = {
-        type: 'LineString',
-        coordinates: preparedData.path.coordinates || []
-      };
-    }
-    
-    // Debug log to check the structure after parsing
-    console.log('Path structure after parsing:', {
-      type: preparedData.path.type,
-      coordsCount: preparedData.path.coordinates ? preparedData.path.coordinates.length : 0
-    });
-    
-    // Ensure the path has at least 2 coordinates
-    if (!preparedData.path.coordinates || preparedData.path.coordinates.length < 2) {
-      console.error('Invalid route data: path has insufficient coordinates', 
-        preparedData.path.coordinates ? preparedData.path.coordinates.length : 0);
-      return {
-        success: false,
-        message: 'Route must have at least 2 coordinates',
-        data: null
-      };
-    }
-    
-    // Ensure coordinates are properly formatted as [longitude, latitude]
-    const validCoordinates = preparedData.path.coordinates.every(coord => 
-      Array.isArray(coord) && coord.length >= 2 && !isNaN(coord[0]) && !isNaN(coord[1])
-    );
-    
-    if (!validCoordinates) {
-      console.error('Invalid coordinates in path:', preparedData.path.coordinates);
-      return {
-        success: false,
-        message: 'Route contains invalid coordinates',
-        data: null
-      };
-    }
-    
-    // Check start and end point format
-    if (!preparedData.startPoint || !preparedData.startPoint.coordinates || 
-        !Array.isArray(preparedData.startPoint.coordinates) || 
-        preparedData.startPoint.coordinates.length < 2) {
-      console.error('Invalid startPoint:', preparedData.startPoint);
-      return {
-        success: false,
-        message: 'Valid start point is required',
-        data: null
-      };
-    }
-    
-    if (!preparedData.endPoint || !preparedData.endPoint.coordinates || 
-        !Array.isArray(preparedData.endPoint.coordinates) || 
-        preparedData.endPoint.coordinates.length < 2) {
-      console.error('Invalid endPoint:', preparedData.endPoint);
+    // Parse string geometries and check the path and end points
+    const { data: preparedData, error: geometryError } = validateRouteGeometry(routeData);
+    if (geometryError) {
+      console.error('Invalid route geometry in saveRoute:', geometryError);
       return {
         success: false,
-        message: 'Valid end point is required',
+        message: geometryError,
         data: null
       };
     }
@@ -736,6 +650,7 @@ export const getUserActivities = async (token, options = {}) => {
     if (options.skip) queryParams.append('skip', options.skip);
     if (options.sort) queryParams.append('sort', options.sort);
     if (options.type) queryParams.append('type', options.type);
+    if (options.routeId) queryParams.append('routeId', options.routeId);
     
     const queryString = queryParams.toString() ? `?${queryParams.toString()}` : '';
     console.log('Fetching user activities with options:', options);
@@ -874,6 +789,151 @@ export const getNearbyRoutes = async (params) => {
   }
 };
 
+// Create a share link for one of the user's routes, or refresh the existing
+// link with the current shareData.
+// shareData is the geometry the link may show and whether viewing it needs
+// a login, from shareableRouteData.
+export const createRouteShareLink = async (token, routeId, shareData) => {
+  try {
+    if (!routeId) {
+      return {
+        success: false,
+        message: 'Route ID is required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/routes/${routeId}/share`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(shareData || {})
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Share link created',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Create share link error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to create share link'
+    };
+  }
+};
+
+// Revoke a route's share link so the URL stops working. Used when the route
+// is made private or its path changes; sharing again issues a new link.
+export const revokeRouteShareLink = async (token, routeId) => {
+  try {
+    if (!routeId) {
+      return {
+        success: false,
+        message: 'Route ID is required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/routes/${routeId}/share`, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Share link revoked'
+    };
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to revoke share link'
+    };
+  }
+};
+
+// Revoke every share link of the user's routes, e.g. after their privacy
+// setting changed and the links no longer match it
+export const revokeAllRouteShareLinks = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/routes/share`, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Share links revoked'
+    };
+  } catch (error) {
+    console.error('Revoke share links error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to revoke share links'
+    };
+  }
+};
+
+// Read-only copy of a shared route. Public links need no login; links shared
+// under 'followers' privacy answer 401 without a token.
+export const getSharedRoute = async (shareId, token = null) => {
+  try {
+    if (!shareId) {
+      return {
+        success: false,
+        message: 'Share link is invalid',
+        data: null
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/routes/shared/${encodeURIComponent(shareId)}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+      },
+    });
+    
+    if (response.status === 401) {
+      return {
+        success: false,
+        requiresLogin: true,
+        message: 'Log in to view this route',
+        data: null
+      };
+    }
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || '',
+      data: data.data || null
+    };
+  } catch (error) {
+    console.error('Get shared route error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to load shared route',
+      data: null
+    };
+  }
+};
+
 // Admin: Verify a route
 export const verifyRoute = async (token, routeId) => {
   try {
@@ -1666,8 +1726,8 @@ export const restoreActivity = async (token, activityId) => {
   }
 };
 
-// Update route details
-export const updateRoute = async (token, routeId, updateData) => {
+// Update an activity's title, type, description or stored best efforts
+export const updateActivity = async (token, activityId, updates) => {
   try {
     if (!token) {
       return {
@@ -1676,37 +1736,952 @@ export const updateRoute = async (token, routeId, updateData) => {
       };
     }
     
-    if (!routeId) {
+    if (!activityId) {
       return {
         success: false,
-        message: 'Route ID is required'
+        message: 'Activity ID is required'
       };
     }
     
-    console.log(`Updating route with ID: ${routeId}`, updateData);
-    
-    const response = await fetch(`${API_BASE_URL}/routes/${routeId}`, {
+    const response = await fetch(`${API_BASE_URL}/activities/${activityId}`, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`
       },
-      body: JSON.stringify(updateData)
+      body: JSON.stringify(updates)
     });
     
     const data = await handleResponse(response);
-    console.log('Update route response:', data);
     
     return {
       success: data.success || false,
-      message: data.message || 'Route updated successfully',
+      message: data.message || 'Activity updated successfully',
       data: data.data
     };
   } catch (error) {
-    console.error('Update route error:', error);
+    console.error('Update activity error:', error);
     return {
       success: false,
-      message: error.message || 'Failed to update route'
+      message: error.message || 'Failed to update activity'
+    };
+  }
+};
+
+// Remove every segment effort recorded for an activity, so it can be matched
+// against segments again after its track changes
+export const deleteActivitySegmentEfforts = async (token, activityId) => {
+  try {
+    if (!activityId) {
+      return {
+        success: false,
+        message: 'Activity ID is required'
+      };
+    }
+
+    const response = await fetch(`${API_BASE_URL}/activities/${activityId}/segment-efforts`, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      }
+    });
+
+    const data = await handleResponse(response);
+
+    return {
+      success: data.success || false,
+      message: data.message || 'Segment efforts deleted'
+    };
+  } catch (error) {
+    console.error('Delete activity segment efforts error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to delete segment efforts'
+    };
+  }
+};
+
+// Cut the start and/or end off an activity.
+// trimmed holds the kept location history and the stats recomputed from it.
+export const trimActivity = async (token, activityId, trimmed) => {
+  try {
+    if (!token) {
+      return {
+        success: false,
+        message: 'Authentication token is required'
+      };
+    }
+    
+    if (!activityId) {
+      return {
+        success: false,
+        message: 'Activity ID is required'
+      };
+    }
+    
+    if (!trimmed || !Array.isArray(trimmed.locationHistory) || trimmed.locationHistory.length < 2) {
+      return {
+        success: false,
+        message: 'A trimmed activity needs at least two recorded points'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/activities/${activityId}/trim`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(trimmed)
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Activity trimmed successfully',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Trim activity error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to trim activity'
+    };
+  }
+};
+
+// Split an activity in two. The original is replaced by both parts,
+// which are returned in order.
+export const splitActivity = async (token, activityId, parts) => {
+  try {
+    if (!token) {
+      return {
+        success: false,
+        message: 'Authentication token is required'
+      };
+    }
+    
+    if (!activityId) {
+      return {
+        success: false,
+        message: 'Activity ID is required'
+      };
+    }
+    
+    if (!Array.isArray(parts) || parts.length !== 2) {
+      return {
+        success: false,
+        message: 'A split needs exactly two parts'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/activities/${activityId}/split`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ parts })
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Activity split successfully',
+      data: data.data || []
+    };
+  } catch (error) {
+    console.error('Split activity error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to split activity',
+      data: []
+    };
+  }
+};
+
+// Update route details
+export const updateRoute = async (token, routeId, updateData) => {
+  try {
+    if (!token) {
+      return {
+        success: false,
+        message: 'Authentication token is required'
+      };
+    }
+    
+    if (!routeId) {
+      return {
+        success: false,
+        message: 'Route ID is required'
+      };
+    }
+    
+    console.log(`Updating route with ID: ${routeId}`, updateData);
+    
+    const response = await fetch(`${API_BASE_URL}/routes/${routeId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(updateData)
+    });
+    
+    const data = await handleResponse(response);
+    console.log('Update route response:', data);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Route updated successfully',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Update route error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to update route'
+    };
+  }
+};
+
+// Route reviews: a 1-5 rating and optional text from users who completed the route
+export const getRouteReviews = async (token, routeId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/routes/${routeId}/reviews`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || '',
+      data: data.data || []
+    };
+  } catch (error) {
+    console.error('Get route reviews error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to fetch reviews',
+      data: []
+    };
+  }
+};
+
+// Creates the user's review, or replaces it if they already reviewed the route.
+// reviewData.activityId names the activity that completed the route, so the
+// server can check the reviewer actually ran it.
+export const submitRouteReview = async (token, routeId, reviewData) => {
+  try {
+    const rating = Number(reviewData && reviewData.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return {
+        success: false,
+        message: 'Rating must be between 1 and 5'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/routes/${routeId}/reviews`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ ...reviewData, rating })
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Review saved',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Submit route review error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to save review'
+    };
+  }
+};
+
+// Dated condition reports (flooded, under construction, poorly lit, ...)
+export const getRouteConditionReports = async (token, routeId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/routes/${routeId}/conditions`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || '',
+      data: data.data || []
+    };
+  } catch (error) {
+    console.error('Get condition reports error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to fetch condition reports',
+      data: []
+    };
+  }
+};
+
+export const reportRouteCondition = async (token, routeId, reportData) => {
+  try {
+    if (!reportData || !reportData.condition) {
+      return {
+        success: false,
+        message: 'Condition is required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/routes/${routeId}/conditions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        ...reportData,
+        reportedAt: reportData.reportedAt || new Date().toISOString()
+      })
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Condition reported',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Report route condition error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to report condition'
+    };
+  }
+};
+
+// Favourite routes (the user's own or anyone else's public routes)
+export const getFavouriteRoutes = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/routes/favourites`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || '',
+      data: data.data || []
+    };
+  } catch (error) {
+    console.error('Get favourite routes error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to fetch favourite routes',
+      data: []
+    };
+  }
+};
+
+export const addFavouriteRoute = async (token, routeId) => {
+  try {
+    if (!routeId) {
+      return {
+        success: false,
+        message: 'Route ID is required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/routes/${routeId}/favourite`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Route added to favourites',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Add favourite route error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to add route to favourites'
+    };
+  }
+};
+
+export const removeFavouriteRoute = async (token, routeId) => {
+  try {
+    if (!routeId) {
+      return {
+        success: false,
+        message: 'Route ID is required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/routes/${routeId}/favourite`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Route removed from favourites',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Remove favourite route error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to remove route from favourites'
+    };
+  }
+};
+
+// Named route collections, e.g. "weekday 5k loops". Each collection keeps
+// its routes in the order the user arranged them.
+export const getRouteCollections = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/collections`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || '',
+      data: data.data || []
+    };
+  } catch (error) {
+    console.error('Get route collections error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to fetch collections',
+      data: []
+    };
+  }
+};
+
+export const createRouteCollection = async (token, collectionData) => {
+  try {
+    if (!collectionData || !collectionData.name || !collectionData.name.trim()) {
+      return {
+        success: false,
+        message: 'Collection name is required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/collections`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(collectionData)
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Collection created successfully',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Create route collection error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to create collection'
+    };
+  }
+};
+
+export const updateRouteCollection = async (token, collectionId, updateData) => {
+  try {
+    if (!collectionId) {
+      return {
+        success: false,
+        message: 'Collection ID is required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/collections/${collectionId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(updateData)
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Collection updated successfully',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Update route collection error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to update collection'
+    };
+  }
+};
+
+export const deleteRouteCollection = async (token, collectionId) => {
+  try {
+    if (!collectionId) {
+      return {
+        success: false,
+        message: 'Collection ID is required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/collections/${collectionId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    return await handleResponse(response);
+  } catch (error) {
+    console.error('Delete route collection error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to delete collection'
+    };
+  }
+};
+
+export const addRouteToCollection = async (token, collectionId, routeId) => {
+  try {
+    if (!collectionId || !routeId) {
+      return {
+        success: false,
+        message: 'Collection ID and route ID are required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/collections/${collectionId}/routes`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ routeId })
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Route added to collection',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Add route to collection error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to add route to collection'
+    };
+  }
+};
+
+export const removeRouteFromCollection = async (token, collectionId, routeId) => {
+  try {
+    if (!collectionId || !routeId) {
+      return {
+        success: false,
+        message: 'Collection ID and route ID are required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/collections/${collectionId}/routes/${routeId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Route removed from collection',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Remove route from collection error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to remove route from collection'
+    };
+  }
+};
+
+// Save a new route order; routeIds must list every route in the collection
+export const reorderCollectionRoutes = async (token, collectionId, routeIds) => {
+  try {
+    if (!collectionId || !Array.isArray(routeIds)) {
+      return {
+        success: false,
+        message: 'Collection ID and route order are required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/collections/${collectionId}/routes`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ routeIds })
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Collection order saved',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Reorder collection routes error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to reorder collection'
+    };
+  }
+};
+
+// Segments: named stretches of a route or activity with timed efforts
+export const createSegment = async (token, segmentData) => {
+  try {
+    if (!segmentData || !segmentData.name || !segmentData.name.trim()) {
+      return {
+        success: false,
+        message: 'Segment name is required'
+      };
+    }
+    
+    const { data: preparedData, error: geometryError } = validateRouteGeometry(segmentData);
+    if (geometryError) {
+      return {
+        success: false,
+        message: geometryError
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/segments`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(preparedData)
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Segment created successfully',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Create segment error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to create segment'
+    };
+  }
+};
+
+// Segments created by the user
+export const getUserSegments = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/segments`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || '',
+      data: data.data || []
+    };
+  } catch (error) {
+    console.error('Get segments error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to fetch segments',
+      data: []
+    };
+  }
+};
+
+// Segments by anyone whose start lies within maxDistance km of a point
+export const getNearbySegments = async (token, params) => {
+  try {
+    if (!params || params.latitude === undefined || params.longitude === undefined) {
+      return {
+        success: false,
+        message: 'Location coordinates are required to find nearby segments',
+        data: []
+      };
+    }
+    
+    const queryParams = new URLSearchParams();
+    queryParams.append('latitude', params.latitude);
+    queryParams.append('longitude', params.longitude);
+    queryParams.append('maxDistance', params.maxDistance || 5);
+    
+    const response = await fetch(`${API_BASE_URL}/segments/nearby?${queryParams.toString()}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || '',
+      data: data.data || []
+    };
+  } catch (error) {
+    console.error('Get nearby segments error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to fetch nearby segments',
+      data: []
+    };
+  }
+};
+
+export const getSegmentById = async (token, segmentId) => {
+  try {
+    if (!segmentId) {
+      return {
+        success: false,
+        message: 'Segment ID is required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/segments/${segmentId}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || '',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Get segment error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to fetch segment'
+    };
+  }
+};
+
+// Every recorded effort on a segment; leaderboards are built from these
+export const getSegmentEfforts = async (token, segmentId) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/segments/${segmentId}/efforts`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || '',
+      data: data.data || []
+    };
+  } catch (error) {
+    console.error('Get segment efforts error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to fetch segment efforts',
+      data: []
+    };
+  }
+};
+
+export const recordSegmentEffort = async (token, segmentId, effortData) => {
+  try {
+    if (!segmentId || !effortData || !(effortData.elapsedTime > 0)) {
+      return {
+        success: false,
+        message: 'Segment ID and a positive elapsed time are required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/segments/${segmentId}/efforts`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(effortData)
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Segment effort recorded',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Record segment effort error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to record segment effort'
+    };
+  }
+};
+
+// Structured workouts (warm-up, repeats, cool-down) saved per user
+export const getUserWorkouts = async (token) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/workouts`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || '',
+      data: data.data || []
+    };
+  } catch (error) {
+    console.error('Get workouts error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to fetch workouts',
+      data: []
+    };
+  }
+};
+
+export const saveWorkout = async (token, workoutData) => {
+  try {
+    if (!token) {
+      return {
+        success: false,
+        message: 'Authentication token is required'
+      };
+    }
+    
+    // Existing workouts are updated in place, new ones are created
+    const url = workoutData._id 
+      ? `${API_BASE_URL}/workouts/${workoutData._id}` 
+      : `${API_BASE_URL}/workouts`;
+    
+    const response = await fetch(url, {
+      method: workoutData._id ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(workoutData)
+    });
+    
+    const data = await handleResponse(response);
+    
+    return {
+      success: data.success || false,
+      message: data.message || 'Workout saved successfully',
+      data: data.data
+    };
+  } catch (error) {
+    console.error('Save workout error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to save workout'
+    };
+  }
+};
+
+export const deleteWorkout = async (token, workoutId) => {
+  try {
+    if (!workoutId) {
+      return {
+        success: false,
+        message: 'Workout ID is required'
+      };
+    }
+    
+    const response = await fetch(`${API_BASE_URL}/workouts/${workoutId}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    });
+    
+    return await handleResponse(response);
+  } catch (error) {
+    console.error('Delete workout error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to delete workout'
     };
   }
 };
@@ -0,0 +1,88 @@
+import { getUserActivities, getActivityById, updateActivity } from './apiService';
+import { computeBestEfforts, computePersonalRecords, isRecordEligible } from '../utils/personalRecords';
+import { locationHistoryToSamples } from '../utils/tracking';
+
+// Loading personal records. Activities listed with bestEfforts are used as-is;
+// older ones have their track fetched once, a few at a time, and the result
+// is kept for the session and saved back so the next list includes it.
+
+const RECORDS_PAGE_SIZE = 100;
+
+// Older activities backfilled in parallel per batch
+const BACKFILL_BATCH_SIZE = 5;
+
+// Best efforts per activity ID, computed from fetched tracks
+const bestEffortsCache = new Map();
+
+/**
+ * Best efforts from an activity's location history, leaving out what was
+ * covered during manual pauses. Used when recording and when backfilling, so
+ * both give the same result as editing the activity.
+ * @param {Array} locationHistory - [{ timestamp, location: GeoJSON Point, resumed }, ...]
+ * @param {Array} pauses - The activity's [{ start, end, reason }]
+ * @returns {Object} - See computeBestEfforts
+ */
+export const bestEffortsFromHistory = (locationHistory, pauses = []) =>
+  computeBestEfforts(locationHistoryToSamples(locationHistory, pauses));
+
+/**
+ * Drop an activity's cached best efforts, e.g. after its track changes.
+ * @param {string} activityId
+ */
+export const forgetBestEfforts = (activityId) => {
+  bestEffortsCache.delete(activityId);
+};
+
+const backfillBestEfforts = async (token, activity) => {
+  let history = activity.locationHistory;
+  let pauses = activity.pauses;
+  if (!history) {
+    const response = await getActivityById(token, activity._id);
+    if (!response.success || !response.data) {
+      console.warn(`Could not load track for activity ${activity._id}:`, response.message);
+      return;
+    }
+    history = response.data.locationHistory;
+    pauses = response.data.pauses;
+  }
+
+  const efforts = bestEffortsFromHistory(history, pauses);
+  bestEffortsCache.set(activity._id, efforts);
+
+  const saved = await updateActivity(token, activity._id, { bestEfforts: efforts });
+  if (!saved.success) {
+    console.warn(`Could not save best efforts for activity ${activity._id}:`, saved.message);
+  }
+};
+
+/**
+ * Recalculate the user's personal records from all their current activities.
+ * Archived activities aren't returned by the API, so archiving or restoring
+ * one is picked up by calling this again.
+ * @param {string} token - Auth token
+ * @returns {Promise<Object>} - { success, message, data: records by key }
+ */
+export const loadPersonalRecords = async (token) => {
+  const activities = [];
+  for (let skip = 0; ; skip += RECORDS_PAGE_SIZE) {
+    const response = await getUserActivities(token, { limit: RECORDS_PAGE_SIZE, skip, sort: '-startTime' });
+    if (!response.success) {
+      return { success: false, message: response.message || 'Failed to load activities', data: {} };
+    }
+    activities.push(...response.data);
+    if (response.data.length < RECORDS_PAGE_SIZE || (response.total && activities.length >= response.total)) break;
+  }
+
+  const eligible = activities.filter(isRecordEligible);
+  const missing = eligible.filter(activity => !activity.bestEfforts && !bestEffortsCache.has(activity._id));
+  for (let i = 0; i < missing.length; i += BACKFILL_BATCH_SIZE) {
+    await Promise.all(missing.slice(i, i + BACKFILL_BATCH_SIZE).map(activity => backfillBestEfforts(token, activity)));
+  }
+
+  const withEfforts = eligible.map(activity => ({
+    ...activity,
+    bestEfforts: activity.bestEfforts || bestEffortsCache.get(activity._id) || {}
+  }));
+
+  return { success: true, message: '', data: computePersonalRecords(withEfforts) };
+};
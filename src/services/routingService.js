@@ -0,0 +1,241 @@
+import { DEFAULT_DETOUR_FACTOR, buildLoopWaypoints, scoreLoopDistance, compassDirection } from '../utils/loopRoutes';
+import { distanceMeters } from '../utils/geo';
+
+// Routing adapter: turns ordered waypoints into a road/trail-following path.
+// Providers share one interface, route(waypoints, options) -> { geometry, distance },
+// so an OSRM server, a GraphHopper server or a test stub can back it.
+// Waypoints and geometry use the Leaflet [lat, lng] convention; distance is in meters.
+
+// Routing stays on straight lines unless a server is configured: waypoints
+// would otherwise be sent to a third party, and public demo servers only
+// serve car routes. Set REACT_APP_ROUTING_URL (and REACT_APP_ROUTING_PROVIDER
+// for GraphHopper) at build time, or a JSON 'routingConfig' entry in
+// localStorage at runtime, to route along roads and trails.
+const ROUTING_URL = process.env.REACT_APP_ROUTING_URL || '';
+
+const DEFAULT_ROUTING_CONFIG = {
+  provider: ROUTING_URL ? process.env.REACT_APP_ROUTING_PROVIDER || 'osrm' : 'straight', // 'osrm' | 'graphhopper' | 'straight'
+  baseUrl: ROUTING_URL,
+  apiKey: process.env.REACT_APP_ROUTING_API_KEY || '',
+  timeout: 10000 // ms
+};
+
+// Most public routing servers cap the waypoints per request
+const MAX_WAYPOINTS_PER_REQUEST = 25;
+
+// A generated loop is re-routed once when it misses the target by more than this
+const LOOP_RETRY_TOLERANCE = 0.1;
+
+// Routing profile per activity type; the server must serve these profiles
+const PROFILE_BY_ACTIVITY = {
+  osrm: { run: 'foot', jog: 'foot', walk: 'foot', hiking: 'foot', cycling: 'bike', default: 'foot' },
+  graphhopper: { run: 'foot', jog: 'foot', walk: 'foot', hiking: 'hike', cycling: 'bike', default: 'foot' }
+};
+
+export const getRoutingConfig = () => {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(localStorage.getItem('routingConfig') || '{}');
+  } catch (error) {
+    console.error('Invalid routingConfig in localStorage:', error);
+  }
+  return { ...DEFAULT_ROUTING_CONFIG, ...overrides };
+};
+
+const getProfile = (provider, activityType) => {
+  const profiles = PROFILE_BY_ACTIVITY[provider] || {};
+  return profiles[activityType] || profiles.default;
+};
+
+const fetchJson = async (url, timeout) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || data.error || `Routing request failed (${response.status})`);
+    }
+    return data;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Joins waypoints with straight lines; also used as the fallback
+export const createStraightLineProvider = () => ({
+  name: 'straight',
+  route: async (waypoints) => {
+    let distance = 0;
+    for (let i = 1; i < waypoints.length; i++) {
+      distance += distanceMeters(waypoints[i - 1], waypoints[i]);
+    }
+    return { geometry: waypoints.map(point => [point[0], point[1]]), distance };
+  }
+});
+
+// OSRM HTTP API (/route/v1/{profile}/{lng,lat;lng,lat})
+export const createOsrmProvider = ({ baseUrl, timeout = DEFAULT_ROUTING_CONFIG.timeout }) => ({
+  name: 'osrm',
+  route: async (waypoints, options = {}) => {
+    const profile = options.profile || getProfile('osrm', options.activityType);
+    const coordinates = waypoints.map(point => `${point[1]},${point[0]}`).join(';');
+    const data = await fetchJson(
+      `${baseUrl.replace(/\/$/, '')}/route/v1/${profile}/${coordinates}?overview=full&geometries=geojson`,
+      timeout
+    );
+
+    if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+      throw new Error(data.message || `OSRM returned ${data.code}`);
+    }
+
+    return {
+      geometry: data.routes[0].geometry.coordinates.map(coord => [coord[1], coord[0]]),
+      distance: data.routes[0].distance
+    };
+  }
+});
+
+// GraphHopper HTTP API (/route?point=lat,lng&point=lat,lng)
+export const createGraphHopperProvider = ({ baseUrl, apiKey, timeout = DEFAULT_ROUTING_CONFIG.timeout }) => ({
+  name: 'graphhopper',
+  route: async (waypoints, options = {}) => {
+    const params = new URLSearchParams();
+    waypoints.forEach(point => params.append('point', `${point[0]},${point[1]}`));
+    params.append('profile', options.profile || getProfile('graphhopper', options.activityType));
+    params.append('points_encoded', 'false');
+    if (apiKey) params.append('key', apiKey);
+
+    const data = await fetchJson(`${baseUrl.replace(/\/$/, '')}/route?${params.toString()}`, timeout);
+
+    if (!data.paths || data.paths.length === 0) {
+      throw new Error(data.message || 'GraphHopper returned no path');
+    }
+
+    return {
+      geometry: data.paths[0].points.coordinates.map(coord => [coord[1], coord[0]]),
+      distance: data.paths[0].distance
+    };
+  }
+});
+
+/**
+ * Build the provider described by a routing config.
+ * @param {Object} config - { provider, baseUrl, apiKey, timeout }
+ * @returns {Object} - Provider with name and route(waypoints, options)
+ */
+export const createRoutingProvider = (config = getRoutingConfig()) => {
+  // A routing server is only used when one is configured
+  if (!config.baseUrl) return createStraightLineProvider();
+
+  switch (config.provider) {
+    case 'osrm':
+      return createOsrmProvider(config);
+    case 'graphhopper':
+      return createGraphHopperProvider(config);
+    default:
+      return createStraightLineProvider();
+  }
+};
+
+/**
+ * Whether waypoints are routed along roads and trails rather than joined
+ * with straight lines.
+ * @param {Object} config - Routing config, defaults to getRoutingConfig()
+ * @returns {boolean}
+ */
+export const isRoutingConfigured = (config = getRoutingConfig()) =>
+  createRoutingProvider(config).name !== createStraightLineProvider().name;
+
+/**
+ * Route through ordered waypoints, following roads and trails where possible.
+ * Long waypoint lists are routed in overlapping chunks and stitched together.
+ * Any provider error falls back to straight lines so callers always get a path.
+ * @param {Array} waypoints - [[lat, lng], ...] in visiting order
+ * @param {Object} options - { activityType, profile, provider (override) }
+ * @returns {Promise<Object>} - { geometry: [[lat, lng]], distance (m), snapped, provider, error }
+ */
+export const routeWaypoints = async (waypoints, options = {}) => {
+  const fallback = createStraightLineProvider();
+
+  if (!waypoints || waypoints.length < 2) {
+    const result = await fallback.route(waypoints || []);
+    return { ...result, snapped: false, provider: fallback.name, error: null };
+  }
+
+  const provider = options.provider || createRoutingProvider();
+  if (provider.name === fallback.name) {
+    const result = await fallback.route(waypoints);
+    return { ...result, snapped: false, provider: fallback.name, error: null };
+  }
+
+  try {
+    const geometry = [];
+    let distance = 0;
+
+    // Consecutive chunks share their boundary waypoint
+    for (let start = 0; start < waypoints.length - 1; start += MAX_WAYPOINTS_PER_REQUEST - 1) {
+      const chunk = waypoints.slice(start, start + MAX_WAYPOINTS_PER_REQUEST);
+      const result = await provider.route(chunk, options);
+      geometry.push(...(geometry.length > 0 ? result.geometry.slice(1) : result.geometry));
+      distance += result.distance;
+    }
+
+    return { geometry, distance, snapped: true, provider: provider.name, error: null };
+  } catch (error) {
+    console.error(`Routing with ${provider.name} failed, using straight lines:`, error);
+    const result = await fallback.route(waypoints);
+    return { ...result, snapped: false, provider: fallback.name, error: error.message };
+  }
+};
+
+/**
+ * Generate round-trip routes of a target length from a start point.
+ * Each alternative heads out in a different direction; loops that miss the
+ * target are rescaled and routed once more, keeping the closer attempt.
+ * Needs a routing server: straight lines between the loop's waypoints would
+ * cut across buildings and water, so without one this throws.
+ * @param {Array} start - [lat, lng]
+ * @param {number} targetKm - Wanted loop length in kilometers
+ * @param {Object} options - { alternatives, baseHeading, activityType, provider }
+ * @returns {Promise<Array>} - [{ heading, direction, waypoints, geometry, distance (km), score, snapped }], best first
+ */
+export const generateLoopRoutes = async (start, targetKm, options = {}) => {
+  const { alternatives = 3, baseHeading = 0 } = options;
+  const provider = options.provider || createRoutingProvider();
+  if (provider.name === createStraightLineProvider().name) {
+    throw new Error('Loop routes need a routing server. Set REACT_APP_ROUTING_URL to generate loops along roads and trails.');
+  }
+  const loops = [];
+
+  for (let i = 0; i < alternatives; i++) {
+    const heading = (baseHeading + (i * 360) / alternatives) % 360;
+    let detourFactor = DEFAULT_DETOUR_FACTOR;
+    let best = null;
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const waypoints = buildLoopWaypoints(start, targetKm, heading, detourFactor);
+      const result = await routeWaypoints(waypoints, { ...options, provider });
+      const distance = result.distance / 1000;
+      const candidate = {
+        heading,
+        direction: compassDirection(heading),
+        waypoints,
+        geometry: result.geometry,
+        distance,
+        score: scoreLoopDistance(distance, targetKm),
+        snapped: result.snapped
+      };
+
+      if (!best || candidate.score > best.score) best = candidate;
+      if (distance <= 0 || Math.abs(distance - targetKm) / targetKm <= LOOP_RETRY_TOLERANCE) break;
+
+      // Shrink or grow the circle by how far off this attempt landed
+      detourFactor *= distance / targetKm;
+    }
+
+    loops.push(best);
+  }
+
+  return loops.sort((a, b) => b.score - a.score);
+};
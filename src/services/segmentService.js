@@ -0,0 +1,95 @@
+import { getNearbySegments, recordSegmentEffort, deleteActivitySegmentEfforts } from './apiService';
+import { boundingBox } from '../utils/geometry';
+import { distanceKm, normalizeRoutes, toLatLng } from '../utils/geo';
+import { findSegmentEfforts, bestEffort } from '../utils/segments';
+
+// Matching finished activities against nearby segments.
+// Runs in the browser after stopSession; the API only stores the results.
+
+// Extra search radius beyond the activity's own extent (km)
+const SEGMENT_SEARCH_MARGIN_KM = 1;
+
+/**
+ * Track points from an activity's location history.
+ * @param {Array} locationHistory - [{ timestamp, location: GeoJSON Point }, ...]
+ * @returns {Array} - [{ position: [lat, lng], timestamp }]
+ */
+export const locationHistoryToTrack = (locationHistory) =>
+  (locationHistory || [])
+    .filter(entry => entry && entry.timestamp && entry.location && Array.isArray(entry.location.coordinates))
+    .map(entry => ({
+      position: toLatLng(entry.location.coordinates),
+      timestamp: entry.timestamp
+    }));
+
+/**
+ * Find every nearby segment the activity covered and record the fastest
+ * effort on each. Failures are logged and skipped so a segment problem
+ * never affects the saved activity.
+ * @param {string} token - Auth token
+ * @param {string} activityId - Activity the efforts belong to
+ * @param {Array} locationHistory - The activity's timestamped positions
+ * @returns {Promise<Array>} - [{ segment, effort }] for recorded efforts
+ */
+export const matchActivityToSegments = async (token, activityId, locationHistory) => {
+  const track = locationHistoryToTrack(locationHistory);
+  if (track.length < 2) return [];
+
+  // Search a circle around the activity's bounding box
+  const [[minLat, minLng], [maxLat, maxLng]] = boundingBox(track.map(point => point.position));
+  const center = [(minLat + maxLat) / 2, (minLng + maxLng) / 2];
+  const radiusKm = distanceKm(center, [maxLat, maxLng]) + SEGMENT_SEARCH_MARGIN_KM;
+
+  const segmentsResponse = await getNearbySegments(token, {
+    latitude: center[0],
+    longitude: center[1],
+    maxDistance: Math.ceil(radiusKm)
+  });
+  if (!segmentsResponse.success) {
+    console.warn('Could not load nearby segments:', segmentsResponse.message);
+    return [];
+  }
+
+  const matches = [];
+  for (const segment of normalizeRoutes(segmentsResponse.data)) {
+    try {
+      const effort = bestEffort(findSegmentEfforts(segment.pathCoordinates, track));
+      if (!effort) continue;
+
+      const response = await recordSegmentEffort(token, segment._id, {
+        activityId,
+        elapsedTime: effort.elapsedTime,
+        startTime: effort.startTime,
+        endTime: effort.endTime
+      });
+      if (response.success) {
+        matches.push({ segment, effort });
+      } else {
+        console.warn(`Could not record effort on segment ${segment._id}:`, response.message);
+      }
+    } catch (error) {
+      console.warn(`Segment ${segment._id} matching failed:`, error);
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Match an edited activity again. Its old efforts are deleted first so none
+ * timed on removed points are left behind; if that fails, nothing new is
+ * recorded, to avoid duplicate efforts.
+ * @param {string} token - Auth token
+ * @param {string} activityId - Activity the efforts belong to
+ * @param {Array} locationHistory - The activity's timestamped positions after the edit
+ * @returns {Promise<Array>} - [{ segment, effort }] for recorded efforts
+ */
+export const rematchActivityToSegments = async (token, activityId, locationHistory) => {
+  const cleared = await deleteActivitySegmentEfforts(token, activityId);
+  if (!cleared.success) {
+    console.warn(`Could not clear segment efforts of activity ${activityId}:`, cleared.message);
+    return [];
+  }
+
+  return matchActivityToSegments(token, activityId, locationHistory);
+};
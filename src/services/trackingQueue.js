@@ -0,0 +1,159 @@
+// Durable queue for live tracking points, backed by IndexedDB.
+// Points are written before they are sent so that anything recorded while
+// offline survives a page reload and can be replayed in order later.
+
+const DB_NAME = 'gapogait-tracking';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingPoints';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        // Auto-incrementing keys preserve insertion (recording) order
+        db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+// Run a single request inside a transaction and resolve with its result
+const runRequest = async (mode, createRequest) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Store a tracked point until it has been delivered to the server.
+ * @param {Object} point - { userId, sessionKey, position: [lat, lng], timestamp, stats }
+ * @returns {Promise<number>} - Key of the stored point
+ */
+export const enqueuePoint = (point) =>
+  runRequest('readwrite', store => store.add({ ...point, queuedAt: Date.now() }));
+
+/**
+ * Read all pending points, oldest first.
+ * @returns {Promise<Array>} - Pending points including their queue ids
+ */
+export const getPendingPoints = () =>
+  runRequest('readonly', store => store.getAll());
+
+export const countPendingPoints = () =>
+  runRequest('readonly', store => store.count());
+
+/**
+ * Remove delivered points from the queue.
+ * @param {Array<number>} ids - Queue ids returned by getPendingPoints
+ */
+export const removePoints = async (ids) => {
+  if (!ids || ids.length === 0) return;
+
+  const db = await openDatabase();
+  await new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    ids.forEach(id => store.delete(id));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Drop every pending point recorded in one tracking session, once the
+ * session's full track has been saved with stopSession or the user chose
+ * not to save it.
+ * @param {number} sessionKey - sessionKey the points were queued with
+ */
+export const removeSessionPoints = async (sessionKey) => {
+  const pending = await getPendingPoints();
+  await removePoints(pending.filter(point => point.sessionKey === sessionKey).map(point => point.id));
+};
+
+/**
+ * Hand points queued without a session (e.g. by an older version of the app)
+ * to the session that is starting, so they are replayed instead of lost.
+ * @param {number} sessionKey - Key of the new session
+ * @returns {Promise<number>} - Number of points adopted
+ */
+export const adoptOrphanPoints = async (sessionKey) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const request = transaction.objectStore(STORE_NAME).openCursor();
+    let adopted = 0;
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (!cursor.value.sessionKey) {
+        cursor.update({ ...cursor.value, sessionKey });
+        adopted += 1;
+      }
+      cursor.continue();
+    };
+
+    transaction.oncomplete = () => resolve(adopted);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const clearPendingPoints = () =>
+  runRequest('readwrite', store => store.clear());
+
+/**
+ * Replay pending points in order through the given sender.
+ * Stops at the first batch that fails so nothing is delivered out of order.
+ * Points the filter holds back stay queued and aren't counted as pending.
+ * @param {Function} sendBatch - async (points) => boolean, true when delivered
+ * @param {number} batchSize - Number of points sent per call
+ * @param {Function} shouldSend - (point) => boolean, false to hold a point back
+ * @returns {Promise<number>} - Number of points still pending
+ */
+export const flushPendingPoints = async (sendBatch, batchSize = 50, shouldSend = () => true) => {
+  const pending = (await getPendingPoints()).filter(shouldSend);
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    const delivered = await sendBatch(batch);
+
+    if (!delivered) {
+      return pending.length - i;
+    }
+
+    await removePoints(batch.map(point => point.id));
+  }
+
+  return 0;
+};
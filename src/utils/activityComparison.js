@@ -0,0 +1,96 @@
+// Comparing two activities side by side. Both are resampled at the same
+// distances so pace, elevation and the running time gap line up on one axis.
+// Distances are in meters and times in seconds of moving time.
+
+import { ghostTimeAtDistance } from './ghost';
+
+// Resampling step bounds (m); the step grows with the shared distance
+const COMPARISON_MIN_STEP = 25;
+const COMPARISON_MAX_SAMPLES = 200;
+
+// Altitude at a distance along a track, interpolated between fixes that have one
+const altitudeAtDistance = (track, meters) => {
+  let before = null;
+  for (const point of track) {
+    if (point.altitude === null || point.altitude === undefined) continue;
+    if (point.distance >= meters) {
+      if (!before) return point.altitude;
+      const span = point.distance - before.distance;
+      const fraction = span > 0 ? (meters - before.distance) / span : 1;
+      return before.altitude + fraction * (point.altitude - before.altitude);
+    }
+    before = point;
+  }
+  return before ? before.altitude : null;
+};
+
+/**
+ * Resample two tracks at the same distances.
+ * Pace is measured over the step leading up to each sample, and the gap is
+ * how far B is behind A at that distance (negative when B is ahead).
+ * @param {Array} trackA - From buildGhostTrack
+ * @param {Array} trackB - From buildGhostTrack
+ * @returns {Array} - [{ distance, a: { time, pace, elevation }, b: { ... }, gap }]
+ */
+export const alignByDistance = (trackA, trackB) => {
+  if (!trackA || !trackB || trackA.length === 0 || trackB.length === 0) return [];
+
+  const shared = Math.min(trackA[trackA.length - 1].distance, trackB[trackB.length - 1].distance);
+  if (shared <= 0) return [];
+
+  const step = Math.max(COMPARISON_MIN_STEP, shared / COMPARISON_MAX_SAMPLES);
+  // previousTime is this track's time at previousMeters, the last sample
+  const sampleAt = (track, meters, previousMeters, previousTime) => {
+    const time = ghostTimeAtDistance(track, meters);
+    return {
+      time,
+      // Seconds per km over the step since the previous sample
+      pace: meters > previousMeters ? ((time - previousTime) / (meters - previousMeters)) * 1000 : null,
+      elevation: altitudeAtDistance(track, meters)
+    };
+  };
+
+  const samples = [];
+  for (let meters = 0; ; meters = Math.min(shared, meters + step)) {
+    const previous = samples[samples.length - 1] || { distance: 0, a: { time: 0 }, b: { time: 0 } };
+    const a = sampleAt(trackA, meters, previous.distance, previous.a.time);
+    const b = sampleAt(trackB, meters, previous.distance, previous.b.time);
+    samples.push({ distance: meters, a, b, gap: b.time - a.time });
+    if (meters >= shared) break;
+  }
+
+  return samples;
+};
+
+/**
+ * Side-by-side summary rows for the comparison table.
+ * @param {Object} activityA
+ * @param {Object} activityB
+ * @returns {Array} - [{ label, a, b, better: 'a' | 'b' | null }] with raw values
+ */
+export const compareActivityStats = (activityA, activityB) => {
+  const pace = (activity) => (activity.distance > 0 && activity.duration > 0
+    ? activity.duration / (activity.distance / 1000)
+    : null);
+
+  const rows = [
+    { key: 'distance', label: 'Distance', a: activityA.distance, b: activityB.distance, higherIsBetter: true },
+    { key: 'duration', label: 'Duration', a: activityA.duration, b: activityB.duration, higherIsBetter: null },
+    { key: 'pace', label: 'Avg Pace', a: pace(activityA), b: pace(activityB), higherIsBetter: false },
+    { key: 'averageSpeed', label: 'Avg Speed', a: activityA.averageSpeed, b: activityB.averageSpeed, higherIsBetter: true },
+    { key: 'maxSpeed', label: 'Max Speed', a: activityA.maxSpeed, b: activityB.maxSpeed, higherIsBetter: true },
+    { key: 'elevationGain', label: 'Elevation Gain', a: activityA.elevationGain, b: activityB.elevationGain, higherIsBetter: true },
+    { key: 'calories', label: 'Calories', a: activityA.calories, b: activityB.calories, higherIsBetter: null }
+  ];
+
+  // Zero is a real value (e.g. no climbing); only missing values can't be compared
+  const hasValue = (value) => value !== null && value !== undefined;
+
+  return rows.map(({ higherIsBetter, ...row }) => {
+    let better = null;
+    if (higherIsBetter !== null && hasValue(row.a) && hasValue(row.b) && row.a !== row.b) {
+      better = (row.a > row.b) === higherIsBetter ? 'a' : 'b';
+    }
+    return { ...row, better };
+  });
+};
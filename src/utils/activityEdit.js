@@ -0,0 +1,96 @@
+// Editing recorded activities: trimming and splitting the location history
+// and recomputing everything derived from it. Indexes refer to the entries
+// returned by editableHistory; distances are in meters and times in seconds.
+
+import { summarizeSamples, computeSplits, computeLaps, locationHistoryToSamples, SPLIT_DISTANCE } from './tracking';
+import { computeBestEfforts } from './personalRecords';
+
+// Each part of a trimmed or split activity needs at least this many fixes
+export const MIN_EDIT_POINTS = 2;
+
+/**
+ * Location history entries that can be cut: timestamped with a position.
+ * Works on a copy, so the activity's own locationHistory keeps its order.
+ * @param {Object} activity - Activity with locationHistory
+ * @returns {Array} - Entries in recording order
+ */
+export const editableHistory = (activity) =>
+  [...((activity && activity.locationHistory) || [])]
+    .filter(entry => entry && entry.timestamp && entry.location && Array.isArray(entry.location.coordinates))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+// Time ranges (pauses, off-route intervals) in ms, clipped to [start, end]
+const clipIntervals = (intervals, start, end) => (intervals || [])
+  .map(interval => ({ ...interval, start: new Date(interval.start).getTime(), end: new Date(interval.end).getTime() }))
+  .filter(interval => interval.end > start && interval.start < end)
+  .map(interval => ({ ...interval, start: Math.max(start, interval.start), end: Math.min(end, interval.end) }));
+
+/**
+ * Activity fields for the part of the history between two indexes, inclusive.
+ * Distance, time, speed, elevation, splits, laps and best efforts are all
+ * recomputed from the kept fixes; pauses, lap marks and off-route intervals
+ * outside are dropped. Segment efforts, the workout and the ghost race no
+ * longer describe the part and are cleared; segments are matched again after
+ * saving.
+ * @param {Object} activity - The original activity
+ * @param {Array} history - From editableHistory
+ * @param {number} startIndex
+ * @param {number} endIndex
+ * @returns {Object|null} - Fields to send to the API, or null when too short
+ */
+export const buildActivityPart = (activity, history, startIndex, endIndex) => {
+  if (startIndex < 0 || endIndex >= history.length || endIndex - startIndex + 1 < MIN_EDIT_POINTS) return null;
+
+  const part = history.slice(startIndex, endIndex + 1);
+  const samples = locationHistoryToSamples(part, activity.pauses);
+  const stats = summarizeSamples(samples);
+  const start = samples[0].timestamp;
+  const end = samples[samples.length - 1].timestamp;
+  const pauses = clipIntervals(activity.pauses, start, end);
+  const pausedSeconds = pauses.reduce((sum, pause) => sum + (pause.end - pause.start) / 1000, 0);
+
+  const splitUnit = activity.splitUnit || 'km';
+  const lapMarks = (activity.laps || []).slice(0, -1).map(lap => new Date(lap.endTime).getTime());
+
+  return {
+    startTime: new Date(start),
+    endTime: new Date(end),
+    locationHistory: part,
+    route: {
+      type: 'LineString',
+      coordinates: part.map(entry => entry.location.coordinates)
+    },
+    distance: Math.round(stats.distance),
+    duration: Math.round(stats.duration),
+    elapsedTime: Math.round(stats.duration),
+    movingTime: Math.max(0, Math.round(stats.duration - pausedSeconds)),
+    averageSpeed: stats.averageSpeed,
+    maxSpeed: stats.maxSpeed,
+    elevationGain: stats.elevationGain,
+    elevationLoss: stats.elevationLoss,
+    pauses: pauses.map(pause => ({ start: new Date(pause.start), end: new Date(pause.end), reason: pause.reason })),
+    splits: computeSplits(samples, SPLIT_DISTANCE[splitUnit] || SPLIT_DISTANCE.km, pauses),
+    splitUnit,
+    laps: computeLaps(samples, lapMarks, pauses),
+    bestEfforts: computeBestEfforts(samples),
+    offRouteIntervals: clipIntervals(activity.offRouteIntervals, start, end)
+      .map(interval => ({ ...interval, start: new Date(interval.start), end: new Date(interval.end) })),
+    segmentEfforts: [],
+    workout: null,
+    ghostRace: null
+  };
+};
+
+/**
+ * The two activities a split produces. The fix at splitIndex ends the first
+ * part and starts the second, so no distance is lost between them.
+ * @param {Object} activity
+ * @param {Array} history - From editableHistory
+ * @param {number} splitIndex
+ * @returns {Array|null} - [first, second], or null when either part is too short
+ */
+export const buildSplitParts = (activity, history, splitIndex) => {
+  const first = buildActivityPart(activity, history, 0, splitIndex);
+  const second = buildActivityPart(activity, history, splitIndex, history.length - 1);
+  return first && second ? [first, second] : null;
+};
@@ -0,0 +1,140 @@
+import { editableHistory, buildActivityPart, buildSplitParts } from './activityEdit';
+
+// Degrees of latitude per 100 m along a meridian
+const STEP = 100 / (6371000 * Math.PI / 180);
+
+const START = Date.UTC(2026, 9, 19, 7, 0, 0);
+
+// A fix every 100 m due north, 30 s apart
+const entry = (index, seconds = index * 30) => ({
+  timestamp: new Date(START + seconds * 1000).toISOString(),
+  location: { type: 'Point', coordinates: [120.28, 14.83 + index * STEP] },
+  altitude: 10,
+  speed: null
+});
+
+const activity = (overrides = {}) => ({
+  _id: 'activity-1',
+  title: 'Morning Run',
+  type: 'run',
+  distance: 1000,
+  duration: 300,
+  locationHistory: Array.from({ length: 11 }, (_, index) => entry(index)),
+  pauses: [],
+  laps: [],
+  segmentEfforts: [{ segment: 'segment-1', elapsedTime: 120 }],
+  offRouteIntervals: [
+    { start: new Date(START + 15000), end: new Date(START + 45000), maxDistance: 60 },
+    { start: new Date(START + 250000), end: new Date(START + 280000), maxDistance: 80 }
+  ],
+  workout: { name: 'Intervals' },
+  ghostRace: { finalDelta: -12 },
+  ...overrides
+});
+
+describe('editableHistory', () => {
+  test('sorts a copy without reordering the activity', () => {
+    const original = activity();
+    original.locationHistory.reverse();
+    const firstBefore = original.locationHistory[0];
+
+    const history = editableHistory(original);
+    expect(history[0].location.coordinates[1]).toBe(14.83);
+    expect(original.locationHistory[0]).toBe(firstBefore);
+  });
+
+  test('skips entries without a time or position', () => {
+    const history = editableHistory(activity({ locationHistory: [entry(0), { timestamp: null }, { location: null }, entry(1)] }));
+    expect(history).toHaveLength(2);
+  });
+});
+
+describe('buildActivityPart', () => {
+  test('trimming from the first fix keeps the start', () => {
+    const source = activity();
+    const part = buildActivityPart(source, editableHistory(source), 0, 4);
+
+    expect(part.startTime).toEqual(new Date(START));
+    expect(part.endTime).toEqual(new Date(START + 120000));
+    expect(part.distance).toBe(400);
+    expect(part.duration).toBe(120);
+    expect(part.locationHistory).toHaveLength(5);
+    expect(part.route.coordinates).toHaveLength(5);
+  });
+
+  test('trimming up to the last fix keeps the end', () => {
+    const source = activity();
+    const history = editableHistory(source);
+    const part = buildActivityPart(source, history, 6, history.length - 1);
+
+    expect(part.startTime).toEqual(new Date(START + 180000));
+    expect(part.endTime).toEqual(new Date(START + 300000));
+    expect(part.distance).toBe(400);
+    expect(part.locationHistory[part.locationHistory.length - 1]).toBe(history[history.length - 1]);
+  });
+
+  test('keeping every fix changes nothing measured', () => {
+    const source = activity();
+    const history = editableHistory(source);
+    const part = buildActivityPart(source, history, 0, history.length - 1);
+    expect(part.distance).toBe(source.distance);
+    expect(part.duration).toBe(source.duration);
+  });
+
+  test('rejects parts that are too short or out of range', () => {
+    const source = activity();
+    const history = editableHistory(source);
+    expect(buildActivityPart(source, history, 3, 3)).toBeNull();
+    expect(buildActivityPart(source, history, -1, 4)).toBeNull();
+    expect(buildActivityPart(source, history, 0, history.length)).toBeNull();
+  });
+
+  test('leaves out the distance covered during a manual pause', () => {
+    // Paused between the 5th and 6th fix and moved 1 km before resuming
+    const locationHistory = [
+      ...Array.from({ length: 5 }, (_, index) => entry(index)),
+      ...Array.from({ length: 5 }, (_, index) => entry(index + 14, 600 + index * 30))
+    ];
+    const pauses = [{ start: new Date(START + 150000), end: new Date(START + 590000), reason: 'manual' }];
+    const source = activity({ locationHistory, pauses });
+
+    const part = buildActivityPart(source, editableHistory(source), 0, 9);
+    expect(part.distance).toBe(800);
+    expect(part.pauses).toHaveLength(1);
+    expect(part.movingTime).toBe(part.duration - 440);
+
+    // Auto-pauses only stop the clock
+    const autoPaused = activity({ locationHistory, pauses: [{ ...pauses[0], reason: 'auto' }] });
+    expect(buildActivityPart(autoPaused, editableHistory(autoPaused), 0, 9).distance).toBe(1800);
+  });
+
+  test('clips off-route intervals and clears what no longer applies', () => {
+    const source = activity();
+    const part = buildActivityPart(source, editableHistory(source), 0, 4);
+
+    expect(part.offRouteIntervals).toEqual([
+      { start: new Date(START + 15000), end: new Date(START + 45000), maxDistance: 60 }
+    ]);
+    expect(part.segmentEfforts).toEqual([]);
+    expect(part.workout).toBeNull();
+    expect(part.ghostRace).toBeNull();
+  });
+});
+
+describe('buildSplitParts', () => {
+  test('both parts share the split fix', () => {
+    const source = activity();
+    const [first, second] = buildSplitParts(source, editableHistory(source), 4);
+
+    expect(first.endTime).toEqual(second.startTime);
+    expect(first.distance + second.distance).toBe(1000);
+    expect(second.offRouteIntervals).toHaveLength(1);
+  });
+
+  test('needs two fixes on each side', () => {
+    const source = activity();
+    const history = editableHistory(source);
+    expect(buildSplitParts(source, history, 0)).toBeNull();
+    expect(buildSplitParts(source, history, history.length - 1)).toBeNull();
+  });
+});
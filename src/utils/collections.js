@@ -0,0 +1,64 @@
+// Helpers for favourite routes and user-defined route collections.
+// The API may return collection routes as bare IDs or as populated route objects.
+
+import { normalizeRoutes } from './geo';
+
+// ID of a route entry, whether populated or not
+export const getRouteId = (entry) => (entry && typeof entry === 'object' ? entry._id : entry);
+
+/**
+ * Route IDs of a collection, in their saved order.
+ * @param {Object} collection - Collection from getRouteCollections
+ * @returns {Array} - [routeId, ...]
+ */
+export const collectionRouteIds = (collection) =>
+  ((collection && collection.routes) || []).map(getRouteId).filter(Boolean);
+
+/**
+ * Canonical collection shape: populated routes are normalized for the maps,
+ * bare IDs are kept as they are.
+ * @param {Object} collection - Collection as returned by the API
+ * @returns {Object} - Collection with normalized routes
+ */
+export const normalizeCollection = (collection) => {
+  const entries = collection.routes || [];
+  const populated = normalizeRoutes(entries.filter(entry => entry && typeof entry === 'object'));
+
+  return {
+    ...collection,
+    routes: entries.map(entry => (
+      entry && typeof entry === 'object' ? populated.find(route => route._id === entry._id) : entry
+    ))
+  };
+};
+
+/**
+ * Routes of a collection in their saved order. Bare IDs are looked up among
+ * the routes already loaded; any that can't be found are left out.
+ * @param {Object} collection - Collection in the normalizeCollection shape
+ * @param {Array} knownRoutes - Routes already loaded on the page
+ * @returns {Array} - Route objects
+ */
+export const resolveCollectionRoutes = (collection, knownRoutes = []) =>
+  ((collection && collection.routes) || [])
+    .map(entry => (entry && typeof entry === 'object'
+      ? entry
+      : knownRoutes.find(route => route._id === entry)))
+    .filter(Boolean);
+
+/**
+ * Move one item up or down a list.
+ * @param {Array} list - Items (not modified)
+ * @param {number} index - Position of the item to move
+ * @param {number} offset - Positions to move, e.g. -1 for up
+ * @returns {Array} - Reordered copy; unchanged when the move would leave the list
+ */
+export const moveItem = (list, index, offset) => {
+  const target = index + offset;
+  if (index < 0 || index >= list.length || target < 0 || target >= list.length) return [...list];
+
+  const reordered = [...list];
+  const [item] = reordered.splice(index, 1);
+  reordered.splice(target, 0, item);
+  return reordered;
+};
@@ -0,0 +1,158 @@
+// Elevation gain/loss and profile helpers for routes and activities.
+// Positions use the Leaflet [lat, lng] convention.
+
+import { distanceMeters } from './geo';
+
+// Samples averaged either side of each altitude reading
+export const ELEVATION_SMOOTHING_WINDOW = 2;
+
+// Climb or descent needed before it counts towards gain/loss (m).
+// GPS altitude wobbles by a few meters even when standing still.
+export const ELEVATION_HYSTERESIS_METERS = 3;
+
+// Minimum horizontal distance a grade is measured over (m)
+const GRADE_DISTANCE_METERS = 25;
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Centered moving average over altitude readings. Missing readings stay
+ * null and are left out of their neighbours' averages.
+ * @param {Array<number|null>} values - Altitudes in meters
+ * @param {number} window - Readings either side to average over
+ * @returns {Array<number|null>} - Smoothed altitudes
+ */
+export const smoothElevations = (values, window = ELEVATION_SMOOTHING_WINDOW) => values.map((value, index) => {
+  if (!isNumber(value)) return null;
+
+  let sum = 0;
+  let count = 0;
+  for (let i = Math.max(0, index - window); i <= Math.min(values.length - 1, index + window); i++) {
+    if (isNumber(values[i])) {
+      sum += values[i];
+      count++;
+    }
+  }
+  return sum / count;
+});
+
+// Gain and loss counted so far at each reading, using the hysteresis
+// described for computeElevationGainLoss
+const runningGainLoss = (values, threshold) => {
+  let gain = 0;
+  let loss = 0;
+  let reference = null;
+
+  return values.map(value => {
+    if (!isNumber(value)) return { gain, loss };
+
+    if (reference === null) {
+      reference = value;
+    } else if (value - reference >= threshold) {
+      gain += value - reference;
+      reference = value;
+    } else if (reference - value >= threshold) {
+      loss += reference - value;
+      reference = value;
+    }
+    return { gain, loss };
+  });
+};
+
+/**
+ * Total climb and descent with a hysteresis threshold: the altitude has to
+ * move by at least the threshold from the last counted level before it is
+ * added, so noise around a flat section doesn't pile up as gain.
+ * @param {Array<number|null>} values - Altitudes in meters (ideally smoothed)
+ * @param {number} threshold - Hysteresis in meters
+ * @returns {Object} - { gain, loss } in meters
+ */
+export const computeElevationGainLoss = (values, threshold = ELEVATION_HYSTERESIS_METERS) => {
+  const running = runningGainLoss(values, threshold);
+  const total = running.length > 0 ? running[running.length - 1] : { gain: 0, loss: 0 };
+  return { gain: Math.round(total.gain), loss: Math.round(total.loss) };
+};
+
+/**
+ * Smoothed gain and loss straight from raw altitude readings.
+ * @param {Array<number|null>} altitudes - Raw altitudes in meters
+ * @returns {Object} - { gain, loss } in meters
+ */
+export const elevationGainLoss = (altitudes) =>
+  computeElevationGainLoss(smoothElevations(altitudes || []));
+
+/**
+ * Smoothed climb counted up to each raw altitude reading, the same way as
+ * elevationGainLoss. The difference between two readings is the gain in
+ * between, so splits and laps add up to the activity's total.
+ * @param {Array<number|null>} altitudes - Raw altitudes in meters
+ * @returns {Array<number>} - Unrounded gain in meters at each reading
+ */
+export const cumulativeElevationGain = (altitudes) =>
+  runningGainLoss(smoothElevations(altitudes || []), ELEVATION_HYSTERESIS_METERS).map(step => step.gain);
+
+/**
+ * Build a distance/elevation profile along a path.
+ * Points without an altitude still add distance but are left out of the profile.
+ * @param {Array} positions - [[lat, lng], ...]
+ * @param {Array<number|null>} altitudes - Altitude per position in meters
+ * @returns {Array} - [{ index, distance (m), elevation (m), grade (%), position }]
+ */
+export const buildElevationProfile = (positions, altitudes) => {
+  if (!positions || !altitudes || positions.length < 2) return [];
+
+  const smoothed = smoothElevations(altitudes);
+  const profile = [];
+  let distance = 0;
+
+  positions.forEach((position, index) => {
+    if (index > 0) {
+      distance += distanceMeters(positions[index - 1], position);
+    }
+    if (!isNumber(smoothed[index])) return;
+
+    // Grade over at least GRADE_DISTANCE_METERS to keep short hops from spiking
+    let grade = 0;
+    for (let i = profile.length - 1; i >= 0; i--) {
+      const run = distance - profile[i].distance;
+      if (run >= GRADE_DISTANCE_METERS) {
+        grade = ((smoothed[index] - profile[i].elevation) / run) * 100;
+        break;
+      }
+    }
+
+    profile.push({
+      index,
+      distance,
+      elevation: smoothed[index],
+      grade,
+      position
+    });
+  });
+
+  return profile.length >= 2 ? profile : [];
+};
+
+/**
+ * Headline numbers for an elevation profile.
+ * @param {Array} profile - Profile from buildElevationProfile
+ * @returns {Object} - { gain, loss, min, max, maxGrade, minGrade }
+ */
+export const summarizeElevationProfile = (profile) => {
+  if (!profile || profile.length === 0) {
+    return { gain: 0, loss: 0, min: 0, max: 0, maxGrade: 0, minGrade: 0 };
+  }
+
+  const elevations = profile.map(point => point.elevation);
+  const grades = profile.map(point => point.grade);
+  const { gain, loss } = computeElevationGainLoss(elevations);
+
+  return {
+    gain,
+    loss,
+    min: Math.round(Math.min(...elevations)),
+    max: Math.round(Math.max(...elevations)),
+    maxGrade: Math.round(Math.max(...grades) * 10) / 10,
+    minGrade: Math.round(Math.min(...grades) * 10) / 10
+  };
+};
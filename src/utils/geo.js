@@ -0,0 +1,270 @@
+// Shared geo helpers: great-circle distances, coordinate order conversion
+// and normalizers that turn API routes and activities into one canonical shape.
+// The API speaks GeoJSON ([lng, lat], optionally [lng, lat, ele]); maps and
+// everything else in the app use the Leaflet [lat, lng] convention.
+
+import { displayPath } from './geometry';
+
+// Map fallback when a route has no usable location at all (Olongapo City)
+export const DEFAULT_CENTER = [14.8386, 120.2842];
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Whether a value is a usable [lat, lng] pair.
+ * @param {*} point
+ * @returns {boolean}
+ */
+export const isLatLng = (point) =>
+  Array.isArray(point) && point.length >= 2 && isNumber(point[0]) && isNumber(point[1]) &&
+  Math.abs(point[0]) <= 90 && Math.abs(point[1]) <= 180;
+
+/**
+ * Great-circle (haversine) distance between two [lat, lng] points.
+ * @param {Array} from - [lat, lng]
+ * @param {Array} to - [lat, lng]
+ * @returns {number} - Distance in meters
+ */
+export const distanceMeters = (from, to) => {
+  const dLat = (to[0] - from[0]) * Math.PI / 180;
+  const dLng = (to[1] - from[1]) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(from[0] * Math.PI / 180) * Math.cos(to[0] * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Same as distanceMeters, in kilometers
+export const distanceKm = (from, to) => distanceMeters(from, to) / 1000;
+
+/**
+ * Total length of a [lat, lng] path. Malformed points are skipped.
+ * @param {Array} path - [[lat, lng], ...]
+ * @returns {number} - Length in kilometers
+ */
+export const pathDistanceKm = (path) => {
+  let total = 0;
+  let previous = null;
+  (path || []).forEach(point => {
+    if (!isLatLng(point)) return;
+    if (previous) total += distanceKm(previous, point);
+    previous = point;
+  });
+  return total;
+};
+
+// GeoJSON [lng, lat] -> Leaflet [lat, lng]
+export const toLatLng = (coord) => [coord[1], coord[0]];
+
+// Leaflet [lat, lng] -> GeoJSON [lng, lat]
+export const toLngLat = (point) => [point[1], point[0]];
+
+// GeoJSON geometries, from [lat, lng] input. A line string keeps any
+// elevations given alongside the path as the third coordinate.
+export const toGeoJsonPoint = (point) => ({ type: 'Point', coordinates: toLngLat(point) });
+export const toGeoJsonLineString = (path, elevations = []) => ({
+  type: 'LineString',
+  coordinates: path.map((point, index) =>
+    isNumber(elevations[index]) ? [...toLngLat(point), elevations[index]] : toLngLat(point)
+  )
+});
+
+// Values may arrive as JSON strings (older records and form data)
+const parseJsonValue = (value, label) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${label} is not valid JSON`);
+  }
+};
+
+/**
+ * Read a GeoJSON LineString (object, JSON string or bare coordinate array).
+ * @param {Object|string|Array} value - Path as stored by the API
+ * @param {string} label - Name used in error messages
+ * @returns {Object} - { path: [[lat, lng]], elevations: [m|null], skipped: count of malformed points }
+ * @throws {Error} - When the value can't be read as a list of coordinates
+ */
+export const parseLineString = (value, label = 'Path') => {
+  if (!value) throw new Error(`${label} is missing`);
+
+  const geometry = parseJsonValue(value, label);
+  const coordinates = Array.isArray(geometry) ? geometry : geometry && geometry.coordinates;
+  if (!Array.isArray(coordinates)) {
+    throw new Error(`${label} has no coordinate list`);
+  }
+
+  const path = [];
+  const elevations = [];
+  coordinates.forEach(coord => {
+    if (!Array.isArray(coord) || !isLatLng(toLatLng(coord))) return;
+    path.push(toLatLng(coord));
+    // Optional third GeoJSON value is the elevation in meters
+    elevations.push(coord.length > 2 && isNumber(coord[2]) ? coord[2] : null);
+  });
+
+  return { path, elevations, skipped: coordinates.length - path.length };
+};
+
+/**
+ * Read a GeoJSON Point (object, JSON string or bare [lng, lat] array).
+ * @param {Object|string|Array} value - Point as stored by the API
+ * @param {string} label - Name used in error messages
+ * @returns {Array} - [lat, lng]
+ * @throws {Error} - When the value isn't a usable point
+ */
+export const parsePoint = (value, label = 'Point') => {
+  if (!value) throw new Error(`${label} is missing`);
+
+  const geometry = parseJsonValue(value, label);
+  const coordinates = Array.isArray(geometry) ? geometry : geometry && geometry.coordinates;
+  if (!Array.isArray(coordinates) || !isLatLng(toLatLng(coordinates))) {
+    throw new Error(`${label} has invalid coordinates`);
+  }
+
+  return toLatLng(coordinates);
+};
+
+// Run a parser, collecting its error message instead of throwing
+const tryParse = (parse, errors) => {
+  try {
+    return parse();
+  } catch (error) {
+    errors.push(error.message);
+    return null;
+  }
+};
+
+/**
+ * Canonical route shape used by every page:
+ * { ...route, pathCoordinates, displayCoordinates, elevations, startPoint, endPoint }
+ * with all points in [lat, lng]. Missing start/end points come from the path;
+ * a path with fewer than 2 points becomes a straight start-to-end line.
+ * @param {Object} route - Route as returned by the API
+ * @returns {Object} - { route, errors: [message] } where errors explain any fallback used
+ */
+export const normalizeRoute = (route) => {
+  const errors = [];
+  const parsedPath = tryParse(() => parseLineString(route.path, 'Path'), errors);
+  let pathCoordinates = parsedPath ? parsedPath.path : [];
+  let elevations = parsedPath ? parsedPath.elevations : [];
+  if (parsedPath && parsedPath.skipped > 0) {
+    errors.push(`Path had ${parsedPath.skipped} invalid point(s), which were dropped`);
+  }
+
+  let startPoint = tryParse(() => parsePoint(route.startPoint, 'Start point'), errors) || pathCoordinates[0];
+  let endPoint = tryParse(() => parsePoint(route.endPoint, 'End point'), errors) || pathCoordinates[pathCoordinates.length - 1];
+
+  if (!startPoint || !endPoint) {
+    errors.push('Route has no usable location; showing the default map center');
+    startPoint = startPoint || endPoint || DEFAULT_CENTER;
+    endPoint = endPoint || startPoint;
+  }
+
+  if (pathCoordinates.length < 2) {
+    errors.push('Path has fewer than 2 points; using a straight line from start to end');
+    pathCoordinates = [startPoint, endPoint];
+    elevations = [null, null];
+  }
+
+  return {
+    route: {
+      ...route,
+      pathCoordinates,
+      displayCoordinates: displayPath(pathCoordinates),
+      elevations,
+      startPoint,
+      endPoint
+    },
+    errors
+  };
+};
+
+/**
+ * Normalize a list of API routes, logging anything that needed a fallback.
+ * @param {Array} routes - Routes as returned by the API
+ * @returns {Array} - Routes in the canonical shape
+ */
+export const normalizeRoutes = (routes) => (routes || []).map(raw => {
+  const { route, errors } = normalizeRoute(raw);
+  if (errors.length > 0) {
+    console.warn(`Route ${raw._id || raw.title || ''} normalized with fallbacks:`, errors);
+  }
+  return route;
+});
+
+/**
+ * Canonical activity shape: route is a GeoJSON LineString (rebuilt from the
+ * location history when missing) and pathCoordinates holds it in [lat, lng].
+ * @param {Object} activity - Activity as returned by the API
+ * @returns {Object} - { activity, errors: [message] }
+ */
+export const normalizeActivity = (activity) => {
+  const errors = [];
+  let parsedRoute = activity.route
+    ? tryParse(() => parseLineString(activity.route, 'Activity route'), errors)
+    : null;
+
+  // Recorded positions are the next best source for the route line
+  if ((!parsedRoute || parsedRoute.path.length < 2) && Array.isArray(activity.locationHistory)) {
+    parsedRoute = tryParse(() => parseLineString(
+      activity.locationHistory.map(entry => entry.location && entry.location.coordinates).filter(Boolean),
+      'Location history'
+    ), errors);
+  }
+
+  const pathCoordinates = parsedRoute ? parsedRoute.path : [];
+  if (pathCoordinates.length < 2) {
+    errors.push('Activity has no route to draw');
+  }
+
+  return {
+    activity: {
+      ...activity,
+      route: pathCoordinates.length > 0 ? toGeoJsonLineString(pathCoordinates, parsedRoute.elevations) : activity.route,
+      pathCoordinates
+    },
+    errors
+  };
+};
+
+/**
+ * Check and tidy route data before it is sent to the API: string geometries
+ * are parsed, the path must have 2+ valid [lng, lat] pairs and both end
+ * points must be valid GeoJSON points.
+ * @param {Object} routeData - Route with GeoJSON path, startPoint and endPoint
+ * @returns {Object} - { data: prepared copy, error: message or null }
+ */
+export const validateRouteGeometry = (routeData) => {
+  const data = { ...routeData };
+  try {
+    data.path = parseJsonValue(data.path, 'Path');
+    data.startPoint = parseJsonValue(data.startPoint, 'Start point');
+    data.endPoint = parseJsonValue(data.endPoint, 'End point');
+  } catch (error) {
+    return { data, error: `Invalid route format: ${error.message}` };
+  }
+
+  const coordinates = Array.isArray(data.path) ? data.path : data.path && data.path.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length < 2) {
+    return { data, error: 'Route must have at least 2 coordinates' };
+  }
+  if (!coordinates.every(coord => Array.isArray(coord) && isLatLng(toLatLng(coord)))) {
+    return { data, error: 'Route contains invalid coordinates' };
+  }
+  data.path = { type: 'LineString', coordinates };
+
+  const checks = [['startPoint', 'Valid start point is required'], ['endPoint', 'Valid end point is required']];
+  for (const [field, message] of checks) {
+    const point = data[field];
+    if (!point || !Array.isArray(point.coordinates) || !isLatLng(toLatLng(point.coordinates))) {
+      return { data, error: message };
+    }
+  }
+
+  return { data, error: null };
+};
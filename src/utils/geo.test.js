@@ -0,0 +1,194 @@
+import {
+  DEFAULT_CENTER,
+  distanceMeters,
+  distanceKm,
+  pathDistanceKm,
+  isLatLng,
+  toLatLng,
+  toLngLat,
+  toGeoJsonLineString,
+  parseLineString,
+  parsePoint,
+  normalizeRoute,
+  normalizeActivity,
+  validateRouteGeometry
+} from './geo';
+
+const lineString = {
+  type: 'LineString',
+  coordinates: [[120.28, 14.83, 10], [120.29, 14.84, 25], [120.3, 14.85]]
+};
+
+describe('distances', () => {
+  test('one degree of latitude is about 111 km', () => {
+    expect(distanceKm([0, 0], [1, 0])).toBeCloseTo(111.19, 1);
+    expect(distanceMeters([0, 0], [1, 0])).toBeCloseTo(111195, -1);
+  });
+
+  test('path length sums segments and skips malformed points', () => {
+    expect(pathDistanceKm([[0, 0], [1, 0], null, [2, 0]])).toBeCloseTo(222.39, 1);
+    expect(pathDistanceKm([])).toBe(0);
+    expect(pathDistanceKm(undefined)).toBe(0);
+  });
+});
+
+describe('coordinate order', () => {
+  test('flips between GeoJSON and Leaflet order', () => {
+    expect(toLatLng([120.28, 14.83])).toEqual([14.83, 120.28]);
+    expect(toLngLat([14.83, 120.28])).toEqual([120.28, 14.83]);
+    expect(toGeoJsonLineString([[14.83, 120.28]])).toEqual({ type: 'LineString', coordinates: [[120.28, 14.83]] });
+    expect(toGeoJsonLineString([[14.83, 120.28], [14.84, 120.29]], [10, null]).coordinates)
+      .toEqual([[120.28, 14.83, 10], [120.29, 14.84]]);
+  });
+
+  test('rejects out of range or non-numeric points', () => {
+    expect(isLatLng([14.83, 120.28])).toBe(true);
+    expect(isLatLng([120.28, 214.83])).toBe(false);
+    expect(isLatLng(['14', 120])).toBe(false);
+    expect(isLatLng([14])).toBe(false);
+  });
+});
+
+describe('parseLineString', () => {
+  test('accepts objects, JSON strings and bare arrays', () => {
+    const expected = [[14.83, 120.28], [14.84, 120.29], [14.85, 120.3]];
+    expect(parseLineString(lineString).path).toEqual(expected);
+    expect(parseLineString(JSON.stringify(lineString)).path).toEqual(expected);
+    expect(parseLineString(lineString.coordinates).path).toEqual(expected);
+  });
+
+  test('keeps elevations and counts dropped points', () => {
+    const result = parseLineString({ coordinates: [...lineString.coordinates, [999, 999], 'x'] });
+    expect(result.elevations).toEqual([10, 25, null]);
+    expect(result.skipped).toBe(2);
+  });
+
+  test('throws clear errors', () => {
+    expect(() => parseLineString(null)).toThrow('Path is missing');
+    expect(() => parseLineString('{bad', 'Route path')).toThrow('Route path is not valid JSON');
+    expect(() => parseLineString({ type: 'LineString' })).toThrow('Path has no coordinate list');
+  });
+});
+
+describe('parsePoint', () => {
+  test('reads GeoJSON points in any form', () => {
+    expect(parsePoint({ type: 'Point', coordinates: [120.28, 14.83] })).toEqual([14.83, 120.28]);
+    expect(parsePoint('{"type":"Point","coordinates":[120.28,14.83]}')).toEqual([14.83, 120.28]);
+    expect(parsePoint([120.28, 14.83])).toEqual([14.83, 120.28]);
+  });
+
+  test('throws on invalid coordinates', () => {
+    expect(() => parsePoint({ coordinates: [120.28] }, 'Start point')).toThrow('Start point has invalid coordinates');
+  });
+});
+
+describe('normalizeRoute', () => {
+  test('returns the canonical shape for a well-formed route', () => {
+    const { route, errors } = normalizeRoute({
+      _id: 'r1',
+      path: lineString,
+      startPoint: { type: 'Point', coordinates: [120.28, 14.83] },
+      endPoint: { type: 'Point', coordinates: [120.3, 14.85] }
+    });
+    expect(errors).toEqual([]);
+    expect(route._id).toBe('r1');
+    expect(route.pathCoordinates).toHaveLength(3);
+    expect(route.displayCoordinates.length).toBeGreaterThanOrEqual(2);
+    expect(route.elevations).toEqual([10, 25, null]);
+    expect(route.startPoint).toEqual([14.83, 120.28]);
+    expect(route.endPoint).toEqual([14.85, 120.3]);
+  });
+
+  test('takes missing end points from the path', () => {
+    const { route, errors } = normalizeRoute({ path: lineString });
+    expect(route.startPoint).toEqual([14.83, 120.28]);
+    expect(route.endPoint).toEqual([14.85, 120.3]);
+    expect(errors).toEqual(['Start point is missing', 'End point is missing']);
+  });
+
+  test('falls back to a straight line when the path is unusable', () => {
+    const { route, errors } = normalizeRoute({
+      path: 'not json',
+      startPoint: { coordinates: [120.28, 14.83] },
+      endPoint: { coordinates: [120.3, 14.85] }
+    });
+    expect(route.pathCoordinates).toEqual([[14.83, 120.28], [14.85, 120.3]]);
+    expect(errors[0]).toBe('Path is not valid JSON');
+  });
+
+  test('uses the default center when there is no location at all', () => {
+    const { route, errors } = normalizeRoute({});
+    expect(route.startPoint).toEqual(DEFAULT_CENTER);
+    expect(route.pathCoordinates).toEqual([DEFAULT_CENTER, DEFAULT_CENTER]);
+    expect(errors).toContain('Route has no usable location; showing the default map center');
+  });
+});
+
+describe('normalizeActivity', () => {
+  test('parses a JSON string route', () => {
+    const { activity, errors } = normalizeActivity({ route: JSON.stringify(lineString) });
+    expect(errors).toEqual([]);
+    expect(activity.route.type).toBe('LineString');
+    expect(activity.pathCoordinates).toHaveLength(3);
+  });
+
+  test('keeps elevations when rebuilding the route', () => {
+    const { activity } = normalizeActivity({ route: lineString });
+    expect(activity.route.coordinates).toEqual(lineString.coordinates);
+
+    const fromHistory = normalizeActivity({
+      locationHistory: [
+        { location: { type: 'Point', coordinates: [120.28, 14.83, 10] } },
+        { location: { type: 'Point', coordinates: [120.29, 14.84] } }
+      ]
+    }).activity;
+    expect(fromHistory.route.coordinates).toEqual([[120.28, 14.83, 10], [120.29, 14.84]]);
+  });
+
+  test('rebuilds the route from the location history', () => {
+    const { activity } = normalizeActivity({
+      locationHistory: [
+        { location: { type: 'Point', coordinates: [120.28, 14.83] } },
+        { location: null },
+        { location: { type: 'Point', coordinates: [120.29, 14.84] } }
+      ]
+    });
+    expect(activity.route.coordinates).toEqual([[120.28, 14.83], [120.29, 14.84]]);
+    expect(activity.pathCoordinates).toEqual([[14.83, 120.28], [14.84, 120.29]]);
+  });
+
+  test('reports activities without a route', () => {
+    const { activity, errors } = normalizeActivity({});
+    expect(activity.pathCoordinates).toEqual([]);
+    expect(errors).toEqual(['Activity has no route to draw']);
+  });
+});
+
+describe('validateRouteGeometry', () => {
+  const valid = {
+    title: 'Loop',
+    path: lineString,
+    startPoint: { type: 'Point', coordinates: [120.28, 14.83] },
+    endPoint: { type: 'Point', coordinates: [120.3, 14.85] }
+  };
+
+  test('parses string geometries', () => {
+    const { data, error } = validateRouteGeometry({
+      ...valid,
+      path: JSON.stringify(valid.path),
+      startPoint: JSON.stringify(valid.startPoint)
+    });
+    expect(error).toBeNull();
+    expect(data.path.coordinates).toHaveLength(3);
+    expect(data.startPoint.coordinates).toEqual([120.28, 14.83]);
+  });
+
+  test('reports what is wrong', () => {
+    expect(validateRouteGeometry({ ...valid, path: { coordinates: [[120.28, 14.83]] } }).error)
+      .toBe('Route must have at least 2 coordinates');
+    expect(validateRouteGeometry({ ...valid, path: { coordinates: [[120.28, 14.83], ['a', 'b']] } }).error)
+      .toBe('Route contains invalid coordinates');
+    expect(validateRouteGeometry({ ...valid, endPoint: null }).error).toBe('Valid end point is required');
+    expect(validateRouteGeometry({ ...valid, startPoint: '{' }).error).toBe('Invalid route format: Start point is not valid JSON');
+  });
+});
@@ -0,0 +1,167 @@
+// Path geometry helpers shared by maps, lists and route tracking.
+// Points use the Leaflet [lat, lng] convention (extra values such as
+// elevation are carried along untouched); distances are in meters.
+
+// Display paths may stray this far from the full geometry (m).
+// Well under a pixel at the zoom levels used by mini-maps.
+export const DISPLAY_SIMPLIFY_TOLERANCE = 10;
+
+// Spacing used when filling in sparse paths for progress tracking (m)
+export const TRACKING_DENSIFY_INTERVAL = 20;
+
+const R = 6371000; // Earth radius in meters
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Flat x/y offsets in meters from an origin point. Accurate over the
+// segment lengths found in routes, and much cheaper than haversine.
+const projectFrom = (origin) => {
+  const cosLat = Math.cos(toRadians(origin[0]));
+  return (point) => [
+    toRadians(point[1] - origin[1]) * cosLat * R,
+    toRadians(point[0] - origin[0]) * R
+  ];
+};
+
+/**
+ * Closest point on a line segment, measured perpendicular to it and clamped
+ * to its ends.
+ * @param {Array} point - [lat, lng]
+ * @param {Array} start - Segment start [lat, lng]
+ * @param {Array} end - Segment end [lat, lng]
+ * @returns {Object} - { point: [lat, lng], distance (m), fraction along the segment (0-1) }
+ */
+export const nearestPointOnSegment = (point, start, end) => {
+  const project = projectFrom(start);
+  const [px, py] = project(point);
+  const [ex, ey] = project(end);
+  const lengthSquared = ex * ex + ey * ey;
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSquared));
+
+  return {
+    point: [start[0] + (end[0] - start[0]) * t, start[1] + (end[1] - start[1]) * t],
+    distance: Math.hypot(px - t * ex, py - t * ey),
+    fraction: t
+  };
+};
+
+/**
+ * Shortest distance from a point to a line segment.
+ * @param {Array} point - [lat, lng]
+ * @param {Array} start - Segment start [lat, lng]
+ * @param {Array} end - Segment end [lat, lng]
+ * @returns {number} - Distance in meters
+ */
+export const pointToSegmentDistance = (point, start, end) =>
+  nearestPointOnSegment(point, start, end).distance;
+
+/**
+ * Douglas–Peucker simplification. Keeps the first and last points and any
+ * point that is more than the tolerance away from the simplified line.
+ * @param {Array} path - [[lat, lng], ...]
+ * @param {number} tolerance - Maximum deviation in meters
+ * @returns {Array} - Subset of the original points, in order
+ */
+export const simplifyPath = (path, tolerance = DISPLAY_SIMPLIFY_TOLERANCE) => {
+  if (!path || path.length <= 2) return path || [];
+
+  const keep = new Array(path.length).fill(false);
+  keep[0] = true;
+  keep[path.length - 1] = true;
+
+  // Iterative so tracked routes with thousands of points can't overflow the stack
+  const ranges = [[0, path.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = pointToSegmentDistance(path[i], path[first], path[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[maxIndex] = true;
+      ranges.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return path.filter((_, index) => keep[index]);
+};
+
+/**
+ * Insert points so that no gap along the path is longer than the interval.
+ * Original points are kept; inserted ones are evenly spaced on each segment.
+ * @param {Array} path - [[lat, lng], ...]
+ * @param {number} interval - Maximum spacing in meters
+ * @returns {Array} - Densified path
+ */
+export const densifyPath = (path, interval = TRACKING_DENSIFY_INTERVAL) => {
+  if (!path || path.length < 2 || interval <= 0) return path || [];
+
+  const result = [path[0]];
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1];
+    const to = path[i];
+    const steps = Math.ceil(Math.hypot(...projectFrom(from)(to)) / interval);
+
+    for (let step = 1; step < steps; step++) {
+      const fraction = step / steps;
+      result.push([
+        from[0] + (to[0] - from[0]) * fraction,
+        from[1] + (to[1] - from[1]) * fraction
+      ]);
+    }
+    result.push(to);
+  }
+
+  return result;
+};
+
+/**
+ * Initial compass bearing from one point to another.
+ * @param {Array} from - [lat, lng]
+ * @param {Array} to - [lat, lng]
+ * @returns {number} - Degrees clockwise from north, 0 to 360
+ */
+export const bearing = (from, to) => {
+  const lat1 = toRadians(from[0]);
+  const lat2 = toRadians(to[0]);
+  const dLng = toRadians(to[1] - from[1]);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+/**
+ * Bounding box of a path, in the corner format L.latLngBounds accepts.
+ * @param {Array} path - [[lat, lng], ...]
+ * @returns {Array|null} - [[minLat, minLng], [maxLat, maxLng]], or null for an empty path
+ */
+export const boundingBox = (path) => {
+  if (!path || path.length === 0) return null;
+
+  let minLat = Infinity;
+  let minLng = Infinity;
+  let maxLat = -Infinity;
+  let maxLng = -Infinity;
+  path.forEach(point => {
+    minLat = Math.min(minLat, point[0]);
+    maxLat = Math.max(maxLat, point[0]);
+    minLng = Math.min(minLng, point[1]);
+    maxLng = Math.max(maxLng, point[1]);
+  });
+
+  return [[minLat, minLng], [maxLat, maxLng]];
+};
+
+/**
+ * Lightweight geometry for mini-maps and lists. The full pathCoordinates
+ * stay on the route for progress tracking and distance calculations.
+ * @param {Array} path - Full [[lat, lng], ...] path
+ * @returns {Array} - Simplified path
+ */
+export const displayPath = (path) => simplifyPath(path, DISPLAY_SIMPLIFY_TOLERANCE);
@@ -0,0 +1,99 @@
+import {
+  nearestPointOnSegment,
+  pointToSegmentDistance,
+  simplifyPath,
+  densifyPath,
+  bearing,
+  boundingBox,
+  displayPath
+} from './geometry';
+import { distanceMeters } from './geo';
+import { nearestPointOnRoute } from './offRoute';
+
+// Degrees of latitude per meter along a meridian
+const DEGREES_PER_METER = 1 / (6371000 * Math.PI / 180);
+
+const north = (meters, from = [14.83, 120.28]) => [from[0] + meters * DEGREES_PER_METER, from[1]];
+
+// Meters east of a point, at its latitude
+const east = (meters, from = [14.83, 120.28]) =>
+  [from[0], from[1] + meters * DEGREES_PER_METER / Math.cos(from[0] * Math.PI / 180)];
+
+describe('nearestPointOnSegment', () => {
+  const start = [14.83, 120.28];
+  const end = north(100);
+
+  test('measures perpendicular to the segment', () => {
+    const nearest = nearestPointOnSegment(east(30, north(40)), start, end);
+    expect(nearest.distance).toBeCloseTo(30, 1);
+    expect(nearest.fraction).toBeCloseTo(0.4, 3);
+    expect(distanceMeters(nearest.point, north(40))).toBeLessThan(0.1);
+  });
+
+  test('clamps to the ends', () => {
+    const beyond = nearestPointOnSegment(north(150), start, end);
+    expect(beyond.fraction).toBe(1);
+    expect(beyond.distance).toBeCloseTo(50, 1);
+    expect(pointToSegmentDistance(north(-20), start, end)).toBeCloseTo(20, 1);
+  });
+
+  test('a zero-length segment is a point', () => {
+    expect(pointToSegmentDistance(east(25), start, start)).toBeCloseTo(25, 1);
+  });
+
+  test('off-route detection uses the same measure', () => {
+    const path = [start, end, east(100, end)];
+    const nearest = nearestPointOnRoute(north(10, east(60, end)), path);
+    expect(nearest.segmentIndex).toBe(1);
+    expect(nearest.distance).toBeCloseTo(10, 1);
+    expect(nearest.fraction).toBeCloseTo(0.6, 2);
+  });
+});
+
+describe('simplifyPath', () => {
+  test('drops points that stay within the tolerance', () => {
+    const path = [[14.83, 120.28], east(3, north(50)), north(100)];
+    expect(simplifyPath(path, 10)).toEqual([path[0], path[2]]);
+  });
+
+  test('keeps corners', () => {
+    const path = [[14.83, 120.28], north(100), east(100, north(100))];
+    expect(simplifyPath(path, 10)).toEqual(path);
+  });
+
+  test('short and missing paths pass through', () => {
+    expect(simplifyPath(null)).toEqual([]);
+    expect(displayPath([[14.83, 120.28]])).toEqual([[14.83, 120.28]]);
+  });
+});
+
+describe('densifyPath', () => {
+  test('fills gaps longer than the interval', () => {
+    const path = [[14.83, 120.28], north(90)];
+    const dense = densifyPath(path, 20);
+    expect(dense).toHaveLength(6);
+    expect(dense[0]).toBe(path[0]);
+    expect(dense[5]).toBe(path[1]);
+    expect(distanceMeters(dense[1], dense[2])).toBeCloseTo(18, 1);
+  });
+
+  test('leaves short steps alone', () => {
+    const path = [[14.83, 120.28], north(15)];
+    expect(densifyPath(path, 20)).toEqual(path);
+  });
+});
+
+describe('bearing and bounds', () => {
+  test('bearing is clockwise from north', () => {
+    expect(bearing([0, 0], [1, 0])).toBeCloseTo(0, 5);
+    expect(bearing([0, 0], [0, 1])).toBeCloseTo(90, 5);
+    expect(bearing([0, 0], [-1, 0])).toBeCloseTo(180, 5);
+    expect(bearing([0, 0], [0, -1])).toBeCloseTo(270, 5);
+  });
+
+  test('bounding box covers every point', () => {
+    expect(boundingBox([[14.84, 120.3], [14.83, 120.28], [14.85, 120.29]]))
+      .toEqual([[14.83, 120.28], [14.85, 120.3]]);
+    expect(boundingBox([])).toBeNull();
+  });
+});
@@ -0,0 +1,137 @@
+// "Race my previous effort": replays a past activity as a ghost
+// alongside live tracking and measures how far ahead or behind the user is.
+// Positions use the Leaflet [lat, lng] convention.
+
+import { distanceMeters } from './geo';
+
+// Milliseconds of pause between the start of the activity and a timestamp
+const pausedMsBefore = (pauses, timestamp) => (pauses || []).reduce((sum, pause) => {
+  const start = new Date(pause.start).getTime();
+  const end = new Date(pause.end).getTime();
+  const overlap = Math.min(timestamp, end) - start;
+  return overlap > 0 ? sum + overlap : sum;
+}, 0);
+
+/**
+ * Build a ghost track from a stored activity.
+ * Pause time recorded on the activity is removed so the ghost moves on
+ * moving time, the same clock the live tracking panel uses.
+ * @param {Object} activity - Activity with locationHistory (and optionally pauses)
+ * @returns {Array|null} - [{ time (s), distance (m), position: [lat, lng], altitude }] or null when unusable
+ */
+export const buildGhostTrack = (activity) => {
+  const history = (activity && activity.locationHistory) || [];
+  const points = history
+    .filter(entry => entry.timestamp && entry.location && Array.isArray(entry.location.coordinates))
+    .map(entry => ({
+      timestamp: new Date(entry.timestamp).getTime(),
+      position: [entry.location.coordinates[1], entry.location.coordinates[0]], // GeoJSON [lng, lat]
+      altitude: typeof entry.altitude === 'number' ? entry.altitude : null
+    }))
+    .filter(point => !isNaN(point.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (points.length < 2) return null;
+
+  const start = points[0].timestamp;
+  let distance = 0;
+
+  const track = points.map((point, index) => {
+    if (index > 0) {
+      distance += distanceMeters(points[index - 1].position, point.position);
+    }
+    return {
+      time: Math.max(0, (point.timestamp - start - pausedMsBefore(activity.pauses, point.timestamp)) / 1000),
+      distance,
+      position: point.position,
+      altitude: point.altitude
+    };
+  });
+
+  // Timestamps that were spread evenly or duplicated leave nothing to race against
+  return track[track.length - 1].time > 0 ? track : null;
+};
+
+/**
+ * Where the ghost is after a number of seconds.
+ * @param {Array} track - Ghost track from buildGhostTrack
+ * @param {number} seconds - Elapsed moving time in seconds
+ * @returns {Object} - { position: [lat, lng], distance (m), finished }
+ */
+export const ghostPositionAt = (track, seconds) => {
+  const last = track[track.length - 1];
+  if (seconds >= last.time) {
+    return { position: last.position, distance: last.distance, finished: true };
+  }
+  if (seconds <= 0) {
+    return { position: track[0].position, distance: 0, finished: false };
+  }
+
+  let index = 1;
+  while (track[index].time < seconds) index++;
+
+  const prev = track[index - 1];
+  const next = track[index];
+  const span = next.time - prev.time;
+  const fraction = span > 0 ? (seconds - prev.time) / span : 1;
+
+  return {
+    position: [
+      prev.position[0] + fraction * (next.position[0] - prev.position[0]),
+      prev.position[1] + fraction * (next.position[1] - prev.position[1])
+    ],
+    distance: prev.distance + fraction * (next.distance - prev.distance),
+    finished: false
+  };
+};
+
+/**
+ * How long the ghost took to cover a distance.
+ * @param {Array} track - Ghost track from buildGhostTrack
+ * @param {number} meters - Distance covered in meters
+ * @returns {number|null} - Seconds, or null when the ghost never got that far
+ */
+export const ghostTimeAtDistance = (track, meters) => {
+  const last = track[track.length - 1];
+  if (meters > last.distance) return null;
+  if (meters <= 0) return 0;
+
+  let index = 1;
+  while (track[index].distance < meters) index++;
+
+  const prev = track[index - 1];
+  const next = track[index];
+  const span = next.distance - prev.distance;
+  const fraction = span > 0 ? (meters - prev.distance) / span : 1;
+  return prev.time + fraction * (next.time - prev.time);
+};
+
+/**
+ * Time delta against the ghost at the same distance.
+ * Negative means the user is ahead, positive means behind.
+ * Once the user has gone further than the ghost ever did, the delta
+ * is measured against the ghost's finish time.
+ * @param {Array} track - Ghost track from buildGhostTrack
+ * @param {number} meters - Distance the user has covered
+ * @param {number} seconds - User's moving time in seconds
+ * @returns {number|null} - Delta in seconds, or null before the user has moved
+ */
+export const ghostDelta = (track, meters, seconds) => {
+  if (!track || meters <= 0) return null;
+
+  const ghostTime = ghostTimeAtDistance(track, meters);
+  if (ghostTime === null) {
+    return seconds - track[track.length - 1].time;
+  }
+  return seconds - ghostTime;
+};
+
+// "0:12 ahead" / "1:05 behind" / "level"
+export const formatGhostDelta = (delta) => {
+  if (delta === null || delta === undefined) return '--';
+  const seconds = Math.round(Math.abs(delta));
+  if (seconds === 0) return 'level';
+  const minutes = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${minutes}:${secs.toString().padStart(2, '0')} ${delta < 0 ? 'ahead' : 'behind'}`;
+};
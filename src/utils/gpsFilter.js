@@ -0,0 +1,152 @@
+// Filtering stage applied to raw GPS samples before they enter the tracking path.
+// Rejects inaccurate fixes and implausible jumps, then smooths the rest with a
+// simple Kalman filter so jitter while standing still doesn't add distance.
+
+import { distanceMeters } from './geo';
+
+// Fixes reported with a worse accuracy than this are dropped (meters)
+export const MAX_ACCURACY_METERS = 30;
+
+// Smoothed movement below this is treated as standing still (meters)
+const MIN_MOVEMENT_METERS = 3;
+
+// After this many consecutive speed rejections that are plausible from one
+// to the next, the filter re-seeds, so a genuine jump (e.g. after a tunnel)
+// doesn't block tracking forever while scattered outliers are still dropped
+const MAX_CONSECUTIVE_JUMPS = 3;
+
+// Fastest plausible speed per activity type (m/s)
+export const MAX_SPEED_BY_ACTIVITY = {
+  walk: 4,
+  hiking: 4,
+  jog: 7,
+  run: 12,
+  cycling: 25,
+  other: 30
+};
+
+// Expected speed used as Kalman process noise per activity type (m/s)
+const PROCESS_NOISE_BY_ACTIVITY = {
+  walk: 1.5,
+  hiking: 1.5,
+  jog: 2.5,
+  run: 3.5,
+  cycling: 8,
+  other: 8
+};
+
+/**
+ * Create a GPS filter for one tracking session.
+ * @param {string} activityType - One of the activity types (run, walk, cycling, ...)
+ * @param {Object} options - Optional overrides: maxAccuracy, maxSpeed, processNoise
+ * @returns {Object} - { process(sample), getStats() }
+ */
+export const createGpsFilter = (activityType = 'run', options = {}) => {
+  const maxAccuracy = options.maxAccuracy || MAX_ACCURACY_METERS;
+  const maxSpeed = options.maxSpeed || MAX_SPEED_BY_ACTIVITY[activityType] || MAX_SPEED_BY_ACTIVITY.other;
+  const processNoise = options.processNoise || PROCESS_NOISE_BY_ACTIVITY[activityType] || PROCESS_NOISE_BY_ACTIVITY.other;
+
+  // Kalman state
+  let lat = null;
+  let lng = null;
+  let variance = -1;
+  let lastTimestamp = null;
+
+  // Last accepted sample (raw and smoothed) for plausibility checks
+  let lastAccepted = null;
+  // Latest speed-rejected fix and how many rejected fixes in a row led to it
+  let lastJump = null;
+  let consecutiveJumps = 0;
+
+  const stats = {
+    rawPoints: 0,
+    acceptedPoints: 0,
+    discardedPoints: 0,
+    discarded: { accuracy: 0, speed: 0, stationary: 0 }
+  };
+
+  const reject = (reason) => {
+    stats.discardedPoints++;
+    stats.discarded[reason]++;
+    return { accepted: false, reason };
+  };
+
+  const seed = (sample, accuracy) => {
+    lat = sample.position[0];
+    lng = sample.position[1];
+    variance = accuracy * accuracy;
+    lastTimestamp = sample.timestamp;
+  };
+
+  const accept = (sample) => {
+    const filteredSample = { ...sample, position: [lat, lng], rawPosition: sample.position };
+    lastAccepted = filteredSample;
+    lastJump = null;
+    consecutiveJumps = 0;
+    stats.acceptedPoints++;
+    return { accepted: true, sample: filteredSample };
+  };
+
+  const isPlausibleFrom = (from, sample) => {
+    const seconds = (sample.timestamp - from.timestamp) / 1000;
+    return seconds > 0 && distanceMeters(from.position, sample.position) / seconds <= maxSpeed;
+  };
+
+  /**
+   * Run one raw sample through the filter.
+   * @param {Object} sample - Sample from createTrackSample
+   * @returns {Object} - { accepted, reason } or { accepted, sample } with a smoothed position
+   */
+  const process = (sample) => {
+    stats.rawPoints++;
+    const accuracy = Math.max(1, sample.accuracy || 10);
+
+    // Checked first so a poor cold-start fix can't become the start of the track
+    if (sample.accuracy !== null && sample.accuracy !== undefined && sample.accuracy > maxAccuracy) {
+      return reject('accuracy');
+    }
+
+    // The first fix seeds the filter, and a fix after a manual pause starts a
+    // new segment rather than being smoothed towards the pre-pause position
+    if (!lastAccepted || sample.resumed) {
+      seed(sample, accuracy);
+      return accept(sample);
+    }
+
+    if (!isPlausibleFrom({ ...lastAccepted, position: lastAccepted.rawPosition }, sample)) {
+      // A fix that doesn't follow on from the previous rejected one starts a new run
+      consecutiveJumps = lastJump && isPlausibleFrom(lastJump, sample) ? consecutiveJumps + 1 : 1;
+      lastJump = sample;
+      if (consecutiveJumps < MAX_CONSECUTIVE_JUMPS) {
+        return reject('speed');
+      }
+      // Several implausible fixes in a row agree with each other - trust them
+      seed(sample, accuracy);
+      return accept(sample);
+    }
+
+    // Kalman update
+    const dt = sample.timestamp - lastTimestamp;
+    if (dt > 0) {
+      variance += dt * processNoise * processNoise / 1000;
+      lastTimestamp = sample.timestamp;
+    }
+    const gain = variance / (variance + accuracy * accuracy);
+    lat += gain * (sample.position[0] - lat);
+    lng += gain * (sample.position[1] - lng);
+    variance = (1 - gain) * variance;
+
+    if (distanceMeters(lastAccepted.position, [lat, lng]) < MIN_MOVEMENT_METERS) {
+      return reject('stationary');
+    }
+
+    return accept(sample);
+  };
+
+  const getStats = () => ({
+    ...stats,
+    discarded: { ...stats.discarded }
+  });
+
+  return { process, getStats };
+};
@@ -0,0 +1,98 @@
+import { createGpsFilter, MAX_ACCURACY_METERS } from './gpsFilter';
+
+// About 11 m of latitude per 0.0001 degrees
+const sample = (index, { lat = 14.83 + index * 0.0001, lng = 120.28, accuracy = 5, seconds = index * 5, ...rest } = {}) => ({
+  timestamp: seconds * 1000,
+  position: [lat, lng],
+  accuracy,
+  altitude: null,
+  speed: null,
+  heading: null,
+  ...rest
+});
+
+describe('accuracy', () => {
+  test('rejects fixes worse than the limit', () => {
+    const filter = createGpsFilter('run');
+    expect(filter.process(sample(0)).accepted).toBe(true);
+    expect(filter.process(sample(1, { accuracy: MAX_ACCURACY_METERS + 1 }))).toEqual({ accepted: false, reason: 'accuracy' });
+    expect(filter.getStats().discarded.accuracy).toBe(1);
+  });
+
+  test('a poor cold-start fix does not seed the track', () => {
+    const filter = createGpsFilter('run');
+    expect(filter.process(sample(0, { lat: 15, accuracy: 500 })).accepted).toBe(false);
+
+    const first = filter.process(sample(1));
+    expect(first.accepted).toBe(true);
+    expect(first.sample.position).toEqual(sample(1).position);
+  });
+});
+
+describe('speed', () => {
+  test('rejects implausible jumps and re-seeds after three in a row', () => {
+    const filter = createGpsFilter('run');
+    filter.process(sample(0));
+
+    // 0.01 degrees is about 1.1 km in 5 s
+    const far = (index) => sample(index, { lat: 14.84 + index * 0.0001 });
+    expect(filter.process(far(1))).toEqual({ accepted: false, reason: 'speed' });
+    expect(filter.process(far(2))).toEqual({ accepted: false, reason: 'speed' });
+
+    const reseeded = filter.process(far(3));
+    expect(reseeded.accepted).toBe(true);
+    expect(reseeded.sample.position).toEqual(far(3).position);
+    expect(filter.getStats().discarded.speed).toBe(2);
+
+    // Tracking carries on normally from the new position
+    expect(filter.process(far(4)).accepted).toBe(true);
+  });
+
+  test('scattered outliers do not re-seed the filter', () => {
+    const filter = createGpsFilter('run');
+    filter.process(sample(0));
+
+    // Each outlier is far from the track and from the one before it
+    expect(filter.process(sample(1, { lat: 14.84 })).reason).toBe('speed');
+    expect(filter.process(sample(2, { lat: 14.82 })).reason).toBe('speed');
+    expect(filter.process(sample(3, { lat: 14.84 })).reason).toBe('speed');
+    expect(filter.process(sample(4, { lng: 120.29 })).reason).toBe('speed');
+    expect(filter.getStats().discarded.speed).toBe(4);
+
+    // The track continues from where it was
+    expect(filter.process(sample(5, { lat: 14.8302 })).accepted).toBe(true);
+  });
+});
+
+describe('stationary', () => {
+  test('suppresses jitter while standing still', () => {
+    const filter = createGpsFilter('walk');
+    filter.process(sample(0));
+
+    const jitter = [0.00001, -0.00001, 0.00002, 0];
+    jitter.forEach((offset, index) => {
+      expect(filter.process(sample(index + 1, { lat: 14.83 + offset })).reason).toBe('stationary');
+    });
+    expect(filter.getStats()).toMatchObject({ rawPoints: 5, acceptedPoints: 1, discardedPoints: 4 });
+  });
+
+  test('accepts real movement', () => {
+    const filter = createGpsFilter('walk');
+    filter.process(sample(0));
+    expect(filter.process(sample(1)).accepted).toBe(true);
+  });
+});
+
+describe('resume', () => {
+  test('a resumed fix starts a new segment at its own position', () => {
+    const filter = createGpsFilter('run');
+    filter.process(sample(0));
+    filter.process(sample(1));
+
+    // Far away, but a long pause lies in between
+    const resumed = filter.process(sample(2, { lat: 14.85, seconds: 600, resumed: true }));
+    expect(resumed.accepted).toBe(true);
+    expect(resumed.sample.position).toEqual([14.85, 120.28]);
+    expect(resumed.sample.resumed).toBe(true);
+  });
+});
@@ -0,0 +1,231 @@
+// GPX import/export helpers for routes and activities.
+// Coordinates follow the GeoJSON [lng, lat] convention used by the API.
+
+import { elevationGainLoss } from './elevation';
+import { pathDistanceKm } from './geo';
+
+const GPX_CREATOR = 'GapoGait';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Read the text of the first direct child element with the given local name
+const childText = (element, name) => {
+  const child = Array.from(element.children).find(node => node.localName === name);
+  return child ? child.textContent.trim() : '';
+};
+
+const parsePoint = (element) => {
+  const lat = parseFloat(element.getAttribute('lat'));
+  const lng = parseFloat(element.getAttribute('lon'));
+  if (isNaN(lat) || isNaN(lng)) return null;
+
+  const ele = parseFloat(childText(element, 'ele'));
+  const time = childText(element, 'time');
+
+  return {
+    lat,
+    lng,
+    ele: isNaN(ele) ? null : ele,
+    time: time && !isNaN(Date.parse(time)) ? new Date(time).toISOString() : null
+  };
+};
+
+/**
+ * Parse a GPX document into a flat list of points.
+ * Track points are preferred, then route points, then waypoints.
+ * @param {string} gpxText - Raw contents of a .gpx file
+ * @returns {Object} - { name, description, points: [{ lat, lng, ele, time }] }
+ */
+export const parseGpx = (gpxText) => {
+  if (!gpxText || typeof gpxText !== 'string') {
+    throw new Error('GPX file is empty');
+  }
+
+  const doc = new DOMParser().parseFromString(gpxText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid GPX file: could not parse XML');
+  }
+
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'gpx') {
+    throw new Error('Invalid GPX file: missing <gpx> element');
+  }
+
+  let pointElements = [];
+  for (const tag of ['trkpt', 'rtept', 'wpt']) {
+    pointElements = Array.from(doc.getElementsByTagNameNS('*', tag));
+    if (pointElements.length > 0) break;
+  }
+
+  const points = pointElements.map(parsePoint).filter(Boolean);
+  if (points.length < 2) {
+    throw new Error('GPX file must contain at least 2 valid points');
+  }
+
+  // Prefer the track/route name over the metadata name
+  const named = doc.getElementsByTagNameNS('*', 'trk')[0] ||
+    doc.getElementsByTagNameNS('*', 'rte')[0] ||
+    doc.getElementsByTagNameNS('*', 'metadata')[0];
+
+  return {
+    name: named ? childText(named, 'name') : '',
+    description: named ? childText(named, 'desc') : '',
+    points
+  };
+};
+
+/**
+ * Build saveRoute payload from parsed GPX points.
+ * Distance is in kilometers and elevation gain in meters.
+ * @param {Object} parsed - Result of parseGpx
+ * @param {Object} overrides - Optional fields such as title or description
+ * @returns {Object} - Route data ready for saveRoute
+ */
+export const gpxToRouteData = (parsed, overrides = {}) => {
+  // Keep elevation as the optional third GeoJSON value so the profile can be drawn later
+  const coordinates = parsed.points.map(point =>
+    point.ele !== null ? [point.lng, point.lat, point.ele] : [point.lng, point.lat]
+  );
+
+  const distance = pathDistanceKm(parsed.points.map(point => [point.lat, point.lng]));
+  const elevation = elevationGainLoss(parsed.points.map(point => point.ele));
+
+  return {
+    title: parsed.name || 'Imported Route',
+    description: parsed.description || `Imported from GPX on ${new Date().toLocaleDateString()}`,
+    distance: parseFloat(distance.toFixed(2)),
+    elevationGain: elevation.gain,
+    elevationLoss: elevation.loss,
+    path: {
+      type: 'LineString',
+      coordinates
+    },
+    startPoint: {
+      type: 'Point',
+      coordinates: coordinates[0].slice(0, 2)
+    },
+    endPoint: {
+      type: 'Point',
+      coordinates: coordinates[coordinates.length - 1].slice(0, 2)
+    },
+    completed: false,
+    ...overrides
+  };
+};
+
+const buildGpx = (name, description, points, time) => {
+  const trackPoints = points.map(point => {
+    const ele = point.ele !== null && point.ele !== undefined && !isNaN(point.ele)
+      ? `<ele>${Number(point.ele).toFixed(1)}</ele>`
+      : '';
+    const pointTime = point.time ? `<time>${new Date(point.time).toISOString()}</time>` : '';
+    return `      <trkpt lat="${point.lat}" lon="${point.lng}">${ele}${pointTime}</trkpt>`;
+  }).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${GPX_CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">`,
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    time ? `    <time>${new Date(time).toISOString()}</time>` : null,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    description ? `    <desc>${escapeXml(description)}</desc>` : null,
+    '    <trkseg>',
+    trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].filter(line => line !== null).join('\n');
+};
+
+/**
+ * Serialize a route to GPX.
+ * Accepts the raw API route (GeoJSON path) or a processed route with pathCoordinates.
+ * @param {Object} route - Route object
+ * @returns {string} - GPX document
+ */
+export const routeToGpx = (route) => {
+  let coordinates = [];
+
+  if (Array.isArray(route.pathCoordinates) && route.pathCoordinates.length > 0) {
+    // Processed routes are in Leaflet [lat, lng] format
+    coordinates = route.pathCoordinates.map(coord => [coord[1], coord[0], coord[2]]);
+  } else {
+    const path = typeof route.path === 'string' ? JSON.parse(route.path) : route.path;
+    coordinates = (path && path.coordinates) || [];
+  }
+
+  if (coordinates.length < 2) {
+    throw new Error('Route has no path to export');
+  }
+
+  const points = coordinates.map(coord => ({
+    lat: coord[1],
+    lng: coord[0],
+    ele: coord.length > 2 ? coord[2] : null
+  }));
+
+  return buildGpx(route.title || 'Route', route.description, points, route.createdAt);
+};
+
+/**
+ * Serialize an activity to GPX, keeping locationHistory timestamps.
+ * Falls back to the route LineString (without times) when there is no history.
+ * @param {Object} activity - Activity object
+ * @returns {string} - GPX document
+ */
+export const activityToGpx = (activity) => {
+  let points = [];
+
+  if (Array.isArray(activity.locationHistory) && activity.locationHistory.length > 0) {
+    points = activity.locationHistory
+      .filter(entry => entry.location && Array.isArray(entry.location.coordinates))
+      .map(entry => ({
+        lat: entry.location.coordinates[1],
+        lng: entry.location.coordinates[0],
+        ele: entry.altitude,
+        time: entry.timestamp
+      }));
+  }
+
+  if (points.length < 2 && activity.route && Array.isArray(activity.route.coordinates)) {
+    points = activity.route.coordinates.map(coord => ({
+      lat: coord[1],
+      lng: coord[0],
+      ele: coord.length > 2 ? coord[2] : null
+    }));
+  }
+
+  if (points.length < 2) {
+    throw new Error('Activity has no track to export');
+  }
+
+  return buildGpx(activity.title || 'Activity', activity.description, points, activity.startTime);
+};
+
+/**
+ * Trigger a browser download of a GPX document.
+ * @param {string} gpxText - GPX document
+ * @param {string} name - Base file name without extension
+ */
+export const downloadGpx = (gpxText, name) => {
+  const fileName = `${(name || 'track').replace(/[^a-z0-9-_]+/gi, '_')}.gpx`;
+  const blob = new Blob([gpxText], { type: 'application/gpx+xml' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
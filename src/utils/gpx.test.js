@@ -0,0 +1,122 @@
+import { parseGpx, gpxToRouteData, routeToGpx, activityToGpx } from './gpx';
+
+const gpx = (body) => `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+${body}
+</gpx>`;
+
+const track = gpx(`
+  <metadata><name>Metadata name</name></metadata>
+  <wpt lat="1" lon="1"><name>Ignored waypoint</name></wpt>
+  <trk>
+    <name>River Loop</name>
+    <desc>Along the river</desc>
+    <trkseg>
+      <trkpt lat="14.83" lon="120.28"><ele>10</ele><time>2026-10-19T07:00:00Z</time></trkpt>
+      <trkpt lat="14.84" lon="120.28"><ele>25.5</ele><time>2026-10-19T07:05:00Z</time></trkpt>
+      <trkpt lat="bad" lon="120.28"><ele>30</ele></trkpt>
+      <trkpt lat="14.85" lon="120.28"></trkpt>
+    </trkseg>
+  </trk>`);
+
+describe('parseGpx', () => {
+  test('reads track points with elevation and time', () => {
+    const parsed = parseGpx(track);
+    expect(parsed.name).toBe('River Loop');
+    expect(parsed.description).toBe('Along the river');
+    expect(parsed.points).toEqual([
+      { lat: 14.83, lng: 120.28, ele: 10, time: '2026-10-19T07:00:00.000Z' },
+      { lat: 14.84, lng: 120.28, ele: 25.5, time: '2026-10-19T07:05:00.000Z' },
+      { lat: 14.85, lng: 120.28, ele: null, time: null }
+    ]);
+  });
+
+  test('falls back to route points, then waypoints', () => {
+    const route = parseGpx(gpx(`
+      <rte><name>Planned</name>
+        <rtept lat="14.83" lon="120.28"/><rtept lat="14.84" lon="120.29"/>
+      </rte>`));
+    expect(route.name).toBe('Planned');
+    expect(route.points).toHaveLength(2);
+
+    const waypoints = parseGpx(gpx('<wpt lat="14.83" lon="120.28"/><wpt lat="14.84" lon="120.29"/>'));
+    expect(waypoints.points.map(point => point.lng)).toEqual([120.28, 120.29]);
+  });
+
+  test('rejects files it cannot use', () => {
+    expect(() => parseGpx('')).toThrow('GPX file is empty');
+    expect(() => parseGpx('<gpx><trk>')).toThrow('could not parse XML');
+    expect(() => parseGpx('<kml></kml>')).toThrow('missing <gpx> element');
+    expect(() => parseGpx(gpx('<trk><trkseg><trkpt lat="14.83" lon="120.28"/></trkseg></trk>')))
+      .toThrow('at least 2 valid points');
+  });
+});
+
+describe('gpxToRouteData', () => {
+  test('builds GeoJSON geometry with elevation as the third value', () => {
+    const data = gpxToRouteData(parseGpx(track));
+    expect(data.title).toBe('River Loop');
+    expect(data.path.coordinates).toEqual([[120.28, 14.83, 10], [120.28, 14.84, 25.5], [120.28, 14.85]]);
+    expect(data.startPoint.coordinates).toEqual([120.28, 14.83]);
+    expect(data.endPoint.coordinates).toEqual([120.28, 14.85]);
+    expect(data.distance).toBeCloseTo(2.22, 2);
+    expect(data.completed).toBe(false);
+  });
+
+  test('measures the climb from the elevations', () => {
+    const climb = Array.from({ length: 11 }, (_, index) =>
+      `<trkpt lat="${14.83 + index * 0.001}" lon="120.28"><ele>${index * 10}</ele></trkpt>`
+    ).join('');
+    const data = gpxToRouteData(parseGpx(gpx(`<trk><trkseg>${climb}</trkseg></trk>`)));
+    // Smoothing flattens the first and last readings of the 100 m climb
+    expect(data.elevationGain).toBe(80);
+    expect(data.elevationLoss).toBe(0);
+  });
+
+  test('applies overrides', () => {
+    expect(gpxToRouteData(parseGpx(track), { title: 'Renamed' }).title).toBe('Renamed');
+  });
+});
+
+describe('export', () => {
+  test('a route survives a round trip', () => {
+    const route = {
+      title: 'Tom & Jerry <loop>',
+      pathCoordinates: [[14.83, 120.28, 10], [14.84, 120.29]]
+    };
+    const text = routeToGpx(route);
+    expect(text).toContain('<name>Tom &amp; Jerry &lt;loop&gt;</name>');
+
+    const parsed = parseGpx(text);
+    expect(parsed.name).toBe('Tom & Jerry <loop>');
+    expect(parsed.points).toEqual([
+      { lat: 14.83, lng: 120.28, ele: 10, time: null },
+      { lat: 14.84, lng: 120.29, ele: null, time: null }
+    ]);
+  });
+
+  test('reads the GeoJSON path of a raw API route', () => {
+    const text = routeToGpx({ path: JSON.stringify({ type: 'LineString', coordinates: [[120.28, 14.83], [120.29, 14.84]] }) });
+    expect(parseGpx(text).points).toHaveLength(2);
+    expect(() => routeToGpx({ pathCoordinates: [] })).toThrow('Route has no path to export');
+  });
+
+  test('an activity keeps its timestamps', () => {
+    const activity = {
+      title: 'Morning Run',
+      startTime: '2026-10-19T07:00:00Z',
+      locationHistory: [
+        { timestamp: '2026-10-19T07:00:00Z', location: { coordinates: [120.28, 14.83] }, altitude: 10 },
+        { timestamp: '2026-10-19T07:01:00Z', location: { coordinates: [120.28, 14.84] }, altitude: null }
+      ]
+    };
+    expect(parseGpx(activityToGpx(activity)).points.map(point => point.time))
+      .toEqual(['2026-10-19T07:00:00.000Z', '2026-10-19T07:01:00.000Z']);
+  });
+
+  test('an activity without history falls back to its route', () => {
+    const activity = { route: { type: 'LineString', coordinates: [[120.28, 14.83, 5], [120.29, 14.84, 8]] } };
+    expect(parseGpx(activityToGpx(activity)).points.map(point => point.ele)).toEqual([5, 8]);
+    expect(() => activityToGpx({})).toThrow('Activity has no track to export');
+  });
+});
@@ -0,0 +1,84 @@
+// Geometry for round-trip (loop) route generation.
+// Points use the Leaflet [lat, lng] convention; distances are in kilometers.
+
+// Roads wind, so a routed loop comes out longer than the circle it follows.
+// Starting guess for routed length / circle circumference.
+export const DEFAULT_DETOUR_FACTOR = 1.3;
+
+// Waypoints placed around the loop, not counting the start
+const LOOP_WAYPOINTS = 5;
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Point reached by travelling a distance along a bearing.
+ * @param {Array} start - [lat, lng]
+ * @param {number} bearing - Degrees clockwise from north
+ * @param {number} distanceKm - Distance to travel
+ * @returns {Array} - [lat, lng]
+ */
+export const destinationPoint = (start, bearing, distanceKm) => {
+  const R = 6371; // Earth radius in km
+  const angularDistance = distanceKm / R;
+  const theta = bearing * Math.PI / 180;
+  const lat1 = start[0] * Math.PI / 180;
+  const lng1 = start[1] * Math.PI / 180;
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angularDistance) +
+    Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(theta)
+  );
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angularDistance) * Math.cos(lat1),
+    Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return [lat2 * 180 / Math.PI, lng2 * 180 / Math.PI];
+};
+
+/**
+ * Waypoints for a loop that leaves the start along a heading and comes back.
+ * They sit on a circle through the start whose center lies in the heading
+ * direction, sized so the routed loop should land near the target distance.
+ * @param {Array} start - [lat, lng]
+ * @param {number} targetKm - Wanted loop length
+ * @param {number} heading - Degrees clockwise from north
+ * @param {number} detourFactor - Expected routed length / circle circumference
+ * @returns {Array} - [[lat, lng], ...] starting and ending at the start
+ */
+export const buildLoopWaypoints = (start, targetKm, heading, detourFactor = DEFAULT_DETOUR_FACTOR) => {
+  const radius = targetKm / (2 * Math.PI * detourFactor);
+  const center = destinationPoint(start, heading, radius);
+  const startBearing = heading + 180; // From the center back to the start
+
+  const waypoints = [start];
+  for (let i = 1; i <= LOOP_WAYPOINTS; i++) {
+    const bearing = startBearing + (i * 360) / (LOOP_WAYPOINTS + 1);
+    waypoints.push(destinationPoint(center, bearing, radius));
+  }
+  waypoints.push(start);
+
+  return waypoints;
+};
+
+/**
+ * How closely a loop matches the target distance, from 0 to 100.
+ * @param {number} distanceKm - Actual loop length
+ * @param {number} targetKm - Wanted loop length
+ * @returns {number} - 100 for an exact match, 0 at 100% off or worse
+ */
+export const scoreLoopDistance = (distanceKm, targetKm) => {
+  if (!targetKm || targetKm <= 0) return 0;
+  const error = Math.abs(distanceKm - targetKm) / targetKm;
+  return Math.max(0, Math.round((1 - error) * 100));
+};
+
+/**
+ * Compass label for a bearing, e.g. 50 -> 'NE'.
+ * @param {number} bearing - Degrees clockwise from north
+ * @returns {string}
+ */
+export const compassDirection = (bearing) => {
+  const normalized = ((bearing % 360) + 360) % 360;
+  return COMPASS_POINTS[Math.round(normalized / 45) % COMPASS_POINTS.length];
+};
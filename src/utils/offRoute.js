@@ -0,0 +1,109 @@
+// Off-route detection against the selected route.
+// Positions and route coordinates use the Leaflet [lat, lng] convention.
+
+import { nearestPointOnSegment } from './geometry';
+
+// Defaults for the offRouteAlerts block of the user's activity preferences
+export const DEFAULT_OFF_ROUTE_ALERTS = {
+  distance: 50, // meters from the route before a point counts as off-route
+  time: 15 // seconds the user must stay off-route before being warned
+};
+
+/**
+ * Nearest point on a polyline, measured perpendicular to each segment
+ * rather than only to its vertices.
+ * @param {Array} position - [lat, lng]
+ * @param {Array} path - [[lat, lng], ...]
+ * @returns {Object|null} - { point: [lat, lng], distance (m), segmentIndex, fraction }
+ */
+export const nearestPointOnRoute = (position, path) => {
+  if (!position || !path || path.length === 0) return null;
+
+  if (path.length === 1) {
+    const { distance } = nearestPointOnSegment(position, path[0], path[0]);
+    return { point: path[0], distance, segmentIndex: 0, fraction: 0 };
+  }
+
+  let best = null;
+  for (let i = 0; i < path.length - 1; i++) {
+    const nearest = nearestPointOnSegment(position, path[i], path[i + 1]);
+    if (!best || nearest.distance < best.distance) {
+      best = { ...nearest, segmentIndex: i };
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Create an off-route detector for one tracking session.
+ * @param {Array} path - Route coordinates [[lat, lng], ...]
+ * @param {Object} settings - { distance (m), time (s) }
+ * @returns {Object} - { update(position, timestamp), finish(timestamp), getIntervals() }
+ */
+export const createOffRouteDetector = (path, settings = DEFAULT_OFF_ROUTE_ALERTS) => {
+  const distanceThreshold = settings.distance || DEFAULT_OFF_ROUTE_ALERTS.distance;
+  const timeThreshold = (settings.time !== undefined ? settings.time : DEFAULT_OFF_ROUTE_ALERTS.time) * 1000;
+
+  const intervals = [];
+  let beyondSince = null;
+  let current = null;
+
+  /**
+   * Check a new position against the route.
+   * @returns {Object} - { offRoute, beyondThreshold, distance, nearestPoint, event: 'started' | 'ended' | null }
+   */
+  const update = (position, timestamp = Date.now()) => {
+    const nearest = nearestPointOnRoute(position, path);
+    if (!nearest) {
+      return { offRoute: false, beyondThreshold: false, distance: 0, nearestPoint: null, event: null };
+    }
+
+    let event = null;
+
+    if (nearest.distance > distanceThreshold) {
+      if (beyondSince === null) beyondSince = timestamp;
+
+      if (!current && timestamp - beyondSince >= timeThreshold) {
+        current = { start: beyondSince, end: null, maxDistance: nearest.distance };
+        event = 'started';
+      }
+      if (current) {
+        current.maxDistance = Math.max(current.maxDistance, nearest.distance);
+      }
+    } else {
+      beyondSince = null;
+      if (current) {
+        current.end = timestamp;
+        intervals.push(current);
+        current = null;
+        event = 'ended';
+      }
+    }
+
+    return {
+      offRoute: !!current,
+      beyondThreshold: beyondSince !== null,
+      distance: nearest.distance,
+      nearestPoint: nearest.point,
+      event
+    };
+  };
+
+  // Close an interval still open when tracking stops
+  const finish = (timestamp = Date.now()) => {
+    if (current) {
+      current.end = timestamp;
+      intervals.push(current);
+      current = null;
+    }
+  };
+
+  const getIntervals = () => intervals.map(interval => ({
+    start: interval.start,
+    end: interval.end,
+    maxDistance: Math.round(interval.maxDistance)
+  }));
+
+  return { update, finish, getIntervals };
+};
@@ -0,0 +1,152 @@
+// Personal records: fastest times over standard distances plus the longest
+// run and biggest climb. Best efforts come from an activity's timestamped
+// track; distances are in meters and times in seconds.
+
+import { distanceMeters } from './geo';
+import { formatEffortTime } from './segments';
+
+// Distances searched for a best effort in every track
+export const BEST_EFFORT_DISTANCES = [
+  { key: '1k', label: '1 km', meters: 1000 },
+  { key: '5k', label: '5 km', meters: 5000 },
+  { key: '10k', label: '10 km', meters: 10000 },
+  { key: 'half-marathon', label: 'Half Marathon', meters: 21097.5 }
+];
+
+// Every record, in display order
+export const PERSONAL_RECORDS = [
+  ...BEST_EFFORT_DISTANCES.map(({ key, label }) => ({ key, label: `Fastest ${label}`, kind: 'time' })),
+  { key: 'longest-run', label: 'Longest Run', kind: 'distance' },
+  { key: 'biggest-climb', label: 'Biggest Climb', kind: 'elevation' }
+];
+
+// Activity types that count towards records
+export const RECORD_ACTIVITY_TYPES = ['run', 'jog'];
+
+// Fastest time over each distance within a stretch recorded without a
+// manual pause in between
+const bestEffortsInStretch = (track, distances) => {
+  const efforts = {};
+  if (track.length < 2) return efforts;
+
+  const times = track.map(point => new Date(point.timestamp).getTime());
+  const cumulative = [0];
+  for (let i = 1; i < track.length; i++) {
+    cumulative.push(cumulative[i - 1] + distanceMeters(track[i - 1].position, track[i].position));
+  }
+
+  distances.forEach(({ key, meters }) => {
+    let best = null;
+    let start = 0;
+    for (let end = 1; end < track.length; end++) {
+      if (cumulative[end] < meters) continue;
+      // Shrink the window while it still covers the distance from the next fix
+      while (cumulative[end] - cumulative[start + 1] >= meters) start++;
+
+      const span = cumulative[start + 1] - cumulative[start];
+      const fraction = span > 0 ? (cumulative[end] - meters - cumulative[start]) / span : 0;
+      const startTime = times[start] + (times[start + 1] - times[start]) * fraction;
+      const elapsedTime = (times[end] - startTime) / 1000;
+
+      if (elapsedTime > 0 && (!best || elapsedTime < best.elapsedTime)) {
+        best = { elapsedTime, startTime, endTime: times[end] };
+      }
+    }
+
+    if (best) efforts[key] = best;
+  });
+
+  return efforts;
+};
+
+/**
+ * Fastest time over each standard distance within one track. A window slides
+ * along the cumulative distance; its start is interpolated between fixes so
+ * sparse tracks aren't penalised by a whole extra step. Windows never span a
+ * fix flagged as resumed, so ground covered during a manual pause can't make
+ * an effort.
+ * @param {Array} track - [{ position: [lat, lng], timestamp, resumed }, ...] in recording order
+ * @param {Array} distances - Targets, defaults to BEST_EFFORT_DISTANCES
+ * @returns {Object} - { [key]: { elapsedTime, startTime, endTime } } for each distance the track covers
+ */
+export const computeBestEfforts = (track, distances = BEST_EFFORT_DISTANCES) => {
+  const efforts = {};
+  if (!track || track.length < 2) return efforts;
+
+  // Cut the track at each resume into stretches recorded without a pause
+  const stretches = [[]];
+  track.forEach((point, index) => {
+    if (index > 0 && point.resumed) stretches.push([]);
+    stretches[stretches.length - 1].push(point);
+  });
+
+  stretches.forEach(stretch => {
+    Object.entries(bestEffortsInStretch(stretch, distances)).forEach(([key, best]) => {
+      if (efforts[key] && efforts[key].elapsedTime <= Math.round(best.elapsedTime)) return;
+      efforts[key] = {
+        elapsedTime: Math.round(best.elapsedTime),
+        startTime: new Date(best.startTime),
+        endTime: new Date(best.endTime)
+      };
+    });
+  });
+
+  return efforts;
+};
+
+// Archived and simulated activities never hold records
+export const isRecordEligible = (activity) =>
+  Boolean(activity) && !activity.simulated && !activity.archived && RECORD_ACTIVITY_TYPES.includes(activity.type);
+
+/**
+ * Best value of every record across a user's activities.
+ * @param {Array} activities - Activities with bestEfforts from computeBestEfforts
+ * @returns {Object} - { [key]: { key, value, activityId, activityTitle, date } }
+ */
+export const computePersonalRecords = (activities) => {
+  const records = {};
+  const consider = (key, value, activity, better) => {
+    if (!value || value <= 0) return;
+    const current = records[key];
+    if (current && !better(value, current.value)) return;
+    records[key] = {
+      key,
+      value,
+      activityId: activity._id,
+      activityTitle: activity.title || 'Untitled Activity',
+      date: activity.startTime
+    };
+  };
+  const faster = (a, b) => a < b;
+  const greater = (a, b) => a > b;
+
+  (activities || []).filter(isRecordEligible).forEach(activity => {
+    const efforts = activity.bestEfforts || {};
+    BEST_EFFORT_DISTANCES.forEach(({ key }) => {
+      if (efforts[key]) consider(key, efforts[key].elapsedTime, activity, faster);
+    });
+    consider('longest-run', activity.distance, activity, greater);
+    consider('biggest-climb', activity.elevationGain, activity, greater);
+  });
+
+  return records;
+};
+
+/**
+ * Labels of the records an activity currently holds, for PR badges.
+ * @param {Object} records - From computePersonalRecords
+ * @param {string} activityId
+ * @returns {Array<string>}
+ */
+export const recordBadges = (records, activityId) =>
+  PERSONAL_RECORDS
+    .filter(({ key }) => records && records[key] && records[key].activityId === activityId)
+    .map(({ label }) => label);
+
+// Record value for display: a time, a distance (m) or a climb (m)
+export const formatRecordValue = (record, kind) => {
+  if (!record) return '--';
+  if (kind === 'time') return formatEffortTime(record.value);
+  if (kind === 'distance') return `${(record.value / 1000).toFixed(2)} km`;
+  return `${Math.round(record.value)} m`;
+};
@@ -0,0 +1,102 @@
+import {
+  computeBestEfforts,
+  isRecordEligible,
+  computePersonalRecords,
+  recordBadges,
+  formatRecordValue
+} from './personalRecords';
+
+// Degrees of latitude per 100 m along a meridian
+const STEP = 100 / (6371000 * Math.PI / 180);
+
+// A fix every 100 m due north, each step taking the given seconds
+const track = (stepSeconds) => {
+  let seconds = 0;
+  return [0, ...stepSeconds].map((duration, index) => {
+    seconds += duration;
+    return { position: [14.83 + index * STEP, 120.28], timestamp: seconds * 1000 };
+  });
+};
+
+describe('computeBestEfforts', () => {
+  test('finds the fastest window inside a longer activity', () => {
+    // 3 km: a slow kilometer, a fast one, then slow again
+    const steps = [...Array(10).fill(60), ...Array(10).fill(24), ...Array(10).fill(60)];
+    const efforts = computeBestEfforts(track(steps));
+
+    expect(efforts['1k'].elapsedTime).toBe(240);
+    expect(efforts['1k'].startTime).toEqual(new Date(600 * 1000));
+    expect(efforts['1k'].endTime).toEqual(new Date(840 * 1000));
+    expect(efforts['5k']).toBeUndefined();
+  });
+
+  test('slides the window when the best effort is at the end', () => {
+    const steps = [...Array(15).fill(60), ...Array(10).fill(30)];
+    expect(computeBestEfforts(track(steps))['1k'].elapsedTime).toBe(300);
+  });
+
+  test('interpolates the start between sparse fixes', () => {
+    // One 1.5 km step in 300 s: the last kilometer takes 200 s
+    const sparse = [
+      { position: [14.83, 120.28], timestamp: 0 },
+      { position: [14.83 + 15 * STEP, 120.28], timestamp: 300000 }
+    ];
+    expect(computeBestEfforts(sparse)['1k'].elapsedTime).toBe(200);
+  });
+
+  test('never spans a manual pause', () => {
+    // 600 m, a pause that moved 900 m in 60 s, then 600 m more
+    const steps = [...Array(6).fill(60), 60, ...Array(6).fill(60)];
+    const paused = track(steps).map((point, index) => ({
+      ...point,
+      position: [point.position[0] + (index > 6 ? 8 * STEP : 0), point.position[1]],
+      resumed: index === 7
+    }));
+    expect(computeBestEfforts(paused)).toEqual({});
+
+    // Without the flag the jump would make a 1 km effort
+    expect(computeBestEfforts(paused.map(point => ({ ...point, resumed: false })))['1k']).toBeDefined();
+  });
+
+  test('needs a track that covers the distance', () => {
+    expect(computeBestEfforts(track(Array(9).fill(60)))).toEqual({});
+    expect(computeBestEfforts([])).toEqual({});
+    expect(computeBestEfforts(null)).toEqual({});
+  });
+});
+
+describe('computePersonalRecords', () => {
+  const activities = [
+    { _id: 'a', type: 'run', title: 'Morning', distance: 5000, elevationGain: 40, bestEfforts: { '1k': { elapsedTime: 250 } } },
+    { _id: 'b', type: 'jog', distance: 8000, elevationGain: 10, bestEfforts: { '1k': { elapsedTime: 270 }, '5k': { elapsedTime: 1500 } } },
+    { _id: 'c', type: 'cycling', distance: 40000, elevationGain: 400, bestEfforts: { '1k': { elapsedTime: 90 } } },
+    { _id: 'd', type: 'run', distance: 20000, simulated: true },
+    { _id: 'e', type: 'run', distance: 30000, archived: true }
+  ];
+
+  test('only counts real, current runs', () => {
+    expect(activities.map(isRecordEligible)).toEqual([true, true, false, false, false]);
+  });
+
+  test('keeps the best value of each record', () => {
+    const records = computePersonalRecords(activities);
+    expect(records['1k']).toMatchObject({ value: 250, activityId: 'a', activityTitle: 'Morning' });
+    expect(records['5k']).toMatchObject({ value: 1500, activityId: 'b', activityTitle: 'Untitled Activity' });
+    expect(records['longest-run']).toMatchObject({ value: 8000, activityId: 'b' });
+    expect(records['biggest-climb']).toMatchObject({ value: 40, activityId: 'a' });
+    expect(records['10k']).toBeUndefined();
+  });
+
+  test('badges the activities holding records', () => {
+    const records = computePersonalRecords(activities);
+    expect(recordBadges(records, 'a')).toEqual(['Fastest 1 km', 'Biggest Climb']);
+    expect(recordBadges(records, 'c')).toEqual([]);
+  });
+
+  test('formats record values', () => {
+    expect(formatRecordValue({ value: 1500 }, 'time')).toBe('25:00');
+    expect(formatRecordValue({ value: 8000 }, 'distance')).toBe('8.00 km');
+    expect(formatRecordValue({ value: 40.4 }, 'elevation')).toBe('40 m');
+    expect(formatRecordValue(null, 'time')).toBe('--');
+  });
+});
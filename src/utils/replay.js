@@ -0,0 +1,44 @@
+// Activity replay: plays a recorded track back on its real timestamps.
+// Tracks come from buildGhostTrack, so time is moving time in seconds and
+// distance is in meters.
+
+import { ghostPositionAt } from './ghost';
+
+// Clock tick, the same floor the route simulation uses for its steps (ms)
+export const REPLAY_TICK_MS = 200;
+
+// Playback speed multipliers offered in the player
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 30, 60];
+
+// Pace at the cursor is averaged over this much of the track (s)
+const REPLAY_PACE_WINDOW = 30;
+
+/**
+ * Where the replay is after a number of seconds, with a pace readout.
+ * @param {Array} track - From buildGhostTrack
+ * @param {number} seconds - Replay time in seconds of moving time
+ * @returns {Object} - { time, distance, pace (s/km or null), position, path: [[lat, lng], ...], finished }
+ */
+export const replayStateAt = (track, seconds) => {
+  const duration = track[track.length - 1].time;
+  const time = Math.min(Math.max(0, seconds), duration);
+  const current = ghostPositionAt(track, time);
+
+  // Pace over the trailing window, or since the start early on
+  const windowStart = Math.max(0, time - REPLAY_PACE_WINDOW);
+  const covered = current.distance - ghostPositionAt(track, windowStart).distance;
+  const pace = covered > 0 ? ((time - windowStart) / covered) * 1000 : null;
+
+  // Recorded points already passed, then the interpolated marker position
+  const path = track.filter(point => point.time <= time).map(point => point.position);
+  path.push(current.position);
+
+  return {
+    time,
+    distance: current.distance,
+    pace,
+    position: current.position,
+    path,
+    finished: current.finished
+  };
+};
@@ -0,0 +1,115 @@
+// Search, filter and sort options for the My Routes list.
+// The same filters are sent to the API as query parameters and applied
+// again locally, so results stay correct if the server ignores any of them.
+
+// Routes requested per page
+export const ROUTES_PAGE_SIZE = 24;
+
+export const ROUTE_SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest', param: '-createdAt' },
+  { value: 'distance', label: 'Shortest', param: 'distance' },
+  { value: 'distance-desc', label: 'Longest', param: '-distance' },
+  { value: 'most-run', label: 'Most run', param: '-timesCompleted' }
+];
+
+// Empty strings mean "no filter"; ranges are in km (distance) and m (elevation)
+export const DEFAULT_ROUTE_FILTERS = {
+  search: '',
+  minDistance: '',
+  maxDistance: '',
+  minElevation: '',
+  maxElevation: '',
+  activityType: '',
+  verified: '', // '', 'verified' or 'unverified'
+  completed: '', // '', 'completed' or 'incomplete'
+  sort: 'newest'
+};
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+const inRange = (value, min, max) => {
+  const minimum = toNumber(min);
+  const maximum = toNumber(max);
+  if (minimum !== null && (value || 0) < minimum) return false;
+  if (maximum !== null && (value || 0) > maximum) return false;
+  return true;
+};
+
+/**
+ * Whether any filter other than the sort order is set.
+ * @param {Object} filters - Filters in the DEFAULT_ROUTE_FILTERS shape
+ * @returns {boolean}
+ */
+export const hasActiveRouteFilters = (filters) =>
+  Object.keys(DEFAULT_ROUTE_FILTERS).some(key => key !== 'sort' && filters[key] !== DEFAULT_ROUTE_FILTERS[key]);
+
+/**
+ * Query options for getUserRoutes.
+ * @param {Object} filters - Filters in the DEFAULT_ROUTE_FILTERS shape
+ * @param {Object} page - { limit, skip }
+ * @returns {Object} - Options with only the filters that are set
+ */
+export const routeFiltersToQuery = (filters, page = {}) => {
+  const sortOption = ROUTE_SORT_OPTIONS.find(option => option.value === filters.sort);
+  const query = {
+    search: filters.search.trim() || undefined,
+    minDistance: toNumber(filters.minDistance) ?? undefined,
+    maxDistance: toNumber(filters.maxDistance) ?? undefined,
+    minElevation: toNumber(filters.minElevation) ?? undefined,
+    maxElevation: toNumber(filters.maxElevation) ?? undefined,
+    activityType: filters.activityType || undefined,
+    verified: filters.verified ? filters.verified === 'verified' : undefined,
+    completed: filters.completed ? filters.completed === 'completed' : undefined,
+    sort: sortOption ? sortOption.param : undefined,
+    limit: page.limit,
+    skip: page.skip
+  };
+
+  return Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Apply the filters to already loaded routes.
+ * @param {Array} routes - Routes from getUserRoutes
+ * @param {Object} filters - Filters in the DEFAULT_ROUTE_FILTERS shape
+ * @returns {Array} - Matching routes
+ */
+export const filterRoutes = (routes, filters) => {
+  const terms = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+
+  return routes.filter(route => {
+    if (terms.length > 0) {
+      const text = `${route.title || ''} ${route.description || ''}`.toLowerCase();
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+    if (!inRange(route.distance, filters.minDistance, filters.maxDistance)) return false;
+    if (!inRange(route.elevationGain, filters.minElevation, filters.maxElevation)) return false;
+    if (filters.activityType && route.activityType !== filters.activityType) return false;
+    if (filters.verified && Boolean(route.isVerified) !== (filters.verified === 'verified')) return false;
+    if (filters.completed && Boolean(route.completed) !== (filters.completed === 'completed')) return false;
+    return true;
+  });
+};
+
+/**
+ * Sort routes by one of the ROUTE_SORT_OPTIONS values.
+ * @param {Array} routes - Routes to sort (not modified)
+ * @param {string} sort - Sort option value
+ * @returns {Array} - Sorted copy
+ */
+export const sortRoutes = (routes, sort) => {
+  const sorted = [...routes];
+  switch (sort) {
+    case 'distance':
+      return sorted.sort((a, b) => (a.distance || 0) - (b.distance || 0));
+    case 'distance-desc':
+      return sorted.sort((a, b) => (b.distance || 0) - (a.distance || 0));
+    case 'most-run':
+      return sorted.sort((a, b) => (b.timesCompleted || 0) - (a.timesCompleted || 0));
+    default:
+      return sorted.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+  }
+};
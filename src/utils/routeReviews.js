@@ -0,0 +1,78 @@
+// Ratings, reviews and condition reports left by people who completed a route.
+
+// Conditions a runner can report; 'clear' lets them say a problem has gone
+export const ROUTE_CONDITIONS = [
+  { value: 'flooded', label: 'Flooded', className: 'bg-blue-100 text-blue-800' },
+  { value: 'construction', label: 'Under construction', className: 'bg-amber-100 text-amber-800' },
+  { value: 'poorly-lit', label: 'Poorly lit', className: 'bg-gray-200 text-gray-800' },
+  { value: 'clear', label: 'All clear', className: 'bg-green-100 text-green-800' }
+];
+
+// Condition reports older than this are hidden; conditions change quickly
+export const CONDITION_REPORT_MAX_AGE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Display details for a condition value
+export const conditionInfo = (value) =>
+  ROUTE_CONDITIONS.find(condition => condition.value === value) ||
+  { value, label: value || 'Unknown', className: 'bg-gray-100 text-gray-700' };
+
+/**
+ * Average of the 1-5 star ratings in a list of reviews.
+ * @param {Array} reviews - [{ rating }, ...]
+ * @returns {Object} - { average: number|null, count }
+ */
+export const summarizeRatings = (reviews) => {
+  const ratings = (reviews || [])
+    .map(review => Number(review.rating))
+    .filter(rating => rating >= 1 && rating <= 5);
+  if (ratings.length === 0) return { average: null, count: 0 };
+
+  const total = ratings.reduce((sum, rating) => sum + rating, 0);
+  return { average: Math.round((total / ratings.length) * 10) / 10, count: ratings.length };
+};
+
+/**
+ * Rating summary stored on a route by the API (averageRating, ratingCount).
+ * @param {Object} route
+ * @returns {Object} - { average: number|null, count }
+ */
+export const routeRating = (route) => {
+  const count = (route && route.ratingCount) || 0;
+  const average = route && typeof route.averageRating === 'number' && count > 0 ? route.averageRating : null;
+  return { average, count };
+};
+
+/**
+ * Comparator that puts the best rated routes first. Unrated routes go last;
+ * equal ratings are ordered by the number of ratings.
+ */
+export const compareByRating = (a, b) => {
+  const ratingA = routeRating(a);
+  const ratingB = routeRating(b);
+  if (ratingA.average === null || ratingB.average === null) {
+    return (ratingA.average === null) - (ratingB.average === null);
+  }
+  return (ratingB.average - ratingA.average) || (ratingB.count - ratingA.count);
+};
+
+/**
+ * Condition reports from the last few weeks, newest first.
+ * @param {Array} reports - [{ condition, note, reportedAt }, ...]
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @param {number} maxAgeDays - Oldest report to keep
+ * @returns {Array} - Recent reports
+ */
+export const recentConditionReports = (reports, now = new Date(), maxAgeDays = CONDITION_REPORT_MAX_AGE_DAYS) => {
+  const cutoff = now.getTime() - maxAgeDays * DAY_MS;
+  return (reports || [])
+    .filter(report => new Date(report.reportedAt || report.createdAt).getTime() >= cutoff)
+    .sort((a, b) => new Date(b.reportedAt || b.createdAt) - new Date(a.reportedAt || a.createdAt));
+};
+
+// Whole and empty stars for a rating, e.g. 3.6 -> '★★★★☆'
+export const formatStars = (rating) => {
+  const filled = Math.round(rating || 0);
+  return '★'.repeat(filled) + '☆'.repeat(5 - filled);
+};
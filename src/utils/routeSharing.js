@@ -0,0 +1,120 @@
+// Public share links for routes and copying a shared route into another account.
+
+import { pathDistanceKm, distanceMeters, toGeoJsonPoint, toGeoJsonLineString, toLngLat } from './geo';
+
+// Distance hidden at each end of a route shared under 'followers' privacy (m),
+// so a public link doesn't lead to where the owner starts and finishes
+export const SHARE_HIDDEN_END_METERS = 200;
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// Point the given distance into a path with cumulative distances, with its
+// elevation interpolated when both neighbours have one
+const pointAtDistance = (path, elevations, cumulative, meters) => {
+  const index = Math.max(1, cumulative.findIndex(distance => distance >= meters));
+  const span = cumulative[index] - cumulative[index - 1];
+  const fraction = span > 0 ? (meters - cumulative[index - 1]) / span : 0;
+  const from = path[index - 1];
+  const to = path[index];
+  const elevation = isNumber(elevations[index - 1]) && isNumber(elevations[index])
+    ? elevations[index - 1] + (elevations[index] - elevations[index - 1]) * fraction
+    : null;
+  return {
+    point: [from[0] + (to[0] - from[0]) * fraction, from[1] + (to[1] - from[1]) * fraction],
+    elevation
+  };
+};
+
+/**
+ * Drop the given distance from both ends of a path.
+ * @param {Array} path - [[lat, lng], ...]
+ * @param {Array<number|null>} elevations - Elevation per point
+ * @param {number} meters - Distance to drop at each end
+ * @returns {Object} - { path, elevations }; empty when the path is too short to keep anything
+ */
+export const trimPathEnds = (path, elevations, meters) => {
+  const cumulative = [0];
+  for (let i = 1; i < path.length; i++) {
+    cumulative.push(cumulative[i - 1] + distanceMeters(path[i - 1], path[i]));
+  }
+  const total = cumulative[cumulative.length - 1] || 0;
+  if (path.length < 2 || total <= meters * 2) return { path: [], elevations: [] };
+
+  const start = pointAtDistance(path, elevations, cumulative, meters);
+  const end = pointAtDistance(path, elevations, cumulative, total - meters);
+  const inner = path
+    .map((point, index) => ({ point, elevation: isNumber(elevations[index]) ? elevations[index] : null }))
+    .filter((_, index) => cumulative[index] > meters && cumulative[index] < total - meters);
+  const kept = [start, ...inner, end];
+
+  return { path: kept.map(entry => entry.point), elevations: kept.map(entry => entry.elevation) };
+};
+
+/**
+ * The geometry a share link may expose, following the route's own isPublic
+ * flag and the owner's privacyDefault: private routes aren't shared,
+ * followers-only links need a login and lose both ends
+ * (SHARE_HIDDEN_END_METERS), and public routes are shared whole.
+ * @param {Object} route - Owner's route in the normalizeRoute shape
+ * @param {string} privacyDefault - Owner's 'public'|'followers'|'private' setting
+ * @returns {Object|null} - { privacyDefault, requiresLogin, distance (km), path, startPoint, endPoint }, or null when it can't be shared
+ */
+export const shareableRouteData = (route, privacyDefault = 'public') => {
+  if (route.isPublic === false || privacyDefault === 'private') return null;
+
+  const elevations = route.elevations || [];
+  const shared = privacyDefault === 'public'
+    ? { path: route.pathCoordinates, elevations }
+    : trimPathEnds(route.pathCoordinates, elevations, SHARE_HIDDEN_END_METERS);
+  if (shared.path.length < 2) return null;
+
+  return {
+    privacyDefault,
+    requiresLogin: privacyDefault !== 'public',
+    distance: parseFloat(pathDistanceKm(shared.path).toFixed(2)),
+    path: toGeoJsonLineString(shared.path, shared.elevations),
+    startPoint: toGeoJsonPoint(shared.path[0]),
+    endPoint: toGeoJsonPoint(shared.path[shared.path.length - 1])
+  };
+};
+
+// Path of the read-only page for a share ID (see router.js)
+export const sharedRoutePath = (shareId) => `/shared/routes/${encodeURIComponent(shareId)}`;
+
+// Full link to hand out, on whatever host the app is served from
+export const routeShareUrl = (shareId) => `${window.location.origin}${sharedRoutePath(shareId)}`;
+
+/**
+ * Route data for saveRoute that copies a shared route into the viewer's
+ * account. The copy starts incomplete and stays as visible as the original
+ * owner allowed: it is public only when the share was made under their
+ * 'public' privacyDefault, which the shared route carries.
+ * @param {Object} route - Shared route in the normalizeRoute shape
+ * @returns {Object} - Route data with GeoJSON geometry
+ */
+export const cloneRouteData = (route) => {
+  const elevations = route.elevations || [];
+  // Keep recorded elevations as the optional third GeoJSON value
+  const coordinates = route.pathCoordinates.map((point, index) => (
+    elevations[index] !== null && elevations[index] !== undefined
+      ? [...toLngLat(point), elevations[index]]
+      : toLngLat(point)
+  ));
+
+  return {
+    title: route.title || 'Shared Route',
+    description: route.description || '',
+    distance: route.distance || parseFloat(pathDistanceKm(route.pathCoordinates).toFixed(2)),
+    elevationGain: route.elevationGain || 0,
+    activityType: route.activityType,
+    path: {
+      type: 'LineString',
+      coordinates
+    },
+    startPoint: toGeoJsonPoint(route.startPoint),
+    endPoint: toGeoJsonPoint(route.endPoint),
+    isPublic: route.privacyDefault === 'public',
+    clonedFrom: route._id,
+    completed: false
+  };
+};
@@ -0,0 +1,190 @@
+// Segments: user-defined stretches of road or trail with timed efforts.
+// Points use the Leaflet [lat, lng] convention; distances are in meters and
+// effort times in seconds.
+
+import { distanceMeters, pathDistanceKm } from './geo';
+import { densifyPath, pointToSegmentDistance } from './geometry';
+
+// A track point this close to the segment counts as being on it (m)
+export const SEGMENT_MATCH_TOLERANCE = 25;
+
+// Segments shorter than this are too noisy to time fairly (m)
+export const SEGMENT_MIN_LENGTH = 100;
+
+// Spacing of the checkpoints a track must pass, in order (m)
+const CHECKPOINT_SPACING = 50;
+
+// An effort is abandoned once the track strays this many tolerances away
+const OFF_SEGMENT_FACTOR = 3;
+
+export const LEADERBOARD_PERIODS = [
+  { value: 'all', label: 'All Time' },
+  { value: 'month', label: 'This Month' },
+  { value: 'mine', label: 'My Efforts' }
+];
+
+/**
+ * Part of a path between two point indexes, inclusive.
+ * @param {Array} path - [[lat, lng], ...]
+ * @param {number} startIndex
+ * @param {number} endIndex
+ * @returns {Array} - Sub-path, empty when the range is invalid
+ */
+export const extractSubPath = (path, startIndex, endIndex) => {
+  if (!path || startIndex < 0 || endIndex >= path.length || endIndex <= startIndex) return [];
+  return path.slice(startIndex, endIndex + 1);
+};
+
+/**
+ * Check a selected sub-path before it is saved as a segment.
+ * @param {Array} path - [[lat, lng], ...]
+ * @returns {string|null} - Problem to show the user, or null when it's usable
+ */
+export const validateSegmentPath = (path) => {
+  if (!path || path.length < 2) return 'Select at least two points';
+  if (pathDistanceKm(path) * 1000 < SEGMENT_MIN_LENGTH) {
+    return `Segments must be at least ${SEGMENT_MIN_LENGTH} m long`;
+  }
+  return null;
+};
+
+// Shortest distance from a point to any part of a path
+const distanceToPath = (point, path) => {
+  let min = Infinity;
+  for (let i = 1; i < path.length; i++) {
+    min = Math.min(min, pointToSegmentDistance(point, path[i - 1], path[i]));
+  }
+  return min;
+};
+
+// Evenly spaced points along the segment, always including both ends
+const buildCheckpoints = (path) => {
+  const dense = densifyPath(path, CHECKPOINT_SPACING / 2);
+  const checkpoints = [dense[0]];
+  let travelled = 0;
+  for (let i = 1; i < dense.length; i++) {
+    travelled += distanceMeters(dense[i - 1], dense[i]);
+    if (travelled >= CHECKPOINT_SPACING) {
+      checkpoints.push(dense[i]);
+      travelled = 0;
+    }
+  }
+  const end = path[path.length - 1];
+  if (checkpoints[checkpoints.length - 1] !== end) checkpoints.push(end);
+  return checkpoints;
+};
+
+/**
+ * Times a track over a segment. An effort starts where the track leaves the
+ * start zone, must pass every checkpoint in order without straying from the
+ * segment, and ends at the first point that reaches the end. A track can hold
+ * several efforts (e.g. laps of a loop).
+ * @param {Array} segmentPath - Segment [[lat, lng], ...]
+ * @param {Array} track - [{ position: [lat, lng], timestamp }, ...] in recording order
+ * @param {number} tolerance - Matching distance in meters
+ * @returns {Array} - [{ startIndex, endIndex, startTime, endTime, elapsedTime }]
+ */
+export const findSegmentEfforts = (segmentPath, track, tolerance = SEGMENT_MATCH_TOLERANCE) => {
+  if (!segmentPath || segmentPath.length < 2 || !track || track.length < 2) return [];
+
+  const checkpoints = buildCheckpoints(segmentPath);
+  const start = segmentPath[0];
+  const nearStart = (index) => distanceMeters(track[index].position, start) <= tolerance;
+
+  // Follow the track from a start index until it finishes or leaves the segment
+  const follow = (startIndex) => {
+    let next = 1;
+    for (let j = startIndex + 1; j < track.length; j++) {
+      const previous = track[j - 1].position;
+      const point = track[j].position;
+      if (distanceToPath(point, segmentPath) > tolerance * OFF_SEGMENT_FACTOR) return null;
+
+      // Sparse fixes can jump past a checkpoint, so test the step between them
+      while (next < checkpoints.length && pointToSegmentDistance(checkpoints[next], previous, point) <= tolerance) {
+        next++;
+      }
+      if (next === checkpoints.length) return j;
+    }
+    return null;
+  };
+
+  const efforts = [];
+  let i = 0;
+  while (i < track.length - 1) {
+    if (!nearStart(i)) {
+      i++;
+      continue;
+    }
+    // Time from the last fix inside the start zone
+    while (i + 1 < track.length && nearStart(i + 1)) i++;
+
+    const endIndex = follow(i);
+    if (endIndex === null) {
+      i++;
+      continue;
+    }
+
+    const startTime = new Date(track[i].timestamp).getTime();
+    const endTime = new Date(track[endIndex].timestamp).getTime();
+    efforts.push({
+      startIndex: i,
+      endIndex,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      elapsedTime: Math.round((endTime - startTime) / 1000)
+    });
+    i = endIndex;
+  }
+
+  return efforts;
+};
+
+// Fastest of several efforts, or null
+export const bestEffort = (efforts) =>
+  (efforts || []).reduce((best, effort) => (!best || effort.elapsedTime < best.elapsedTime ? effort : best), null);
+
+// Effort owners may be populated users or bare IDs
+const effortUserId = (effort) => (effort.user && typeof effort.user === 'object' ? effort.user._id : effort.user);
+
+/**
+ * Ranked efforts for one leaderboard tab.
+ * 'all' and 'month' keep each athlete's best effort; 'mine' lists every
+ * effort by the given user.
+ * @param {Array} efforts - Efforts from getSegmentEfforts
+ * @param {string} period - 'all', 'month' or 'mine'
+ * @param {Object} options - { userId, now }
+ * @returns {Array} - [{ ...effort, rank }] fastest first
+ */
+export const buildLeaderboard = (efforts, period = 'all', { userId = null, now = new Date() } = {}) => {
+  let entries = (efforts || []).filter(effort => effort.elapsedTime > 0);
+
+  if (period === 'mine') {
+    entries = entries.filter(effort => userId && effortUserId(effort) === userId);
+  } else {
+    if (period === 'month') {
+      const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+      entries = entries.filter(effort => new Date(effort.startTime).getTime() >= monthStart);
+    }
+    const bestByUser = new Map();
+    entries.forEach(effort => {
+      const key = effortUserId(effort);
+      const current = bestByUser.get(key);
+      if (!current || effort.elapsedTime < current.elapsedTime) bestByUser.set(key, effort);
+    });
+    entries = [...bestByUser.values()];
+  }
+
+  return entries
+    .sort((a, b) => a.elapsedTime - b.elapsedTime)
+    .map((effort, index) => ({ ...effort, rank: index + 1 }));
+};
+
+// Effort time as m:ss or h:mm:ss
+export const formatEffortTime = (seconds) => {
+  if (seconds === null || seconds === undefined || isNaN(seconds)) return '--';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
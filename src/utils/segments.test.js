@@ -0,0 +1,115 @@
+import {
+  SEGMENT_MIN_LENGTH,
+  extractSubPath,
+  validateSegmentPath,
+  findSegmentEfforts,
+  bestEffort,
+  buildLeaderboard,
+  formatEffortTime
+} from './segments';
+
+// About 555 m due north
+const segment = [[14.83, 120.28], [14.835, 120.28]];
+
+// Fixes every `step` degrees of latitude (0.0001 is about 11 m), 5 s apart
+const track = (from, to, { step = 0.0001, lng = 120.28, startSeconds = 0 } = {}) => {
+  const count = Math.round(Math.abs(to - from) / step);
+  const direction = to > from ? 1 : -1;
+  return Array.from({ length: count + 1 }, (_, index) => ({
+    position: [from + direction * index * step, lng],
+    timestamp: (startSeconds + index * 5) * 1000
+  }));
+};
+
+describe('selecting segments', () => {
+  test('extracts an inclusive sub-path', () => {
+    const path = [[0, 0], [1, 1], [2, 2], [3, 3]];
+    expect(extractSubPath(path, 1, 2)).toEqual([[1, 1], [2, 2]]);
+    expect(extractSubPath(path, 2, 1)).toEqual([]);
+    expect(extractSubPath(path, 0, 4)).toEqual([]);
+  });
+
+  test('rejects segments that are too short', () => {
+    expect(validateSegmentPath([[14.83, 120.28]])).toBe('Select at least two points');
+    expect(validateSegmentPath([[14.83, 120.28], [14.8301, 120.28]])).toBe(`Segments must be at least ${SEGMENT_MIN_LENGTH} m long`);
+    expect(validateSegmentPath(segment)).toBeNull();
+  });
+});
+
+describe('findSegmentEfforts', () => {
+  test('times a track that covers the segment', () => {
+    const efforts = findSegmentEfforts(segment, track(14.8295, 14.8355));
+    expect(efforts).toHaveLength(1);
+
+    const [effort] = efforts;
+    // Timed from the last fix in the start zone to the first at the end
+    expect(effort.startIndex).toBe(7);
+    expect(effort.elapsedTime).toBe((effort.endIndex - effort.startIndex) * 5);
+    expect(effort.elapsedTime).toBeGreaterThan(200);
+  });
+
+  test('ignores the segment ridden in the opposite direction', () => {
+    expect(findSegmentEfforts(segment, track(14.8355, 14.8295))).toEqual([]);
+  });
+
+  test('matches sparse fixes that jump past checkpoints', () => {
+    // About 110 m between fixes, more than the checkpoint spacing
+    expect(findSegmentEfforts(segment, track(14.83, 14.836, { step: 0.001 }))).toHaveLength(1);
+  });
+
+  test('tolerates a parallel track within the matching distance', () => {
+    // About 15 m east of the segment
+    expect(findSegmentEfforts(segment, track(14.83, 14.8355, { lng: 120.28014 }))).toHaveLength(1);
+    // About 100 m east never reaches the start zone
+    expect(findSegmentEfforts(segment, track(14.83, 14.8355, { lng: 120.28094 }))).toEqual([]);
+  });
+
+  test('abandons an effort that leaves the segment', () => {
+    const detour = [
+      ...track(14.83, 14.832),
+      ...track(14.832, 14.834, { lng: 120.282, startSeconds: 200 }),
+      ...track(14.834, 14.8355, { startSeconds: 400 })
+    ];
+    expect(findSegmentEfforts(segment, detour)).toEqual([]);
+  });
+
+  test('finds every lap', () => {
+    const laps = [
+      ...track(14.83, 14.835),
+      ...track(14.83, 14.835, { startSeconds: 1000 })
+    ];
+    const efforts = findSegmentEfforts(segment, laps);
+    expect(efforts).toHaveLength(2);
+    expect(efforts[1].startIndex).toBeGreaterThan(efforts[0].endIndex);
+  });
+});
+
+describe('leaderboards', () => {
+  const efforts = [
+    { user: { _id: 'a' }, elapsedTime: 120, startTime: '2026-10-02T08:00:00Z' },
+    { user: 'a', elapsedTime: 100, startTime: '2026-09-20T08:00:00Z' },
+    { user: 'b', elapsedTime: 110, startTime: '2026-10-05T08:00:00Z' },
+    { user: 'b', elapsedTime: 0, startTime: '2026-10-06T08:00:00Z' }
+  ];
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  test('keeps each athlete\'s best effort', () => {
+    expect(buildLeaderboard(efforts, 'all', { now }).map(effort => [effort.elapsedTime, effort.rank]))
+      .toEqual([[100, 1], [110, 2]]);
+    expect(bestEffort(efforts).elapsedTime).toBe(0);
+  });
+
+  test('limits the month tab to this month', () => {
+    expect(buildLeaderboard(efforts, 'month', { now }).map(effort => effort.elapsedTime)).toEqual([110, 120]);
+  });
+
+  test('lists every effort of the user on the mine tab', () => {
+    expect(buildLeaderboard(efforts, 'mine', { userId: 'a', now }).map(effort => effort.elapsedTime)).toEqual([100, 120]);
+  });
+
+  test('formats effort times', () => {
+    expect(formatEffortTime(65)).toBe('1:05');
+    expect(formatEffortTime(3725)).toBe('1:02:05');
+    expect(formatEffortTime(null)).toBe('--');
+  });
+});
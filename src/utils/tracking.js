@@ -0,0 +1,290 @@
+// Helpers for recording raw GPS samples during live tracking
+// and turning them into the activity payload sent to stopSession.
+
+import { elevationGainLoss, cumulativeElevationGain } from './elevation';
+import { distanceMeters, toLatLng } from './geo';
+
+// Geolocation fields are null when the device can't provide them
+const numberOrNull = (value) =>
+  typeof value === 'number' && !isNaN(value) ? value : null;
+
+/**
+ * Build a sample from a Geolocation API position.
+ * @param {GeolocationPosition} pos - Position passed to watchPosition/getCurrentPosition
+ * @returns {Object} - { timestamp, position: [lat, lng], altitude, accuracy, speed, heading }
+ */
+export const createTrackSample = (pos) => ({
+  timestamp: pos.timestamp || Date.now(),
+  position: [pos.coords.latitude, pos.coords.longitude],
+  altitude: numberOrNull(pos.coords.altitude),
+  accuracy: numberOrNull(pos.coords.accuracy),
+  speed: numberOrNull(pos.coords.speed), // m/s
+  heading: numberOrNull(pos.coords.heading)
+});
+
+/**
+ * Speed of each sample in m/s. Uses the device-reported speed when available,
+ * otherwise derives it from the distance and time to the previous sample.
+ * @param {Array} samples - Track samples in recording order
+ * @returns {Array<number>} - Speeds in m/s, one per sample
+ */
+export const getSampleSpeeds = (samples) => samples.map((sample, index) => {
+  if (sample.speed !== null && sample.speed !== undefined) {
+    return sample.speed;
+  }
+  if (index === 0 || sample.resumed) return 0;
+
+  const prev = samples[index - 1];
+  const seconds = (sample.timestamp - prev.timestamp) / 1000;
+  return seconds > 0 ? distanceMeters(prev.position, sample.position) / seconds : 0;
+});
+
+/**
+ * Convert samples to the locationHistory format stored on activities.
+ * The first fix after a manual pause keeps its resumed flag.
+ * @param {Array} samples - Track samples in recording order
+ * @returns {Array} - [{ timestamp, location, altitude, accuracy, speed, heading, resumed? }]
+ */
+export const samplesToLocationHistory = (samples) => {
+  const speeds = getSampleSpeeds(samples);
+
+  return samples.map((sample, index) => ({
+    timestamp: new Date(sample.timestamp),
+    location: {
+      type: 'Point',
+      coordinates: [sample.position[1], sample.position[0]] // GeoJSON [lng, lat]
+    },
+    altitude: sample.altitude,
+    accuracy: sample.accuracy,
+    speed: speeds[index],
+    heading: sample.heading,
+    ...(sample.resumed ? { resumed: true } : {})
+  }));
+};
+
+/**
+ * Convert a stored locationHistory back to track samples. As during
+ * recording, the first fix after a manual pause is flagged as resumed so the
+ * gap covered while paused isn't counted - whether the entry carries the flag
+ * or only the activity's pauses show it.
+ * @param {Array} locationHistory - [{ timestamp, location: GeoJSON Point, altitude, speed, resumed }, ...] in recording order
+ * @param {Array} pauses - [{ start, end, reason }] as dates or ms
+ * @returns {Array} - Track samples; entries without a time or position are skipped
+ */
+export const locationHistoryToSamples = (locationHistory, pauses = []) => {
+  const manualPauses = (pauses || [])
+    .filter(pause => pause.reason === 'manual')
+    .map(pause => ({ start: new Date(pause.start).getTime(), end: new Date(pause.end).getTime() }));
+  const history = (locationHistory || [])
+    .filter(entry => entry && entry.timestamp && entry.location && Array.isArray(entry.location.coordinates));
+
+  return history.map((entry, index) => {
+    const timestamp = new Date(entry.timestamp).getTime();
+    const previous = index > 0 ? new Date(history[index - 1].timestamp).getTime() : null;
+    return {
+      timestamp,
+      position: toLatLng(entry.location.coordinates),
+      altitude: numberOrNull(entry.altitude),
+      speed: numberOrNull(entry.speed),
+      resumed: previous !== null && (Boolean(entry.resumed) ||
+        manualPauses.some(pause => pause.start < timestamp && pause.end > previous))
+    };
+  });
+};
+
+/**
+ * Summary statistics computed from real samples.
+ * @param {Array} samples - Track samples in recording order
+ * @returns {Object} - { distance (m), duration (s), averageSpeed (m/s), maxSpeed (m/s), elevationGain (m), elevationLoss (m) }
+ */
+export const summarizeSamples = (samples) => {
+  if (!samples || samples.length < 2) {
+    return { distance: 0, duration: 0, averageSpeed: 0, maxSpeed: 0, elevationGain: 0, elevationLoss: 0 };
+  }
+
+  let distance = 0;
+
+  samples.forEach((sample, index) => {
+    // Samples flagged as resumed start a new segment after a manual pause
+    if (index > 0 && !sample.resumed) {
+      distance += distanceMeters(samples[index - 1].position, sample.position);
+    }
+  });
+
+  // Smoothed with hysteresis so GPS altitude noise doesn't count as climbing
+  const elevation = elevationGainLoss(samples.map(sample => sample.altitude));
+
+  const duration = (samples[samples.length - 1].timestamp - samples[0].timestamp) / 1000;
+
+  return {
+    distance,
+    duration,
+    averageSpeed: duration > 0 ? distance / duration : 0,
+    maxSpeed: Math.max(0, ...getSampleSpeeds(samples)),
+    elevationGain: elevation.gain,
+    elevationLoss: elevation.loss
+  };
+};
+
+// Speed below which auto-pause kicks in, per activity type (m/s)
+export const AUTO_PAUSE_SPEED_BY_ACTIVITY = {
+  walk: 0.5,
+  hiking: 0.4,
+  jog: 1.0,
+  run: 1.2,
+  cycling: 1.5,
+  other: 0.5
+};
+
+// How long speed must stay below the threshold before pausing (ms)
+export const AUTO_PAUSE_WINDOW_MS = 6000;
+
+/**
+ * Average speed over the most recent window of samples.
+ * The last sample before the window is used as the anchor so a
+ * single fix inside the window still yields a speed.
+ * @param {Array} samples - Track samples in recording order
+ * @param {number} now - Current time in ms
+ * @param {number} windowMs - Window length in ms
+ * @returns {number} - Speed in m/s (0 when nothing moved inside the window)
+ */
+export const getRecentSpeed = (samples, now, windowMs = AUTO_PAUSE_WINDOW_MS) => {
+  const windowStart = now - windowMs;
+  let startIndex = samples.length - 1;
+  while (startIndex > 0 && samples[startIndex].timestamp > windowStart) {
+    startIndex--;
+  }
+
+  let distance = 0;
+  for (let i = startIndex + 1; i < samples.length; i++) {
+    if (samples[i].timestamp > windowStart && !samples[i].resumed) {
+      distance += distanceMeters(samples[i - 1].position, samples[i].position);
+    }
+  }
+
+  return distance / (windowMs / 1000);
+};
+
+// Split lengths in meters
+export const SPLIT_DISTANCE = {
+  km: 1000,
+  mi: 1609.344
+};
+
+// Seconds of pause overlapping the [start, end] window (timestamps in ms)
+const pausedSecondsBetween = (pauses, start, end) => (pauses || []).reduce((sum, pause) => {
+  const overlap = Math.min(end, pause.end) - Math.max(start, pause.start);
+  return overlap > 0 ? sum + overlap / 1000 : sum;
+}, 0);
+
+const buildInterval = (index, distance, start, end, elevationGain, pauses) => {
+  const duration = Math.max(0, (end - start) / 1000 - pausedSecondsBetween(pauses, start, end));
+  return {
+    index,
+    distance: Math.round(distance),
+    duration: Math.round(duration),
+    startTime: new Date(start),
+    endTime: new Date(end),
+    averageSpeed: duration > 0 ? distance / duration : 0,
+    elevationGain: Math.round(elevationGain)
+  };
+};
+
+/**
+ * Cut a track into fixed-distance splits (e.g. every 1 km or 1 mi).
+ * Split boundaries are interpolated between samples and pause time is excluded.
+ * Climb is the activity's smoothed gain divided between the splits, with the
+ * step that crosses a boundary counting towards the split it ends.
+ * A trailing partial split is included and flagged with partial: true.
+ * @param {Array} samples - Track samples in recording order
+ * @param {number} splitMeters - Split length in meters
+ * @param {Array} pauses - [{ start, end }] in ms
+ * @returns {Array} - [{ index, distance, duration, averageSpeed, elevationGain, partial }]
+ */
+export const computeSplits = (samples, splitMeters = SPLIT_DISTANCE.km, pauses = []) => {
+  const splits = [];
+  if (!samples || samples.length < 2) return splits;
+
+  const gainAt = cumulativeElevationGain(samples.map(sample => sample.altitude));
+  let cumulative = 0;
+  let splitStartDistance = 0;
+  let splitStartTime = samples[0].timestamp;
+  let splitStartGain = 0;
+
+  for (let i = 1; i < samples.length; i++) {
+    const prev = samples[i - 1];
+    const sample = samples[i];
+    const segment = sample.resumed ? 0 : distanceMeters(prev.position, sample.position);
+
+    // A long segment can cross more than one boundary
+    while (segment > 0 && cumulative + segment >= splitStartDistance + splitMeters) {
+      const fraction = (splitStartDistance + splitMeters - cumulative) / segment;
+      const crossTime = prev.timestamp + fraction * (sample.timestamp - prev.timestamp);
+
+      splits.push(buildInterval(splits.length + 1, splitMeters, splitStartTime, crossTime, gainAt[i] - splitStartGain, pauses));
+      splitStartDistance += splitMeters;
+      splitStartTime = crossTime;
+      splitStartGain = gainAt[i];
+    }
+
+    cumulative += segment;
+  }
+
+  const remaining = cumulative - splitStartDistance;
+  if (remaining >= 10) {
+    const lastTime = samples[samples.length - 1].timestamp;
+    splits.push({
+      ...buildInterval(splits.length + 1, remaining, splitStartTime, lastTime, gainAt[samples.length - 1] - splitStartGain, pauses),
+      partial: true
+    });
+  }
+
+  return splits;
+};
+
+/**
+ * Cut a track into laps at the times the lap button was pressed.
+ * Distance is interpolated at each lap mark, like split boundaries, so the
+ * pace matches the lap's duration even with sparse fixes.
+ * The last lap runs from the final lap mark to the end of the track.
+ * @param {Array} samples - Track samples in recording order
+ * @param {Array<number>} lapMarks - Timestamps (ms) of lap button presses
+ * @param {Array} pauses - [{ start, end }] in ms
+ * @returns {Array} - [{ index, distance, duration, averageSpeed, elevationGain }]
+ */
+export const computeLaps = (samples, lapMarks = [], pauses = []) => {
+  if (!samples || samples.length < 2 || lapMarks.length === 0) return [];
+
+  const trackStart = samples[0].timestamp;
+  const trackEnd = samples[samples.length - 1].timestamp;
+  const boundaries = [trackStart, ...lapMarks.filter(mark => mark > trackStart && mark < trackEnd), trackEnd];
+
+  const gainAt = cumulativeElevationGain(samples.map(sample => sample.altitude));
+  const distances = [0];
+  for (let i = 1; i < samples.length; i++) {
+    const step = samples[i].resumed ? 0 : distanceMeters(samples[i - 1].position, samples[i].position);
+    distances.push(distances[i - 1] + step);
+  }
+
+  // Index of the first sample at or after the time
+  const sampleIndexAt = (time) => {
+    const index = samples.findIndex(sample => sample.timestamp >= time);
+    return index === -1 ? samples.length - 1 : index;
+  };
+
+  const distanceAt = (time) => {
+    const index = sampleIndexAt(time);
+    if (index === 0) return 0;
+    const span = samples[index].timestamp - samples[index - 1].timestamp;
+    const fraction = span > 0 ? (time - samples[index - 1].timestamp) / span : 1;
+    return distances[index - 1] + (distances[index] - distances[index - 1]) * fraction;
+  };
+
+  // The step a lap mark falls in counts towards the lap it ends
+  const gainBy = (time) => gainAt[sampleIndexAt(time)];
+
+  return boundaries.slice(1).map((end, lapIndex) => {
+    const start = boundaries[lapIndex];
+    return buildInterval(lapIndex + 1, distanceAt(end) - distanceAt(start), start, end, gainBy(end) - gainBy(start), pauses);
+  });
+};
@@ -0,0 +1,178 @@
+import {
+  createTrackSample,
+  getSampleSpeeds,
+  samplesToLocationHistory,
+  locationHistoryToSamples,
+  summarizeSamples,
+  getRecentSpeed,
+  computeSplits,
+  computeLaps,
+  SPLIT_DISTANCE
+} from './tracking';
+
+// Degrees of latitude per meter along a meridian
+const DEGREES_PER_METER = 1 / (6371000 * Math.PI / 180);
+
+// Fixes `meters` apart due north, `seconds` apart
+const samples = (count, { meters = 300, seconds = 60, altitude = () => null } = {}) =>
+  Array.from({ length: count }, (_, index) => ({
+    timestamp: index * seconds * 1000,
+    position: [14.83 + index * meters * DEGREES_PER_METER, 120.28],
+    altitude: altitude(index),
+    speed: null
+  }));
+
+describe('samples', () => {
+  test('reads a geolocation position', () => {
+    const sample = createTrackSample({
+      timestamp: 1000,
+      coords: { latitude: 14.83, longitude: 120.28, altitude: null, accuracy: 5, speed: 2.5, heading: NaN }
+    });
+    expect(sample).toEqual({
+      timestamp: 1000,
+      position: [14.83, 120.28],
+      altitude: null,
+      accuracy: 5,
+      speed: 2.5,
+      heading: null
+    });
+  });
+
+  test('derives missing speeds from the previous fix', () => {
+    const track = samples(3);
+    track[2].speed = 9;
+    const speeds = getSampleSpeeds(track);
+    expect(speeds[0]).toBe(0);
+    expect(speeds[1]).toBeCloseTo(5, 5);
+    expect(speeds[2]).toBe(9);
+  });
+
+  test('converts to location history in GeoJSON order', () => {
+    const [entry] = samplesToLocationHistory(samples(2));
+    expect(entry.timestamp).toEqual(new Date(0));
+    expect(entry.location).toEqual({ type: 'Point', coordinates: [120.28, 14.83] });
+  });
+
+  test('location history round-trips with the resumed flag', () => {
+    const track = samples(3);
+    track[2].resumed = true;
+    const history = samplesToLocationHistory(track);
+    expect(history[1].resumed).toBeUndefined();
+    expect(locationHistoryToSamples(history).map(sample => sample.resumed)).toEqual([false, false, true]);
+  });
+
+  test('flags the first fix after a manual pause from the pauses alone', () => {
+    const history = samplesToLocationHistory(samples(4));
+    const pauses = [
+      { start: new Date(70000), end: new Date(110000), reason: 'manual' },
+      { start: 130000, end: 170000, reason: 'auto' }
+    ];
+    expect(locationHistoryToSamples(history, pauses).map(sample => sample.resumed)).toEqual([false, false, true, false]);
+  });
+});
+
+describe('summarizeSamples', () => {
+  test('adds up distance and time', () => {
+    const stats = summarizeSamples(samples(4));
+    expect(stats.distance).toBeCloseTo(900, 5);
+    expect(stats.duration).toBe(180);
+    expect(stats.averageSpeed).toBeCloseTo(5, 5);
+  });
+
+  test('skips the gap covered during a manual pause', () => {
+    const track = samples(4);
+    track[2].resumed = true;
+    expect(summarizeSamples(track).distance).toBeCloseTo(600, 5);
+    expect(getSampleSpeeds(track)[2]).toBe(0);
+  });
+
+  test('needs two samples', () => {
+    expect(summarizeSamples(samples(1)).distance).toBe(0);
+  });
+});
+
+describe('getRecentSpeed', () => {
+  test('averages over the window, anchored on the fix before it', () => {
+    const track = samples(5, { meters: 10, seconds: 2 });
+    // Three steps end inside the window: 30 m in 6 s
+    expect(getRecentSpeed(track, 8000, 6000)).toBeCloseTo(5, 5);
+    expect(getRecentSpeed(track, 30000, 6000)).toBe(0);
+  });
+});
+
+describe('computeSplits', () => {
+  test('interpolates the time each boundary is crossed', () => {
+    // 300 m per minute: 1 km is crossed a third of the way into the fourth step
+    const splits = computeSplits(samples(10));
+
+    expect(splits).toHaveLength(3);
+    expect(splits[0]).toMatchObject({ index: 1, distance: 1000, duration: 200 });
+    expect(splits[0].endTime.getTime()).toBeCloseTo(200000, -1);
+    expect(splits[1]).toMatchObject({ index: 2, distance: 1000, duration: 200 });
+    expect(splits[1].startTime).toEqual(splits[0].endTime);
+    expect(splits[2]).toMatchObject({ index: 3, distance: 700, duration: 140, partial: true });
+  });
+
+  test('one long step can cross several boundaries', () => {
+    const splits = computeSplits(samples(2, { meters: 2500, seconds: 500 }));
+    expect(splits.map(split => split.duration)).toEqual([200, 200, 100]);
+  });
+
+  test('excludes pause time', () => {
+    const splits = computeSplits(samples(10), SPLIT_DISTANCE.km, [{ start: 60000, end: 120000 }]);
+    expect(splits[0].duration).toBe(140);
+    expect(splits[1].duration).toBe(200);
+  });
+
+  test('excludes the distance covered during a manual pause', () => {
+    const track = samples(10);
+    track[5].resumed = true;
+    const splits = computeSplits(track);
+    expect(splits.map(split => split.distance)).toEqual([1000, 1000, 400]);
+  });
+
+  test('uses miles when asked', () => {
+    const splits = computeSplits(samples(10), SPLIT_DISTANCE.mi);
+    expect(splits[0].distance).toBe(1609);
+    expect(splits[1].partial).toBe(true);
+  });
+
+  test('counts climbing per split', () => {
+    const track = samples(10, { altitude: index => index * 5 });
+    const splits = computeSplits(track);
+    // Smoothed like the activity total, which flattens the first and last
+    // readings, so the splits add up to it
+    expect(splits.map(split => split.elevationGain)).toEqual([15, 15, 5]);
+    expect(splits.reduce((sum, split) => sum + split.elevationGain, 0)).toBe(summarizeSamples(track).elevationGain);
+  });
+});
+
+describe('computeLaps', () => {
+  test('cuts the track at the lap marks', () => {
+    // The mark falls halfway between the fixes at 120 s and 180 s
+    const laps = computeLaps(samples(10), [150000]);
+    expect(laps).toHaveLength(2);
+    expect(laps[0]).toMatchObject({ index: 1, distance: 750, duration: 150 });
+    expect(laps[1]).toMatchObject({ index: 2, distance: 1950, duration: 390 });
+    expect(laps[0].averageSpeed).toBeCloseTo(5, 5);
+  });
+
+  test('excludes pauses and paused distance', () => {
+    const track = samples(10);
+    track[2].resumed = true;
+    const [lap] = computeLaps(track, [150000], [{ start: 60000, end: 90000 }]);
+    expect(lap).toMatchObject({ distance: 450, duration: 120 });
+  });
+
+  test('climbing adds up to the activity total', () => {
+    const track = samples(10, { altitude: index => index * 5 });
+    const laps = computeLaps(track, [150000, 330000]);
+    const total = laps.reduce((sum, lap) => sum + lap.elevationGain, 0);
+    expect(total).toBe(summarizeSamples(track).elevationGain);
+  });
+
+  test('needs a lap mark inside the track', () => {
+    expect(computeLaps(samples(10), [])).toEqual([]);
+    expect(computeLaps(samples(10), [999999])).toHaveLength(1);
+  });
+});
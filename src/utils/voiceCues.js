@@ -0,0 +1,71 @@
+// Spoken announcements during tracking using the Web Speech API.
+
+// Defaults for the voiceCues block of the user's activity preferences
+export const DEFAULT_VOICE_CUES = {
+  enabled: false,
+  distanceInterval: 1, // Announce every N km (or miles)
+  announcePace: true,
+  announceSplits: true,
+  announceOffRoute: true,
+  announceCompletion: true
+};
+
+export const isSpeechSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance !== 'undefined';
+
+/**
+ * Speak a short announcement. Queued after anything already being spoken.
+ * @param {string} text - Text to announce
+ * @param {Object} options - { interrupt: true } cancels anything currently being spoken
+ */
+export const speak = (text, options = {}) => {
+  if (!text || !isSpeechSupported()) return;
+
+  try {
+    if (options.interrupt) {
+      window.speechSynthesis.cancel();
+    }
+    const utterance = new window.SpeechSynthesisUtterance(text);
+    utterance.rate = 1;
+    utterance.pitch = 1;
+    window.speechSynthesis.speak(utterance);
+  } catch (error) {
+    console.error('Speech synthesis error:', error);
+  }
+};
+
+export const cancelSpeech = () => {
+  if (isSpeechSupported()) {
+    window.speechSynthesis.cancel();
+  }
+};
+
+// "1 hour 5 minutes 3 seconds" style durations
+export const durationToSpeech = (totalSeconds) => {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  const parts = [];
+  if (hours > 0) parts.push(`${hours} ${hours === 1 ? 'hour' : 'hours'}`);
+  if (minutes > 0) parts.push(`${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`);
+  if (secs > 0 || parts.length === 0) parts.push(`${secs} ${secs === 1 ? 'second' : 'seconds'}`);
+  return parts.join(' ');
+};
+
+/**
+ * Pace as speech, e.g. "5 minutes 30 seconds per kilometer".
+ * @param {number} secondsPerUnit - Pace in seconds per km or mile
+ * @param {string} unit - 'km' or 'mi'
+ */
+export const paceToSpeech = (secondsPerUnit, unit = 'km') => {
+  if (!secondsPerUnit || !isFinite(secondsPerUnit)) return 'unavailable';
+  return `${durationToSpeech(secondsPerUnit)} per ${unit === 'mi' ? 'mile' : 'kilometer'}`;
+};
+
+export const distanceToSpeech = (value, unit = 'km') => {
+  const rounded = Math.round(value * 100) / 100;
+  const unitName = unit === 'mi' ? 'mile' : 'kilometer';
+  return `${rounded} ${rounded === 1 ? unitName : unitName + 's'}`;
+};
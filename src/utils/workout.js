@@ -0,0 +1,205 @@
+// Structured interval workouts: definition helpers and a runner that
+// follows the current step during live tracking.
+//
+// A workout is { name, warmup, repeats, work, rest, cooldown } where each
+// step is { goalType: 'distance' | 'time', goalValue (m or s), paceMin, paceMax }.
+// Paces are in seconds per km; paceMin is the fast end of the range.
+
+export const EMPTY_STEP = {
+  goalType: 'distance',
+  goalValue: 400,
+  paceMin: null,
+  paceMax: null
+};
+
+export const DEFAULT_WORKOUT = {
+  name: '',
+  warmup: { goalType: 'time', goalValue: 600, paceMin: null, paceMax: null },
+  repeats: 6,
+  work: { goalType: 'distance', goalValue: 800, paceMin: null, paceMax: null },
+  rest: { goalType: 'time', goalValue: 120, paceMin: null, paceMax: null },
+  cooldown: { goalType: 'time', goalValue: 600, paceMin: null, paceMax: null }
+};
+
+// "4:30" -> 270
+export const parsePace = (text) => {
+  if (!text) return null;
+  const match = String(text).trim().match(/^(\d{1,2}):([0-5]\d)$/);
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+// 270 -> "4:30"
+export const formatPace = (seconds) => {
+  if (!seconds || !isFinite(seconds)) return '--';
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${(rounded % 60).toString().padStart(2, '0')}`;
+};
+
+// "800 m", "1.5 km", "2:00"
+export const formatStepGoal = (step) => {
+  if (step.goalType === 'time') return formatPace(step.goalValue);
+  return step.goalValue >= 1000 ? `${(step.goalValue / 1000).toFixed(2)} km` : `${Math.round(step.goalValue)} m`;
+};
+
+const hasGoal = (step) => step && step.goalValue > 0;
+
+/**
+ * Flatten a workout into the ordered steps the runner walks through.
+ * The rest after the final repeat is dropped.
+ * @param {Object} workout - Workout definition
+ * @returns {Array} - [{ index, type, label, goalType, goalValue, paceMin, paceMax }]
+ */
+export const expandWorkout = (workout) => {
+  const steps = [];
+  const add = (type, label, step) => {
+    steps.push({
+      index: steps.length,
+      type,
+      label,
+      goalType: step.goalType === 'time' ? 'time' : 'distance',
+      goalValue: Number(step.goalValue),
+      paceMin: step.paceMin || null,
+      paceMax: step.paceMax || null
+    });
+  };
+
+  if (!workout) return steps;
+
+  if (hasGoal(workout.warmup)) add('warmup', 'Warm-up', workout.warmup);
+
+  const repeats = Math.max(0, parseInt(workout.repeats, 10) || 0);
+  for (let rep = 1; rep <= repeats; rep++) {
+    if (hasGoal(workout.work)) add('work', `Rep ${rep}/${repeats}`, workout.work);
+    if (rep < repeats && hasGoal(workout.rest)) add('rest', `Recovery ${rep}/${repeats - 1}`, workout.rest);
+  }
+
+  if (hasGoal(workout.cooldown)) add('cooldown', 'Cool-down', workout.cooldown);
+
+  return steps;
+};
+
+/**
+ * Where a pace sits relative to a step's target range.
+ * @param {number} pace - Current pace in seconds per km
+ * @param {Object} step - Step with paceMin/paceMax
+ * @returns {string|null} - 'fast', 'slow', 'on' or null when there is no target or pace
+ */
+export const paceCompliance = (pace, step) => {
+  if (!step || (!step.paceMin && !step.paceMax) || !pace || !isFinite(pace)) return null;
+  if (step.paceMin && pace < step.paceMin) return 'fast';
+  if (step.paceMax && pace > step.paceMax) return 'slow';
+  return 'on';
+};
+
+/**
+ * Create a runner that follows a workout during one tracking session.
+ * Feed it the session's running totals; it advances through the steps as
+ * each distance or time goal is reached and records actual performance.
+ * @param {Object} workout - Workout definition
+ * @returns {Object} - { update(state), skip(state), finish(state), getResults() }
+ */
+export const createWorkoutRunner = (workout) => {
+  const steps = expandWorkout(workout);
+  const results = [];
+  let current = 0;
+  let stepStart = null;
+  let lastState = null;
+  let compliance = { on: 0, fast: 0, slow: 0 };
+
+  const closeStep = (state, skipped) => {
+    const step = steps[current];
+    const distance = Math.max(0, state.distance - stepStart.distance);
+    const duration = Math.max(0, state.movingTime - stepStart.movingTime);
+    const measured = compliance.on + compliance.fast + compliance.slow;
+
+    results.push({
+      index: step.index,
+      type: step.type,
+      label: step.label,
+      goalType: step.goalType,
+      goalValue: step.goalValue,
+      paceMin: step.paceMin,
+      paceMax: step.paceMax,
+      distance: Math.round(distance),
+      duration: Math.round(duration),
+      averagePace: distance > 0 ? Math.round(duration / (distance / 1000)) : null,
+      startTime: new Date(stepStart.timestamp),
+      endTime: new Date(state.timestamp),
+      timeInRange: measured > 0 ? Math.round((compliance.on / measured) * 100) : null, // percent
+      skipped: !!skipped
+    });
+
+    current++;
+    stepStart = { ...state };
+    compliance = { on: 0, fast: 0, slow: 0 };
+  };
+
+  const status = (state, event) => {
+    if (current >= steps.length) {
+      return { finished: true, stepIndex: steps.length, step: null, nextStep: null, remaining: 0, progress: 1, compliance: null, event };
+    }
+
+    const step = steps[current];
+    const done = step.goalType === 'time'
+      ? state.movingTime - stepStart.movingTime
+      : state.distance - stepStart.distance;
+
+    return {
+      finished: false,
+      stepIndex: current,
+      totalSteps: steps.length,
+      step,
+      nextStep: steps[current + 1] || null,
+      remaining: Math.max(0, step.goalValue - done), // m or s
+      progress: Math.min(1, done / step.goalValue),
+      compliance: paceCompliance(state.pace, step),
+      event
+    };
+  };
+
+  /**
+   * Advance with the latest session totals.
+   * @param {Object} state - { distance (m), movingTime (s), timestamp (ms), pace (s/km) }
+   * @returns {Object} - Current step status, with event 'stepStarted' | 'finished' | null
+   */
+  const update = (state) => {
+    if (!stepStart) stepStart = { ...state };
+    if (current >= steps.length) return status(state, null);
+
+    // Weight compliance by the moving time since the last update
+    const step = steps[current];
+    const elapsed = lastState ? Math.max(0, state.movingTime - lastState.movingTime) : 0;
+    const zone = paceCompliance(state.pace, step);
+    if (zone && elapsed > 0) compliance[zone] += elapsed;
+    lastState = state;
+
+    const done = step.goalType === 'time'
+      ? state.movingTime - stepStart.movingTime
+      : state.distance - stepStart.distance;
+
+    if (done < step.goalValue) return status(state, null);
+
+    closeStep(state, false);
+    return status(state, current >= steps.length ? 'finished' : 'stepStarted');
+  };
+
+  // Move on to the next step before its goal is reached
+  const skip = (state) => {
+    if (!stepStart || current >= steps.length) return status(state, null);
+    closeStep(state, true);
+    lastState = state;
+    return status(state, current >= steps.length ? 'finished' : 'stepStarted');
+  };
+
+  // Record the step in progress when tracking stops
+  const finish = (state) => {
+    if (stepStart && current < steps.length && state.movingTime > stepStart.movingTime) {
+      closeStep(state, true);
+    }
+  };
+
+  const getResults = () => results.map(result => ({ ...result }));
+
+  return { update, skip, finish, getResults };
+};